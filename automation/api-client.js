@@ -0,0 +1,313 @@
+/**
+ * API Client for Content Lab
+ * Calls the automation API server from Node (18+) or the browser; one method per operation in
+ * /api/openapi.json, named after its operationId
+ *
+ * Usage:
+ *   const client = new ContentLabClient({ baseUrl: 'http://localhost:3003' });
+ *   await client.loadContent([{ type: 'text', content: 'Solve $x + 2 = 5$' }]);
+ *   const { screenshot } = await client.screenshot({ target: 'content' });
+ */
+
+/**
+ * @typedef {Array<{type: string, content: *}>|object|string} Content
+ */
+
+/**
+ * @typedef {object} ScreenshotOptions
+ * @property {string} [selector] - CSS selector of the element to capture
+ * @property {'viewport'|'container'|'content'|'item'|'formula'|'graph'|'number-line'} [target]
+ * @property {number} [index] - Which match of the selector to capture
+ * @property {number} [scale] - Device scale factor, up to 4
+ * @property {'png'|'jpeg'|'webp'} [format]
+ * @property {number} [quality] - jpeg and webp quality, 0-100
+ * @property {boolean} [transparent]
+ * @property {number} [padding] - Pixels of surrounding page to include
+ * @property {boolean} [fullPage]
+ */
+
+/**
+ * @typedef {object} AlignmentOptions
+ * @property {string} [selector]
+ * @property {number} [tolerance]
+ * @property {number} [maxIterations]
+ * @property {string} [adjustmentStrategy]
+ */
+
+/**
+ * @typedef {object} VerifyVisualRequest
+ * @property {'number-line'|'graph'} type
+ * @property {string} [svg] - SVG markup from generateNumberLine / generateGraph
+ * @property {object} [metadata] - metadata from the same call
+ * @property {object} [generationOptions]
+ * @property {object} [rules]
+ * @property {'svg'|'pixel'} [mode]
+ */
+
+/**
+ * @typedef {object} RegressionRequest
+ * @property {object|string} manifest - Manifest object, or a path relative to the project
+ * @property {boolean} [update]
+ * @property {number} [threshold]
+ * @property {number} [pixelThreshold]
+ * @property {boolean} [background]
+ */
+
+/**
+ * @typedef {object} JobAccepted
+ * @property {boolean} success
+ * @property {string} jobId
+ * @property {string} status
+ * @property {string} statusUrl
+ * @property {string} eventsUrl
+ */
+
+class ContentLabClient {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - Server URL (default: CONTENT_LAB_API_URL or http://localhost:3003)
+   * @param {string} options.sessionId - Session to send as X-Session-Id (default: the server's default session)
+   * @param {Function} options.fetch - fetch implementation (default: the global one)
+   */
+  constructor(options = {}) {
+    const env = typeof process !== 'undefined' ? process.env : {};
+    this.baseUrl = (options.baseUrl || env.CONTENT_LAB_API_URL || 'http://localhost:3003').replace(/\/$/, '');
+    this.sessionId = options.sessionId || null;
+    this.fetch = options.fetch || globalThis.fetch.bind(globalThis);
+  }
+
+  /**
+   * Send a request; non-2xx responses throw an Error with status and, for invalid bodies, errors
+   * @private
+   */
+  async request(method, path, body = undefined) {
+    const headers = { Accept: 'application/json' };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (this.sessionId) headers['X-Session-Id'] = this.sessionId;
+
+    const response = await this.fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      data = { error: text };
+    }
+
+    if (!response.ok) {
+      const error = new Error(data.error || `${method} ${path} failed with ${response.status}`);
+      error.status = response.status;
+      error.errors = data.errors || [];
+      throw error;
+    }
+    return data;
+  }
+
+  // Server
+
+  health() {
+    return this.request('GET', '/health');
+  }
+
+  openapi() {
+    return this.request('GET', '/api/openapi.json');
+  }
+
+  /**
+   * @param {{poolSize?: number, sessionTimeout?: number}} options
+   */
+  init(options = {}) {
+    return this.request('POST', '/api/init', options);
+  }
+
+  cleanup() {
+    return this.request('POST', '/api/cleanup');
+  }
+
+  // Sessions
+
+  /**
+   * Open a session; pass { use: true } to send it with this client's later requests
+   * @returns {Promise<{success: boolean, sessionId: string, expiresInMs: number}>}
+   */
+  async createSession({ use = false } = {}) {
+    const result = await this.request('POST', '/api/sessions');
+    if (use) this.sessionId = result.sessionId;
+    return result;
+  }
+
+  listSessions() {
+    return this.request('GET', '/api/sessions');
+  }
+
+  async deleteSession(id = this.sessionId) {
+    const result = await this.request('DELETE', `/api/sessions/${encodeURIComponent(id)}`);
+    if (id === this.sessionId) this.sessionId = null;
+    return result;
+  }
+
+  // Content
+
+  /**
+   * @param {Content} content
+   */
+  loadContent(content) {
+    return this.request('POST', '/api/load', { content });
+  }
+
+  /**
+   * @param {'problemSolver'|'lessonDescription'|'previewBox'|'reviewBox'|'toolsContainer'} type
+   */
+  setContainer(type) {
+    return this.request('POST', '/api/container', { type });
+  }
+
+  // Screenshots
+
+  /**
+   * @param {ScreenshotOptions} options
+   */
+  screenshot(options = {}) {
+    return this.request('POST', '/api/screenshot', options);
+  }
+
+  /**
+   * @param {ScreenshotOptions} options - Without selector, target, index and fullPage
+   */
+  screenshotItems(options = {}) {
+    return this.request('POST', '/api/screenshot/items', options);
+  }
+
+  // Alignment
+
+  measure(selector) {
+    return this.request('POST', '/api/measure', { selector });
+  }
+
+  analyzeAlignment(selector) {
+    return this.request('POST', '/api/analyze', { selector });
+  }
+
+  /**
+   * @param {AlignmentOptions} options
+   */
+  iterateUntilAligned(options = {}) {
+    return this.request('POST', '/api/iterate', { options });
+  }
+
+  /**
+   * @param {Array<{id?: string|number, content: Content}>} items
+   * @param {AlignmentOptions} options
+   */
+  processBatch(items, options = {}) {
+    return this.request('POST', '/api/batch', { items, options });
+  }
+
+  // Visual tools
+
+  generateNumberLine(commands, options = {}) {
+    return this.request('POST', '/api/generate-number-line', { commands, options });
+  }
+
+  generateGraph(commands, options = {}) {
+    return this.request('POST', '/api/generate-graph', { commands, options });
+  }
+
+  validateExpression(expression, options = {}) {
+    return this.request('POST', '/api/validate-expression', { expression, options });
+  }
+
+  /**
+   * @param {VerifyVisualRequest} request
+   */
+  verifyVisual(request) {
+    return this.request('POST', '/api/verify-visual', request);
+  }
+
+  /**
+   * @param {string} markdown
+   * @param {{verify?: boolean, maxRetries?: number}} options
+   */
+  processMarkdown(markdown, options = {}) {
+    return this.request('POST', '/api/process-markdown', { markdown, options });
+  }
+
+  // Rendering
+
+  /**
+   * @param {Content} content
+   * @param {string} container - Default: problemSolver
+   * @param {{inlineCss?: boolean, document?: boolean, title?: string, width?: number}} options
+   */
+  renderHtml(content, container = 'problemSolver', options = {}) {
+    return this.request('POST', '/api/render-html', { content, container, options });
+  }
+
+  /**
+   * @param {RegressionRequest} request
+   */
+  checkRegression(request) {
+    return this.request('POST', '/api/regression/check', request);
+  }
+
+  // Jobs
+
+  /**
+   * @returns {Promise<JobAccepted>}
+   */
+  submitBatchJob(items, options = {}) {
+    return this.request('POST', '/api/jobs/batch', { items, options });
+  }
+
+  /**
+   * @returns {Promise<JobAccepted>}
+   */
+  submitMarkdownJob(markdown, options = {}) {
+    return this.request('POST', '/api/jobs/process-markdown', { markdown, options });
+  }
+
+  listJobs() {
+    return this.request('GET', '/api/jobs');
+  }
+
+  getJob(id) {
+    return this.request('GET', `/api/jobs/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * URL of a job's Server-Sent Events stream, for an EventSource
+   */
+  jobEvents(id) {
+    return `${this.baseUrl}/api/jobs/${encodeURIComponent(id)}/events`;
+  }
+
+  /**
+   * Poll a job until it completes or fails
+   * @param {string} id
+   * @param {object} options
+   * @param {number} options.interval - Milliseconds between polls (default: 1000)
+   * @param {number} options.timeout - Give up after this many milliseconds (default: 10 minutes)
+   * @param {Function} options.onProgress - Called with the job after each poll
+   * @returns {Promise<object>} The finished job
+   */
+  async waitForJob(id, { interval = 1000, timeout = 10 * 60 * 1000, onProgress = null } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const { job } = await this.getJob(id);
+      if (onProgress) onProgress(job);
+      if (job.status === 'completed' || job.status === 'failed') {
+        return job;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Job ${id} did not finish within ${timeout}ms`);
+      }
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+}
+
+export default ContentLabClient;
@@ -6,22 +6,79 @@
 import express from 'express';
 import cors from 'cors';
 import puppeteer from 'puppeteer';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import PagePool from './page-pool.js';
+import SessionManager from './session-manager.js';
+import JobQueue from './job-queue.js';
+import HtmlRenderer from './html-renderer.js';
+import Screenshots from './screenshots.js';
+import VisualRegression from './visual-regression.js';
+import ApiSpec from './api-spec.js';
+
+const DEFAULT_SESSION = 'default';
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const { version: VERSION } = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'package.json'), 'utf8'));
 
 class ContentLabServer {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {boolean} options.serveApp - Serve the app from this server instead of the Vite dev server:
+   *                                     the built dist/ bundle if present, otherwise the render-only page
+   * @param {boolean} options.renderOnly - With serveApp, always use the render-only page
+   * @param {boolean} options.autoInit - Launch the browser on the first request that needs a page (default: true)
+   */
+  constructor(options = {}) {
     this.app = express();
     this.browser = null;
-    this.page = null;
-    this.port = process.env.PORT || 3003;
+    this.pool = null;
+    this.sessions = null;
+    this.port = options.port || process.env.PORT || 3003;
+    this.serveApp = options.serveApp || false;
+    this.renderOnly = options.renderOnly || false;
+    this.autoInit = options.autoInit !== false;
+    this.initializing = null;
+    this.appUrl = process.env.CONTENT_LAB_URL || 'http://localhost:3002';
+    this.poolSize = parseInt(process.env.PAGE_POOL_SIZE) || 4;
+    this.sessionTimeout = parseInt(process.env.SESSION_TIMEOUT_MS) || 15 * 60 * 1000;
+    this.jobs = new JobQueue({
+      concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2
+    });
+    this.htmlRenderer = new HtmlRenderer();
+    // Manifests posted to /api/regression/check may only read files inside the project
+    this.regression = new VisualRegression({ restrictToRoot: true });
+    this.spec = new ApiSpec();
     
     this.setupMiddleware();
     this.setupRoutes();
+    if (this.serveApp) {
+      this.setupAppRoutes();
+    }
+    this.setupErrorHandler();
   }
   
   setupMiddleware() {
     this.app.use(cors());
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true }));
+    // Rejects bodies that do not match the route's schema in api-spec.js with 400 { error, errors }
+    this.app.use(this.spec.middleware());
+  }
+  
+  /**
+   * JSON errors for requests that fail before reaching a route, such as malformed JSON
+   */
+  setupErrorHandler() {
+    this.app.use((error, req, res, next) => {
+      if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: `Request body is not valid JSON: ${error.message}` });
+      }
+      if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Request body is larger than ${error.limit} bytes` });
+      }
+      res.status(error.status || 500).json({ error: error.message });
+    });
   }
   
   setupRoutes() {
@@ -30,18 +87,72 @@ class ContentLabServer {
       res.json({
         status: 'ok',
         browser: this.browser !== null,
-        page: this.page !== null
+        page: this.sessions !== null && this.sessions.sessions.has(DEFAULT_SESSION),
+        app: this.serveApp ? `${this.appUrl} (${this.appSource})` : this.appUrl,
+        pool: this.pool ? this.pool.stats() : null,
+        sessions: this.sessions ? this.sessions.sessions.size : 0,
+        autoInit: this.autoInit
       });
     });
     
-    // Initialize browser
+    // OpenAPI document generated from the route table in api-spec.js
+    this.app.get('/api/openapi.json', (req, res) => {
+      res.json(this.spec.openapi({ version: VERSION, serverUrl: `${req.protocol}://${req.get('host')}` }));
+    });
+    
+    // Initialize (or restart) the browser - optional, routes that need a page launch it on first use
+    // Optional body: { poolSize, sessionTimeout } overrides PAGE_POOL_SIZE / SESSION_TIMEOUT_MS
     this.app.post('/api/init', async (req, res) => {
       try {
-        await this.initBrowser();
-        res.json({ success: true });
+        if (this.initializing) {
+          await this.initializing.catch(() => {});
+        }
+        await this.initBrowser(req.body || {});
+        res.json({ success: true, pool: this.pool.stats() });
       } catch (error) {
         console.error('❌ Browser initialization failed:', error.message);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+    
+    // Sessions - each client gets its own page; pass the id as X-Session-Id (or sessionId in body/query)
+    this.app.post('/api/sessions', async (req, res) => {
+      try {
+        const sessions = await this.requireSessions();
+        const session = await sessions.create();
+        res.json({
+          success: true,
+          sessionId: session.id,
+          expiresInMs: sessions.timeout
+        });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+    
+    this.app.get('/api/sessions', async (req, res) => {
+      try {
+        const sessions = await this.requireSessions();
+        res.json({
+          success: true,
+          sessions: sessions.list(),
+          pool: this.pool.stats()
+        });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+    
+    this.app.delete('/api/sessions/:id', async (req, res) => {
+      try {
+        if (req.params.id === DEFAULT_SESSION) {
+          return res.status(400).json({ error: 'The default session is closed by /api/cleanup' });
+        }
+        const sessions = await this.requireSessions();
+        await sessions.destroy(req.params.id);
+        res.json({ success: true });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
     
@@ -49,12 +160,12 @@ class ContentLabServer {
     this.app.post('/api/load', async (req, res) => {
       try {
         const { content } = req.body;
-        const result = await this.page.evaluate((content) => {
+        const result = await this.withPage(req, page => page.evaluate((content) => {
           return window.ContentLabAPI.loadContent(content);
-        }, content);
+        }, content));
         res.json(result);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
     
@@ -62,28 +173,34 @@ class ContentLabServer {
     this.app.post('/api/container', async (req, res) => {
       try {
         const { type } = req.body;
-        const result = await this.page.evaluate((type) => {
+        const result = await this.withPage(req, page => page.evaluate((type) => {
           return window.ContentLabAPI.setContainerType(type);
-        }, type);
+        }, type));
         res.json(result);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
     
-    // Take screenshot
+    // Take screenshot - the viewport by default, or { selector | target, index, scale, format, quality, transparent, padding }
     this.app.post('/api/screenshot', async (req, res) => {
       try {
-        const screenshot = await this.page.screenshot({
-          encoding: 'base64',
-          fullPage: false
-        });
-        res.json({
-          success: true,
-          screenshot: `data:image/png;base64,${screenshot}`
-        });
+        const { sessionId, ...options } = req.body || {};
+        const result = await this.withPage(req, page => Screenshots.capture(page, options));
+        res.json(result);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+    
+    // Take one screenshot per rendered content item
+    this.app.post('/api/screenshot/items', async (req, res) => {
+      try {
+        const { sessionId, ...options } = req.body || {};
+        const result = await this.withPage(req, page => Screenshots.captureItems(page, options));
+        res.json(result);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
     
@@ -91,12 +208,12 @@ class ContentLabServer {
     this.app.post('/api/measure', async (req, res) => {
       try {
         const { selector } = req.body;
-        const measurements = await this.page.evaluate((selector) => {
+        const measurements = await this.withPage(req, page => page.evaluate((selector) => {
           return window.ContentLabAPI.measure(selector);
-        }, selector);
+        }, selector));
         res.json({ measurements });
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
     
@@ -104,12 +221,12 @@ class ContentLabServer {
     this.app.post('/api/analyze', async (req, res) => {
       try {
         const { selector } = req.body;
-        const analysis = await this.page.evaluate((selector) => {
+        const analysis = await this.withPage(req, page => page.evaluate((selector) => {
           return window.ContentLabAPI.analyzeAlignment(selector);
-        }, selector);
+        }, selector));
         res.json(analysis);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
     
@@ -117,12 +234,12 @@ class ContentLabServer {
     this.app.post('/api/iterate', async (req, res) => {
       try {
         const { options } = req.body;
-        const result = await this.page.evaluate((options) => {
+        const result = await this.withPage(req, page => page.evaluate((options) => {
           return window.ContentLabAPI.iterateUntilAligned(options);
-        }, options);
+        }, options));
         res.json(result);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
     
@@ -130,24 +247,24 @@ class ContentLabServer {
     this.app.post('/api/batch', async (req, res) => {
       try {
         const { items, options } = req.body;
-        const result = await this.page.evaluate((items, options) => {
+        const result = await this.withPage(req, page => page.evaluate((items, options) => {
           return window.ContentLabAPI.processBatch(items, options);
-        }, items, options);
+        }, items, options));
         res.json(result);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
     // Visual Tools - Generate Number Line
     this.app.post('/api/generate-number-line', async (req, res) => {
       try {
         const { commands, options } = req.body;
-        const result = await this.page.evaluate((commands, options) => {
+        const result = await this.withPage(req, page => page.evaluate((commands, options) => {
           return window.ContentLabAPI.generateNumberLine(commands, options);
-        }, commands, options);
+        }, commands, options));
         res.json(result);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
     
@@ -155,34 +272,51 @@ class ContentLabServer {
     this.app.post('/api/generate-graph', async (req, res) => {
       try {
         const { commands, options } = req.body;
-        const result = await this.page.evaluate((commands, options) => {
+        const result = await this.withPage(req, page => page.evaluate((commands, options) => {
           return window.ContentLabAPI.generateGraph(commands, options);
-        }, commands, options);
+        }, commands, options));
+        res.json(result);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+    
+    // Visual Tools - Validate Expression
+    this.app.post('/api/validate-expression', async (req, res) => {
+      try {
+        const { expression, options } = req.body;
+        const result = await this.withPage(req, page => page.evaluate((expression, options) => {
+          return window.ContentLabAPI.validateExpression(expression, options);
+        }, expression, options));
         res.json(result);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
     
     // Visual Tools - Verify Visual
+    // { type, svg, metadata, generationOptions, rules, mode }: 'svg' mode (the default when svg is given) checks
+    // the SVG's elements; 'pixel' mode analyses the svg, or a screenshot of the rendered one when there is none
     this.app.post('/api/verify-visual', async (req, res) => {
       try {
-        const { type, rules } = req.body;
+        const { type, svg, metadata, generationOptions, rules = {} } = req.body;
+        const mode = req.body.mode || (svg ? 'svg' : 'pixel');
+        if (mode === 'svg' && !svg) {
+          return res.status(400).json({ error: 'svg is required in svg mode' });
+        }
         
-        // Take screenshot for verification
-        const screenshot = await this.page.screenshot({
-          encoding: 'base64',
-          fullPage: false
+        const result = await this.withPage(req, async (page) => {
+          const source = svg || await Screenshots.capture(page, { target: type });
+          
+          // Verify in browser context
+          return page.evaluate((type, source, rules, options) => {
+            return window.ContentLabAPI.verifyVisual(type, source, rules, options);
+          }, type, source, rules, { mode, metadata, generationOptions });
         });
         
-        // Verify in browser context
-        const result = await this.page.evaluate((type, screenshotData, rules) => {
-          return window.ContentLabAPI.verifyVisual(type, screenshotData, rules);
-        }, type, screenshot, rules);
-        
         res.json(result);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
     
@@ -190,89 +324,134 @@ class ContentLabServer {
     this.app.post('/api/process-markdown', async (req, res) => {
       try {
         const { markdown, options = {} } = req.body;
-        const { verify = false, maxRetries = 3 } = options;
-        
-        // Extract visual blocks - will use helper method
-        const visuals = this.extractVisualBlocks(markdown);
+        const result = await this.withPage(req, page => this.processMarkdown(page, markdown, options));
+        res.json(result);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+    
+    // Static HTML - renders in Node, no browser or session needed
+    this.app.post('/api/render-html', (req, res) => {
+      try {
+        const { content, container = 'problemSolver', options = {} } = req.body;
+        if (content === undefined) {
+          return res.status(400).json({ error: 'content is required' });
+        }
+        const html = this.htmlRenderer.render(content, container, options);
+        res.json({ success: true, container, inlineCss: Boolean(options.inlineCss), html });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+    
+    // Visual regression - render a manifest in each container/viewport and compare with stored baselines
+    // { manifest (object or path relative to the project), update, threshold, pixelThreshold, background }
+    this.app.post('/api/regression/check', async (req, res) => {
+      try {
+        const { manifest, update = false, threshold, pixelThreshold, background = false } = req.body;
+        const sessionId = this.sessionIdFor(req, null);
+        const sessions = await this.requireSessions();
+        if (sessionId) sessions.get(sessionId);
         
-        // Generate SVGs for each visual
-        const results = [];
+        // Load before running so manifest problems come back as 400s rather than failed jobs
+        const suite = await this.regression.loadManifest(manifest, ROOT_DIR);
+        const options = { update, threshold, pixelThreshold };
         
-        for (const visual of visuals) {
-          let attempts = 0;
-          let success = false;
-          let svgResult = null;
-          let verificationResult = null;
-          
-          // Try to generate and verify (if enabled)
-          while (attempts < maxRetries && !success) {
-            attempts++;
-            
-            // Parse options string into object
-            const optionsObj = this.parseVisualOptions(visual.options);
-            
-            // Generate SVG
-            if (visual.type === 'number-line') {
-              svgResult = await this.page.evaluate((commands, options) => {
-                return window.ContentLabAPI.generateNumberLine(commands, options);
-              }, visual.commands, optionsObj);
-            } else {
-              svgResult = await this.page.evaluate((commands, options) => {
-                return window.ContentLabAPI.generateGraph(commands, options);
-              }, visual.commands, optionsObj);
-            }
-            
-            if (!svgResult.success) {
-              continue; // Try again
-            }
-            
-            // Verify if requested
-            if (verify) {
-              // Load the SVG for visual verification
-              await this.page.evaluate((svg) => {
-                window.ContentLabAPI.setContent([{ type: 'svg', content: svg }]);
-              }, svgResult.svg);
-              
-              await this.page.waitForTimeout(200); // Wait for render
-              
-              const screenshot = await this.page.screenshot({
-                encoding: 'base64',
-                fullPage: false
-              });
-              
-              verificationResult = await this.page.evaluate((type, screenshotData) => {
-                return window.ContentLabAPI.verifyVisual(type, screenshotData, {});
-              }, visual.type, screenshot);
-              
-              if (verificationResult.success && verificationResult.results.passed) {
-                success = true;
-              }
-            } else {
-              // No verification, accept on first successful generation
-              success = true;
-            }
-          }
-          
-          results.push({
-            type: visual.type,
-            originalBlock: visual.originalBlock,
-            position: visual.position,
-            svg: svgResult?.svg || null,
-            success: success,
-            attempts: attempts,
-            verified: verify ? (verificationResult?.results?.passed || false) : null,
-            verificationErrors: verify ? (verificationResult?.results?.errors || []) : null
-          });
+        if (background) {
+          const job = this.jobs.submit('regression', (job) => this.runJobOnPage(sessionId, async (page) =>
+            this.regressionResult(await this.regression.run(page, suite, {
+              ...options,
+              onProgress: (completed, total, result) => job.progress(completed, total, result)
+            }))
+          ));
+          return res.status(202).json(this.jobAccepted(job));
         }
         
-        res.json({
-          success: true,
-          visuals: results,
-          totalFound: visuals.length,
-          totalSuccess: results.filter(r => r.success).length
+        const result = await this.runJobOnPage(sessionId, page => this.regression.run(page, suite, options));
+        res.json(this.regressionResult(result));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+    this.app.use('/regression-reports', express.static(this.regression.reportDir));
+    
+    // Jobs - background versions of /api/batch and /api/process-markdown
+    // Both return { jobId } immediately; poll GET /api/jobs/:id or stream GET /api/jobs/:id/events
+    this.app.post('/api/jobs/batch', async (req, res) => {
+      try {
+        const { items, options = {} } = req.body;
+        const sessionId = this.sessionIdFor(req, null);
+        const sessions = await this.requireSessions();
+        if (sessionId) sessions.get(sessionId);
+        const job = this.jobs.submit('batch', (job) => this.runJobOnPage(sessionId, page =>
+          page.evaluate((items, options, jobId) => {
+            return window.ContentLabAPI.processBatch(items, {
+              ...options,
+              onProgress: (completed, total, result) => window.contentLabJobEvent(jobId, completed, total, result)
+            });
+          }, items, options, job.id)
+        ));
+        res.status(202).json(this.jobAccepted(job));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+    
+    this.app.post('/api/jobs/process-markdown', async (req, res) => {
+      try {
+        const { markdown, options = {} } = req.body;
+        const sessionId = this.sessionIdFor(req, null);
+        const sessions = await this.requireSessions();
+        if (sessionId) sessions.get(sessionId);
+        const job = this.jobs.submit('process-markdown', (job) => this.runJobOnPage(sessionId, page =>
+          this.processMarkdown(page, markdown, options, job.progress)
+        ));
+        res.status(202).json(this.jobAccepted(job));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+    
+    this.app.get('/api/jobs', (req, res) => {
+      res.json({ success: true, jobs: this.jobs.list() });
+    });
+    
+    this.app.get('/api/jobs/:id', (req, res) => {
+      try {
+        const job = this.jobs.get(req.params.id);
+        res.json({ success: true, job: this.jobs.describe(job) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+    
+    // Server-Sent Events: status, item (one per finished item), then completed or failed
+    this.app.get('/api/jobs/:id/events', (req, res) => {
+      try {
+        const job = this.jobs.get(req.params.id);
+        const lastEventId = parseInt(req.get('Last-Event-ID'));
+        
+        res.set({
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive'
         });
+        res.flushHeaders();
+        
+        const unsubscribe = this.jobs.subscribe(job.id, (event) => {
+          res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+          if (event.type === 'completed' || event.type === 'failed') {
+            res.end();
+          }
+        }, isNaN(lastEventId) ? -1 : lastEventId);
+        
+        if (this.jobs.isFinished(job)) {
+          res.end();
+        }
+        req.on('close', unsubscribe);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
     
@@ -282,12 +461,122 @@ class ContentLabServer {
         await this.cleanup();
         res.json({ success: true });
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
   }
   
-  async initBrowser() {
+  /**
+   * Generate (and optionally verify) every [number-line] and [graph] block in a markdown document
+   * @param {Function} onProgress - Optional (completed, total, result) callback after each visual
+   */
+  async processMarkdown(page, markdown, options = {}, onProgress = null) {
+    const { verify = false, maxRetries = 3 } = options;
+    
+    // Extract visual blocks - will use helper method
+    const visuals = this.extractVisualBlocks(markdown);
+    
+    // Generate SVGs for each visual
+    const results = [];
+    
+    for (const visual of visuals) {
+      let attempts = 0;
+      let success = false;
+      let svgResult = null;
+      let verificationResult = null;
+      
+      // Parse options string into object
+      let optionsObj = this.parseVisualOptions(visual.options);
+      
+      // Try to generate and verify (if enabled)
+      while (attempts < maxRetries && !success) {
+        attempts++;
+        
+        // Generate SVG
+        if (visual.type === 'number-line') {
+          svgResult = await page.evaluate((commands, options) => {
+            return window.ContentLabAPI.generateNumberLine(commands, options);
+          }, visual.commands, optionsObj);
+        } else {
+          svgResult = await page.evaluate((commands, options) => {
+            return window.ContentLabAPI.generateGraph(commands, options);
+          }, visual.commands, optionsObj);
+        }
+        
+        if (!svgResult.success) {
+          continue; // Try again
+        }
+        
+        // Verify if requested - checks the SVG's elements against the parsed commands
+        if (verify) {
+          verificationResult = await page.evaluate((type, svg, options) => {
+            return window.ContentLabAPI.verifyVisual(type, svg, {}, options);
+          }, visual.type, svgResult.svg, { mode: 'svg', metadata: svgResult.metadata, generationOptions: optionsObj });
+          
+          if (verificationResult.success && verificationResult.results.passed) {
+            success = true;
+          } else if (verificationResult.success) {
+            // Retry with options adjusted for what failed
+            optionsObj = await page.evaluate((options, errors) => {
+              return window.ContentLabAPI.adjustParametersForRetry(options, errors);
+            }, optionsObj, verificationResult.results.errors);
+          }
+        } else {
+          // No verification, accept on first successful generation
+          success = true;
+        }
+      }
+      
+      results.push({
+        type: visual.type,
+        originalBlock: visual.originalBlock,
+        commands: visual.commands,
+        position: visual.position,
+        svg: svgResult?.svg || null,
+        metadata: svgResult?.metadata || null,
+        success: success,
+        attempts: attempts,
+        verified: verify ? (verificationResult?.results?.passed || false) : null,
+        verificationErrors: verify ? (verificationResult?.results?.errors || []) : null
+      });
+      
+      if (onProgress) {
+        onProgress(results.length, visuals.length, results[results.length - 1]);
+      }
+    }
+    
+    return {
+      success: true,
+      visuals: results,
+      totalFound: visuals.length,
+      totalSuccess: results.filter(r => r.success).length
+    };
+  }
+  
+  /**
+   * Serve the app the browser pages load, so headless mode needs no Vite dev server.
+   * Uses the built dist/ bundle when present; otherwise a render-only page that loads
+   * ContentLabAPI's ES modules straight from src/.
+   */
+  setupAppRoutes() {
+    const distDir = path.join(ROOT_DIR, 'dist');
+    this.appSource = !this.renderOnly && fs.existsSync(path.join(distDir, 'index.html')) ? 'dist' : 'render-page';
+    this.appUrl = `http://localhost:${this.port}/`;
+    
+    if (this.appSource === 'dist') {
+      this.app.use(express.static(distDir));
+      return;
+    }
+    
+    this.app.get('/', (req, res) => {
+      res.sendFile(path.join(ROOT_DIR, 'automation', 'render-page.html'));
+    });
+    this.app.use('/src', express.static(path.join(ROOT_DIR, 'src')));
+    this.app.use('/vendor/katex', express.static(path.join(ROOT_DIR, 'node_modules', 'katex', 'dist')));
+    this.app.use('/vendor/html2canvas', express.static(path.join(ROOT_DIR, 'node_modules', 'html2canvas', 'dist')));
+  }
+  
+  async initBrowser(options = {}) {
     if (this.browser) {
       await this.cleanup();
     }
@@ -297,23 +586,138 @@ class ContentLabServer {
       args: ['--no-sandbox', '--disable-setuid-sandbox']
     });
     
-    this.page = await this.browser.newPage();
+    // One page is reserved for background jobs, so sessions holding every other page cannot starve them.
+    // The default session keeps another for good, hence at least 2
+    this.pool = new PagePool(() => this.createPage(), {
+      size: Math.max(2, parseInt(options.poolSize) || this.poolSize),
+      reserve: 1,
+      resetPage: (page) => this.openApp(page)
+    });
+    this.sessions = new SessionManager(this.pool, {
+      timeout: parseInt(options.sessionTimeout) || this.sessionTimeout
+    });
+    this.sessions.start();
+    
+    // Requests without a session id share this page, as before sessions existed
+    await this.sessions.create({ id: DEFAULT_SESSION, persistent: true });
     
-    await this.page.setViewport({
+    console.log(`✅ Browser initialized (page pool: ${this.pool.size})`);
+  }
+  
+  /**
+   * Open a new page on the Content Lab app
+   */
+  async createPage() {
+    const page = await this.browser.newPage();
+    
+    await page.setViewport({
       width: 1920,
       height: 1080
     });
     
-    await this.page.goto('http://localhost:3002', {
+    // Bridge for onProgress hooks running in the page: forwards item events to the job queue
+    await page.exposeFunction('contentLabJobEvent', (jobId, completed, total, result) => {
+      this.jobs.progress(this.jobs.get(jobId), completed, total, result);
+    });
+    
+    await this.openApp(page);
+    return page;
+  }
+  
+  /**
+   * (Re)load the app so the page starts with a clean ContentLabAPI
+   */
+  async openApp(page) {
+    await page.goto(this.appUrl, {
       waitUntil: 'networkidle2'
     });
     
-    await this.page.waitForFunction(
+    await page.waitForFunction(
       () => window.ContentLabAPI !== undefined,
       { timeout: 10000 }
     );
+  }
+  
+  /**
+   * The session manager, launching the browser first when it is not running and autoInit is on.
+   * Concurrent first requests share one launch; a failed launch is a 503
+   */
+  async requireSessions() {
+    if (this.sessions) {
+      return this.sessions;
+    }
+    if (!this.autoInit) {
+      const error = new Error('Browser not initialized. Call POST /api/init first');
+      error.status = 503;
+      throw error;
+    }
     
-    console.log('✅ Browser initialized');
+    if (!this.initializing) {
+      console.log('🌐 Launching browser for the first request...');
+      this.initializing = this.initBrowser()
+        .catch(async (error) => {
+          await this.cleanup().catch(() => {});
+          throw error;
+        })
+        .finally(() => {
+          this.initializing = null;
+        });
+    }
+    try {
+      await this.initializing;
+    } catch (error) {
+      const unavailable = new Error(`Browser could not be started: ${error.message}`);
+      unavailable.status = 503;
+      throw unavailable;
+    }
+    return this.sessions;
+  }
+  
+  /**
+   * Session id for a request: the X-Session-Id header, or sessionId in the body or query
+   */
+  sessionIdFor(req, fallback = DEFAULT_SESSION) {
+    return req.get('X-Session-Id') || (req.body && req.body.sessionId) || req.query.sessionId || fallback;
+  }
+  
+  /**
+   * Run a task with the page for this request's session; without a session id the default session is used
+   */
+  async withPage(req, task) {
+    const sessions = await this.requireSessions();
+    return sessions.run(this.sessionIdFor(req), task);
+  }
+  
+  /**
+   * Run a job's task in the given session, or on a temporary session of its own
+   * so background jobs do not hold up the default page. Temporary sessions may use the reserved page
+   */
+  async runJobOnPage(sessionId, task) {
+    const sessions = await this.requireSessions();
+    if (sessionId) {
+      return sessions.run(sessionId, task);
+    }
+    
+    const session = await sessions.create({ reserved: true });
+    try {
+      return await sessions.run(session.id, task);
+    } finally {
+      await sessions.destroy(session.id);
+    }
+  }
+  
+  regressionResult(result) {
+    return { ...result, reportUrl: `/regression-reports/${result.id}/index.html` };
+  }
+  
+  jobAccepted(job) {
+    return {
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    };
   }
 
   
@@ -383,28 +787,42 @@ class ContentLabServer {
   }
   
   async cleanup() {
+    if (this.sessions) {
+      await this.sessions.destroyAll();
+      this.sessions = null;
+    }
+    if (this.pool) {
+      await this.pool.drain();
+      this.pool = null;
+    }
     if (this.browser) {
       await this.browser.close();
       this.browser = null;
-      this.page = null;
     }
   }
   
   start() {
-    this.app.listen(this.port, () => {
-      console.log(`🚀 Content Lab API Server running on port ${this.port}`);
-      console.log(`   Health check: http://localhost:${this.port}/health`);
+    return new Promise((resolve) => {
+      this.server = this.app.listen(this.port, () => {
+        console.log(`🚀 Content Lab API Server running on port ${this.port}`);
+        console.log(`   Health check: http://localhost:${this.port}/health`);
+        resolve();
+      });
     });
   }
 }
 
-// Start server
-const server = new ContentLabServer();
-server.start();
+export default ContentLabServer;
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n⏹️  Shutting down...');
-  await server.cleanup();
-  process.exit(0);
-});
+// Start server when run directly (node automation/api-server.js)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const server = new ContentLabServer();
+  server.start();
+  
+  // Graceful shutdown
+  process.on('SIGINT', async () => {
+    console.log('\n⏹️  Shutting down...');
+    await server.cleanup();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,432 @@
+/**
+ * API Spec for Content Lab
+ * One table describes every API route: it validates request bodies and generates the OpenAPI document
+ * served at /api/openapi.json, so the two cannot drift apart
+ */
+
+import SchemaValidator from './schema-validator.js';
+import ScreenshotOptions from '../src/api/screenshot-options.js';
+import { CONTAINER_STYLES } from '../src/components/Containers/containerStyles.js';
+
+const EDITOR_CONTAINERS = ['problemSolver', 'lessonDescription', 'previewBox', 'reviewBox', 'toolsContainer'];
+
+const CONTENT = {
+  description: 'Content JSON: an array of items ({ type, content }), an object, or a JSON string',
+  anyOf: [{ type: 'array' }, { type: 'object' }, { type: 'string' }]
+};
+
+const GENERATION_OPTIONS = {
+  type: 'object',
+  description: 'Tool options: size (small, medium, large, xlarge) and ranges (min/max for number lines, ' +
+    'xMin/xMax/yMin/yMax for graphs; graph ranges may be expressions such as "2pi"), plus styling options',
+  additionalProperties: true
+};
+
+const SCREENSHOT_PROPERTIES = {
+  selector: { type: 'string', minLength: 1, description: 'CSS selector of the element to capture' },
+  target: {
+    type: 'string',
+    enum: ['viewport', ...Object.keys(ScreenshotOptions.TARGETS)],
+    description: 'Named element to capture instead of a selector'
+  },
+  index: { type: 'integer', minimum: 0, description: 'Which match of the selector to capture (default: 0)' },
+  scale: { type: 'number', exclusiveMinimum: 0, maximum: 4, description: 'Device scale factor (default: 1)' },
+  format: { type: 'string', description: `${ScreenshotOptions.FORMATS.join(', ')} (default: png)` },
+  quality: { type: 'number', minimum: 0, maximum: 100, description: 'jpeg and webp quality (default: 90)' },
+  transparent: { type: 'boolean', description: 'Transparent background (png and webp)' },
+  padding: { type: 'number', minimum: 0, description: 'Pixels of surrounding page to include around the element' }
+};
+
+const BATCH_ITEMS = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['content'],
+    properties: {
+      id: { type: ['string', 'number'] },
+      content: CONTENT
+    }
+  }
+};
+
+const ALIGNMENT_OPTIONS = {
+  type: 'object',
+  properties: {
+    selector: { type: 'string', minLength: 1, description: 'Elements to align (default: .equation)' },
+    tolerance: { type: 'number', minimum: 0, description: 'Pixels of deviation accepted (default: 1)' },
+    maxIterations: { type: 'integer', minimum: 1, description: 'Default: 50' },
+    adjustmentStrategy: { type: 'string', description: 'Default: binary' }
+  }
+};
+
+const MARKDOWN_OPTIONS = {
+  type: 'object',
+  properties: {
+    verify: { type: 'boolean', description: 'Check each SVG against its commands and retry with adjusted options' },
+    maxRetries: { type: 'integer', minimum: 1, description: 'Attempts per visual (default: 3)' }
+  }
+};
+
+const MARKDOWN = { type: 'string', description: 'Markdown with [number-line ...] and [graph ...] blocks' };
+
+const JOB_ACCEPTED = { 202: { description: 'Job accepted', schema: { $ref: '#/components/schemas/JobAccepted' } } };
+
+const ROUTES = [
+  {
+    method: 'get', path: '/health', operationId: 'health', tag: 'Server',
+    summary: 'Server, browser, page pool and session status'
+  },
+  {
+    method: 'get', path: '/api/openapi.json', operationId: 'openapi', tag: 'Server',
+    summary: 'This OpenAPI document'
+  },
+  {
+    method: 'post', path: '/api/init', operationId: 'init', tag: 'Server',
+    summary: 'Launch the browser and page pool',
+    description: 'Optional: the browser starts on the first request that needs a page. Calling this again restarts it.',
+    body: {
+      type: 'object',
+      properties: {
+        poolSize: { type: 'integer', minimum: 2, description: 'Pages in the pool, one of them reserved for background jobs (default: PAGE_POOL_SIZE or 4)' },
+        sessionTimeout: { type: 'integer', minimum: 1000, description: 'Idle milliseconds before a session expires' }
+      }
+    }
+  },
+  {
+    method: 'post', path: '/api/cleanup', operationId: 'cleanup', tag: 'Server',
+    summary: 'Close every session and the browser'
+  },
+  {
+    method: 'post', path: '/api/sessions', operationId: 'createSession', tag: 'Sessions',
+    summary: 'Open a session with a page of its own; send its id as X-Session-Id'
+  },
+  {
+    method: 'get', path: '/api/sessions', operationId: 'listSessions', tag: 'Sessions',
+    summary: 'List open sessions'
+  },
+  {
+    method: 'delete', path: '/api/sessions/:id', operationId: 'deleteSession', tag: 'Sessions',
+    summary: 'Close a session and return its page to the pool'
+  },
+  {
+    method: 'post', path: '/api/load', operationId: 'loadContent', tag: 'Content', session: true,
+    summary: 'Load content into the editor',
+    body: { type: 'object', required: ['content'], properties: { content: CONTENT } }
+  },
+  {
+    method: 'post', path: '/api/container', operationId: 'setContainer', tag: 'Content', session: true,
+    summary: 'Switch the emulated container',
+    body: { type: 'object', required: ['type'], properties: { type: { type: 'string', enum: EDITOR_CONTAINERS } } }
+  },
+  {
+    method: 'post', path: '/api/screenshot', operationId: 'screenshot', tag: 'Screenshots', session: true,
+    summary: 'Capture the viewport, the full page or one element',
+    body: {
+      type: 'object',
+      properties: {
+        ...SCREENSHOT_PROPERTIES,
+        fullPage: { type: 'boolean', description: 'Capture the whole page when no element is selected' }
+      }
+    }
+  },
+  {
+    method: 'post', path: '/api/screenshot/items', operationId: 'screenshotItems', tag: 'Screenshots', session: true,
+    summary: 'Capture each rendered content item',
+    body: {
+      type: 'object',
+      properties: {
+        scale: SCREENSHOT_PROPERTIES.scale,
+        format: SCREENSHOT_PROPERTIES.format,
+        quality: SCREENSHOT_PROPERTIES.quality,
+        transparent: SCREENSHOT_PROPERTIES.transparent,
+        padding: SCREENSHOT_PROPERTIES.padding
+      }
+    }
+  },
+  {
+    method: 'post', path: '/api/measure', operationId: 'measure', tag: 'Alignment', session: true,
+    summary: 'Bounding boxes of the elements matching a selector',
+    body: { type: 'object', required: ['selector'], properties: { selector: { type: 'string', minLength: 1 } } }
+  },
+  {
+    method: 'post', path: '/api/analyze', operationId: 'analyzeAlignment', tag: 'Alignment', session: true,
+    summary: 'Horizontal alignment and vertical spacing of the elements matching a selector',
+    body: { type: 'object', required: ['selector'], properties: { selector: { type: 'string', minLength: 1 } } }
+  },
+  {
+    method: 'post', path: '/api/iterate', operationId: 'iterateUntilAligned', tag: 'Alignment', session: true,
+    summary: 'Adjust the content until it is aligned',
+    body: { type: 'object', properties: { options: ALIGNMENT_OPTIONS } }
+  },
+  {
+    method: 'post', path: '/api/batch', operationId: 'processBatch', tag: 'Alignment', session: true,
+    summary: 'Load and align several content items',
+    body: { type: 'object', required: ['items'], properties: { items: BATCH_ITEMS, options: ALIGNMENT_OPTIONS } }
+  },
+  {
+    method: 'post', path: '/api/generate-number-line', operationId: 'generateNumberLine', tag: 'Visual Tools', session: true,
+    summary: 'Number line SVG from commands such as "interval[-2, 5]\\npoint(0)"',
+    body: {
+      type: 'object',
+      required: ['commands'],
+      properties: { commands: { type: 'string', minLength: 1 }, options: GENERATION_OPTIONS }
+    }
+  },
+  {
+    method: 'post', path: '/api/generate-graph', operationId: 'generateGraph', tag: 'Visual Tools', session: true,
+    summary: 'Graph SVG from commands such as "line y = 2x + 3\\npoint(0, 3)"',
+    body: {
+      type: 'object',
+      required: ['commands'],
+      properties: { commands: { type: 'string', minLength: 1 }, options: GENERATION_OPTIONS }
+    }
+  },
+  {
+    method: 'post', path: '/api/validate-expression', operationId: 'validateExpression', tag: 'Visual Tools', session: true,
+    summary: 'Evaluate a constant expression such as "3pi/4"',
+    body: {
+      type: 'object',
+      required: ['expression'],
+      properties: { expression: { type: ['string', 'number'] }, options: { type: 'object' } }
+    }
+  },
+  {
+    method: 'post', path: '/api/verify-visual', operationId: 'verifyVisual', tag: 'Visual Tools', session: true,
+    summary: 'Verify a generated number line or graph against its commands',
+    description: 'svg mode (the default when svg is given) checks the SVG\'s elements; pixel mode analyses the svg, ' +
+      'or a screenshot of the rendered one when there is none',
+    body: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string', enum: ['number-line', 'graph'] },
+        svg: { type: 'string', minLength: 1, description: 'SVG markup from the generate call' },
+        metadata: { type: 'object', description: 'metadata from the generate call' },
+        generationOptions: { type: 'object', description: 'Options the SVG was generated with (default: metadata.options)' },
+        rules: { type: 'object', description: 'Verification rules merged over the defaults' },
+        mode: { type: 'string', enum: ['svg', 'pixel'] }
+      }
+    }
+  },
+  {
+    method: 'post', path: '/api/process-markdown', operationId: 'processMarkdown', tag: 'Visual Tools', session: true,
+    summary: 'Generate (and optionally verify) every visual block in a markdown document',
+    body: { type: 'object', required: ['markdown'], properties: { markdown: MARKDOWN, options: MARKDOWN_OPTIONS } }
+  },
+  {
+    method: 'post', path: '/api/render-html', operationId: 'renderHtml', tag: 'Rendering',
+    summary: 'Render content JSON to static HTML in Node; no browser or session needed',
+    body: {
+      type: 'object',
+      required: ['content'],
+      properties: {
+        content: CONTENT,
+        container: { type: 'string', enum: Object.keys(CONTAINER_STYLES), description: 'Default: problemSolver' },
+        options: {
+          type: 'object',
+          properties: {
+            inlineCss: { type: 'boolean', description: 'Inline the stylesheets instead of linking them' },
+            document: { type: 'boolean', description: 'Wrap the fragment in a full HTML document' },
+            title: { type: 'string' },
+            width: { type: 'number', exclusiveMinimum: 0 }
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'post', path: '/api/regression/check', operationId: 'checkRegression', tag: 'Rendering', session: true,
+    summary: 'Compare renderings of a manifest with stored baselines',
+    body: {
+      type: 'object',
+      required: ['manifest'],
+      properties: {
+        manifest: {
+          description: 'Manifest object, or a path relative to the project',
+          anyOf: [{ type: 'object' }, { type: 'string', minLength: 1 }]
+        },
+        update: { type: 'boolean', description: 'Replace the baselines instead of failing' },
+        threshold: { type: 'number', minimum: 0, maximum: 1, description: 'Share of pixels allowed to differ' },
+        pixelThreshold: { type: 'number', minimum: 0, maximum: 1, description: 'Color difference at which a pixel counts as changed' },
+        background: { type: 'boolean', description: 'Run as a job and return 202 with its id' }
+      }
+    },
+    responses: JOB_ACCEPTED
+  },
+  {
+    method: 'post', path: '/api/jobs/batch', operationId: 'submitBatchJob', tag: 'Jobs', session: true,
+    summary: 'Background /api/batch',
+    body: { type: 'object', required: ['items'], properties: { items: BATCH_ITEMS, options: ALIGNMENT_OPTIONS } },
+    responses: JOB_ACCEPTED
+  },
+  {
+    method: 'post', path: '/api/jobs/process-markdown', operationId: 'submitMarkdownJob', tag: 'Jobs', session: true,
+    summary: 'Background /api/process-markdown',
+    body: { type: 'object', required: ['markdown'], properties: { markdown: MARKDOWN, options: MARKDOWN_OPTIONS } },
+    responses: JOB_ACCEPTED
+  },
+  {
+    method: 'get', path: '/api/jobs', operationId: 'listJobs', tag: 'Jobs',
+    summary: 'List jobs'
+  },
+  {
+    method: 'get', path: '/api/jobs/:id', operationId: 'getJob', tag: 'Jobs',
+    summary: 'Job status, progress and, once finished, its result'
+  },
+  {
+    method: 'get', path: '/api/jobs/:id/events', operationId: 'jobEvents', tag: 'Jobs',
+    summary: 'Server-Sent Events: status, item (one per finished item), then completed or failed',
+    responses: { 200: { description: 'Event stream', contentType: 'text/event-stream' } }
+  }
+];
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      errors: {
+        type: 'array',
+        description: 'Every validation problem, for 400 responses to invalid bodies',
+        items: { type: 'object', properties: { path: { type: 'string' }, message: { type: 'string' } } }
+      }
+    }
+  },
+  JobAccepted: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      jobId: { type: 'string' },
+      status: { type: 'string' },
+      statusUrl: { type: 'string' },
+      eventsUrl: { type: 'string' }
+    }
+  }
+};
+
+class ApiSpec {
+  constructor(routes = ROUTES) {
+    this.routes = routes.map(route => {
+      const names = [...route.path.matchAll(/:(\w+)/g)].map(match => match[1]);
+      const pattern = new RegExp(`^${route.path.replace(/[.]/g, '\\.').replace(/:(\w+)/g, '([^/]+)')}$`);
+      // Session routes also take the session id in the body
+      const body = route.body && route.session
+        ? { ...route.body, properties: { ...route.body.properties, sessionId: { type: 'string' } } }
+        : route.body;
+      return { ...route, body, names, pattern };
+    });
+  }
+
+  /**
+   * The route for a request
+   * @returns {object|null} { route, params }
+   */
+  match(method, path) {
+    for (const route of this.routes) {
+      const found = route.method === method.toLowerCase() && path.match(route.pattern);
+      if (found) {
+        return { route, params: Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(found[i + 1])])) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Problems with a request body, for the route it is sent to
+   * @returns {Array} [{ path, message }]
+   */
+  validate(method, path, body) {
+    const found = this.match(method, path);
+    if (!found || !found.route.body) return [];
+    // Unknown top-level fields are usually typos, so they are rejected rather than ignored
+    return SchemaValidator.validate({ additionalProperties: false, ...found.route.body }, body ?? {}, 'body');
+  }
+
+  /**
+   * Express middleware that answers invalid bodies with 400 { error, errors }
+   */
+  middleware() {
+    return (req, res, next) => {
+      const errors = this.validate(req.method, req.path, req.body);
+      if (errors.length) {
+        return res.status(400).json({ error: errors.map(error => error.message).join('; '), errors });
+      }
+      next();
+    };
+  }
+
+  /**
+   * OpenAPI 3.1 document for the routes
+   * @param {object} options
+   * @param {string} options.version - API version (the package version)
+   * @param {string} options.serverUrl - Base URL of this server
+   */
+  openapi({ version = '1.0.0', serverUrl = null } = {}) {
+    const paths = {};
+
+    this.routes.forEach(route => {
+      const parameters = route.names.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+      if (route.session) {
+        parameters.push(
+          { name: 'X-Session-Id', in: 'header', required: false, schema: { type: 'string' }, description: 'Session to run in (default: the shared default session)' },
+          { name: 'sessionId', in: 'query', required: false, schema: { type: 'string' }, description: 'Alternative to X-Session-Id' }
+        );
+      }
+
+      const operation = {
+        operationId: route.operationId,
+        summary: route.summary,
+        ...(route.description && { description: route.description }),
+        tags: [route.tag],
+        ...(parameters.length && { parameters }),
+        ...(route.body && {
+          requestBody: {
+            required: Boolean(route.body.required && route.body.required.length),
+            content: { 'application/json': { schema: { ...route.body, additionalProperties: false } } }
+          }
+        }),
+        responses: this.responses(route)
+      };
+      const openapiPath = route.path.replace(/:(\w+)/g, '{$1}');
+      (paths[openapiPath] = paths[openapiPath] || {})[route.method] = operation;
+    });
+
+    return {
+      openapi: '3.1.0',
+      info: {
+        title: 'Content Lab Automation API',
+        version,
+        description: 'HTTP interface to ContentLabAPI running in headless Chrome. Routes that need a page launch the browser on first use.'
+      },
+      ...(serverUrl && { servers: [{ url: serverUrl }] }),
+      tags: [...new Set(this.routes.map(route => route.tag))].map(name => ({ name })),
+      paths,
+      components: { schemas: SCHEMAS }
+    };
+  }
+
+  /**
+   * @private
+   */
+  responses(route) {
+    const error = description => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+    const responses = {};
+    Object.entries({ 200: { description: 'OK' }, ...route.responses }).forEach(([status, response]) => {
+      const contentType = response.contentType || 'application/json';
+      responses[status] = {
+        description: response.description,
+        content: { [contentType]: { schema: response.schema || (contentType === 'application/json' ? { type: 'object' } : { type: 'string' }) } }
+      };
+    });
+    if (route.body) responses[400] = error('Invalid request body');
+    if (route.names.length || route.session) responses[404] = error('Unknown session or id');
+    if (route.session || route.path === '/api/init') responses[503] = error('The browser could not be started');
+    responses[500] = error('Unexpected error');
+    return responses;
+  }
+}
+
+export { ROUTES };
+export default ApiSpec;
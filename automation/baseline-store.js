@@ -0,0 +1,93 @@
+/**
+ * Baseline Store for Content Lab
+ * Reference PNGs for visual regression checks, one per content entry, container and viewport
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Keep keys readable but safe as path segments
+const slug = (text) => String(text).replace(/\.json$/i, '').replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'unnamed';
+
+class BaselineStore {
+  /**
+   * @param {string} dir - Baseline directory (default: BASELINE_DIR or automation/baselines)
+   */
+  constructor(dir = process.env.BASELINE_DIR || path.join(ROOT_DIR, 'automation', 'baselines')) {
+    this.dir = path.resolve(dir);
+  }
+
+  /**
+   * Key for one rendering: "<suite>/<entry>/<container>-<viewport>.png"
+   */
+  keyFor(suite, entry, container, viewport) {
+    return [slug(suite), ...String(entry).split('/').map(slug), `${slug(container)}-${slug(viewport)}.png`].join('/');
+  }
+
+  pathFor(key) {
+    const file = path.resolve(this.dir, key);
+    if (!file.startsWith(this.dir + path.sep)) {
+      const error = new Error(`Baseline key "${key}" is outside the baseline directory`);
+      error.status = 400;
+      throw error;
+    }
+    return file;
+  }
+
+  /**
+   * @returns {Promise<Buffer|null>} The baseline PNG, or null if there is none yet
+   */
+  async read(key) {
+    try {
+      return await fs.readFile(this.pathFor(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async write(key, png) {
+    const file = this.pathFor(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, png);
+    return file;
+  }
+
+  async remove(key) {
+    await fs.rm(this.pathFor(key), { force: true });
+  }
+
+  /**
+   * All baseline keys, optionally only those of one suite
+   */
+  async list(suite = null) {
+    const root = suite ? path.join(this.dir, slug(suite)) : this.dir;
+    const keys = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(file);
+        } else if (entry.name.endsWith('.png')) {
+          keys.push(path.relative(this.dir, file).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    await walk(root);
+    return keys.sort();
+  }
+}
+
+export default BaselineStore;
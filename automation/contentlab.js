@@ -0,0 +1,603 @@
+#!/usr/bin/env node
+/**
+ * Content Lab CLI
+ * Runs the automation workflows on files: reads inputs (paths, directories or globs), writes results to an
+ * output directory and exits non-zero when anything fails, so it can run in scripts and CI.
+ *
+ * render and beautify run in Node; the other commands need the browser and talk to the API server through
+ * ContentLabClient - a running one with --server, otherwise a headless server started in-process.
+ *
+ * Usage:
+ *   npm run contentlab -- <command> <inputs...> [--out dir] [options]
+ *   npx contentlab render 'lessons/*.json' --container previewBox --inline-css
+ *   npx contentlab screenshot lesson.json --items --scale 2 --out shots
+ *   npx contentlab beautify formulas.txt
+ *   npx contentlab process-markdown 'docs/*.md' --verify
+ *   npx contentlab verify out/lesson-1.svg
+ *   npx contentlab batch 'content/*.json' --server http://localhost:3003
+ *   npx contentlab regression manifest.json --update
+ *
+ * Exit codes: 0 everything succeeded, 1 an input or check failed, 2 usage error
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import ContentLabServer from './api-server.js';
+import ContentLabClient from './api-client.js';
+import HtmlRenderer from './html-renderer.js';
+import VisualRegression from './visual-regression.js';
+import { BeautificationEngine } from '../src/api/beautification-engine.js';
+
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const VALUE_OPTIONS = [
+  'out', 'server', 'port', 'container', 'width', 'title', 'katex-css', 'target', 'selector', 'format', 'scale',
+  'quality', 'padding', 'max-retries', 'type', 'mode', 'threshold', 'pixel-threshold', 'tolerance', 'max-iterations'
+];
+
+const COMMON_HELP = `
+Common options:
+  --out <dir>        Output directory (default: ./contentlab-output)
+  --server <url>     Use a running API server instead of starting one in-process
+  --port <n>         Port for the in-process server (default: 3013)
+  --help             Show help for the command`;
+
+/**
+ * Command definitions: input extensions, whether a browser is needed, and the handler for one input.
+ * Handlers return { success, outputs, message } and throw for inputs they cannot process.
+ */
+const COMMANDS = {
+  render: {
+    summary: 'Content JSON to static HTML (no browser)',
+    extensions: ['.json'],
+    help: `
+  --container <type>  problemSolver, lessonDescription, previewBox, reviewBox or toolsContainer
+  --inline-css        Inline the styles (math as MathML), for email and CMS fields
+  --document          Full HTML document instead of a fragment
+  --width <px>        Container width
+  --title <text>      Document title
+  --katex-css <url>   KaTeX stylesheet URL for linked CSS`,
+    run: async (file, options, context) => {
+      const html = context.renderer.render(fs.readFileSync(file, 'utf8'), options.container || 'problemSolver', {
+        inlineCss: options['inline-css'],
+        document: options.document,
+        width: options.width && /^\d+$/.test(options.width) ? parseInt(options.width) : options.width,
+        title: options.title
+      });
+      return { success: true, outputs: [writeOutput(options, file, '.html', html)] };
+    }
+  },
+
+  screenshot: {
+    summary: 'Render content JSON and capture it as images',
+    extensions: ['.json'],
+    browser: true,
+    help: `
+  --container <type>  Container to render in
+  --target <name>     viewport, container, content (default), item, formula, graph or number-line
+  --selector <css>    Capture this element instead of a target
+  --items             One image per content item
+  --format <type>     png (default), jpeg or webp
+  --scale <n>         Device scale factor, up to 4
+  --quality <n>       jpeg and webp quality
+  --padding <px>      Surrounding page to include
+  --transparent       Transparent background (png and webp)`,
+    run: async (file, options, { client }) => {
+      await client.loadContent(readJson(file));
+      if (options.container) {
+        await client.setContainer(options.container);
+      }
+
+      const shotOptions = {
+        ...(options.format && { format: options.format }),
+        ...(options.scale && { scale: parseFloat(options.scale) }),
+        ...(options.quality && { quality: parseFloat(options.quality) }),
+        ...(options.padding && { padding: parseFloat(options.padding) }),
+        ...(options.transparent && { transparent: true })
+      };
+      const extension = `.${options.format || 'png'}`;
+
+      if (options.items) {
+        const { screenshots } = await client.screenshotItems(shotOptions);
+        const outputs = screenshots.map(shot =>
+          writeOutput(options, file, `-item-${shot.item}${extension}`, decodeDataUrl(shot.screenshot)));
+        return { success: screenshots.length > 0, outputs, message: screenshots.length ? null : 'No content items rendered' };
+      }
+
+      const shot = await client.screenshot({
+        ...shotOptions,
+        ...(options.selector ? { selector: options.selector } : { target: options.target || 'content' })
+      });
+      return {
+        success: true,
+        outputs: [writeOutput(options, file, extension, decodeDataUrl(shot.screenshot))],
+        message: `${shot.width}×${shot.height}`
+      };
+    }
+  },
+
+  beautify: {
+    summary: 'Beautify LaTeX formulas: a JSON array of strings, or one formula per line (no browser)',
+    extensions: ['.json', '.tex', '.txt'],
+    help: '',
+    run: async (file, options, { beautifier }) => {
+      const formulas = path.extname(file) === '.json'
+        ? readJson(file)
+        : fs.readFileSync(file, 'utf8').split('\n').map(line => line.trim()).filter(Boolean);
+      if (!Array.isArray(formulas) || formulas.some(formula => typeof formula !== 'string')) {
+        throw new Error('Expected a JSON array of formula strings');
+      }
+
+      const results = [];
+      for (const formula of formulas) {
+        results.push({ original: formula, beautified: await beautifier.beautify(formula) });
+      }
+      return {
+        success: true,
+        outputs: [writeOutput(options, file, '.beautified.json', JSON.stringify(results, null, 2))],
+        message: `${results.length} formula${results.length === 1 ? '' : 's'}`
+      };
+    }
+  },
+
+  'process-markdown': {
+    summary: 'Generate the [number-line] and [graph] blocks of markdown files as SVGs',
+    extensions: ['.md', '.markdown'],
+    browser: true,
+    help: `
+  --verify            Check each SVG against its commands, retrying with adjusted options
+  --max-retries <n>   Attempts per visual (default: 3)
+
+Writes <name>.md with each block replaced by an image link, and <name>-<n>.svg with
+<name>-<n>.json (type, commands, metadata) for each visual. Fails when a visual could not be
+generated or, with --verify, did not pass.`,
+    run: async (file, options, { client }) => {
+      const markdown = fs.readFileSync(file, 'utf8');
+      const result = await client.processMarkdown(markdown, markdownOptions(options));
+      const base = path.basename(file, path.extname(file));
+      const outputs = [];
+      let output = markdown;
+
+      // Replace from the end so earlier positions stay valid
+      result.visuals.map((visual, i) => ({ visual, n: i + 1 })).reverse().forEach(({ visual, n }) => {
+        if (!visual.svg) return;
+        outputs.unshift(
+          writeOutput(options, file, `-${n}.svg`, visual.svg),
+          writeOutput(options, file, `-${n}.json`, JSON.stringify({
+            type: visual.type,
+            commands: visual.commands,
+            metadata: visual.metadata,
+            verified: visual.verified
+          }, null, 2))
+        );
+        output = output.slice(0, visual.position) + `![${visual.type}](${base}-${n}.svg)` +
+          output.slice(visual.position + visual.originalBlock.length);
+      });
+      outputs.unshift(writeOutput(options, file, '.md', output));
+
+      const failed = result.visuals.filter(visual => !visual.success);
+      return {
+        success: failed.length === 0,
+        outputs,
+        message: `${result.totalSuccess}/${result.totalFound} visuals` +
+          failed.map(visual => `\n     ${visual.type} at ${visual.position}: ${describeVisualFailure(visual)}`).join('')
+      };
+    }
+  },
+
+  verify: {
+    summary: 'Verify SVGs against their generation metadata, or every visual in markdown files',
+    extensions: ['.svg', '.md', '.markdown'],
+    browser: true,
+    help: `
+  --type <type>       number-line or graph, for SVGs without a <name>.json from process-markdown
+  --mode <mode>       svg (default) or pixel
+  --max-retries <n>   For markdown: attempts per visual (default: 3)
+
+An SVG's metadata is read from the <name>.json that process-markdown writes next to it.
+Writes <name>.verify.json with the verification results.`,
+    run: async (file, options, { client }) => {
+      if (path.extname(file) !== '.svg') {
+        const result = await client.processMarkdown(fs.readFileSync(file, 'utf8'), { ...markdownOptions(options), verify: true });
+        const failed = result.visuals.filter(visual => !visual.verified);
+        return {
+          success: failed.length === 0,
+          outputs: [writeOutput(options, file, '.verify.json', JSON.stringify(result.visuals.map(({ svg, ...visual }) => visual), null, 2))],
+          message: `${result.totalFound - failed.length}/${result.totalFound} visuals verified` +
+            failed.map(visual => `\n     ${visual.type} at ${visual.position}: ${describeVisualFailure(visual)}`).join('')
+        };
+      }
+
+      const sidecar = file.replace(/\.svg$/, '.json');
+      const generated = fs.existsSync(sidecar) ? readJson(sidecar) : {};
+      const type = options.type || generated.type;
+      if (!type) {
+        throw new Error(`Pass --type, or keep the ${path.basename(sidecar)} that process-markdown wrote next to it`);
+      }
+
+      const result = await client.verifyVisual({
+        type,
+        svg: fs.readFileSync(file, 'utf8'),
+        ...(generated.metadata && { metadata: generated.metadata }),
+        mode: options.mode || 'svg'
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      const { passed, errors = [] } = result.results;
+      const notes = [
+        ...(generated.metadata ? [] : ['no metadata: only the checks that need none ran']),
+        ...errors.map(error => `${error.code}: ${error.message}`)
+      ];
+      return {
+        success: passed,
+        outputs: [writeOutput(options, file, '.verify.json', JSON.stringify(result, null, 2))],
+        message: notes.length ? notes.join('\n   ') : null
+      };
+    }
+  },
+
+  batch: {
+    summary: 'Align the formulas of content JSON files as one background job',
+    extensions: ['.json'],
+    browser: true,
+    whole: true,
+    help: `
+  --selector <css>        Elements to align (default: .equation)
+  --tolerance <px>        Deviation accepted (default: 1)
+  --max-iterations <n>    Default: 50
+
+Writes <name>.json with the aligned content for each input.`,
+    run: async (files, options, { client }) => {
+      const items = files.map(file => ({ id: file, content: readJson(file) }));
+      const alignOptions = {
+        ...(options.selector && { selector: options.selector }),
+        ...(options.tolerance && { tolerance: parseFloat(options.tolerance) }),
+        ...(options['max-iterations'] && { maxIterations: parseInt(options['max-iterations']) })
+      };
+
+      const { jobId } = await client.submitBatchJob(items, alignOptions);
+      let reported = 0;
+      const job = await client.waitForJob(jobId, {
+        onProgress: (job) => {
+          (job.results || []).slice(reported).forEach(result => {
+            console.log(`${result.success ? '✅' : '❌'} ${result.id}${result.success ? ` (${result.iterations} iterations)` : `: ${result.error}`}`);
+          });
+          reported = (job.results || []).length;
+        }
+      });
+      if (job.status === 'failed') {
+        throw new Error(job.error);
+      }
+
+      return job.result.results.map(result => ({
+        file: result.id,
+        success: result.success,
+        outputs: result.success ? [writeOutput(options, result.id, '.json', contentText(result.content))] : [],
+        message: result.error || null
+      }));
+    }
+  },
+
+  regression: {
+    summary: 'Compare renderings of a manifest with the stored baselines',
+    extensions: ['.json'],
+    browser: true,
+    whole: true,
+    help: `
+  --update                  Accept changed renderings as the new baselines
+  --threshold <ratio>       Share of pixels allowed to differ
+  --pixel-threshold <0-1>   Color difference at which a pixel counts as changed
+
+The HTML report is written to --out (in-process server) or the server's report directory.`,
+    run: async (files, options, { client, regression }) => {
+      const results = [];
+      for (const file of files) {
+        const suite = await regression.loadManifest(file);
+        const result = await client.checkRegression({
+          manifest: suite,
+          update: Boolean(options.update),
+          ...(options.threshold && { threshold: parseFloat(options.threshold) }),
+          ...(options['pixel-threshold'] && { pixelThreshold: parseFloat(options['pixel-threshold']) })
+        });
+
+        result.results.forEach(check => {
+          const icon = { passed: '✅', failed: '❌', new: '🆕', updated: '🔄', error: '⚠️' }[check.status];
+          const detail = check.status === 'error'
+            ? check.error
+            : check.diffRatio !== undefined ? `${(check.diffRatio * 100).toFixed(3)}% differ` : 'baseline created';
+          console.log(`${icon} ${check.name} · ${check.container} · ${check.viewport}: ${detail}`);
+        });
+        results.push({
+          file,
+          success: result.success,
+          outputs: [options.server ? `${options.server.replace(/\/$/, '')}${result.reportUrl}` : result.reportPath],
+          message: `${result.total} checks: ${result.passed} passed, ${result.failed} failed, ${result.new} new, ` +
+            `${result.updated} updated, ${result.errors} errors`
+        });
+      }
+      return results;
+    }
+  }
+};
+
+/**
+ * Split argv into positional inputs and --options; value options take the next argument or --name=value
+ */
+export function parseArgs(argv) {
+  const inputs = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      inputs.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (VALUE_OPTIONS.includes(name)) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) {
+        throw usageError(`--${name} needs a value`);
+      }
+      options[name] = value;
+    } else {
+      options[name] = true;
+    }
+  }
+  return { inputs, options };
+}
+
+/**
+ * Files for the inputs: paths, directories (their files with the command's extensions, recursively)
+ * and globs with *, ** and ?. Inputs that match nothing are usage errors.
+ */
+export function expandInputs(inputs, extensions) {
+  const files = [];
+  const add = file => {
+    if (!files.includes(file)) files.push(file);
+  };
+
+  for (const input of inputs) {
+    if (/[*?]/.test(input)) {
+      const matches = globFiles(input);
+      if (!matches.length) throw usageError(`No files match ${input}`);
+      matches.forEach(add);
+    } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      const matches = walk(input).filter(file => extensions.includes(path.extname(file).toLowerCase()));
+      if (!matches.length) throw usageError(`No ${extensions.join(', ')} files in ${input}`);
+      matches.forEach(add);
+    } else if (fs.existsSync(input)) {
+      if (!extensions.includes(path.extname(input).toLowerCase())) {
+        throw usageError(`${input} is not a ${extensions.join(', ')} file`);
+      }
+      add(input);
+    } else {
+      throw usageError(`No such file: ${input}`);
+    }
+  }
+  return files;
+}
+
+/**
+ * @private
+ */
+function globFiles(pattern) {
+  const normalized = pattern.split(path.sep).join('/');
+  const segments = normalized.split('/');
+  const firstGlob = segments.findIndex(segment => /[*?]/.test(segment));
+  const base = segments.slice(0, firstGlob).join('/') || (normalized.startsWith('/') ? '/' : '.');
+  const regex = new RegExp(`^${segments.slice(firstGlob).map(segment => segment === '**'
+    ? '(?:[^/]+/)*'
+    : `${segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')}/`
+  ).join('').replace(/\/$/, '')}$`);
+
+  if (!fs.existsSync(base)) return [];
+  return walk(base)
+    .filter(file => regex.test(path.relative(base, file).split(path.sep).join('/')))
+    .sort();
+}
+
+/**
+ * Files under a directory, skipping node_modules and hidden directories
+ * @private
+ */
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === 'node_modules' || entry.name.startsWith('.') ? [] : walk(full);
+    }
+    return entry.isFile() ? [full] : [];
+  }).sort();
+}
+
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Write <out>/<input name><suffix> and return its path
+ */
+function writeOutput(options, input, suffix, data) {
+  const dir = options.out || 'contentlab-output';
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${path.basename(input, path.extname(input))}${suffix}`);
+  fs.writeFileSync(file, data);
+  return file;
+}
+
+function decodeDataUrl(dataUrl) {
+  return Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64');
+}
+
+function contentText(content) {
+  if (typeof content !== 'string') return JSON.stringify(content, null, 2);
+  try {
+    return JSON.stringify(JSON.parse(content), null, 2);
+  } catch {
+    return content;
+  }
+}
+
+function markdownOptions(options) {
+  return {
+    verify: Boolean(options.verify),
+    ...(options['max-retries'] && { maxRetries: parseInt(options['max-retries']) })
+  };
+}
+
+function describeVisualFailure(visual) {
+  if (!visual.svg) return 'generation failed';
+  const errors = visual.verificationErrors || [];
+  return errors.length ? errors.map(error => error.code || error.message).join(', ') : 'not verified';
+}
+
+function printHelp(name) {
+  const command = COMMANDS[name];
+  if (command) {
+    console.log(`Usage: contentlab ${name} <${command.extensions.map(ext => `*${ext}`).join(' | ')} | dir | glob>... [options]\n`);
+    console.log(`${command.summary}\n${command.help ? `\nOptions:${command.help}\n` : ''}${COMMON_HELP}`);
+    return;
+  }
+  console.log('Usage: contentlab <command> <inputs...> [options]\n\nCommands:');
+  Object.entries(COMMANDS).forEach(([commandName, { summary }]) => console.log(`  ${commandName.padEnd(18)}${summary}`));
+  console.log(`${COMMON_HELP}\n\nRun contentlab <command> --help for the command's options.`);
+}
+
+/**
+ * Connect to --server, or start a headless server in-process; resolves to { client, close }
+ * @private
+ */
+async function connect(options) {
+  let server = null;
+  if (!options.server) {
+    if (options.out) {
+      // The in-process server writes its regression reports next to the other outputs
+      process.env.REGRESSION_REPORT_DIR = process.env.REGRESSION_REPORT_DIR || path.join(options.out, 'regression');
+    }
+    server = new ContentLabServer({ serveApp: true, port: parseInt(options.port) || 3013 });
+    await server.start();
+  }
+
+  const client = new ContentLabClient({ baseUrl: options.server || `http://localhost:${server.port}` });
+  try {
+    if (server) {
+      // One page for the default session, one for ours and one reserved for background jobs
+      await server.initBrowser({ poolSize: 3 });
+    }
+    await client.createSession({ use: true });
+  } catch (error) {
+    if (server) await closeServer(server);
+    throw error;
+  }
+
+  return {
+    client,
+    close: async () => {
+      await client.deleteSession().catch(() => {});
+      if (server) await closeServer(server);
+    }
+  };
+}
+
+async function closeServer(server) {
+  await server.cleanup();
+  server.server.close();
+}
+
+/**
+ * Run a command; resolves to the exit code
+ */
+export async function main(argv = process.argv.slice(2)) {
+  const [name, ...rest] = argv;
+  if (!name || name === '--help' || name === 'help') {
+    printHelp();
+    return name ? 0 : EXIT_USAGE;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`❌ Unknown command "${name}". Commands: ${Object.keys(COMMANDS).join(', ')}`);
+    return EXIT_USAGE;
+  }
+
+  let inputs;
+  let options;
+  let files;
+  try {
+    ({ inputs, options } = parseArgs(rest));
+    if (options.help) {
+      printHelp(name);
+      return 0;
+    }
+    if (!inputs.length) {
+      throw usageError(`contentlab ${name} needs at least one input. Run contentlab ${name} --help for usage.`);
+    }
+    files = expandInputs(inputs, command.extensions);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_USAGE;
+  }
+
+  const context = {
+    renderer: new HtmlRenderer({ katexCssUrl: options['katex-css'] }),
+    beautifier: new BeautificationEngine(),
+    regression: new VisualRegression()
+  };
+  let connection = null;
+  const results = [];
+
+  try {
+    if (command.browser) {
+      connection = await connect(options);
+      context.client = connection.client;
+    }
+
+    if (command.whole) {
+      results.push(...await command.run(files, options, context));
+    } else {
+      for (const file of files) {
+        try {
+          results.push({ file, ...await command.run(file, options, context) });
+        } catch (error) {
+          results.push({ file, success: false, outputs: [], message: errorMessage(error) });
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`❌ contentlab ${name} failed: ${errorMessage(error)}`);
+    return EXIT_FAILED;
+  } finally {
+    if (connection) {
+      await connection.close();
+    }
+  }
+
+  results.forEach(result => {
+    console.log(`${result.success ? '✅' : '❌'} ${result.file}${result.outputs.length ? ` → ${result.outputs.join(', ')}` : ''}` +
+      (result.message ? `\n   ${result.message}` : ''));
+  });
+  const failed = results.filter(result => !result.success).length;
+  console.log(`\n${results.length - failed}/${results.length} succeeded`);
+  return failed ? EXIT_FAILED : 0;
+}
+
+function errorMessage(error) {
+  return error.errors && error.errors.length ? error.errors.map(e => e.message).join('; ') : error.message;
+}
+
+// Run when executed directly (node automation/contentlab.js, npx contentlab)
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  process.exit(await main());
+}
@@ -0,0 +1,38 @@
+/**
+ * Headless Server for Content Lab
+ * Runs the API server with the app served from the same process, so rendering needs only node and Puppeteer
+ *
+ * Usage:
+ *   npm run build && npm run headless     # serves the built dist/ bundle
+ *   npm run headless                      # no dist/: serves the render-only page
+ *   npm run headless -- --render-only     # render-only page even when dist/ exists
+ *   npm run headless -- --no-browser      # launch Chrome on the first request instead of at startup
+ */
+
+import ContentLabServer from './api-server.js';
+
+const args = process.argv.slice(2);
+
+const server = new ContentLabServer({
+  serveApp: true,
+  renderOnly: args.includes('--render-only')
+});
+
+await server.start();
+console.log(`   Serving app: ${server.appUrl} (${server.appSource === 'dist' ? 'dist/ bundle' : 'render-only page'})`);
+
+if (!args.includes('--no-browser')) {
+  try {
+    await server.initBrowser();
+  } catch (error) {
+    console.error('❌ Browser initialization failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Graceful shutdown
+process.on('SIGINT', async () => {
+  console.log('\n⏹️  Shutting down...');
+  await server.cleanup();
+  process.exit(0);
+});
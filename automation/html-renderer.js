@@ -0,0 +1,552 @@
+/**
+ * HTML Renderer for Content Lab
+ * Renders content JSON to static HTML without a browser, producing the markup ContentRenderer and
+ * KaTeXDisplay would: math through KaTeX's renderToString, contentFormats styles, container CSS variables
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import katex from 'katex';
+import ContentAdapter from '../src/components/ContentSystem/ContentAdapter.js';
+import { getContainerCoverage } from '../src/components/Containers/containerMeasurements.js';
+import { CONTAINER_STYLES } from '../src/components/Containers/containerStyles.js';
+import { processFormattedContent, getContentFormat } from '../src/utils/contentFormats.js';
+import { fontConfig } from '../src/utils/fontConfig.js';
+import {
+  KATEX_OPTIONS,
+  isBlockLevelMath,
+  isDisplayMath,
+  prepareKatexContent,
+  preprocessContent,
+  splitMixedContent
+} from '../src/utils/mathContent.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const RENDERER_CSS = path.join(ROOT_DIR, 'src', 'components', 'ContentSystem', 'ContentRenderer.css');
+const KATEX_CSS_URL = `https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/katex.min.css`;
+
+const VOID_ELEMENTS = ['hr', 'br', 'img'];
+const GRAPH_PLACEHOLDERS = {
+  graph: '[CLICK THE GENERATE GRAPH BUTTON TO INJECT CONTENT]',
+  'number-line': '[CLICK THE GENERATE NUMBER LINE BUTTON TO INJECT CONTENT]'
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// React style object key -> CSS property (custom properties are kept as-is)
+const cssProperty = (key) => (key.startsWith('--') ? key : key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`));
+
+class HtmlRenderer {
+  /**
+   * @param {object} options
+   * @param {string} options.stylesheet - ContentRenderer.css source (read from src/ by default)
+   * @param {string} options.katexCssUrl - KaTeX stylesheet linked from non-inlined output (default: jsDelivr, installed version)
+   */
+  constructor(options = {}) {
+    this.stylesheet = options.stylesheet ?? fs.readFileSync(RENDERER_CSS, 'utf8');
+    this.katexCssUrl = options.katexCssUrl || KATEX_CSS_URL;
+    this.rules = this.parseStylesheet(this.stylesheet);
+  }
+
+  /**
+   * Render content to HTML
+   * @param {Array|object|string} content - Content array, single item, or a document ContentAdapter understands
+   * @param {string} container - Container type from containerStyles.js (default: problemSolver)
+   * @param {object} options
+   * @param {boolean} options.inlineCss - Put every style in style attributes and render math as MathML,
+   *                                      for email and LMS editors that strip <style> and <link>
+   * @param {boolean} options.document - Return a full HTML document instead of a fragment
+   * @param {number|string} options.width - Container width (default: fluid)
+   * @param {string} options.title - Document title (with document)
+   * @returns {string} HTML
+   */
+  render(content, container = 'problemSolver', options = {}) {
+    const config = CONTAINER_STYLES[container];
+    if (!config) {
+      const error = new Error(`Unknown container type "${container}". Expected one of: ${Object.keys(CONTAINER_STYLES).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    let parsed = content;
+    if (typeof content === 'string') {
+      try {
+        parsed = JSON.parse(content);
+      } catch {
+        parsed = content;
+      }
+    }
+
+    const state = {
+      inlineCss: options.inlineCss || false,
+      context: config.context
+    };
+
+    const body = this.renderContainer(ContentAdapter.adaptContent(parsed, container), container, config, options, state);
+
+    if (options.document) {
+      const head = state.inlineCss ? '' : this.stylesheetTags();
+      return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="UTF-8" />',
+        `<title>${escapeHtml(options.title || 'Content Lab')}</title>`,
+        head,
+        '</head>',
+        `<body>${body}</body>`,
+        '</html>'
+      ].filter(Boolean).join('\n');
+    }
+
+    return state.inlineCss ? body : `${this.stylesheetTags()}\n${body}`;
+  }
+
+  stylesheetTags() {
+    return `<link rel="stylesheet" href="${escapeHtml(this.katexCssUrl)}" />\n<style>\n${this.stylesheet}\n</style>`;
+  }
+
+  /**
+   * Outer markup of ContainerEmulator: the content area, without the editor's title bar or fixed height
+   */
+  renderContainer(adapted, container, config, options, state) {
+    const width = typeof options.width === 'number' ? `${options.width}px` : options.width;
+    const containerStyle = {
+      width,
+      background: config.background,
+      ...(state.inlineCss ? {} : config.cssVars)
+    };
+
+    let inner;
+    if (adapted && adapted.content && adapted.visualization &&
+        (container === 'lessonDescription' || container === 'previewBox')) {
+      inner = this.renderSplit(adapted, container, state);
+    } else {
+      const contentType = (Array.isArray(adapted) ? adapted[0]?.type : adapted?.type) === 'formula' ? 'formula' : 'text';
+      const format = getContentFormat(contentType);
+      inner = this.element('div', '', {
+        width: '100%',
+        textAlign: format.styles?.textAlign || (contentType === 'formula' ? 'center' : 'left')
+      }, this.renderContent(adapted, state), state);
+    }
+
+    return this.element('div', 'container-emulator', containerStyle,
+      this.element('div', 'content-area', { padding: config.padding, color: config.textColor || 'inherit' },
+        this.element('div', 'rendered-content', {}, inner, state),
+        state),
+      state, { 'data-container': container });
+  }
+
+  // Description and visualization side by side, as in lessonDescription and previewBox
+  renderSplit(adapted, container, state) {
+    const coverage = getContainerCoverage(container) || adapted.coverage || 50;
+    const visualization = adapted.visualization;
+    const visual = visualization?.type === 'svg' ||
+      (typeof visualization?.content === 'string' && visualization.content.includes('<svg'))
+      ? this.element('div', '', { display: 'flex', alignItems: 'center', justifyContent: 'center' },
+        visualization.content || visualization, state)
+      : this.renderContent(visualization.content || visualization, state);
+
+    return this.element('div', '', { display: 'flex' }, [
+      this.element('div', 'content-text-side', { width: `${coverage}%`, paddingRight: '10px' },
+        this.renderContent(adapted.content, state), state),
+      this.element('div', '', { width: '2px', background: '#ccc', margin: '0 5px', flexShrink: 0 }, '', state),
+      this.element('div', 'content-visual-side', {
+        width: `${100 - coverage}%`,
+        paddingLeft: '10px',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center'
+      }, visual, state)
+    ].join(''), state);
+  }
+
+  /**
+   * Render a content array or item (ContentRenderer)
+   */
+  renderContent(content, state) {
+    if (!content || (Array.isArray(content) && content.length === 0) ||
+        (typeof content === 'string' && content.trim() === '')) {
+      return '';
+    }
+
+    if (!Array.isArray(content)) {
+      return this.renderItem(content, state);
+    }
+
+    let currentNumber = 0;
+    return content
+      .filter(item => item !== null && item !== undefined)
+      .map(item => {
+        if (item.type === 'numberReset') currentNumber = 0;
+        if (item.type === 'numberedItem') {
+          currentNumber++;
+          return { ...item, assignedNumber: currentNumber };
+        }
+        return item;
+      })
+      .map((item, index) => this.renderItem(item, state, index))
+      .join('');
+  }
+
+  renderItem(item, state, index = 0) {
+    if (!item) return '';
+
+    if (item.type === 'separator') {
+      return this.element('hr', 'format-separator', getContentFormat('separator').styles, '', state);
+    }
+
+    if (typeof item === 'string') {
+      return this.renderMathContent(item, '', state, null);
+    }
+
+    if (item.type === 'kc') {
+      const header = this.element('div', 'kc-header', {}, [
+        this.element('span', 'kc-prefix', {}, 'Key Concept:', state),
+        this.element('span', 'kc-title', {}, escapeHtml(item.content ?? ''), state)
+      ].join(''), state);
+      const description = item.description
+        ? this.element('div', 'kc-description', {}, escapeHtml(item.description), state)
+        : '';
+      return this.element('div', 'kc-block', { position: 'relative' }, header + description, state);
+    }
+
+    // Same placeholder as TableRenderer
+    if (item.type === 'table') {
+      return this.element('div', '', { width: '100%', maxWidth: '100%', overflow: 'hidden', boxSizing: 'border-box' },
+        this.element('div', 'table-renderer', {},
+          this.element('div', '', {
+            padding: '20px',
+            border: '1px solid #ddd',
+            borderRadius: '4px',
+            backgroundColor: '#f5f5f5',
+            textAlign: 'center',
+            color: '#666'
+          }, '[Table Content - Implementation Needed]', state),
+          state),
+        state);
+    }
+
+    // Static version of the tool row: the button has nothing to activate outside the app
+    if (item.type === 'tool') {
+      const toolName = escapeHtml(item.toolName ?? '');
+      return this.element('div', 'tool-item', { display: 'flex', alignItems: 'center', gap: '0.75rem', padding: '0.5rem 1rem' }, [
+        this.element('span', 'tool-button', {
+          width: '40px',
+          height: '40px',
+          borderRadius: '50%',
+          backgroundColor: '#ca8a04',
+          display: 'inline-flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          flexShrink: 0,
+          color: 'white',
+          fontSize: '18px',
+          fontWeight: 'bold'
+        }, 'T', state, { title: toolName || 'Tool' }),
+        this.element('div', '', { textAlign: 'left' }, [
+          this.element('span', '', { color: '#654321', fontWeight: 'bold' }, 'Tool: ', state),
+          this.element('span', '', { fontWeight: 500 }, toolName, state)
+        ].join(''), state)
+      ].join(''), state);
+    }
+
+    if (item.type === 'practiceEarmark') {
+      return this.element('div', 'practice-earmark-anchor', { height: '1px', opacity: 0 },
+        this.element('span', 'practice-anchor-marker', {}, '', state),
+        state, {
+          'data-practice-eligible': 'true',
+          'data-practice-id': item.concept || `practice-${index}`,
+          'data-problem-ids': JSON.stringify(item.problemIds || []),
+          'data-problem-count': (item.problemIds || []).length,
+          'data-practice-title': item.title || 'Practice'
+        });
+    }
+
+    if (item.type === 'numberedItem') {
+      return this.element('div', 'numbered-item', {
+        display: 'flex',
+        marginBottom: '0.5em',
+        paddingLeft: '1.5em',
+        position: 'relative'
+      }, [
+        this.element('span', '', { position: 'absolute', left: 0, fontWeight: 'bold', marginRight: '0.5em' },
+          `${item.assignedNumber || 1}.`, state),
+        this.element('div', '', { flex: 1 }, this.renderMathContent(item.content, '', state, item), state)
+      ].join(''), state);
+    }
+
+    if (item.type === 'numberReset') {
+      return '';
+    }
+
+    // SVG visuals, without the corner brackets the editor draws around them
+    if (item.type === 'graph' || item.type === 'number-line') {
+      const containerClass = item.type === 'graph' ? 'graph-container' : 'number-line-container';
+      if (item.content && item.content.includes('<svg')) {
+        return this.element('div', containerClass, { display: 'flex', justifyContent: 'center', alignItems: 'center', width: '100%' },
+          this.element('div', '', { position: 'relative', display: 'inline-block', padding: '8px' }, item.content, state),
+          state);
+      }
+      if (item.content === GRAPH_PLACEHOLDERS[item.type]) {
+        return '';
+      }
+      return this.element('div', `${item.type}-placeholder`, {}, escapeHtml(item.content || ''), state);
+    }
+
+    if (typeof item === 'object' && item.type) {
+      if (item.type === 'mathjaxContent') {
+        const format = item.contentFormat || 'text';
+        return this.renderMathContent(item.content, `content-${format}`, state, { ...item, contentFormat: format });
+      }
+
+      if (item.content !== undefined) {
+        return this.renderMathContent(item.content, `content-${item.type}`, state, { ...item, contentFormat: item.type });
+      }
+    }
+
+    return '';
+  }
+
+  /**
+   * Text, HTML and math content with its format's wrapper, prefix and suffix (renderMathContent)
+   */
+  renderMathContent(content, className, state, item) {
+    if (!content || typeof content !== 'string' || content.trim() === '') {
+      return '';
+    }
+
+    const { context } = state;
+    const hasHtmlTags = /<[^>]+>/.test(content);
+    const hasMathDelimiters = /\$/.test(content);
+    const hasLatexCommands = /\\[a-zA-Z]+/.test(content);
+    const scale = item?.scale || 1.0;
+
+    let formatClass = '';
+    let formatStyle = {};
+    let processedFormat = null;
+
+    if (item?.contentFormat) {
+      processedFormat = processFormattedContent(content, item.contentFormat, context, scale);
+      formatClass = processedFormat.className;
+      formatStyle = processedFormat.style;
+    }
+
+    formatStyle = {
+      ...formatStyle,
+      '--katex-inline-scale': fontConfig.getKatexSizeEM(context, item?.contentFormat || 'text', false, scale),
+      '--katex-display-scale': fontConfig.getKatexSizeEM(context, item?.contentFormat || 'text', true, scale)
+    };
+
+    const fullClassName = `${className} ${formatClass}`.trim();
+    const math = { item, formatStyle };
+
+    if (processedFormat && (processedFormat.prefix || processedFormat.suffix)) {
+      const affix = (part) => (part ? this.element('span', part.className, part.style || {}, escapeHtml(part.text), state) : '');
+      return this.element(processedFormat.wrapper || 'div', fullClassName, formatStyle, [
+        affix(processedFormat.prefix),
+        this.element('span', processedFormat.contentClassName || '', processedFormat.contentStyle || {},
+          this.renderCore(content, hasHtmlTags, hasMathDelimiters, hasLatexCommands, math, state), state),
+        affix(processedFormat.suffix)
+      ].join(''), state);
+    }
+
+    if (hasHtmlTags && !hasMathDelimiters && !hasLatexCommands) {
+      return this.element('div', fullClassName, formatStyle, content, state);
+    }
+
+    if (hasHtmlTags && hasMathDelimiters) {
+      return this.element('div', `${fullClassName} mixed-content`, formatStyle,
+        this.renderSegments(content, true, math, state), state);
+    }
+
+    if (!hasHtmlTags && !hasMathDelimiters && !hasLatexCommands) {
+      return this.element('div', `${fullClassName} text-content`, formatStyle, escapeHtml(content), state);
+    }
+
+    if (!hasHtmlTags && hasMathDelimiters) {
+      const isBlock = isBlockLevelMath(content);
+      return this.element('div', `${fullClassName} mixed-content ${isBlock ? 'math-block' : ''}`, formatStyle,
+        this.renderSegments(content, false, math, state), state);
+    }
+
+    if (!hasHtmlTags && !hasMathDelimiters && hasLatexCommands) {
+      return this.katex(this.preprocess(content, item, state), fullClassName, formatStyle, state);
+    }
+
+    if (hasHtmlTags && hasLatexCommands && !hasMathDelimiters) {
+      return this.element('div', fullClassName, formatStyle,
+        this.katex(this.preprocess(content, item, state), '', this.scaleVariables(formatStyle), state), state);
+    }
+
+    return this.element('div', fullClassName, formatStyle, escapeHtml(content), state);
+  }
+
+  // Inner content of formats with a prefix or suffix (renderContentCore)
+  renderCore(content, hasHtmlTags, hasMathDelimiters, hasLatexCommands, math, state) {
+    if (hasHtmlTags && !hasMathDelimiters && !hasLatexCommands) {
+      return this.element('span', '', {}, content, state);
+    }
+    if (hasMathDelimiters) {
+      return this.renderSegments(content, hasHtmlTags, math, state);
+    }
+    if (hasLatexCommands) {
+      return this.katex(this.preprocess(content, math.item, state), '', this.scaleVariables(math.formatStyle), state);
+    }
+    return escapeHtml(content);
+  }
+
+  // Text and $math$ segments; text is raw HTML when the content has tags, escaped otherwise
+  renderSegments(content, allowHtml, math, state) {
+    return splitMixedContent(content).map(segment => {
+      if (segment.type === 'text') {
+        return this.element('span', '', {}, allowHtml ? segment.content : escapeHtml(segment.content), state);
+      }
+      let mathContent = segment.content;
+      if (mathContent.startsWith('$') && mathContent.endsWith('$')) {
+        mathContent = mathContent.slice(1, -1);
+      }
+      return this.katex(this.preprocess(mathContent, math.item, state), 'inline-math', this.scaleVariables(math.formatStyle), state);
+    }).join('');
+  }
+
+  preprocess(content, item, state) {
+    return preprocessContent(content, state.context, item?.contentFormat, null, false, item?.moderateHelpConfig);
+  }
+
+  scaleVariables(formatStyle) {
+    return {
+      '--katex-inline-scale': formatStyle['--katex-inline-scale'],
+      '--katex-display-scale': formatStyle['--katex-display-scale']
+    };
+  }
+
+  /**
+   * KaTeXDisplay: renderToString into the same span/div wrapper the component renders into
+   */
+  katex(content, className, style, state) {
+    const { mathContent, displayMode } = prepareKatexContent(content, state.context);
+    const tag = isDisplayMath(content) ? 'div' : 'span';
+    const wrapperClass = `${className} ${tag === 'div' ? 'katex-display' : 'katex-inline'}`;
+    let wrapperStyle = { color: '#000', ...style };
+
+    // Inlined output has no stylesheet to apply the --katex-*-scale variables, so size the math directly
+    if (state.inlineCss) {
+      const scale = displayMode ? style['--katex-display-scale'] : style['--katex-inline-scale'];
+      wrapperStyle = { color: '#000', ...style, fontSize: scale || style.fontSize };
+    }
+
+    let html;
+    try {
+      html = katex.renderToString(mathContent, {
+        ...KATEX_OPTIONS,
+        displayMode,
+        output: state.inlineCss ? 'mathml' : 'htmlAndMathml'
+      });
+    } catch (error) {
+      return this.element(tag, wrapperClass, { ...wrapperStyle, color: '#cc0000' }, escapeHtml(content), state);
+    }
+
+    if (!displayMode) {
+      html = html.replace('<span class="katex">', '<span class="katex" style="line-height: 1">');
+    }
+    return this.element(tag, wrapperClass, wrapperStyle, html, state);
+  }
+
+  /**
+   * Build an element. With inlineCss, matching ContentRenderer.css rules are merged into the style
+   * attribute (stylesheet rules < element style < !important rules) and ::before content becomes a span.
+   */
+  element(tag, className, style, inner, state, attributes = {}) {
+    const classes = className.split(/\s+/).filter(Boolean);
+    let declarations = Object.entries(style)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => [cssProperty(key), String(value).replace(/\s*!important$/, '')]);
+    let before = '';
+
+    if (state.inlineCss) {
+      const rules = this.rulesFor(tag, classes);
+      const merged = new Map();
+      const apply = (list) => list.forEach(([property, value]) => {
+        merged.delete(property);
+        merged.set(property, value);
+      });
+
+      rules.filter(rule => !rule.pseudo).forEach(rule =>
+        apply(rule.declarations.filter(d => !d.important).map(d => [d.property, d.value])));
+      apply(declarations.filter(([property]) => !property.startsWith('--')));
+      rules.filter(rule => !rule.pseudo).forEach(rule =>
+        apply(rule.declarations.filter(d => d.important).map(d => [d.property, d.value])));
+      declarations = [...merged.entries()];
+
+      before = rules.filter(rule => rule.pseudo === 'before').map(rule => {
+        const content = rule.declarations.find(d => d.property === 'content')?.value.match(/^"(.*)"$/);
+        if (!content) return '';
+        const pseudoStyle = rule.declarations.filter(d => d.property !== 'content').map(d => `${d.property}: ${d.value}`).join('; ');
+        return `<span style="${escapeHtml(pseudoStyle)}">${escapeHtml(content[1])}</span>`;
+      }).join('');
+    }
+
+    const attributeText = [
+      classes.length ? `class="${escapeHtml(classes.join(' '))}"` : '',
+      declarations.length ? `style="${escapeHtml(declarations.map(([property, value]) => `${property}: ${value}`).join('; '))}"` : '',
+      ...Object.entries(attributes).map(([name, value]) => `${name}="${escapeHtml(value)}"`)
+    ].filter(Boolean).join(' ');
+    const open = attributeText ? `<${tag} ${attributeText}` : `<${tag}`;
+
+    if (VOID_ELEMENTS.includes(tag)) {
+      return `${open} />`;
+    }
+    return `${open}>${before}${inner}</${tag}>`;
+  }
+
+  rulesFor(tag, classes) {
+    return this.rules.filter(rule =>
+      (!rule.tag || rule.tag === tag) && rule.classes.every(name => classes.includes(name)));
+  }
+
+  /**
+   * Parse the rules of a stylesheet that can be inlined: selectors made of an optional tag and
+   * classes, optionally with ::before. Descendant and other combinator selectors are skipped.
+   */
+  parseStylesheet(css) {
+    const rules = [];
+    const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+
+    for (const [, selectorText, body] of source.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+      const declarations = body.split(';')
+        .map(declaration => declaration.trim())
+        .filter(declaration => declaration.includes(':'))
+        .map(declaration => {
+          const colon = declaration.indexOf(':');
+          const value = declaration.slice(colon + 1).trim().replace(/\s+/g, ' ');
+          return {
+            property: declaration.slice(0, colon).trim(),
+            value: value.replace(/\s*!important$/, ''),
+            important: /!important$/.test(value)
+          };
+        });
+
+      selectorText.split(',').forEach(selector => {
+        const match = selector.trim().match(/^([a-z][a-z0-9]*)?((?:\.[\w-]+)+)(::before)?$/i);
+        if (match) {
+          rules.push({
+            tag: match[1] ? match[1].toLowerCase() : null,
+            classes: match[2].slice(1).split('.'),
+            pseudo: match[3] ? 'before' : null,
+            declarations
+          });
+        }
+      });
+    }
+
+    return rules;
+  }
+}
+
+export default HtmlRenderer;
@@ -0,0 +1,177 @@
+/**
+ * Job Queue for Content Lab
+ * Runs long batch requests in the background and records per-item progress events
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+const FINISHED = ['completed', 'failed'];
+
+class JobQueue {
+  /**
+   * @param {object} options
+   * @param {number} options.concurrency - Jobs running at once (default: 2)
+   * @param {number} options.retention - Milliseconds a finished job stays queryable (default: 1 hour)
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 2;
+    this.retention = options.retention || 60 * 60 * 1000;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Job type, e.g. 'batch' or 'process-markdown'
+   * @param {Function} run - async (job) => result; call job.progress(completed, total, result) after each item
+   * @returns {object} The job record
+   */
+  submit(type, run) {
+    this.prune();
+
+    const job = {
+      id: randomUUID(),
+      type,
+      status: 'queued',
+      total: null,
+      completed: 0,
+      results: [],
+      result: null,
+      error: null,
+      events: [],
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+    job.progress = (completed, total, result) => this.progress(job, completed, total, result);
+
+    this.jobs.set(job.id, job);
+    this.queue.push({ job, run });
+    this.record(job, 'status', { status: 'queued' });
+    this.next();
+    return job;
+  }
+
+  /**
+   * Look up a job
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      const error = new Error(`Unknown or expired job "${id}"`);
+      error.status = 404;
+      throw error;
+    }
+    return job;
+  }
+
+  /**
+   * Record one finished item: keeps it as a partial result and emits an "item" event
+   */
+  progress(job, completed, total, result) {
+    job.completed = completed;
+    job.total = total;
+    job.results.push(result);
+    this.record(job, 'item', { completed, total, result });
+  }
+
+  /**
+   * Listen to a job's events. Events after lastEventId (all of them by default) are replayed first,
+   * so late subscribers and reconnecting clients see the full history.
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(id, listener, lastEventId = -1) {
+    const job = this.get(id);
+    job.events.filter(event => event.id > lastEventId).forEach(listener);
+
+    if (FINISHED.includes(job.status)) {
+      return () => {};
+    }
+    this.emitter.on(job.id, listener);
+    return () => this.emitter.off(job.id, listener);
+  }
+
+  record(job, type, data) {
+    const event = { id: job.events.length, type, data };
+    job.events.push(event);
+    this.emitter.emit(job.id, event);
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const { job, run } = this.queue.shift();
+      this.execute(job, run);
+    }
+  }
+
+  async execute(job, run) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    this.record(job, 'status', { status: 'running' });
+
+    try {
+      job.result = await run(job);
+      job.status = 'completed';
+      job.finishedAt = Date.now();
+      this.record(job, 'completed', { result: job.result });
+    } catch (error) {
+      job.error = error.message;
+      job.status = 'failed';
+      job.finishedAt = Date.now();
+      this.record(job, 'failed', { error: error.message });
+    } finally {
+      this.emitter.removeAllListeners(job.id);
+      this.running--;
+      this.next();
+    }
+  }
+
+  /**
+   * Forget finished jobs older than the retention period
+   */
+  prune() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs) {
+      if (FINISHED.includes(job.status) && now - job.finishedAt > this.retention) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  isFinished(job) {
+    return FINISHED.includes(job.status);
+  }
+
+  /**
+   * Public view of a job (no event log)
+   */
+  describe(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      total: job.total,
+      completed: job.completed,
+      results: job.results,
+      result: job.result,
+      error: job.error,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+    };
+  }
+
+  list() {
+    return [...this.jobs.values()].map(job => {
+      const { results, result, ...summary } = this.describe(job);
+      return summary;
+    });
+  }
+}
+
+export default JobQueue;
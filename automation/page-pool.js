@@ -0,0 +1,188 @@
+/**
+ * Page Pool for Content Lab
+ * Hands out Puppeteer pages up to a fixed size so sessions can work in parallel
+ */
+
+class PagePool {
+  /**
+   * @param {Function} createPage - async () => page, opens a page with ContentLabAPI ready
+   * @param {object} options
+   * @param {number} options.size - Maximum number of open pages (default: 4)
+   * @param {Function} options.resetPage - async (page) => void, clears state before a page is reused
+   * @param {number} options.acquireTimeout - Milliseconds to wait for a free page (default: 30000)
+   * @param {number} options.reserve - Pages only acquire({ reserved: true }) may take (default: 0)
+   */
+  constructor(createPage, options = {}) {
+    this.createPage = createPage;
+    this.resetPage = options.resetPage || null;
+    this.size = options.size || 4;
+    this.acquireTimeout = options.acquireTimeout || 30000;
+    this.reserve = options.reserve || 0;
+
+    this.idle = [];
+    this.waiting = [];
+    this.total = 0;
+    this.held = 0;
+    this.unreserved = new Set();
+    this.draining = false;
+  }
+
+  /**
+   * Get a page: an idle one, a new one while under the size limit, or the next one released.
+   * Callers without the reservation share size - reserve pages. Reserved callers can take any page and,
+   * when the pool has a reserve, wait without a timeout: only other reserved callers, which finish, can
+   * hold the reserved pages.
+   * @param {object} options
+   * @param {boolean} options.reserved - May use the reserved pages
+   */
+  async acquire(options = {}) {
+    if (this.draining) {
+      throw new Error('Page pool is shutting down');
+    }
+
+    const reserved = Boolean(options.reserved);
+    if (this.available(reserved)) {
+      return this.take(reserved);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, reserved };
+      if (!reserved || !this.reserve) {
+        waiter.timer = setTimeout(() => {
+          this.waiting = this.waiting.filter(w => w !== waiter);
+          const error = new Error(`No browser page available within ${this.acquireTimeout}ms (pool size ${this.size})`);
+          error.status = 503;
+          reject(error);
+        }, this.acquireTimeout);
+      }
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Return a page to the pool. It is reset first; a page that fails to reset is closed and replaced.
+   */
+  async release(page) {
+    this.checkIn(page);
+    if (this.draining) {
+      await this.destroy(page);
+      return;
+    }
+
+    try {
+      if (this.resetPage) {
+        await this.resetPage(page);
+      }
+    } catch (error) {
+      console.error('⚠️  Page reset failed, replacing page:', error.message);
+      await this.destroy(page);
+      return;
+    }
+
+    this.idle.push(page);
+    this.serveWaiting();
+  }
+
+  /**
+   * Close a page and free its slot; a waiting caller gets a freshly created page instead
+   */
+  async destroy(page) {
+    this.checkIn(page);
+    this.total--;
+    try {
+      await page.close();
+    } catch (error) {
+      // Page already closed with its browser
+    }
+
+    if (!this.draining) {
+      this.serveWaiting();
+    }
+  }
+
+  /**
+   * Whether a page can be handed out now without waiting
+   * @private
+   */
+  available(reserved) {
+    if (!reserved && this.held >= this.size - this.reserve) {
+      return false;
+    }
+    return this.idle.length > 0 || this.total < this.size;
+  }
+
+  /**
+   * @private
+   */
+  async take(reserved) {
+    if (!reserved) this.held++;
+    try {
+      const page = this.idle.length > 0 ? this.idle.pop() : await this.acquireFresh();
+      if (!reserved) this.unreserved.add(page);
+      return page;
+    } catch (error) {
+      if (!reserved) this.held--;
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  checkIn(page) {
+    if (this.unreserved.delete(page)) {
+      this.held--;
+    }
+  }
+
+  /**
+   * Hand free pages to waiters in order, skipping those the reserve keeps waiting
+   * @private
+   */
+  serveWaiting() {
+    let index;
+    while ((index = this.waiting.findIndex(waiter => this.available(waiter.reserved))) !== -1) {
+      const [waiter] = this.waiting.splice(index, 1);
+      clearTimeout(waiter.timer);
+      this.take(waiter.reserved).then(waiter.resolve, waiter.reject);
+    }
+  }
+
+  async acquireFresh() {
+    this.total++;
+    try {
+      return await this.createPage();
+    } catch (error) {
+      this.total--;
+      throw error;
+    }
+  }
+
+  /**
+   * Close idle pages and reject anyone still waiting. Pages still checked out close on release.
+   */
+  async drain() {
+    this.draining = true;
+    this.waiting.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Page pool is shutting down'));
+    });
+    this.waiting = [];
+
+    const idle = this.idle;
+    this.idle = [];
+    await Promise.all(idle.map(page => this.destroy(page)));
+  }
+
+  stats() {
+    return {
+      size: this.size,
+      open: this.total,
+      idle: this.idle.length,
+      inUse: this.total - this.idle.length,
+      waiting: this.waiting.length
+    };
+  }
+}
+
+export default PagePool;
@@ -0,0 +1,87 @@
+/**
+ * Visual Regression CLI for Content Lab
+ * Renders a manifest of content files, compares them with the stored baselines and writes an HTML report.
+ * Exits with code 1 when any check fails, so it can gate CI.
+ *
+ * Usage:
+ *   npm run regression -- manifest.json                          # starts a headless server in-process
+ *   npm run regression -- manifest.json --update                 # accept changed renderings as the new baselines
+ *   npm run regression -- manifest.json --threshold 0.002 --pixel-threshold 0.05
+ *   npm run regression -- manifest.json --server http://localhost:3003   # use a running API server (and its baselines)
+ */
+
+import ContentLabServer from './api-server.js';
+import VisualRegression from './visual-regression.js';
+
+const args = process.argv.slice(2);
+
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const valueOptions = ['--threshold', '--pixel-threshold', '--server', '--port'];
+const manifestPath = args.find((arg, index) => !arg.startsWith('--') && !valueOptions.includes(args[index - 1]));
+
+if (!manifestPath) {
+  console.error('Usage: node automation/regression.js <manifest.json> [--update] [--threshold ratio] [--pixel-threshold 0-1] [--server url] [--port n]');
+  process.exit(1);
+}
+
+const options = {
+  update: args.includes('--update'),
+  threshold: option('--threshold') !== undefined ? parseFloat(option('--threshold')) : undefined,
+  pixelThreshold: option('--pixel-threshold') !== undefined ? parseFloat(option('--pixel-threshold')) : undefined
+};
+
+const printResult = (result, reportLocation) => {
+  for (const check of result.results) {
+    const icon = { passed: '✅', failed: '❌', new: '🆕', updated: '🔄', error: '⚠️' }[check.status];
+    const detail = check.status === 'error'
+      ? check.error
+      : check.diffRatio !== undefined ? `${(check.diffRatio * 100).toFixed(3)}% differ` : 'baseline created';
+    console.log(`${icon} ${check.name} · ${check.container} · ${check.viewport}: ${detail}`);
+  }
+  console.log(`\n${result.total} checks: ${result.passed} passed, ${result.failed} failed, ${result.new} new, ${result.updated} updated, ${result.errors} errors`);
+  console.log(`📄 Report: ${reportLocation}`);
+};
+
+const regression = new VisualRegression();
+let server = null;
+let exitCode = 1;
+
+try {
+  const suite = await regression.loadManifest(manifestPath);
+  const serverUrl = option('--server');
+
+  if (serverUrl) {
+    const response = await fetch(`${serverUrl.replace(/\/$/, '')}/api/regression/check`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ manifest: suite, ...options })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `Server responded ${response.status}`);
+    }
+    printResult(result, `${serverUrl.replace(/\/$/, '')}${result.reportUrl}`);
+    exitCode = result.success ? 0 : 1;
+  } else {
+    server = new ContentLabServer({ serveApp: true, port: parseInt(option('--port')) || 3013 });
+    await server.start();
+    // The default session's page and the one reserved for the job
+    await server.initBrowser({ poolSize: 2 });
+    const result = await server.runJobOnPage(null, page => regression.run(page, suite, options));
+    printResult(result, result.reportPath);
+    exitCode = result.success ? 0 : 1;
+  }
+} catch (error) {
+  console.error('❌ Regression check failed:', error.message);
+} finally {
+  if (server) {
+    await server.cleanup();
+    server.server.close();
+  }
+}
+
+process.exit(exitCode);
@@ -0,0 +1,53 @@
+/**
+ * Render HTML for Content Lab
+ * Converts a content JSON file to static HTML without a browser (see html-renderer.js)
+ *
+ * Usage:
+ *   npm run render-html -- content.json                              # fragment on stdout
+ *   npm run render-html -- content.json --container previewBox
+ *   npm run render-html -- content.json --inline-css --out email.html  # styles inlined, math as MathML
+ *   npm run render-html -- content.json --document --width 800
+ *   cat content.json | npm run render-html -- -                      # read from stdin
+ */
+
+import fs from 'fs';
+import HtmlRenderer from './html-renderer.js';
+
+const args = process.argv.slice(2);
+
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const valueOptions = ['--container', '--out', '--width', '--title', '--katex-css'];
+const input = args.find((arg, index) => !arg.startsWith('--') && !valueOptions.includes(args[index - 1]));
+
+if (!input) {
+  console.error('Usage: node automation/render-html.js <content.json | -> [--container type] [--inline-css] [--document] [--width px] [--title text] [--katex-css url] [--out file]');
+  process.exit(1);
+}
+
+try {
+  const source = fs.readFileSync(input === '-' ? 0 : input, 'utf8');
+  const width = option('--width');
+
+  const renderer = new HtmlRenderer({ katexCssUrl: option('--katex-css') });
+  const html = renderer.render(source, option('--container') || 'problemSolver', {
+    inlineCss: args.includes('--inline-css'),
+    document: args.includes('--document'),
+    width: width && /^\d+$/.test(width) ? parseInt(width) : width,
+    title: option('--title')
+  });
+
+  const out = option('--out');
+  if (out) {
+    fs.writeFileSync(out, html);
+    console.error(`✅ Wrote ${out}`);
+  } else {
+    process.stdout.write(`${html}\n`);
+  }
+} catch (error) {
+  console.error('❌ Render failed:', error.message);
+  process.exit(1);
+}
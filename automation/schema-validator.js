@@ -0,0 +1,133 @@
+/**
+ * Schema Validator for Content Lab
+ * Checks request bodies against the subset of JSON Schema the API spec uses:
+ * type, enum, properties, required, additionalProperties, items, minItems, minimum, maximum, exclusiveMinimum,
+ * minLength and anyOf
+ */
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'an array',
+  null: 'null'
+};
+
+class SchemaValidator {
+  /**
+   * Validate a value
+   * @param {object} schema - JSON Schema
+   * @param {*} value - Value to check
+   * @param {string} path - Name of the value in messages (default: 'body')
+   * @returns {Array} [{ path, message }], empty when the value is valid
+   */
+  static validate(schema, value, path = 'body') {
+    if (!schema || value === undefined) return [];
+
+    if (schema.anyOf) {
+      return this.validateAnyOf(schema, value, path);
+    }
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => this.isType(value, type))) {
+        return [{ path, message: `${path} must be ${types.map(type => TYPE_NAMES[type] || type).join(' or ')}` }];
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      return [{ path, message: `${path} must be one of: ${schema.enum.join(', ')}` }];
+    }
+
+    const errors = [];
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `${path} must be at least ${schema.minimum}` });
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors.push({ path, message: `${path} must be greater than ${schema.exclusiveMinimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `${path} must be at most ${schema.maximum}` });
+      }
+    }
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? `${path} must not be empty` : `${path} must be at least ${schema.minLength} characters` });
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `${path} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => errors.push(...this.validate(schema.items, item, `${path}[${index}]`)));
+      }
+    }
+    if (this.isType(value, 'object')) {
+      errors.push(...this.validateObject(schema, value, path));
+    }
+    return errors;
+  }
+
+  /**
+   * @private
+   */
+  static validateObject(schema, value, path) {
+    const errors = [];
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push({ path: `${path}.${name}`, message: `${path}.${name} is required` });
+      }
+    });
+    Object.entries(value).forEach(([name, property]) => {
+      if (properties[name]) {
+        errors.push(...this.validate(properties[name], property, `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        const known = Object.keys(properties);
+        errors.push({
+          path: `${path}.${name}`,
+          message: `${path}.${name} is not a known field${known.length ? ` (expected: ${known.join(', ')})` : ''}`
+        });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...this.validate(schema.additionalProperties, property, `${path}.${name}`));
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Valid when any branch is; otherwise report the branch whose type matches, or the accepted types
+   * @private
+   */
+  static validateAnyOf(schema, value, path) {
+    const results = schema.anyOf.map(branch => this.validate(branch, value, path));
+    if (results.some(errors => errors.length === 0)) return [];
+
+    const matching = schema.anyOf
+      .map((branch, index) => ({ branch, errors: results[index] }))
+      .filter(({ branch }) => !branch.type || [].concat(branch.type).some(type => this.isType(value, type)));
+    if (matching.length === 1) return matching[0].errors;
+
+    const types = [...new Set(schema.anyOf.flatMap(branch => [].concat(branch.type || [])))];
+    return [{ path, message: `${path} must be ${types.map(type => TYPE_NAMES[type] || type).join(' or ')}` }];
+  }
+
+  /**
+   * @private
+   */
+  static isType(value, type) {
+    switch (type) {
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'null': return value === null;
+      default: return typeof value === type;
+    }
+  }
+}
+
+export default SchemaValidator;
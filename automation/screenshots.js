@@ -0,0 +1,133 @@
+/**
+ * Screenshots for Content Lab
+ * Puppeteer captures of the viewport, a selector or named target, or each content item,
+ * with device scale factor, format and transparency options (see src/api/screenshot-options.js)
+ */
+
+import ScreenshotOptions from '../src/api/screenshot-options.js';
+
+const ITEM_SELECTOR = ScreenshotOptions.TARGETS.item;
+
+class Screenshots {
+  /**
+   * Capture one screenshot
+   * @param {Page} page - Puppeteer page showing the app
+   * @param {object} options - ScreenshotOptions.normalize options, plus fullPage for viewport captures
+   * @returns {object} { success, screenshot (data URL), format, scale, width, height, selector }
+   */
+  static async capture(page, options = {}) {
+    const settings = ScreenshotOptions.normalize(options, { target: 'viewport' });
+    const viewport = page.viewport();
+    const rescale = settings.scale !== (viewport.deviceScaleFactor || 1);
+    let transparentStyle = null;
+
+    if (rescale) {
+      await page.setViewport({ ...viewport, deviceScaleFactor: settings.scale });
+    }
+
+    try {
+      if (settings.transparent) {
+        // omitBackground only shows through where the page itself paints nothing
+        const targets = ['html', 'body', settings.selector].filter(Boolean).join(', ');
+        transparentStyle = await page.addStyleTag({ content: `${targets} { background: transparent !important; }` });
+      }
+
+      const shotOptions = {
+        type: settings.format,
+        encoding: 'base64',
+        omitBackground: settings.transparent,
+        ...(settings.format !== 'png' && { quality: settings.quality })
+      };
+
+      let data;
+      let width = viewport.width;
+      let height = viewport.height;
+
+      if (settings.selector) {
+        const clip = await this.clipFor(page, settings);
+        data = await page.screenshot({ ...shotOptions, clip });
+        width = clip.width;
+        height = clip.height;
+      } else {
+        data = await page.screenshot({ ...shotOptions, fullPage: options.fullPage || false });
+        if (options.fullPage) {
+          [width, height] = await page.evaluate(() => [
+            document.documentElement.scrollWidth,
+            document.documentElement.scrollHeight
+          ]);
+        }
+      }
+
+      return {
+        success: true,
+        screenshot: `data:${settings.mimeType};base64,${data}`,
+        format: settings.format,
+        scale: settings.scale,
+        width: Math.round(width),
+        height: Math.round(height),
+        selector: settings.selector
+      };
+    } finally {
+      if (transparentStyle) {
+        await transparentStyle.evaluate(element => element.remove());
+      }
+      if (rescale) {
+        await page.setViewport(viewport);
+      }
+    }
+  }
+
+  /**
+   * Capture each rendered content item separately
+   * @returns {object} { success, count, screenshots: [{ item, ...capture }] }
+   */
+  static async captureItems(page, options = {}) {
+    const { selector, target, index, ...rest } = options;
+    ScreenshotOptions.normalize(rest);
+    const items = await page.$$eval(ITEM_SELECTOR, elements =>
+      elements.map(element => Number(element.dataset.contentItem)));
+
+    const screenshots = [];
+    for (let i = 0; i < items.length; i++) {
+      const shot = await this.capture(page, { ...rest, selector: ITEM_SELECTOR, index: i });
+      screenshots.push({ item: items[i], ...shot });
+    }
+
+    return { success: true, count: screenshots.length, screenshots };
+  }
+
+  /**
+   * Page-coordinate clip of the selected element, grown by padding and kept inside the page
+   */
+  static async clipFor(page, settings) {
+    const elements = await page.$$(settings.selector);
+    const element = elements[settings.index];
+    if (!element) {
+      const error = new Error(elements.length
+        ? `Only ${elements.length} element(s) match "${settings.selector}", index ${settings.index} is out of range`
+        : `No element matches "${settings.selector}"`);
+      error.status = 404;
+      throw error;
+    }
+
+    await element.scrollIntoView();
+    const box = await element.boundingBox();
+    if (!box || box.width === 0 || box.height === 0) {
+      const error = new Error(`Element "${settings.selector}" is not visible`);
+      error.status = 422;
+      throw error;
+    }
+
+    const [pageLeft, pageTop] = await page.evaluate(() => [window.visualViewport.pageLeft, window.visualViewport.pageTop]);
+    const x = Math.max(0, box.x + pageLeft - settings.padding);
+    const y = Math.max(0, box.y + pageTop - settings.padding);
+    return {
+      x,
+      y,
+      width: box.x + pageLeft + box.width + settings.padding - x,
+      height: box.y + pageTop + box.height + settings.padding - y
+    };
+  }
+}
+
+export default Screenshots;
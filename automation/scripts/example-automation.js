@@ -3,7 +3,9 @@
  * This demonstrates how to use the ContentLabAPI for batch processing
  */
 
-const puppeteer = require('puppeteer');
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+import puppeteer from 'puppeteer';
 
 class ContentLabAutomation {
   constructor() {
@@ -203,6 +205,7 @@ class ContentLabAutomation {
   async screenshot(name) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const filename = `automation/screenshots/${name}-${timestamp}.png`;
+    fs.mkdirSync('automation/screenshots', { recursive: true });
     
     await this.page.screenshot({
       path: filename,
@@ -278,8 +281,8 @@ async function main() {
 }
 
 // Run if executed directly
-if (require.main === module) {
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
   main();
 }
 
-module.exports = ContentLabAutomation;
+export default ContentLabAutomation;
@@ -0,0 +1,143 @@
+/**
+ * Session Manager for Content Lab
+ * Gives each automation client its own page from the PagePool and expires idle sessions
+ */
+
+import { randomUUID } from 'crypto';
+
+class SessionManager {
+  /**
+   * @param {PagePool} pool - Source of pages
+   * @param {object} options
+   * @param {number} options.timeout - Idle milliseconds before a session expires (default: 15 minutes)
+   * @param {number} options.sweepInterval - Milliseconds between expiry checks (default: 60000)
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.timeout = options.timeout || 15 * 60 * 1000;
+    this.sweepInterval = options.sweepInterval || 60000;
+    this.sessions = new Map();
+    this.sweeper = null;
+  }
+
+  /**
+   * Open a session on a pooled page
+   * @param {object} options
+   * @param {string} options.id - Fixed id (default: random UUID)
+   * @param {boolean} options.persistent - Never expire (used for the default session)
+   * @param {boolean} options.reserved - May take one of the pool's reserved pages (temporary job sessions)
+   */
+  async create(options = {}) {
+    const id = options.id || randomUUID();
+    if (this.sessions.has(id)) {
+      throw new Error(`Session "${id}" already exists`);
+    }
+
+    const page = await this.pool.acquire({ reserved: options.reserved });
+    const session = {
+      id,
+      page,
+      persistent: options.persistent || false,
+      createdAt: Date.now(),
+      lastUsed: Date.now(),
+      pending: 0,
+      queue: Promise.resolve()
+    };
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  /**
+   * Look up a session, refreshing its idle timer
+   */
+  get(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      const error = new Error(`Unknown or expired session "${id}"`);
+      error.status = 404;
+      throw error;
+    }
+    session.lastUsed = Date.now();
+    return session;
+  }
+
+  /**
+   * Run a task against a session's page. Tasks in one session run one at a time,
+   * so concurrent requests cannot overwrite each other's content mid-render.
+   */
+  run(id, task) {
+    const session = this.get(id);
+    session.pending++;
+
+    const result = session.queue.then(() => task(session.page));
+    session.queue = result.catch(() => {}).then(() => {
+      session.pending--;
+      session.lastUsed = Date.now();
+    });
+    return result;
+  }
+
+  /**
+   * Close a session and return its page to the pool once queued work finishes
+   */
+  async destroy(id) {
+    const session = this.get(id);
+    this.sessions.delete(id);
+    await session.queue;
+    await this.pool.release(session.page);
+  }
+
+  /**
+   * Expire sessions that have been idle longer than the timeout
+   * @returns {Array} ids of expired sessions
+   */
+  async sweep() {
+    const now = Date.now();
+    const expired = [...this.sessions.values()]
+      .filter(session => !session.persistent && session.pending === 0 && now - session.lastUsed > this.timeout)
+      .map(session => session.id);
+
+    await Promise.all(expired.map(id => this.destroy(id)));
+    if (expired.length > 0) {
+      console.log(`🧹 Expired ${expired.length} idle session(s)`);
+    }
+    return expired;
+  }
+
+  start() {
+    this.stop();
+    this.sweeper = setInterval(() => {
+      this.sweep().catch(error => console.error('❌ Session sweep failed:', error.message));
+    }, this.sweepInterval);
+    this.sweeper.unref();
+  }
+
+  stop() {
+    if (this.sweeper) {
+      clearInterval(this.sweeper);
+      this.sweeper = null;
+    }
+  }
+
+  /**
+   * Stop expiry checks and close every session
+   */
+  async destroyAll() {
+    this.stop();
+    await Promise.all([...this.sessions.keys()].map(id => this.destroy(id)));
+  }
+
+  list() {
+    const now = Date.now();
+    return [...this.sessions.values()].map(session => ({
+      id: session.id,
+      persistent: session.persistent,
+      pending: session.pending,
+      createdAt: new Date(session.createdAt).toISOString(),
+      idleMs: now - session.lastUsed,
+      expiresInMs: session.persistent ? null : Math.max(0, this.timeout - (now - session.lastUsed))
+    }));
+  }
+}
+
+export default SessionManager;
@@ -0,0 +1,50 @@
+/**
+ * ContentLabServer tests - background jobs on the page pool, with plain objects standing in for Puppeteer pages
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ContentLabServer from '../api-server.js';
+import PagePool from '../page-pool.js';
+import SessionManager from '../session-manager.js';
+
+const fakePages = () => {
+  let count = 0;
+  return async () => ({ id: ++count, closed: false, close() { this.closed = true; } });
+};
+
+// A server whose pool is set up like initBrowser's, without launching a browser
+const serverWithPool = async (size) => {
+  const server = new ContentLabServer({ autoInit: false });
+  server.pool = new PagePool(fakePages(), { size, reserve: 1, acquireTimeout: 20 });
+  server.sessions = new SessionManager(server.pool);
+  await server.sessions.create({ id: 'default', persistent: true });
+  return server;
+};
+
+describe('ContentLabServer.runJobOnPage', () => {
+  it('runs a job on a temporary page next to the default session', async () => {
+    const server = await serverWithPool(2);
+    assert.equal(await server.runJobOnPage(null, async page => page.id), 2);
+    assert.equal(server.sessions.list().length, 1);
+    assert.equal(server.pool.stats().idle, 1);
+  });
+
+  it('runs jobs while sessions hold every other page', async () => {
+    const server = await serverWithPool(3);
+    await server.sessions.create({ id: 'user' });
+    await assert.rejects(server.sessions.create({ id: 'another' }), { status: 503 });
+
+    const results = await Promise.all([1, 2].map(n => server.runJobOnPage(null, async page => {
+      await new Promise(resolve => setTimeout(resolve, 40));
+      return `${n}:${page.id}`;
+    })));
+    assert.deepEqual(results, ['1:3', '2:3']);
+  });
+
+  it('runs a job in the session it was given', async () => {
+    const server = await serverWithPool(3);
+    const { page } = await server.sessions.create({ id: 'user' });
+    assert.equal(await server.runJobOnPage('user', async current => current), page);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * contentlab CLI tests - exit codes and outputs, run as a child process in a temporary directory
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CLI = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'contentlab.js');
+
+const run = (cwd, ...args) => new Promise(resolve => {
+  execFile(process.execPath, [CLI, ...args], { cwd }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+});
+
+describe('contentlab', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'contentlab-cli-'));
+    await fs.writeFile(path.join(dir, 'lesson.json'), JSON.stringify([
+      { type: 'text', content: 'Solve the equation' },
+      { type: 'formula', content: 'x^2 = 4' }
+    ]));
+    await fs.writeFile(path.join(dir, 'formulas.txt'), 'x^2+1\n\n\\frac{1}{2}\n');
+    await fs.writeFile(path.join(dir, 'formulas.json'), '{"not": "an array"}');
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('renders content JSON to HTML and exits 0', async () => {
+    const { code, stdout } = await run(dir, 'render', 'lesson.json', '--out', 'out');
+    assert.equal(code, 0);
+    assert.match(stdout, /1\/1 succeeded/);
+    const html = await fs.readFile(path.join(dir, 'out', 'lesson.html'), 'utf8');
+    assert.match(html, /Solve the equation/);
+    assert.match(html, /class="katex/);
+  });
+
+  it('exits 1 when an input fails', async () => {
+    const { code, stdout } = await run(dir, 'render', 'lesson.json', '--container', 'sidebar', '--out', 'out');
+    assert.equal(code, 1);
+    assert.match(stdout, /Unknown container type "sidebar"/);
+    assert.match(stdout, /0\/1 succeeded/);
+  });
+
+  it('beautifies one formula per line and exits 0', async () => {
+    const { code } = await run(dir, 'beautify', 'formulas.txt', '--out', 'out');
+    assert.equal(code, 0);
+    const results = JSON.parse(await fs.readFile(path.join(dir, 'out', 'formulas.beautified.json'), 'utf8'));
+    assert.deepEqual(results.map(result => result.original), ['x^2+1', '\\frac{1}{2}']);
+    results.forEach(result => assert.equal(typeof result.beautified, 'string'));
+  });
+
+  it('exits 1 for a beautify input that is not an array of formulas', async () => {
+    const { code, stdout } = await run(dir, 'beautify', 'formulas.json', '--out', 'out');
+    assert.equal(code, 1);
+    assert.match(stdout, /Expected a JSON array of formula strings/);
+  });
+
+  it('exits 2 for a glob that matches nothing', async () => {
+    const { code, stderr } = await run(dir, 'render', 'missing/*.json');
+    assert.equal(code, 2);
+    assert.match(stderr, /No files match missing\/\*\.json/);
+  });
+
+  it('exits 2 for an unknown command or missing inputs', async () => {
+    const unknown = await run(dir, 'frobnicate', 'lesson.json');
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stderr, /Unknown command "frobnicate"/);
+    assert.equal((await run(dir, 'render')).code, 2);
+    assert.equal((await run(dir, 'render', 'lesson.json', '--out')).code, 2);
+  });
+
+  describe('regression', () => {
+    // Stands in for a running API server: answers the session and regression requests the CLI sends
+    let server;
+    let url;
+    let checks;
+    let success;
+
+    before(async () => {
+      await fs.writeFile(path.join(dir, 'manifest.json'), JSON.stringify({ name: 'cli', files: ['lesson.json'] }));
+
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          let result = { success: true };
+          if (req.url === '/api/sessions') {
+            result = { success: true, sessionId: 'cli-test' };
+          } else if (req.url === '/api/regression/check') {
+            checks.push(JSON.parse(body));
+            result = {
+              success,
+              results: [{ name: 'lesson', container: 'problemSolver', viewport: 'desktop', status: success ? 'passed' : 'failed', diffRatio: success ? 0 : 0.2 }],
+              total: 1, passed: success ? 1 : 0, failed: success ? 0 : 1, new: 0, updated: 0, errors: 0,
+              reportUrl: '/regression-reports/1/index.html'
+            };
+          }
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('reads a manifest outside the project directory and exits 0 when every check passes', async () => {
+      checks = [];
+      success = true;
+      const { code, stdout } = await run(dir, 'regression', 'manifest.json', '--server', url);
+      assert.equal(code, 0, stdout);
+      assert.equal(checks.length, 1);
+      assert.equal(checks[0].manifest.name, 'cli');
+      assert.deepEqual(checks[0].manifest.entries.map(entry => entry.name), ['lesson']);
+      assert.equal(checks[0].manifest.entries[0].content[0].content, 'Solve the equation');
+    });
+
+    it('exits 1 when a check fails', async () => {
+      checks = [];
+      success = false;
+      const { code, stdout } = await run(dir, 'regression', 'manifest.json', '--server', url);
+      assert.equal(code, 1);
+      assert.match(stdout, /1 checks: 0 passed, 1 failed/);
+    });
+  });
+});
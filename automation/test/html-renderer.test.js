@@ -0,0 +1,103 @@
+/**
+ * HtmlRenderer tests - fragment and document output, inlined styles, and the render-html CLI
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import HtmlRenderer from '../html-renderer.js';
+
+const CLI = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'render-html.js');
+
+const CONTENT = [
+  { type: 'text', content: 'Solve $x^2 = 4$' },
+  { type: 'formula', content: 'x = \\pm 2' }
+];
+
+const renderer = new HtmlRenderer({ stylesheet: '.rendered-content { color: red; }', katexCssUrl: 'katex.css' });
+
+describe('HtmlRenderer.render', () => {
+  it('returns a fragment with the stylesheets ahead of the container markup', () => {
+    const html = renderer.render(CONTENT);
+    assert.ok(html.startsWith('<link rel="stylesheet" href="katex.css" />\n<style>\n.rendered-content { color: red; }\n</style>\n'));
+    assert.doesNotMatch(html, /<html|<body/);
+    assert.match(html, /<div class="container-emulator" style="[^"]*" data-container="problemSolver">/);
+    assert.match(html, /<span>Solve <\/span>/);
+    assert.match(html, /class="content-formula format-formula/);
+    assert.match(html, /<span class="katex-html"/);
+  });
+
+  it('wraps the same markup in a full document when asked', () => {
+    const fragment = renderer.render(CONTENT);
+    const html = renderer.render(JSON.stringify(CONTENT), 'problemSolver', { document: true, title: 'Roots <2>' });
+    assert.ok(html.startsWith('<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8" />\n<title>Roots &lt;2&gt;</title>\n'));
+    assert.ok(html.endsWith('</body>\n</html>'));
+    assert.match(html, /<head>[\s\S]*<link rel="stylesheet" href="katex.css" \/>[\s\S]*<\/head>/);
+    assert.equal(html.match(/<body>([\s\S]*)<\/body>/)[1], fragment.slice(fragment.indexOf('<div')));
+  });
+
+  it('inlines styles and renders math as MathML only with inlineCss', () => {
+    const html = renderer.render(CONTENT, 'problemSolver', { inlineCss: true });
+    assert.ok(html.startsWith('<div class="container-emulator"'));
+    assert.doesNotMatch(html, /<style>|<link|katex-html|--katex/);
+    assert.match(html, /<div class="rendered-content" style="color: red">/);
+    assert.match(html, /<math xmlns="http:\/\/www.w3.org\/1998\/Math\/MathML">/);
+
+    const document = renderer.render(CONTENT, 'problemSolver', { inlineCss: true, document: true });
+    assert.match(document, /<\/title>\n<\/head>/);
+  });
+
+  it('applies the width and rejects unknown containers', () => {
+    assert.match(renderer.render(CONTENT, 'problemSolver', { width: 800 }), /class="container-emulator" style="width: 800px;/);
+    assert.match(renderer.render(CONTENT, 'problemSolver', { width: '60%' }), /class="container-emulator" style="width: 60%;/);
+    assert.throws(() => renderer.render(CONTENT, 'sidebar'), { status: 400, message: /Unknown container type "sidebar"/ });
+  });
+});
+
+describe('render-html CLI', () => {
+  let dir;
+
+  const run = (...args) => new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { cwd: dir }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'render-html-'));
+    await fs.writeFile(path.join(dir, 'content.json'), JSON.stringify(CONTENT));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('writes a fragment to stdout', async () => {
+    const { code, stdout } = await run('content.json', '--container', 'previewBox');
+    assert.equal(code, 0);
+    assert.match(stdout, /^<link rel="stylesheet"/);
+    assert.match(stdout, /data-container="previewBox"/);
+    assert.doesNotMatch(stdout, /<!DOCTYPE html>/);
+  });
+
+  it('writes a document to --out', async () => {
+    const { code, stderr } = await run('content.json', '--document', '--width', '640', '--title', 'Roots', '--out', 'roots.html');
+    assert.equal(code, 0);
+    assert.match(stderr, /Wrote roots\.html/);
+    const html = await fs.readFile(path.join(dir, 'roots.html'), 'utf8');
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>Roots<\/title>/);
+    assert.match(html, /style="width: 640px;/);
+  });
+
+  it('exits 1 without an input or for an unknown container', async () => {
+    assert.equal((await run()).code, 1);
+    const { code, stderr } = await run('content.json', '--container', 'sidebar');
+    assert.equal(code, 1);
+    assert.match(stderr, /Render failed: Unknown container type "sidebar"/);
+  });
+});
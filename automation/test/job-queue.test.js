@@ -0,0 +1,99 @@
+/**
+ * JobQueue tests - job lifecycle, concurrency and event replay for SSE clients
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JobQueue from '../job-queue.js';
+
+// Resolves once the job has finished
+const settled = (queue, job) => new Promise(resolve => {
+  queue.subscribe(job.id, event => {
+    if (event.type === 'completed' || event.type === 'failed') resolve(job);
+  });
+});
+
+describe('JobQueue', () => {
+  it('runs a job to completion and records its progress', async () => {
+    const queue = new JobQueue();
+    const job = queue.submit('batch', async (job) => {
+      job.progress(1, 2, 'a');
+      job.progress(2, 2, 'b');
+      return { count: 2 };
+    });
+    await settled(queue, job);
+
+    const status = queue.describe(job);
+    assert.equal(status.status, 'completed');
+    assert.equal(status.completed, 2);
+    assert.equal(status.total, 2);
+    assert.deepEqual(status.results, ['a', 'b']);
+    assert.deepEqual(status.result, { count: 2 });
+    assert.ok(status.finishedAt);
+  });
+
+  it('records a failed job with its error', async () => {
+    const queue = new JobQueue();
+    const job = queue.submit('batch', async () => { throw new Error('render failed'); });
+    await settled(queue, job);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'render failed');
+  });
+
+  it('runs no more jobs at once than its concurrency', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    let release;
+    const first = queue.submit('batch', () => new Promise(resolve => { release = resolve; }));
+    const second = queue.submit('batch', async () => 'done');
+    assert.equal(first.status, 'running');
+    assert.equal(second.status, 'queued');
+
+    release();
+    await settled(queue, second);
+    assert.equal(first.status, 'completed');
+    assert.equal(second.result, 'done');
+  });
+
+  it('replays events after lastEventId, then streams live ones', async () => {
+    const queue = new JobQueue();
+    let release;
+    const job = queue.submit('batch', async (job) => {
+      job.progress(1, 2, 'a');
+      await new Promise(resolve => { release = resolve; });
+      job.progress(2, 2, 'b');
+      return 'ok';
+    });
+
+    const events = [];
+    const done = new Promise(resolve => {
+      queue.subscribe(job.id, event => {
+        events.push(event);
+        if (event.type === 'completed') resolve();
+      }, 1);
+    });
+    release();
+    await done;
+
+    assert.deepEqual(events.map(event => [event.id, event.type]), [[2, 'item'], [3, 'item'], [4, 'completed']]);
+  });
+
+  it('replays the full history to subscribers of a finished job', async () => {
+    const queue = new JobQueue();
+    const job = queue.submit('batch', async () => 'ok');
+    await settled(queue, job);
+
+    const events = [];
+    const unsubscribe = queue.subscribe(job.id, event => events.push(event.type));
+    unsubscribe();
+    assert.deepEqual(events, ['status', 'status', 'completed']);
+  });
+
+  it('forgets finished jobs after the retention period', async () => {
+    const queue = new JobQueue({ retention: 1000 });
+    const job = queue.submit('batch', async () => 'ok');
+    await settled(queue, job);
+    job.finishedAt -= 5000;
+    queue.prune();
+    assert.throws(() => queue.get(job.id), { status: 404 });
+  });
+});
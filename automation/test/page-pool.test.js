@@ -0,0 +1,167 @@
+/**
+ * PagePool and SessionManager tests, with plain objects standing in for Puppeteer pages
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import PagePool from '../page-pool.js';
+import SessionManager from '../session-manager.js';
+
+const fakePages = () => {
+  let count = 0;
+  return async () => ({ id: ++count, closed: false, close() { this.closed = true; } });
+};
+
+describe('PagePool', () => {
+  it('creates pages up to its size and reuses released ones', async () => {
+    const pool = new PagePool(fakePages(), { size: 2 });
+    const a = await pool.acquire();
+    const b = await pool.acquire();
+    assert.notEqual(a, b);
+    assert.deepEqual(pool.stats(), { size: 2, open: 2, idle: 0, inUse: 2, waiting: 0 });
+
+    await pool.release(a);
+    assert.equal(await pool.acquire(), a);
+    assert.equal(pool.stats().open, 2);
+  });
+
+  it('hands a released page to the next waiter', async () => {
+    const pool = new PagePool(fakePages(), { size: 1 });
+    const page = await pool.acquire();
+    const waiting = pool.acquire();
+    assert.equal(pool.stats().waiting, 1);
+    await pool.release(page);
+    assert.equal(await waiting, page);
+  });
+
+  it('gives up on a full pool after the acquire timeout', async () => {
+    const pool = new PagePool(fakePages(), { size: 1, acquireTimeout: 20 });
+    await pool.acquire();
+    await assert.rejects(pool.acquire(), { status: 503, message: /No browser page available within 20ms/ });
+    assert.equal(pool.stats().waiting, 0);
+  });
+
+  it('replaces a page that fails to reset', async () => {
+    const pool = new PagePool(fakePages(), {
+      size: 1,
+      resetPage: async () => { throw new Error('navigation failed'); }
+    });
+    const page = await pool.acquire();
+    const original = console.error;
+    console.error = () => {};
+    try {
+      await pool.release(page);
+    } finally {
+      console.error = original;
+    }
+    assert.equal(page.closed, true);
+    const replacement = await pool.acquire();
+    assert.notEqual(replacement, page);
+  });
+
+  it('keeps reserved pages for reserved callers', async () => {
+    const pool = new PagePool(fakePages(), { size: 2, reserve: 1, acquireTimeout: 20 });
+    await pool.acquire();
+    await assert.rejects(pool.acquire(), { status: 503 });
+    const reserved = await pool.acquire({ reserved: true });
+    assert.equal(reserved.id, 2);
+    assert.equal(pool.stats().open, 2);
+  });
+
+  it('lets reserved callers wait for a page without timing out', async () => {
+    const pool = new PagePool(fakePages(), { size: 2, reserve: 1, acquireTimeout: 20 });
+    const first = await pool.acquire({ reserved: true });
+    await pool.acquire({ reserved: true });
+    let second = null;
+    pool.acquire({ reserved: true }).then(page => { second = page; });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(second, null);
+    await pool.release(first);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(second, first);
+  });
+
+  it('hands a released reserved page to a reserved waiter, not to a session over its share', async () => {
+    const pool = new PagePool(fakePages(), { size: 2, reserve: 1 });
+    const session = await pool.acquire();
+    const job = await pool.acquire({ reserved: true });
+    let waitingSession = null;
+    pool.acquire().then(page => { waitingSession = page; });
+
+    await pool.release(job);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(waitingSession, null);
+    assert.equal(pool.stats().idle, 1);
+
+    await pool.release(session);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.ok(waitingSession);
+    assert.equal(pool.stats().waiting, 0);
+  });
+
+  it('rejects waiters and closes idle pages when drained', async () => {
+    const pool = new PagePool(fakePages(), { size: 1 });
+    const page = await pool.acquire();
+    const waiting = pool.acquire();
+    await pool.drain();
+    await assert.rejects(waiting, /shutting down/);
+    await pool.release(page);
+    assert.equal(page.closed, true);
+    await assert.rejects(pool.acquire(), /shutting down/);
+  });
+});
+
+describe('SessionManager', () => {
+  it('runs tasks in one session one at a time', async () => {
+    const sessions = new SessionManager(new PagePool(fakePages(), { size: 2 }));
+    const session = await sessions.create({ id: 'a' });
+    const order = [];
+    const slow = sessions.run('a', async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      order.push('slow');
+    });
+    const fast = sessions.run('a', async page => {
+      order.push('fast');
+      return page;
+    });
+    await slow;
+    assert.equal(await fast, session.page);
+    assert.deepEqual(order, ['slow', 'fast']);
+  });
+
+  it('keeps running after a failed task', async () => {
+    const sessions = new SessionManager(new PagePool(fakePages(), { size: 1 }));
+    await sessions.create({ id: 'a' });
+    await assert.rejects(sessions.run('a', async () => { throw new Error('render failed'); }), /render failed/);
+    assert.equal(await sessions.run('a', async () => 'ok'), 'ok');
+  });
+
+  it('expires idle sessions but not persistent or busy ones', async () => {
+    const pool = new PagePool(fakePages(), { size: 3 });
+    const sessions = new SessionManager(pool, { timeout: 1000 });
+    await sessions.create({ id: 'default', persistent: true });
+    await sessions.create({ id: 'idle' });
+    await sessions.create({ id: 'busy' });
+    let finish;
+    const busy = sessions.run('busy', () => new Promise(resolve => { finish = resolve; }));
+    sessions.sessions.forEach(session => { session.lastUsed -= 5000; });
+
+    const original = console.log;
+    console.log = () => {};
+    try {
+      assert.deepEqual(await sessions.sweep(), ['idle']);
+    } finally {
+      console.log = original;
+    }
+    assert.throws(() => sessions.get('idle'), { status: 404 });
+    assert.equal(pool.stats().idle, 1);
+    finish();
+    await busy;
+  });
+
+  it('rejects duplicate session ids', async () => {
+    const sessions = new SessionManager(new PagePool(fakePages(), { size: 2 }));
+    await sessions.create({ id: 'a' });
+    await assert.rejects(sessions.create({ id: 'a' }), /already exists/);
+  });
+});
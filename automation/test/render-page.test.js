@@ -0,0 +1,63 @@
+/**
+ * Render-only page tests - every module the page imports is served from src/ or node_modules without a bundler
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import ContentLabServer from '../api-server.js';
+
+// Static "from '...'" / side-effect "import '...'" specifiers and string-literal dynamic import('...') calls
+const importSpecifiers = (source) => [
+  ...source.matchAll(/(?:^|[\s;}])(?:import|export)\s[^'"]*?from\s*['"]([^'"]+)['"]/g),
+  ...source.matchAll(/(?:^|[\s;])import\s*['"]([^'"]+)['"]/g),
+  ...source.matchAll(/\bimport\(\s*['"]([^'"]+)['"]\s*\)/g)
+].map(match => match[1]);
+
+describe('render-page.html', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    const app = new ContentLabServer({ serveApp: true, renderOnly: true, autoInit: false });
+    server = http.createServer(app.app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('serves the page and its stylesheet', async () => {
+    const page = await fetch(`${base}/`);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /<script type="module">/);
+    assert.equal((await fetch(`${base}/vendor/katex/katex.min.css`)).status, 200);
+  });
+
+  it('resolves the whole import graph to served ES modules', async () => {
+    const html = await (await fetch(`${base}/`)).text();
+    const pending = [...html.matchAll(/<script type="module">([\s\S]*?)<\/script>/g)]
+      .flatMap(([, script]) => importSpecifiers(script).map(specifier => ({ specifier, from: `${base}/` })));
+    const seen = new Set();
+
+    while (pending.length > 0) {
+      const { specifier, from } = pending.shift();
+      assert.match(specifier, /^(\/|\.\.?\/)/, `bare specifier "${specifier}" in ${from} needs a bundler`);
+      const url = new URL(specifier, from).href;
+      if (seen.has(url)) continue;
+      seen.add(url);
+
+      const response = await fetch(url);
+      assert.equal(response.status, 200, `${url} (imported by ${from})`);
+      assert.match(response.headers.get('content-type'), /javascript/, url);
+      const source = await response.text();
+      importSpecifiers(source).forEach(next => pending.push({ specifier: next, from: url }));
+    }
+
+    const modules = [...seen].map(url => new URL(url).pathname);
+    assert.ok(modules.includes('/src/api/ContentLabAPI.js'));
+    assert.ok(modules.includes('/vendor/katex/katex.mjs'));
+    assert.ok(modules.includes('/vendor/html2canvas/html2canvas.esm.js'));
+    modules.forEach(pathname => assert.doesNotMatch(pathname, /\.jsx$/, `${pathname} needs a JSX transform`));
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * SchemaValidator and ApiSpec tests - request body validation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import SchemaValidator from '../schema-validator.js';
+import ApiSpec from '../api-spec.js';
+
+const messages = (schema, value) => SchemaValidator.validate(schema, value).map(error => error.message);
+
+describe('SchemaValidator', () => {
+  it('checks types, naming the expected one', () => {
+    assert.deepEqual(messages({ type: 'string' }, 'a'), []);
+    assert.deepEqual(messages({ type: 'integer' }, 1.5), ['body must be an integer']);
+    assert.deepEqual(messages({ type: 'number' }, NaN), ['body must be a number']);
+    assert.deepEqual(messages({ type: 'object' }, []), ['body must be an object']);
+    assert.deepEqual(messages({ type: ['string', 'null'] }, 3), ['body must be a string or null']);
+  });
+
+  it('checks enums, ranges, lengths and item counts', () => {
+    assert.deepEqual(messages({ enum: ['png', 'jpeg'] }, 'gif'), ['body must be one of: png, jpeg']);
+    assert.deepEqual(messages({ type: 'number', minimum: 1, maximum: 5 }, 0), ['body must be at least 1']);
+    assert.deepEqual(messages({ type: 'number', maximum: 5 }, 6), ['body must be at most 5']);
+    assert.deepEqual(messages({ type: 'number', exclusiveMinimum: 0 }, 0), ['body must be greater than 0']);
+    assert.deepEqual(messages({ type: 'string', minLength: 1 }, ''), ['body must not be empty']);
+    assert.deepEqual(messages({ type: 'string', minLength: 3 }, 'ab'), ['body must be at least 3 characters']);
+    assert.deepEqual(messages({ type: 'array', minItems: 1 }, []), ['body must have at least 1 item']);
+  });
+
+  it('reports every problem in nested objects and arrays with its path', () => {
+    const schema = {
+      type: 'object',
+      required: ['items'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string' },
+        items: { type: 'array', items: { type: 'object', required: ['content'], properties: { content: { type: 'string' } } } }
+      }
+    };
+    assert.deepEqual(SchemaValidator.validate(schema, { name: 1, items: [{ content: 'a' }, {}], extra: true }), [
+      { path: 'body.name', message: 'body.name must be a string' },
+      { path: 'body.items[1].content', message: 'body.items[1].content is required' },
+      { path: 'body.extra', message: 'body.extra is not a known field (expected: name, items)' }
+    ]);
+    assert.deepEqual(messages(schema, {}), ['body.items is required']);
+  });
+
+  it('validates extra properties against an additionalProperties schema', () => {
+    assert.deepEqual(messages({ type: 'object', additionalProperties: { type: 'number' } }, { a: 1, b: 'x' }), ['body.b must be a number']);
+  });
+
+  it('accepts any matching anyOf branch, and reports the branch of the same type otherwise', () => {
+    const schema = { anyOf: [{ type: 'string', minLength: 1 }, { type: 'object', required: ['file'] }] };
+    assert.deepEqual(messages(schema, 'manifest.json'), []);
+    assert.deepEqual(messages(schema, ''), ['body must not be empty']);
+    assert.deepEqual(messages(schema, {}), ['body.file is required']);
+    assert.deepEqual(messages(schema, 3), ['body must be a string or an object']);
+  });
+
+  it('treats a missing value as valid', () => {
+    assert.deepEqual(messages({ type: 'string' }, undefined), []);
+  });
+});
+
+describe('ApiSpec.validate', () => {
+  const spec = new ApiSpec();
+
+  it('validates the body of the matched route and rejects unknown fields', () => {
+    assert.deepEqual(spec.validate('POST', '/api/generate-number-line', { commands: 'point(0)' }), []);
+    assert.deepEqual(spec.validate('POST', '/api/generate-number-line', {}).map(error => error.path), ['body.commands']);
+    assert.deepEqual(spec.validate('POST', '/api/generate-number-line', { commands: 'point(0)', comands: 'x' }).map(error => error.path),
+      ['body.comands']);
+  });
+
+  it('requires a pool of at least two pages', () => {
+    assert.deepEqual(spec.validate('POST', '/api/init', { poolSize: 2 }), []);
+    assert.deepEqual(spec.validate('POST', '/api/init', { poolSize: 1 }).map(error => error.path), ['body.poolSize']);
+  });
+
+  it('ignores routes without a body schema and unknown routes', () => {
+    assert.deepEqual(spec.validate('GET', '/health', { anything: true }), []);
+    assert.deepEqual(spec.validate('POST', '/api/unknown', { anything: true }), []);
+  });
+
+  it('describes every route in the OpenAPI document', () => {
+    const document = spec.openapi({ version: '2.0.0' });
+    assert.equal(document.openapi, '3.1.0');
+    assert.equal(document.info.version, '2.0.0');
+    assert.ok(document.paths['/api/generate-number-line'].post.requestBody.required);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * VisualRegression tests - manifest loading and pixel comparison
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Jimp } from 'jimp';
+import VisualRegression from '../visual-regression.js';
+
+// Solid-colour PNG, with optional [x, y, color] pixels painted over it
+const png = async (width, height, color = 0xffffffff, pixels = []) => {
+  const image = new Jimp({ width, height, color });
+  pixels.forEach(([x, y, pixel]) => image.setPixelColor(pixel, x, y));
+  return image.getBuffer('image/png');
+};
+
+describe('VisualRegression.compare', () => {
+  const regression = new VisualRegression({ rootDir: os.tmpdir() });
+
+  it('finds no difference between identical images', async () => {
+    const image = await png(10, 10);
+    const result = await regression.compare(image, image);
+    assert.equal(result.diffPixels, 0);
+    assert.equal(result.diffRatio, 0);
+    assert.equal(result.sizeMismatch, false);
+  });
+
+  it('counts changed pixels and marks them red in the diff image', async () => {
+    const result = await regression.compare(await png(10, 10), await png(10, 10, 0xffffffff, [[2, 3, 0x000000ff]]));
+    assert.equal(result.diffPixels, 1);
+    assert.equal(result.totalPixels, 100);
+    assert.equal(result.diffRatio, 0.01);
+
+    const diff = await Jimp.read(result.diffPng);
+    assert.equal(diff.getPixelColor(2, 3), 0xff0000ff);
+    assert.notEqual(diff.getPixelColor(0, 0), 0xff0000ff);
+  });
+
+  it('ignores channel differences within the pixel threshold', async () => {
+    const baseline = await png(4, 4, 0x808080ff);
+    const current = await png(4, 4, 0x848484ff);
+    assert.equal((await regression.compare(baseline, current, 0.1)).diffPixels, 0);
+    assert.equal((await regression.compare(baseline, current, 0)).diffPixels, 16);
+  });
+
+  it('counts pixels outside the smaller image as different', async () => {
+    const result = await regression.compare(await png(10, 10), await png(10, 12));
+    assert.equal(result.sizeMismatch, true);
+    assert.equal(result.totalPixels, 120);
+    assert.equal(result.diffPixels, 20);
+    assert.deepEqual(result.baselineSize, { width: 10, height: 10 });
+    assert.deepEqual(result.currentSize, { width: 10, height: 12 });
+  });
+});
+
+describe('VisualRegression.loadManifest', () => {
+  let rootDir;
+  let regression;
+
+  before(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'contentlab-regression-'));
+    await fs.mkdir(path.join(rootDir, 'content', 'unit'), { recursive: true });
+    await fs.writeFile(path.join(rootDir, 'content', 'lesson.json'), '[{"type":"text","content":"a"}]');
+    await fs.writeFile(path.join(rootDir, 'content', 'unit', 'b.json'), '[]');
+    await fs.writeFile(path.join(rootDir, 'content', 'unit', 'a.json'), '[]');
+    await fs.writeFile(path.join(rootDir, 'content', 'unit', 'notes.txt'), 'skipped');
+    await fs.writeFile(path.join(rootDir, 'content', 'manifest.json'), JSON.stringify({
+      name: 'lessons',
+      viewports: ['phone'],
+      files: ['lesson.json', { file: 'unit/', containers: ['previewBox'] }]
+    }));
+    regression = new VisualRegression({ rootDir, restrictToRoot: true });
+  });
+
+  after(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('reads files and directories relative to the manifest', async () => {
+    const suite = await regression.loadManifest('content/manifest.json', rootDir);
+    assert.equal(suite.name, 'lessons');
+    assert.deepEqual(suite.entries.map(entry => entry.name), ['lesson', 'unit/a', 'unit/b']);
+    assert.deepEqual(suite.entries[0].content, [{ type: 'text', content: 'a' }]);
+    assert.deepEqual(suite.entries[0].containers, ['problemSolver']);
+    assert.deepEqual(suite.entries[1].containers, ['previewBox']);
+    assert.deepEqual(suite.entries[2].viewports, ['phone']);
+  });
+
+  it('accepts inline content', async () => {
+    const suite = await regression.loadManifest({ files: [{ name: 'inline', content: [] }] }, rootDir);
+    assert.deepEqual(suite.entries, [{ name: 'inline', content: [], containers: ['problemSolver'], viewports: ['desktop'] }]);
+  });
+
+  it('rejects manifest and content paths outside the root directory', async () => {
+    const outside = { status: 400, message: /outside the project directory/ };
+    await assert.rejects(regression.loadManifest('../manifest.json', rootDir), outside);
+    await assert.rejects(regression.loadManifest('/etc/passwd', rootDir), outside);
+    await assert.rejects(regression.loadManifest({ files: ['../../etc/hosts'] }, rootDir), outside);
+    await assert.rejects(regression.loadManifest({ files: ['/etc/hosts'] }, rootDir), outside);
+  });
+
+  it('reads manifests from anywhere without restrictToRoot, as the CLIs do', async () => {
+    const cli = new VisualRegression();
+    const manifest = path.join(rootDir, 'content', 'manifest.json');
+    for (const file of [manifest, path.relative(process.cwd(), manifest)]) {
+      const suite = await cli.loadManifest(file);
+      assert.deepEqual(suite.entries.map(entry => entry.name), ['lesson', 'unit/a', 'unit/b']);
+    }
+  });
+
+  it('rejects unknown containers, viewports and missing files', async () => {
+    await assert.rejects(regression.loadManifest({ files: ['content/lesson.json'], containers: ['sidebar'] }, rootDir),
+      { status: 400, message: /Unknown container "sidebar"/ });
+    await assert.rejects(regression.loadManifest({ files: ['content/lesson.json'], viewports: ['watch'] }, rootDir),
+      { status: 400, message: /Unknown viewport "watch"/ });
+    await assert.rejects(regression.loadManifest({ files: ['content/missing.json'] }, rootDir),
+      { status: 400, message: /Manifest file not found/ });
+    await assert.rejects(regression.loadManifest({ files: [] }, rootDir), { status: 400 });
+  });
+});
@@ -0,0 +1,417 @@
+/**
+ * Visual Regression for Content Lab
+ * Renders a manifest of content files in each container and viewport, compares the screenshots
+ * pixel by pixel with stored baselines, and writes an HTML report with baseline, current and diff images
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Jimp } from 'jimp';
+import BaselineStore from './baseline-store.js';
+import Screenshots from './screenshots.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const VIEWPORTS = ['desktop', 'laptop', 'tablet', 'phone'];
+export const CONTAINERS = ['problemSolver', 'lessonDescription', 'previewBox', 'reviewBox', 'toolsContainer'];
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+class VisualRegression {
+  /**
+   * @param {object} options
+   * @param {BaselineStore} options.store - Baseline store (default: automation/baselines)
+   * @param {string} options.reportDir - Where reports are written (default: automation/outputs/regression)
+   * @param {number} options.threshold - Fraction of pixels allowed to differ before a check fails (default: 0.001)
+   * @param {number} options.pixelThreshold - Per-channel difference (0-1) below which two pixels count as equal (default: 0.1)
+   * @param {boolean} options.restrictToRoot - Reject manifests and content files outside rootDir (default: false).
+   *   The API server sets it; the CLIs read whatever path they are given
+   * @param {string} options.rootDir - Directory restrictToRoot keeps paths inside (default: the project root)
+   */
+  constructor(options = {}) {
+    this.store = options.store || new BaselineStore();
+    this.reportDir = path.resolve(options.reportDir || process.env.REGRESSION_REPORT_DIR ||
+      path.join(ROOT_DIR, 'automation', 'outputs', 'regression'));
+    this.threshold = options.threshold ?? 0.001;
+    this.pixelThreshold = options.pixelThreshold ?? 0.1;
+    this.restrictToRoot = Boolean(options.restrictToRoot);
+    this.rootDir = path.resolve(options.rootDir || ROOT_DIR);
+  }
+
+  /**
+   * Read a manifest and its content files
+   *
+   * {
+   *   "name": "lessons",
+   *   "containers": ["problemSolver"], "viewports": ["desktop", "phone"],
+   *   "threshold": 0.001, "pixelThreshold": 0.1,
+   *   "files": [
+   *     "content/lesson-1.json",                                   // a file
+   *     "content/quadratics/",                                     // every .json file in a directory
+   *     { "file": "content/lesson-2.json", "containers": ["previewBox"] },
+   *     { "name": "inline", "content": [{ "type": "formula", "content": "x^2" }] }
+   *   ]
+   * }
+   *
+   * @param {object|string} manifest - Manifest object, or path to a manifest JSON file
+   * @param {string} baseDir - Directory relative file paths resolve against (default: the manifest's directory, or cwd)
+   * @returns {Promise<object>} { name, threshold, pixelThreshold, entries: [{ name, content, containers, viewports }] }
+   */
+  async loadManifest(manifest, baseDir = process.cwd()) {
+    if (typeof manifest === 'string') {
+      const file = this.resolvePath(baseDir, manifest);
+      const source = await fs.readFile(file, 'utf8');
+      return this.loadManifest(JSON.parse(source), path.dirname(file));
+    }
+    if (!manifest || typeof manifest !== 'object') {
+      throw badRequest('manifest must be an object or a path to a manifest file');
+    }
+    // Already loaded (e.g. by the CLI before posting it to a server)
+    if (Array.isArray(manifest.entries)) {
+      manifest.entries.forEach(entry => this.validateEntry(entry));
+      return manifest;
+    }
+    if (!Array.isArray(manifest.files) || manifest.files.length === 0) {
+      throw badRequest('manifest.files must list at least one content file or entry');
+    }
+
+    const defaults = {
+      containers: manifest.containers || ['problemSolver'],
+      viewports: manifest.viewports || ['desktop']
+    };
+
+    const entries = [];
+    for (const item of manifest.files) {
+      const spec = typeof item === 'string' ? { file: item } : item;
+      const settings = {
+        containers: spec.containers || defaults.containers,
+        viewports: spec.viewports || defaults.viewports,
+        ...(spec.threshold !== undefined && { threshold: spec.threshold })
+      };
+
+      if (spec.content !== undefined) {
+        entries.push({ name: spec.name || `entry-${entries.length + 1}`, content: spec.content, ...settings });
+        continue;
+      }
+      if (!spec.file) {
+        throw badRequest('Each manifest entry needs a file path or inline content');
+      }
+
+      const target = this.resolvePath(baseDir, spec.file);
+      const stat = await fs.stat(target).catch(() => null);
+      if (!stat) {
+        throw badRequest(`Manifest file not found: ${spec.file}`);
+      }
+      const files = stat.isDirectory()
+        ? (await fs.readdir(target)).filter(name => name.endsWith('.json')).sort().map(name => path.join(target, name))
+        : [target];
+
+      for (const file of files) {
+        const content = JSON.parse(await fs.readFile(file, 'utf8'));
+        const name = spec.name && files.length === 1
+          ? spec.name
+          : path.relative(baseDir, file).split(path.sep).join('/').replace(/\.json$/i, '');
+        entries.push({ name, content, ...settings });
+      }
+    }
+
+    entries.forEach(entry => this.validateEntry(entry));
+    return {
+      name: manifest.name || 'default',
+      threshold: manifest.threshold,
+      pixelThreshold: manifest.pixelThreshold,
+      entries
+    };
+  }
+
+  /**
+   * Resolve a manifest or content path. With restrictToRoot, anything outside rootDir is rejected, so a
+   * manifest posted to the API cannot read arbitrary files through "../" or absolute paths.
+   */
+  resolvePath(baseDir, file) {
+    const target = path.resolve(baseDir, file);
+    if (this.restrictToRoot && target !== this.rootDir && !target.startsWith(this.rootDir + path.sep)) {
+      throw badRequest(`Manifest path "${file}" is outside the project directory`);
+    }
+    return target;
+  }
+
+  validateEntry(entry) {
+    const unknownContainer = entry.containers.find(container => !CONTAINERS.includes(container));
+    if (unknownContainer) {
+      throw badRequest(`Unknown container "${unknownContainer}" in "${entry.name}". Use one of: ${CONTAINERS.join(', ')}`);
+    }
+    const unknownViewport = entry.viewports.find(viewport => !VIEWPORTS.includes(viewport));
+    if (unknownViewport) {
+      throw badRequest(`Unknown viewport "${unknownViewport}" in "${entry.name}". Use one of: ${VIEWPORTS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Render every entry in every container and viewport and compare with the baselines
+   * @param {Page} page - Puppeteer page showing the app
+   * @param {object|string} manifest - See loadManifest
+   * @param {object} options
+   * @param {boolean} options.update - Replace baselines with the current renderings instead of failing
+   * @param {number} options.threshold - Overrides the manifest and constructor thresholds
+   * @param {number} options.pixelThreshold - Overrides the manifest and constructor pixel thresholds
+   * @param {Function} options.onProgress - (completed, total, result) after each check
+   * @returns {Promise<object>} { success, id, suite, total, passed, failed, new, updated, errors, reportPath, results }
+   */
+  async run(page, manifest, options = {}) {
+    const suite = await this.loadManifest(manifest);
+    const { update = false, onProgress = null } = options;
+    const pixelThreshold = options.pixelThreshold ?? suite.pixelThreshold ?? this.pixelThreshold;
+
+    const id = new Date().toISOString().replace(/[:.]/g, '-');
+    const runDir = path.join(this.reportDir, id);
+    await fs.mkdir(path.join(runDir, 'images'), { recursive: true });
+
+    const checks = suite.entries.flatMap(entry =>
+      entry.containers.flatMap(container =>
+        entry.viewports.map(viewport => ({ entry, container, viewport }))));
+
+    const results = [];
+    for (const { entry, container, viewport } of checks) {
+      const threshold = options.threshold ?? entry.threshold ?? suite.threshold ?? this.threshold;
+      const result = await this.check(page, suite.name, entry, container, viewport, { update, threshold, pixelThreshold, runDir });
+      results.push(result);
+      if (onProgress) {
+        await onProgress(results.length, checks.length, result);
+      }
+    }
+
+    const summary = {
+      id,
+      suite: suite.name,
+      total: results.length,
+      passed: results.filter(result => result.status === 'passed').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      new: results.filter(result => result.status === 'new').length,
+      updated: results.filter(result => result.status === 'updated').length,
+      errors: results.filter(result => result.status === 'error').length,
+      pixelThreshold,
+      update
+    };
+
+    const reportPath = path.join(runDir, 'index.html');
+    await fs.writeFile(reportPath, this.renderReport(summary, results));
+
+    return {
+      success: summary.failed === 0 && summary.errors === 0,
+      ...summary,
+      reportPath,
+      results
+    };
+  }
+
+  /**
+   * One entry in one container and viewport
+   */
+  async check(page, suiteName, entry, container, viewport, { update, threshold, pixelThreshold, runDir }) {
+    const key = this.store.keyFor(suiteName, entry.name, container, viewport);
+    const result = { name: entry.name, container, viewport, key, threshold, status: null, images: {} };
+    const imageName = key.replace(/\.png$/, '').replace(/\//g, '__');
+
+    const saveImage = async (kind, png) => {
+      const file = `images/${imageName}.${kind}.png`;
+      await fs.writeFile(path.join(runDir, file), png);
+      result.images[kind] = file;
+    };
+
+    try {
+      const current = await this.capture(page, entry.content, container, viewport);
+      const baseline = await this.store.read(key);
+      await saveImage('current', current);
+
+      if (!baseline) {
+        await this.store.write(key, current);
+        result.status = 'new';
+        return result;
+      }
+
+      await saveImage('baseline', baseline);
+      const comparison = await this.compare(baseline, current, pixelThreshold);
+      await saveImage('diff', comparison.diffPng);
+      Object.assign(result, {
+        diffPixels: comparison.diffPixels,
+        totalPixels: comparison.totalPixels,
+        diffRatio: comparison.diffRatio,
+        sizeMismatch: comparison.sizeMismatch,
+        baselineSize: comparison.baselineSize,
+        currentSize: comparison.currentSize
+      });
+
+      if (comparison.diffRatio <= threshold) {
+        result.status = 'passed';
+      } else if (update) {
+        await this.store.write(key, current);
+        result.status = 'updated';
+      } else {
+        result.status = 'failed';
+      }
+    } catch (error) {
+      result.status = 'error';
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Render content in a container and viewport and screenshot the container as PNG
+   */
+  async capture(page, content, container, viewport) {
+    await page.evaluate(async (content, container, viewport) => {
+      await window.ContentLabAPI.setContainerType(container);
+      await window.ContentLabAPI.setViewportType(viewport);
+      await window.ContentLabAPI.loadContent(content);
+      await document.fonts.ready;
+    }, content, container, viewport);
+
+    const shot = await Screenshots.capture(page, { target: 'container', format: 'png' });
+    return Buffer.from(shot.screenshot.slice(shot.screenshot.indexOf(',') + 1), 'base64');
+  }
+
+  /**
+   * Pixel-by-pixel comparison. Pixels outside the smaller image always differ.
+   * The diff image shows differing pixels in red over a faded copy of the current image.
+   */
+  async compare(baselinePng, currentPng, pixelThreshold = this.pixelThreshold) {
+    const [baseline, current] = await Promise.all([Jimp.read(baselinePng), Jimp.read(currentPng)]);
+    const a = baseline.bitmap;
+    const b = current.bitmap;
+    const width = Math.max(a.width, b.width);
+    const height = Math.max(a.height, b.height);
+    const diff = new Jimp({ width, height, color: 0xffffffff });
+    const out = diff.bitmap.data;
+    const limit = pixelThreshold * 255;
+    let diffPixels = 0;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const o = (y * width + x) * 4;
+        const inA = x < a.width && y < a.height;
+        const inB = x < b.width && y < b.height;
+        let differs = !inA || !inB;
+
+        if (!differs) {
+          const i = (y * a.width + x) * 4;
+          const j = (y * b.width + x) * 4;
+          for (let channel = 0; channel < 4 && !differs; channel++) {
+            differs = Math.abs(a.data[i + channel] - b.data[j + channel]) > limit;
+          }
+          if (!differs) {
+            const gray = 0.299 * b.data[j] + 0.587 * b.data[j + 1] + 0.114 * b.data[j + 2];
+            const faded = Math.round(255 - (255 - gray) * 0.25);
+            out[o] = out[o + 1] = out[o + 2] = faded;
+            out[o + 3] = 255;
+          }
+        }
+
+        if (differs) {
+          diffPixels++;
+          out[o] = 255;
+          out[o + 1] = 0;
+          out[o + 2] = 0;
+          out[o + 3] = 255;
+        }
+      }
+    }
+
+    return {
+      diffPixels,
+      totalPixels: width * height,
+      diffRatio: width * height ? diffPixels / (width * height) : 0,
+      sizeMismatch: a.width !== b.width || a.height !== b.height,
+      baselineSize: { width: a.width, height: a.height },
+      currentSize: { width: b.width, height: b.height },
+      diffPng: await diff.getBuffer('image/png')
+    };
+  }
+
+  /**
+   * Self-contained HTML report; image paths are relative to the report
+   */
+  renderReport(summary, results) {
+    const order = { error: 0, failed: 1, updated: 2, new: 3, passed: 4 };
+    const sorted = [...results].sort((x, y) => order[x.status] - order[y.status]);
+    const percent = (ratio) => `${(ratio * 100).toFixed(3)}%`;
+
+    const image = (result, kind, label) => (result.images[kind]
+      ? `<figure><img src="${escapeHtml(result.images[kind])}" alt="${label}" /><figcaption>${label}</figcaption></figure>`
+      : `<figure class="missing"><figcaption>No ${label.toLowerCase()}</figcaption></figure>`);
+
+    const rows = sorted.map(result => {
+      const detail = result.status === 'error'
+        ? escapeHtml(result.error)
+        : result.diffRatio !== undefined
+          ? `${result.diffPixels} of ${result.totalPixels} pixels differ (${percent(result.diffRatio)}, allowed ${percent(result.threshold)})` +
+            (result.sizeMismatch
+              ? `; size changed from ${result.baselineSize.width}x${result.baselineSize.height} to ${result.currentSize.width}x${result.currentSize.height}`
+              : '')
+          : 'Baseline created from this run';
+
+      return `
+    <section class="check ${result.status}">
+      <h2><span class="status">${result.status}</span> ${escapeHtml(result.name)} · ${escapeHtml(result.container)} · ${escapeHtml(result.viewport)}</h2>
+      <p>${detail}</p>
+      <div class="images">
+        ${image(result, 'baseline', 'Baseline')}
+        ${image(result, 'current', 'Current')}
+        ${image(result, 'diff', 'Diff')}
+      </div>
+    </section>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>Visual regression: ${escapeHtml(summary.suite)} (${escapeHtml(summary.id)})</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 24px; color: #1f2937; }
+    .summary span { display: inline-block; margin-right: 16px; }
+    .check { border: 1px solid #e5e7eb; border-left-width: 6px; border-radius: 6px; padding: 12px 16px; margin: 16px 0; }
+    .check.passed { border-left-color: #16a34a; }
+    .check.failed, .check.error { border-left-color: #dc2626; }
+    .check.new, .check.updated { border-left-color: #2563eb; }
+    .check h2 { font-size: 16px; margin: 0 0 4px; }
+    .status { text-transform: uppercase; font-size: 12px; padding: 2px 6px; border-radius: 4px; background: #f3f4f6; }
+    .images { display: flex; gap: 12px; align-items: flex-start; overflow-x: auto; }
+    figure { margin: 0; flex: 1; min-width: 200px; }
+    figure img { max-width: 100%; border: 1px solid #d1d5db; background: repeating-conic-gradient(#f3f4f6 0% 25%, #fff 0% 50%) 0 0 / 16px 16px; }
+    figure.missing { color: #9ca3af; }
+    figcaption { font-size: 12px; color: #6b7280; }
+  </style>
+</head>
+<body>
+  <h1>Visual regression: ${escapeHtml(summary.suite)}</h1>
+  <p class="summary">
+    <span>Run ${escapeHtml(summary.id)}</span>
+    <span>${summary.total} checks</span>
+    <span>✅ ${summary.passed} passed</span>
+    <span>❌ ${summary.failed} failed</span>
+    <span>🆕 ${summary.new} new</span>
+    <span>🔄 ${summary.updated} updated</span>
+    <span>⚠️ ${summary.errors} errors</span>
+    <span>Pixel threshold ${summary.pixelThreshold}</span>
+  </p>${rows}
+</body>
+</html>
+`;
+  }
+}
+
+export default VisualRegression;
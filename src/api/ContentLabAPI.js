@@ -2,6 +2,10 @@ import { ClaudeCodeHelper } from './claude-code-helpers.js';
 import { BatchProcessor } from './batch-processor.js';
 import NumberLineTool from '../components/Tools/NumberLineTool.js';
 import GraphTool from '../components/Tools/GraphTool.js';
+import ExpressionEvaluator from '../components/Tools/ExpressionEvaluator.js';
+import ScreenshotOptions from './screenshot-options.js';
+import RasterImage from './RasterImage.js';
+import SVGStructure from './SVGStructure.js';
 
 /**
  * ContentLabAPI - Programmatic interface for Claude Code automation
@@ -15,6 +19,7 @@ export class ContentLabAPI {
     this.setContent = options.setContent;
     this.getContainer = options.getContainer;
     this.setContainer = options.setContainer;
+    this.setViewport = options.setViewport;
     this.captureScreenshot = options.captureScreenshot;
     
     // Initialize headless browser if needed
@@ -70,11 +75,76 @@ export class ContentLabAPI {
   }
   
   /**
-   * Take screenshot of preview
+   * Switch emulated viewport (desktop 1440px, laptop 1024px, tablet 768px, phone 375px)
+   */
+  async setViewportType(type) {
+    const validTypes = ['desktop', 'laptop', 'tablet', 'phone'];
+    if (!validTypes.includes(type)) {
+      throw new Error(`Invalid viewport: ${type}`);
+    }
+    if (!this.setViewport) {
+      throw new Error('This host does not support switching viewports');
+    }
+    this.setViewport(type);
+    await this.waitForRender();
+    return { success: true, viewport: type };
+  }
+  
+  /**
+   * Take screenshot of preview with html2canvas
+   * @param {object} options - See ScreenshotOptions.normalize: selector or target (default: container),
+   *                           index, scale (default: 2), format, quality, transparent, padding
+   * @returns {object} { success, screenshot (data URL), format, scale, selector }
    */
   async screenshot(options = {}) {
-    const dataUrl = await this.captureScreenshot(options);
-    return { success: true, screenshot: dataUrl };
+    const settings = ScreenshotOptions.normalize(options, { target: 'container', scale: 2 });
+
+    let element = null;
+    if (settings.selector) {
+      element = document.querySelectorAll(settings.selector)[settings.index] || null;
+      // Without an explicit selector or target, fall back to the host's default element
+      if (!element && (options.selector || options.target)) {
+        return { success: false, error: `No element matches "${settings.selector}" at index ${settings.index}` };
+      }
+    }
+
+    const dataUrl = await this.captureScreenshot({
+      element,
+      scale: settings.scale,
+      backgroundColor: settings.transparent ? null : '#ffffff',
+      padding: settings.padding,
+      type: settings.mimeType,
+      quality: settings.quality / 100
+    });
+
+    if (!dataUrl) {
+      return { success: false, error: 'Screenshot capture failed' };
+    }
+    // Browsers without an encoder for the format fall back to PNG
+    const format = dataUrl.slice('data:image/'.length, dataUrl.indexOf(';'));
+    return { success: true, screenshot: dataUrl, format, scale: settings.scale, selector: settings.selector };
+  }
+
+  /**
+   * Screenshot each rendered content item separately
+   * @param {object} options - Same as screenshot(), without selector/target/index
+   * @returns {object} { success, count, screenshots: [{ item, ...screenshot }] }
+   */
+  async screenshotItems(options = {}) {
+    const { selector, target, index, ...rest } = options;
+    const elements = document.querySelectorAll(ScreenshotOptions.TARGETS.item);
+
+    const screenshots = [];
+    for (let i = 0; i < elements.length; i++) {
+      const shot = await this.screenshot({ ...rest, target: 'item', index: i });
+      screenshots.push({ item: Number(elements[i].dataset.contentItem), ...shot });
+    }
+
+    return {
+      success: screenshots.every(shot => shot.success),
+      count: screenshots.length,
+      screenshots
+    };
   }
   
   /**
@@ -180,8 +250,11 @@ export class ContentLabAPI {
   
   /**
    * Process batch of content items
+   * @param {object} options - iterateUntilAligned options, plus onProgress(completed, total, result)
+   *                           called after each item (same signature as BatchProcessor)
    */
   async processBatch(items, options = {}) {
+    const { onProgress = null, ...alignOptions } = options;
     const results = [];
     
     for (let i = 0; i < items.length; i++) {
@@ -190,7 +263,7 @@ export class ContentLabAPI {
       
       try {
         await this.loadContent(item.content);
-        const result = await this.iterateUntilAligned(options);
+        const result = await this.iterateUntilAligned(alignOptions);
         results.push({
           id: item.id,
           success: result.success,
@@ -204,6 +277,10 @@ export class ContentLabAPI {
           error: error.message
         });
       }
+      
+      if (onProgress) {
+        await onProgress(i + 1, items.length, results[results.length - 1]);
+      }
     }
     
     return {
@@ -261,7 +338,7 @@ export class ContentLabAPI {
   /**
    * Generate a coordinate graph SVG from commands
    * @param {string} commands - Graph commands (one per line)
-   * @param {object} options - Generation options (xMin, xMax, yMin, yMax, size, etc.)
+   * @param {object} options - Generation options (xMin, xMax, yMin, yMax, size, quality, etc.)
    * @returns {Promise<object>} Result with success, svg, and metadata
    */
   async generateGraph(commands, options = {}) {
@@ -298,32 +375,103 @@ export class ContentLabAPI {
 
 
   /**
-   * Verify visual correctness of generated content using computer vision rules
+   * Validate a math expression before using it in graph commands
+   * @param {string} expression - Plain text or LaTeX expression (e.g. "\\frac{1}{x} + sin(x)")
+   * @param {object} options - { variables: ['x'] } to restrict allowed variable names
+   * @returns {Promise<object>} Result with valid flag, variables used, and error/position if invalid
+   */
+  async validateExpression(expression, options = {}) {
+    const evaluator = new ExpressionEvaluator();
+    const result = evaluator.validate(expression, options.variables || null);
+    
+    return {
+      success: true,
+      valid: result.valid,
+      variables: result.variables,
+      error: result.error,
+      position: result.valid ? null : result.position
+    };
+  }
+
+  /**
+   * Evaluate a math expression for the given variable values
+   * @param {string} expression - Expression to evaluate
+   * @param {object} scope - Variable values, e.g. { x: 2 }
+   * @returns {Promise<object>} Result with success and numeric value
+   */
+  async evaluateExpression(expression, scope = {}) {
+    try {
+      const evaluator = new ExpressionEvaluator();
+      const value = evaluator.evaluate(expression, scope);
+      
+      return {
+        success: true,
+        value,
+        finite: Number.isFinite(value)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        value: null
+      };
+    }
+  }
+
+  /**
+   * Verify visual correctness of generated content, by analysing its pixels or, in svg mode,
+   * by reading the generated SVG's elements
    * @param {string} type - Type of content ('number-line' or 'graph')
-   * @param {string} screenshotData - Base64 screenshot data or file path
+   * @param {string|object} screenshotData - SVG markup, a data URL or base64 PNG of the SVG element,
+   *                                         a screenshot result, or decoded pixels ({ width, height, data });
+   *                                         SVG markup only in svg mode
    * @param {object} verificationRules - Rules to check (optional, uses defaults)
-   * @returns {Promise<object>} Verification results with pass/fail and details
+   * @param {object} options
+   * @param {string} options.mode - 'pixel' (default) or 'svg'
+   * @param {object} options.metadata - metadata from generateNumberLine/generateGraph; checks that compare
+   *                                    the content with expected positions are skipped without it
+   * @param {object} options.generationOptions - Options the content was generated with (default: metadata.options)
+   * @returns {Promise<object>} Verification results with pass/fail, structured errors and per-check details
    */
-  async verifyVisual(type, screenshotData, verificationRules = {}) {
+  async verifyVisual(type, screenshotData, verificationRules = {}, options = {}) {
     try {
+      const mode = options.mode || 'pixel';
       const results = {
         passed: true,
+        mode,
         checks: {},
+        details: {},
         errors: [],
+        skipped: [],
         timestamp: new Date().toISOString()
       };
 
+      if (type !== 'number-line' && type !== 'graph') {
+        throw new Error(`Unknown content type: ${type}`);
+      }
+      if (mode !== 'pixel' && mode !== 'svg') {
+        throw new Error(`Unknown verification mode: ${mode}`);
+      }
+
       // Default verification rules based on type
-      const defaultRules = this.getDefaultVerificationRules(type);
+      const defaultRules = this.getDefaultVerificationRules(type, mode);
       const rules = { ...defaultRules, ...verificationRules };
 
       // Perform checks based on type
-      if (type === 'number-line') {
-        await this.verifyNumberLine(screenshotData, rules, results);
-      } else if (type === 'graph') {
-        await this.verifyGraph(screenshotData, rules, results);
+      if (mode === 'svg') {
+        const context = this.prepareStructureVerification(type, screenshotData, rules, options);
+        if (type === 'number-line') {
+          await this.verifyNumberLineStructure(context, rules, results);
+        } else {
+          await this.verifyGraphStructure(context, rules, results);
+        }
       } else {
-        throw new Error(`Unknown content type: ${type}`);
+        const context = await this.prepareVerification(type, screenshotData, rules, options);
+        if (type === 'number-line') {
+          await this.verifyNumberLine(context, rules, results);
+        } else {
+          await this.verifyGraph(context, rules, results);
+        }
       }
 
       // Check if any verification failed
@@ -344,9 +492,33 @@ export class ContentLabAPI {
 
   /**
    * Get default verification rules for a content type
+   * @param {string} mode - 'pixel' or 'svg'
    * @private
    */
-  getDefaultVerificationRules(type) {
+  getDefaultVerificationRules(type, mode = 'pixel') {
+    if (mode === 'svg') {
+      const structural = {
+        checkLabels: true,
+        checkBounds: true,
+        checkTextOverlap: true,
+        tolerancePixels: 0.5, // SVG coordinates are exact, so only rounding is allowed
+        minTextOverlap: 2     // Text boxes are estimated from font size, so a sliver of overlap is ignored
+      };
+      const structuralRules = {
+        'number-line': { checkPoints: true, checkIntervals: true, ...structural },
+        'graph': { checkPoints: true, ...structural }
+      };
+      return structuralRules[type] || {};
+    }
+
+    const shared = {
+      tolerancePixels: 5,   // SVG units an element may be off its expected position
+      colorTolerance: 60,   // Largest per-channel difference (0-255) that still counts as the same color
+      minFontSize: 9,       // Smallest readable label size in CSS pixels, after scaling to displayWidth
+      minContrast: 4.5,     // WCAG contrast between labels and background
+      displayWidth: null,   // Width the SVG is shown at (it shrinks to fit narrower containers)
+      rasterScale: 2        // Pixels per SVG unit when rasterizing SVG markup
+    };
     const rules = {
       'number-line': {
         checkIntervalPosition: true,
@@ -355,7 +527,7 @@ export class ContentLabAPI {
         checkBounds: true,
         checkColors: true,
         checkReadability: true,
-        tolerancePixels: 5
+        ...shared
       },
       'graph': {
         checkFunctionAccuracy: true,
@@ -366,7 +538,10 @@ export class ContentLabAPI {
         checkBounds: true,
         checkColors: true,
         checkReadability: true,
-        tolerancePixels: 5
+        samples: 40,          // Columns sampled along each function or line
+        minMatchRatio: 0.9,   // Share of samples that must lie on the plotted curve
+        minGridSpacing: 5,    // Grid lines closer than this many pixels count as cluttered
+        ...shared
       }
     };
 
@@ -374,201 +549,1152 @@ export class ContentLabAPI {
   }
 
   /**
-   * Verify number line visual correctness
+   * Decode the image and, when generation metadata is given, lay the content out again with
+   * the tool so the checks know where everything should be
    * @private
    */
-  async verifyNumberLine(screenshotData, rules, results) {
-    // Check 1: Intervals positioned above main line
-    if (rules.checkIntervalPosition) {
-      const intervalCheck = await this.checkIntervalPosition(screenshotData);
-      results.checks.intervalPosition = intervalCheck.passed;
-      if (!intervalCheck.passed) {
-        results.errors.push('Intervals overlap with tick marks');
-      }
-    }
+  async prepareVerification(type, screenshotData, rules, options) {
+    const { tool, data, layout } = this.layoutFromMetadata(type, options);
 
-    // Check 2: Open vs closed circles
-    if (rules.checkCircleTypes) {
-      const circleCheck = await this.checkCircleTypes(screenshotData);
-      results.checks.circleTypes = circleCheck.passed;
-      if (!circleCheck.passed) {
-        results.errors.push('Circle types (open/closed) incorrect');
-      }
+    const image = await RasterImage.from(screenshotData, {
+      svgWidth: layout ? layout.width : null,
+      scale: rules.rasterScale
+    });
+    if (layout && Math.abs(image.height - layout.height) > Math.max(2, layout.height * 0.02)) {
+      throw new Error(`The image is ${Math.round(image.width)}x${Math.round(image.height)} but the ${type} is ${layout.width}x${layout.height}; ` +
+        `capture the SVG element itself (screenshot target "${type}")`);
     }
 
-    // Check 3: Interval spacing
-    if (rules.checkSpacing) {
-      const spacingCheck = await this.checkIntervalSpacing(screenshotData);
-      results.checks.spacing = spacingCheck.passed;
-      if (!spacingCheck.passed) {
-        results.errors.push('Interval spacing incorrect (expected 25px)');
-      }
-    }
+    return {
+      type,
+      image,
+      rules,
+      tolerance: rules.tolerancePixels,
+      tool,
+      data,
+      layout,
+      config: layout ? layout.config : null,
+      background: (layout && RasterImage.parseColor(layout.config.backgroundColor)) || image.background()
+    };
+  }
 
-    // Check 4: Content within bounds
-    if (rules.checkBounds) {
-      const boundsCheck = await this.checkContentBounds(screenshotData, 'number-line');
-      results.checks.bounds = boundsCheck.passed;
-      if (!boundsCheck.passed) {
-        results.errors.push('Content cutoff at edges detected');
-      }
-    }
+  /**
+   * The tool for a content type and, when generation metadata is given, its parsed commands and layout
+   * @private
+   */
+  layoutFromMetadata(type, { metadata = null, generationOptions = null }) {
+    const tool = type === 'graph' ? new GraphTool() : new NumberLineTool();
+    const data = metadata ? (type === 'graph' ? metadata.graphData : metadata.lineData) : null;
+    const layout = data ? tool.layout(data, generationOptions || metadata.options || {}) : null;
+    return { tool, data, layout };
+  }
 
-    // Check 5: Colors applied correctly
-    if (rules.checkColors) {
-      const colorCheck = await this.checkColors(screenshotData);
-      results.checks.colors = colorCheck.passed;
-      if (!colorCheck.passed) {
-        results.errors.push('Colors not applied correctly');
+  /**
+   * Run the enabled checks and collect their outcomes into results
+   * @private
+   */
+  async runChecks(results, checks) {
+    for (const [enabled, name, check] of checks) {
+      if (!enabled) continue;
+      const outcome = await check();
+
+      if (outcome.skipped) {
+        results.checks[name] = null;
+        results.skipped.push({ check: name, reason: outcome.skipped });
+        continue;
       }
+      results.checks[name] = outcome.passed;
+      results.details[name] = outcome.details;
+      results.errors.push(...outcome.errors.map(error => ({ check: name, ...error })));
     }
+  }
 
-    // Check 6: Readability
-    if (rules.checkReadability) {
-      const readabilityCheck = await this.checkReadability(screenshotData);
-      results.checks.readability = readabilityCheck.passed;
-      if (!readabilityCheck.passed) {
-        results.errors.push('Content not readable at current size');
-      }
-    }
+  /**
+   * Verify number line visual correctness
+   * @private
+   */
+  async verifyNumberLine(context, rules, results) {
+    await this.runChecks(results, [
+      [rules.checkIntervalPosition, 'intervalPosition', () => this.checkIntervalPosition(context)],
+      [rules.checkCircleTypes, 'circleTypes', () => this.checkCircleTypes(context)],
+      [rules.checkSpacing, 'spacing', () => this.checkIntervalSpacing(context)],
+      [rules.checkBounds, 'bounds', () => this.checkContentBounds(context)],
+      [rules.checkColors, 'colors', () => this.checkColors(context)],
+      [rules.checkReadability, 'readability', () => this.checkReadability(context)]
+    ]);
   }
 
   /**
    * Verify graph visual correctness
    * @private
    */
-  async verifyGraph(screenshotData, rules, results) {
-    // Check 1: Function accuracy
-    if (rules.checkFunctionAccuracy) {
-      const functionCheck = await this.checkFunctionAccuracy(screenshotData);
-      results.checks.functionAccuracy = functionCheck.passed;
-      if (!functionCheck.passed) {
-        results.errors.push('Function does not pass through expected points');
+  async verifyGraph(context, rules, results) {
+    await this.runChecks(results, [
+      [rules.checkFunctionAccuracy, 'functionAccuracy', () => this.checkFunctionAccuracy(context)],
+      [rules.checkLineSlope, 'lineSlope', () => this.checkLineSlope(context)],
+      [rules.checkAxisLabels, 'axisLabels', () => this.checkAxisLabels(context)],
+      [rules.checkGridVisibility, 'gridVisibility', () => this.checkGridVisibility(context)],
+      [rules.checkOriginLabel, 'originLabel', () => this.checkOriginLabel(context)],
+      [rules.checkBounds, 'bounds', () => this.checkContentBounds(context)],
+      [rules.checkColors, 'colors', () => this.checkColors(context)],
+      [rules.checkReadability, 'readability', () => this.checkReadability(context)]
+    ]);
+  }
+
+  /**
+   * Computer vision checks. Each returns { passed, errors, details } where every error is
+   * { code, message, ...specifics } for adjustParametersForRetry, or { skipped: reason }.
+   * Positions in errors and details are in SVG units.
+   * @private
+   */
+  checkOutcome(errors, details = {}) {
+    return { passed: errors.length === 0, errors, details };
+  }
+
+  requireLayout(context) {
+    return context.layout ? null : { skipped: 'No generation metadata to compare the content with' };
+  }
+
+  // Intervals sit in their own row above the main line, clear of the tick marks
+  async checkIntervalPosition(context) {
+    const skipped = this.requireLayout(context);
+    if (skipped) return skipped;
+    const { layout, tolerance } = context;
+    const errors = [];
+    const intervals = this.locateIntervals(context);
+
+    intervals.forEach(({ index, expectedY, foundY }) => {
+      if (foundY === null) {
+        errors.push({ code: 'INTERVAL_MISSING', message: `Interval ${index + 1} not found`, index, expectedY });
+      } else if (Math.abs(foundY - layout.lineY) < layout.tickHeight / 2 + 3) {
+        errors.push({ code: 'INTERVAL_OVERLAP', message: 'Intervals overlap with tick marks', index, foundY, lineY: layout.lineY });
+      } else if (Math.abs(foundY - expectedY) > tolerance) {
+        errors.push({ code: 'INTERVAL_MISPLACED', message: `Interval ${index + 1} is not in its row above the line`, index, expectedY, foundY });
       }
-    }
+    });
 
-    // Check 2: Line slope and intercept
-    if (rules.checkLineSlope) {
-      const lineCheck = await this.checkLineSlope(screenshotData);
-      results.checks.lineSlope = lineCheck.passed;
-      if (!lineCheck.passed) {
-        results.errors.push('Line slope or intercept incorrect');
+    return this.checkOutcome(errors, { intervals });
+  }
+
+  // Open circles are hollow and closed circles filled, at the x of their value
+  async checkCircleTypes(context) {
+    const skipped = this.requireLayout(context);
+    if (skipped) return skipped;
+    const { image, rules, tolerance } = context;
+    const errors = [];
+
+    const markers = this.numberLineMarkers(context).map(marker => {
+      const color = RasterImage.parseColor(marker.color);
+      if (!color) {
+        return { ...marker, found: null };
+      }
+      // 3 units above the centre: inside the 6px circle but clear of the 2px main line and 4px highlight strokes
+      const runs = this.mergeRuns(image.runs('row', marker.y - 3, RasterImage.near(color, rules.colorTolerance),
+        marker.x - tolerance - 10, marker.x + tolerance + 10), 1.5);
+      const width = run => run.end - run.start;
+
+      // Filled: one run across the circle. Hollow: two thin runs (the stroke) with the inside between them.
+      const candidates = [
+        ...runs.filter(run => width(run) >= 7 && width(run) <= 14).map(run => ({ type: 'closed', x: run.center })),
+        ...runs.slice(0, -1).map((run, i) => [run, runs[i + 1]])
+          .filter(([left, right]) => width(left) <= 4 && width(right) <= 4 &&
+            right.end - left.start >= 9 && right.end - left.start <= 15 && right.start - left.end >= 4)
+          .map(([left, right]) => ({ type: 'open', x: (left.start + right.end) / 2 }))
+      ].sort((a, b) => Math.abs(a.x - marker.x) - Math.abs(b.x - marker.x));
+
+      const found = candidates[0] || null;
+      const expected = marker.closed ? 'closed' : 'open';
+      const where = { kind: marker.kind, value: marker.value, expectedX: marker.x };
+
+      if (!found) {
+        errors.push({ code: 'CIRCLE_MISSING', message: `No ${expected} circle at ${marker.value}`, ...where, expected });
+      } else if (Math.abs(found.x - marker.x) > tolerance) {
+        errors.push({ code: 'CIRCLE_MISPLACED', message: `Circle for ${marker.value} is ${Math.round(found.x - marker.x)}px off`, ...where, foundX: found.x });
+      } else if (found.type !== expected) {
+        errors.push({ code: 'CIRCLE_TYPE_MISMATCH', message: 'Circle types (open/closed) incorrect', ...where, expected, found: found.type });
       }
+      return { ...marker, found };
+    });
+
+    return this.checkOutcome(errors, { markers });
+  }
+
+  // Stacked intervals are one stackSpacing apart
+  async checkIntervalSpacing(context) {
+    const skipped = this.requireLayout(context);
+    if (skipped) return skipped;
+    const { layout, tolerance } = context;
+    const found = this.locateIntervals(context).filter(interval => interval.foundY !== null);
+    const spacings = found.slice(1).map((interval, i) => found[i].foundY - interval.foundY);
+    const errors = spacings.some(spacing => Math.abs(spacing - layout.stackSpacing) > tolerance)
+      ? [{ code: 'INTERVAL_SPACING', message: `Interval spacing incorrect (expected ${layout.stackSpacing}px)`, expected: layout.stackSpacing, spacings }]
+      : [];
+
+    return this.checkOutcome(errors, { spacings });
+  }
+
+  // Nothing is cut off at the edges of the SVG
+  async checkContentBounds(context) {
+    const { image, type, rules } = context;
+    const edges = [];
+    const items = [];
+
+    // Number lines leave a margin on every side; anything touching the border was cut off.
+    // (Graph grids, axes and curves run to the border by design, so graphs are checked from their layout.)
+    if (type === 'number-line') {
+      const differs = rgb => RasterImage.distance(rgb, context.background) > rules.colorTolerance;
+      const band = 1 / image.scale;
+      const sides = {
+        top: { x: 0, y: 0, width: image.width, height: band },
+        bottom: { x: 0, y: image.height - band, width: image.width, height: band },
+        left: { x: 0, y: 0, width: band, height: image.height },
+        right: { x: image.width - band, y: 0, width: band, height: image.height }
+      };
+      Object.entries(sides).forEach(([side, region]) => {
+        if (image.count(differs, region).count >= 2) edges.push(side);
+      });
     }
 
-    // Check 3: Axis labels
-    if (rules.checkAxisLabels) {
-      const axisCheck = await this.checkAxisLabels(screenshotData);
-      results.checks.axisLabels = axisCheck.passed;
-      if (!axisCheck.passed) {
-        results.errors.push('Axis labels (x, y) missing or incorrect');
-      }
+    if (context.layout) {
+      items.push(...(type === 'graph' ? this.clippedGraphItems(context) : this.clippedNumberLineItems(context)));
+      items.forEach(item => item.edges.forEach(edge => !edges.includes(edge) && edges.push(edge)));
     }
 
-    // Check 4: Grid visibility
-    if (rules.checkGridVisibility) {
-      const gridCheck = await this.checkGridVisibility(screenshotData);
-      results.checks.gridVisibility = gridCheck.passed;
-      if (!gridCheck.passed) {
-        results.errors.push('Grid lines not visible or too cluttered');
+    const errors = edges.length > 0
+      ? [{
+        code: 'CONTENT_CLIPPED',
+        message: type === 'graph' ? 'Content clipping outside viewBox' : 'Content cutoff at edges detected',
+        edges,
+        items,
+        needs: this.clippedRange(type, items),
+        range: this.drawnRange(context)
+      }]
+      : [];
+
+    return this.checkOutcome(errors, { edges, items });
+  }
+
+  // Every color the commands asked for shows up in the image
+  async checkColors(context) {
+    const skipped = this.requireLayout(context);
+    if (skipped) return skipped;
+    const { image, rules } = context;
+    const errors = [];
+    const minimum = 4 * image.scale * image.scale;
+    const colors = {};
+
+    this.expectedColors(context).forEach(([element, color]) => {
+      (colors[color] = colors[color] || []).push(element);
+    });
+
+    const found = Object.entries(colors).map(([color, elements]) => {
+      const rgb = RasterImage.parseColor(color);
+      if (!rgb) {
+        errors.push({ code: 'COLOR_INVALID', message: `Unknown color "${color}"`, color, elements });
+        return { color, elements, pixels: 0 };
+      }
+      const { count } = image.count(RasterImage.near(rgb, rules.colorTolerance / 2));
+      if (count < minimum) {
+        errors.push({ code: 'COLOR_MISSING', message: 'Colors not applied correctly', color, elements, pixels: count });
       }
+      return { color, elements, pixels: count };
+    });
+
+    return this.checkOutcome(errors, { colors: found });
+  }
+
+  // Labels are big enough at the displayed width and stand out from the background
+  async checkReadability(context) {
+    const skipped = this.requireLayout(context);
+    if (skipped) return skipped;
+    const { layout, config, rules, tool, type, image } = context;
+    const errors = [];
+
+    const fontSize = type === 'graph' ? layout.baseFontSize : layout.fontSize;
+    const displayWidth = rules.displayWidth || layout.width;
+    // SVGs shrink to fit (max-width: 100%) but never grow
+    const shown = (size, width) => size * Math.min(1, displayWidth / width);
+    const effectiveFontSize = shown(fontSize, layout.width);
+
+    if (effectiveFontSize < rules.minFontSize) {
+      const best = Object.entries(tool.sizePresets)
+        .map(([size, preset]) => ({ size, fontSize: shown(preset.baseFontSize, preset.width) }))
+        .sort((a, b) => b.fontSize - a.fontSize)[0];
+      errors.push({
+        code: 'TEXT_TOO_SMALL',
+        message: 'Content not readable at current size',
+        fontSize,
+        effectiveFontSize: Math.round(effectiveFontSize * 10) / 10,
+        minFontSize: rules.minFontSize,
+        displayWidth,
+        ...(best.size !== config.size && { suggestedSize: best.size })
+      });
     }
 
-    // Check 5: Origin label position
-    if (rules.checkOriginLabel) {
-      const originCheck = await this.checkOriginLabel(screenshotData);
-      results.checks.originLabel = originCheck.passed;
-      if (!originCheck.passed) {
-        results.errors.push('Origin label not positioned correctly');
-      }
+    const textColor = RasterImage.parseColor(type === 'graph' ? config.axisColor : config.lineColor);
+    const background = image.background();
+    const contrast = textColor ? RasterImage.contrast(textColor, background) : null;
+    if (contrast !== null && contrast < rules.minContrast) {
+      errors.push({
+        code: 'LOW_CONTRAST',
+        message: 'Content not readable at current size',
+        contrast: Math.round(contrast * 100) / 100,
+        minContrast: rules.minContrast,
+        colorOption: type === 'graph' ? 'axisColor' : 'lineColor',
+        textColor: type === 'graph' ? config.axisColor : config.lineColor,
+        background: `rgb(${background.join(', ')})`
+      });
     }
 
-    // Check 6: Content within bounds
-    if (rules.checkBounds) {
-      const boundsCheck = await this.checkContentBounds(screenshotData, 'graph');
-      results.checks.bounds = boundsCheck.passed;
-      if (!boundsCheck.passed) {
-        results.errors.push('Content clipping outside viewBox');
+    return this.checkOutcome(errors, { effectiveFontSize, contrast });
+  }
+
+  // Sampled pixels of each f(x) lie on the function
+  async checkFunctionAccuracy(context) {
+    const skipped = this.requireLayout(context);
+    if (skipped) return skipped;
+    const { data, tool, tolerance, rules } = context;
+    const errors = [];
+
+    const functions = data.functions.map(func => {
+      const expression = func.expression || func;
+      const color = func.color || 'green';
+      const rgb = RasterImage.parseColor(color);
+      if (!rgb) {
+        return { expression, color, sampled: 0, matched: 0 };
+      }
+      const samples = this.traceCurve(context, tool.compileFunction(expression), rgb);
+      const matched = samples.filter(sample => sample.offset <= tolerance);
+      const worst = samples.reduce((a, b) => (b.offset > (a ? a.offset : -1) ? b : a), null);
+
+      if (samples.length === 0) {
+        errors.push({ code: 'FUNCTION_OUT_OF_VIEW', message: `f(x) = ${expression} has no points inside the window`, expression });
+      } else if (matched.length / samples.length < rules.minMatchRatio) {
+        errors.push({
+          code: 'FUNCTION_MISMATCH',
+          message: 'Function does not pass through expected points',
+          expression,
+          sampled: samples.length,
+          matched: matched.length,
+          worst: worst && { x: worst.x, expectedY: worst.expectedY, foundY: worst.foundY }
+        });
+      }
+      return { expression, color, sampled: samples.length, matched: matched.length };
+    });
+
+    return this.checkOutcome(errors, { functions });
+  }
+
+  // Each line is drawn with its slope and intercept, measured by fitting the plotted pixels
+  async checkLineSlope(context) {
+    const skipped = this.requireLayout(context);
+    if (skipped) return skipped;
+    const { data, layout, tolerance, rules } = context;
+    const errors = [];
+    const linear = !layout.axes.x.log && !layout.axes.y.log;
+
+    const lines = data.lines.map(line => {
+      const expected = { slope: line.slope, intercept: line.intercept };
+      const rgb = RasterImage.parseColor(line.color || 'blue');
+      const samples = rgb ? this.traceCurve(context, x => line.slope * x + line.intercept, rgb) : [];
+      const onLine = samples.filter(sample => sample.offset <= tolerance);
+      const nearby = samples.filter(sample => sample.offset <= tolerance * 4);
+      const measured = linear && nearby.length >= 2
+        ? this.fitLine(nearby.map(sample => [sample.x, this.fromSVGY(layout, sample.foundY)]))
+        : null;
+
+      if (samples.length < 2) {
+        errors.push({ code: 'LINE_NOT_VISIBLE', message: 'Line slope or intercept incorrect', expected });
+      } else if (onLine.length / samples.length < rules.minMatchRatio) {
+        errors.push({
+          code: 'LINE_MISMATCH',
+          message: 'Line slope or intercept incorrect',
+          expected,
+          measured,
+          maxOffset: Math.max(...samples.map(sample => sample.offset))
+        });
+      }
+      return { expected, measured, sampled: samples.length, matched: onLine.length };
+    });
+
+    return this.checkOutcome(errors, { lines });
+  }
+
+  // Axis lines run across the graph and the x and y labels are drawn at their ends
+  async checkAxisLabels(context) {
+    const skipped = this.requireLayout(context);
+    if (skipped) return skipped;
+    const { image, layout, config, rules } = context;
+    if (!config.showAxes) {
+      return this.checkOutcome([], { shown: false });
+    }
+    const errors = [];
+    const axisColor = RasterImage.parseColor(config.axisColor);
+    const onAxis = RasterImage.near(axisColor, rules.colorTolerance);
+    const coverage = (direction, position, length) =>
+      image.runs(direction, position, onAxis).reduce((sum, run) => sum + run.end - run.start, 0) / length;
+
+    const axes = {
+      x: coverage('row', layout.xAxisY, layout.width),
+      y: coverage('column', layout.yAxisX, layout.height)
+    };
+    Object.entries(axes).forEach(([axis, covered]) => {
+      if (covered < 0.6) {
+        errors.push({ code: 'AXIS_MISSING', message: `The ${axis}-axis line is missing`, axis, coverage: covered });
       }
+    });
+
+    const labels = {};
+    if (config.showAxisLabels !== false) {
+      const size = layout.baseFontSize + 2;
+      const boxes = {
+        x: { x: layout.width - 8 - size * 0.8, y: layout.xAxisY - 4 - size * 0.75, width: size * 0.8, height: size * 0.75 },
+        y: { x: layout.yAxisX + 6, y: 12 - size * 0.75, width: size * 0.8, height: size }
+      };
+      Object.entries(boxes).forEach(([axis, box]) => {
+        labels[axis] = this.hasText(context, box, axisColor);
+        if (!labels[axis]) {
+          errors.push({ code: 'AXIS_LABEL_MISSING', message: 'Axis labels (x, y) missing or incorrect', axis, box });
+        }
+      });
+    }
+
+    return this.checkOutcome(errors, { axes, labels });
+  }
+
+  // Grid lines show up against the background and are not packed too tightly
+  async checkGridVisibility(context) {
+    const skipped = this.requireLayout(context);
+    if (skipped) return skipped;
+    const { image, layout, tool, rules } = context;
+    if (!layout.axes.showGrid) {
+      return this.checkOutcome([], { shown: false });
+    }
+    const errors = [];
+    const { axes, width, height } = layout;
+    const differs = rgb => RasterImage.distance(rgb, context.background) >= 8;
+
+    const vertical = tool.axisValues(axes.x, axes.x.gridStep, true).map(layout.toSVGX)
+      .filter(x => x > 1 && x < width - 1 && Math.abs(x - layout.yAxisX) > 3);
+    const horizontal = tool.axisValues(axes.y, axes.y.gridStep, true).map(layout.toSVGY)
+      .filter(y => y > 1 && y < height - 1 && Math.abs(y - layout.xAxisY) > 3);
+    const visible = [
+      ...vertical.map(x => image.count(differs, { x: x - 0.5, y: 0, width: 1, height })),
+      ...horizontal.map(y => image.count(differs, { x: 0, y: y - 0.5, width, height: 1 }))
+    ].filter(({ count, total }) => total > 0 && count / total >= 0.3).length;
+    const total = vertical.length + horizontal.length;
+
+    if (total > 0 && visible / total < 0.8) {
+      errors.push({ code: 'GRID_NOT_VISIBLE', message: 'Grid lines not visible or too cluttered', visible, total, gridColor: layout.config.gridColor });
+    }
+
+    // Median gap between neighbouring lines, in displayed pixels
+    const scale = Math.min(1, (rules.displayWidth || width) / width);
+    const gapsOf = lines => [...lines].sort((a, b) => a - b).map((line, i, sorted) => line - sorted[i - 1]).slice(1);
+    const gaps = [...gapsOf(vertical), ...gapsOf(horizontal)].sort((a, b) => a - b);
+    const spacing = gaps.length ? gaps[Math.floor(gaps.length / 2)] * scale : null;
+    if (spacing !== null && spacing < rules.minGridSpacing) {
+      errors.push({
+        code: 'GRID_TOO_DENSE',
+        message: 'Grid lines not visible or too cluttered',
+        spacing: Math.round(spacing * 10) / 10,
+        gridStep: axes.x.gridStep,
+        suggestedGridStep: axes.x.gridStep * Math.ceil(rules.minGridSpacing / spacing)
+      });
+    }
+
+    return this.checkOutcome(errors, { visible, total, spacing });
+  }
+
+  // "(0,0)" is drawn in its quadrant and no curve runs through it
+  async checkOriginLabel(context) {
+    const skipped = this.requireLayout(context);
+    if (skipped) return skipped;
+    const { image, layout, config, rules } = context;
+    if (!config.showAxes || config.showOrigin === false || !layout.originVisible) {
+      return this.checkOutcome([], { shown: false });
+    }
+    const errors = [];
+    const position = config.originPosition || 'lower-left';
+    const boxes = this.originLabelBoxes(layout);
+    const axisColor = RasterImage.parseColor(config.axisColor);
+    const curveColors = this.expectedColors(context)
+      .map(([, color]) => RasterImage.parseColor(color))
+      .filter(rgb => rgb && RasterImage.distance(rgb, axisColor) > rules.colorTolerance);
+    const obscured = (box) => curveColors.some(rgb =>
+      image.count(RasterImage.near(rgb, rules.colorTolerance), box).count >= 2 * image.scale * image.scale);
+
+    if (!this.hasText(context, boxes[position], axisColor)) {
+      errors.push({ code: 'ORIGIN_LABEL_MISSING', message: 'Origin label not positioned correctly', position });
+    } else if (obscured(boxes[position])) {
+      const free = Object.keys(boxes).find(candidate => candidate !== position && !obscured(boxes[candidate]));
+      errors.push({
+        code: 'ORIGIN_LABEL_OBSCURED',
+        message: 'Origin label not positioned correctly',
+        position,
+        ...(free && { suggestedPosition: free })
+      });
     }
 
-    // Check 7: Colors applied correctly
-    if (rules.checkColors) {
-      const colorCheck = await this.checkColors(screenshotData);
-      results.checks.colors = colorCheck.passed;
-      if (!colorCheck.passed) {
-        results.errors.push('Colors not applied correctly');
+    return this.checkOutcome(errors, { position });
+  }
+
+  /**
+   * Where the open/closed endpoint markers of a number line should be
+   * @returns {Array} [{ kind, value, x, y, closed, color }]
+   * @private
+   */
+  numberLineMarkers({ data, layout }) {
+    const { lineY, toX, intervalY, min, max, config } = layout;
+    const markers = [];
+    const add = (kind, value, y, closed, color) => {
+      if (value >= min && value <= max) {
+        markers.push({ kind, value, x: toX(value), y, closed, color: color || config.highlightColor });
       }
+    };
+
+    data.points.forEach(point => add('point', point.value, lineY, point.type === 'solid', point.color));
+    data.intervals.forEach((interval, index) => {
+      add('interval', interval.start, intervalY(index), interval.startInclusive, interval.color);
+      add('interval', interval.end, intervalY(index), interval.endInclusive, interval.color);
+    });
+    data.inequalities.forEach(inequality =>
+      add('inequality', inequality.value, lineY, inequality.operator.includes('='), inequality.color));
+    data.solutionSets.forEach(solutionSet => solutionSet.intervals.forEach(interval => {
+      if (isFinite(interval.start)) add('solution', interval.start, lineY, interval.startInclusive, solutionSet.color);
+      if (isFinite(interval.end)) add('solution', interval.end, lineY, interval.endInclusive, solutionSet.color);
+    }));
+    return markers;
+  }
+
+  /**
+   * Find each interval's stroke in the column through its midpoint
+   * @returns {Array} [{ index, x, expectedY, foundY }] - foundY is null when the stroke is not there
+   * @private
+   */
+  locateIntervals({ data, layout, image, rules }) {
+    return data.intervals
+      .map((interval, index) => ({ interval, index, x: (layout.toX(interval.start) + layout.toX(interval.end)) / 2 }))
+      .filter(({ x }) => x >= 0 && x < image.width)
+      .map(({ interval, index, x }) => {
+        const expectedY = layout.intervalY(index);
+        const color = RasterImage.parseColor(interval.color || layout.config.highlightColor);
+        const runs = color ? image.runs('column', x, RasterImage.near(color, rules.colorTolerance)) : [];
+        const nearest = runs.sort((a, b) => Math.abs(a.center - expectedY) - Math.abs(b.center - expectedY))[0];
+        return { index, x, expectedY, foundY: nearest ? nearest.center : null };
+      });
+  }
+
+  /**
+   * Join runs separated by less than gap (e.g. a tick mark drawn across a filled circle)
+   * @private
+   */
+  mergeRuns(runs, gap) {
+    return runs.reduce((merged, run) => {
+      const last = merged[merged.length - 1];
+      if (last && run.start - last.end < gap) {
+        merged[merged.length - 1] = { start: last.start, end: run.end, center: (last.start + run.end) / 2 };
+      } else {
+        merged.push(run);
+      }
+      return merged;
+    }, []);
+  }
+
+  /**
+   * Number line content that lies outside the range or runs past the SVG edges
+   * @private
+   */
+  clippedNumberLineItems({ data, layout }) {
+    const { min, max, toX, width, fontSize } = layout;
+    const items = [];
+    const check = (kind, value, text = null) => {
+      const halfText = text ? String(text).length * (fontSize + 2) * 0.3 : 6;
+      const edges = [];
+      if (value < min || toX(value) - halfText < 0) edges.push('left');
+      if (value > max || toX(value) + halfText > width) edges.push('right');
+      if (edges.length) items.push({ kind, value, ...(text && { text }), edges });
+    };
+
+    data.points.forEach(point => check('point', point.value, point.label));
+    data.intervals.forEach(interval => {
+      check('interval', interval.start);
+      check('interval', interval.end);
+    });
+    data.inequalities.forEach(inequality => check('inequality', inequality.value));
+    data.jumps.forEach(jump => {
+      check('jump', jump.start);
+      check('jump', jump.end);
+    });
+    data.labels.forEach(label => check('label', label.value, label.text));
+    return items;
+  }
+
+  /**
+   * Graph markers, labels and segment ends that fall partly outside the SVG
+   * @private
+   */
+  clippedGraphItems({ data, layout, tool }) {
+    const { toSVGX, toSVGY, width, height, baseFontSize, config, axes, xAxisY, yAxisX } = layout;
+    const items = [];
+    const textWidth = (text, size) => String(text).length * size * 0.6;
+    const check = (kind, box, point, extra = {}) => {
+      const edges = [];
+      if (box.x < 0) edges.push('left');
+      if (box.x + box.width > width) edges.push('right');
+      if (box.y < 0) edges.push('top');
+      if (box.y + box.height > height) edges.push('bottom');
+      if (edges.length) items.push({ kind, x: point.x, y: point.y, ...extra, edges });
+    };
+
+    data.points.forEach(point => {
+      const x = toSVGX(point.x);
+      const y = toSVGY(point.y);
+      check('point', { x: x - 4, y: y - 4, width: 8, height: 8 }, point);
+      if (point.label) {
+        const size = baseFontSize + 2;
+        check('point-label', { x: x + 6, y: y - 6 - size, width: textWidth(point.label, size), height: size }, point, { text: point.label });
+      }
+    });
+    data.labels.forEach(label => {
+      const size = baseFontSize + 2;
+      check('label', { x: toSVGX(label.x) + 5, y: toSVGY(label.y) - 5 - size, width: textWidth(label.text, size), height: size }, label, { text: label.text });
+    });
+    [...(data.segments || []), ...(data.vectors || [])].forEach(segment => {
+      [segment.start, segment.end].forEach(end => {
+        check('segment', { x: toSVGX(end.x), y: toSVGY(end.y), width: 0, height: 0 }, end);
+      });
+    });
+
+    if (config.showAxes && config.showAxisValues !== false) {
+      const crossingX = axes.x.log ? axes.x.min : Math.min(Math.max(0, axes.x.min), axes.x.max);
+      const crossingY = axes.y.log ? axes.y.min : Math.min(Math.max(0, axes.y.min), axes.y.max);
+      tool.axisValues(axes.y, axes.y.tickStep).filter(y => y !== 0).forEach(y => {
+        const text = tool.formatTick(y, axes.y.tickFormat);
+        const right = yAxisX - 15;
+        check('tick-label', { x: right - textWidth(text, baseFontSize), y: toSVGY(y) + 3 - baseFontSize, width: textWidth(text, baseFontSize), height: baseFontSize },
+          { x: crossingX, y }, { text });
+      });
+      tool.axisValues(axes.x, axes.x.tickStep).filter(x => x !== 0).forEach(x => {
+        const text = tool.formatTick(x, axes.x.tickFormat);
+        check('tick-label', { x: toSVGX(x) - textWidth(text, baseFontSize) / 2, y: xAxisY + 15 - baseFontSize, width: textWidth(text, baseFontSize), height: baseFontSize + 3 },
+          { x, y: crossingY }, { text });
+      });
     }
+    return items;
+  }
 
-    // Check 8: Readability
-    if (rules.checkReadability) {
-      const readabilityCheck = await this.checkReadability(screenshotData);
-      results.checks.readability = readabilityCheck.passed;
-      if (!readabilityCheck.passed) {
-        results.errors.push('Content not readable at current size');
+  /**
+   * Range the content needs, from the values of the clipped items on each clipped side
+   * @returns {object|null} { min, max } for number lines, { xMin, xMax, yMin, yMax } for graphs
+   * @private
+   */
+  clippedRange(type, items) {
+    const needs = {};
+    const extend = (key, value, pick) => {
+      if (Number.isFinite(value)) needs[key] = needs[key] === undefined ? value : pick(needs[key], value);
+    };
+    items.forEach(item => item.edges.forEach(edge => {
+      if (type === 'number-line') {
+        extend(edge === 'left' ? 'min' : 'max', item.value, edge === 'left' ? Math.min : Math.max);
+      } else {
+        const [key, value, pick] = {
+          left: ['xMin', item.x, Math.min],
+          right: ['xMax', item.x, Math.max],
+          bottom: ['yMin', item.y, Math.min],
+          top: ['yMax', item.y, Math.max]
+        }[edge];
+        extend(key, value, pick);
       }
+    }));
+    return Object.keys(needs).length ? needs : null;
+  }
+
+  /**
+   * The value range the image was drawn with, in the option names the tools take
+   * @private
+   */
+  drawnRange({ type, layout }) {
+    if (!layout) return null;
+    return type === 'number-line'
+      ? { min: layout.min, max: layout.max }
+      : { xMin: layout.xMin, xMax: layout.xMax, yMin: layout.yMin, yMax: layout.yMax };
+  }
+
+  /**
+   * [element, color] for everything the commands drew in a color of their own
+   * @private
+   */
+  expectedColors({ type, data, config }) {
+    if (type === 'number-line') {
+      const highlight = color => color || config.highlightColor;
+      return [
+        ['main line', config.lineColor],
+        ...data.points.map(point => [`point ${point.value}`, highlight(point.color)]),
+        ...data.intervals.map(interval => [`interval [${interval.start}, ${interval.end}]`, highlight(interval.color)]),
+        ...data.inequalities.map(inequality => [`${inequality.variable} ${inequality.operator} ${inequality.value}`, highlight(inequality.color)]),
+        ...data.solutionSets.map(solutionSet => [solutionSet.notation, highlight(solutionSet.color)]),
+        ...data.jumps.map(jump => [`jump ${jump.start} to ${jump.end}`, highlight(jump.color)])
+      ];
     }
+    return [
+      ...data.lines.map(line => [`line y = ${line.slope}x + ${line.intercept}`, line.color || 'blue']),
+      ...data.functions.map(func => [`f(x) = ${func.expression || func}`, func.color || 'green']),
+      ...data.points.map(point => [`point (${point.x}, ${point.y})`, point.color || 'red']),
+      ...data.parametric.map(curve => [`param x = ${curve.x}, y = ${curve.y}`, curve.color || 'purple']),
+      ...data.polar.map(curve => [`polar r = ${curve.r}`, curve.color || 'purple']),
+      ...(data.segments || []).map(segment => ['segment', segment.color]),
+      ...(data.vectors || []).map(vector => ['vector', vector.color])
+    ];
   }
 
   /**
-   * Placeholder computer vision check methods
-   * These will be implemented with actual CV logic by Claude Code
+   * Sample a function at evenly spaced columns and find the nearest plotted pixels of its color
+   * @returns {Array} [{ x, expectedY, foundY, offset }] - offset is how far (in SVG units) the nearest
+   *                  matching pixel is from where the function should be; Infinity when none is found
    * @private
    */
-  async checkIntervalPosition(screenshotData) {
-    // TODO: Implement actual computer vision check
-    return { passed: true };
+  traceCurve({ image, layout, rules }, evaluate, color) {
+    const { axes, toSVGX, toSVGY, height } = layout;
+    const left = toSVGX(axes.x.min);
+    const right = toSVGX(axes.x.max);
+    const test = RasterImage.near(color, rules.colorTolerance);
+    const samples = [];
+
+    for (let i = 0; i < rules.samples; i++) {
+      const svgX = left + (right - left) * (i + 0.5) / rules.samples;
+      const valueAt = offset => {
+        const y = evaluate(this.fromSVGX(layout, svgX + offset));
+        return Number.isFinite(y) && !(axes.y.log && y <= 0) ? toSVGY(y) : NaN;
+      };
+      const expectedY = valueAt(0);
+      // Skip samples outside the window and across poles, where the plotted curve is split
+      if (!(expectedY > 2 && expectedY < height - 2)) continue;
+      if (!(Math.abs(valueAt(0.5) - valueAt(-0.5)) < height / 2)) continue;
+
+      const distance = run => Math.max(0, run.start - expectedY, expectedY - run.end);
+      const nearest = image.runs('column', svgX, test).sort((a, b) => distance(a) - distance(b))[0];
+      samples.push({
+        x: this.fromSVGX(layout, svgX),
+        expectedY,
+        foundY: nearest ? nearest.center : null,
+        offset: nearest ? distance(nearest) : Infinity
+      });
+    }
+    return samples;
   }
 
-  async checkCircleTypes(screenshotData) {
-    // TODO: Implement actual computer vision check
-    return { passed: true };
+  /**
+   * Graph coordinates of SVG positions (inverse of the layout's toSVGX/toSVGY)
+   * @private
+   */
+  fromSVGX(layout, svgX) {
+    const fraction = svgX / layout.width;
+    return layout.axes.x.log
+      ? Math.pow(10, Math.log10(layout.xMin) + fraction * (Math.log10(layout.xMax) - Math.log10(layout.xMin)))
+      : layout.xMin + fraction * (layout.xMax - layout.xMin);
   }
 
-  async checkIntervalSpacing(screenshotData) {
-    // TODO: Implement actual computer vision check
-    return { passed: true };
+  fromSVGY(layout, svgY) {
+    const fraction = (layout.height - svgY) / layout.height;
+    return layout.axes.y.log
+      ? Math.pow(10, Math.log10(layout.yMin) + fraction * (Math.log10(layout.yMax) - Math.log10(layout.yMin)))
+      : layout.yMin + fraction * (layout.yMax - layout.yMin);
   }
 
-  async checkContentBounds(screenshotData, type) {
-    // TODO: Implement actual computer vision check
-    return { passed: true };
+  /**
+   * Least-squares line through [x, y] points, rounded to 3 decimals
+   * @private
+   */
+  fitLine(points) {
+    const n = points.length;
+    const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+    const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+    const sxx = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+    const sxy = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+    const slope = sxx === 0 ? 0 : sxy / sxx;
+    const round = value => Math.round(value * 1000) / 1000;
+    return { slope: round(slope), intercept: round(meanY - slope * meanX) };
   }
 
-  async checkColors(screenshotData) {
-    // TODO: Implement actual computer vision check
-    return { passed: true };
+  /**
+   * Whether a box holds text of a color: at least 5% of its pixels are close to it
+   * @private
+   */
+  hasText({ image }, box, color) {
+    const { count, total } = image.count(RasterImage.near(color, 110), box);
+    return total > 0 && count / total >= 0.05;
   }
 
-  async checkReadability(screenshotData) {
-    // TODO: Implement actual computer vision check
-    return { passed: true };
+  /**
+   * Boxes the "(0,0)" label occupies in each of its four positions (see GraphTool.generateGraph)
+   * @private
+   */
+  originLabelBoxes({ xAxisY, yAxisX, baseFontSize }) {
+    const width = baseFontSize * 0.55 * 5;
+    const height = baseFontSize * 0.75;
+    const box = (left, baseline) => ({ x: left, y: baseline - height, width, height });
+    return {
+      'lower-left': box(yAxisX - 2 - width, xAxisY + 12),
+      'lower-right': box(yAxisX + 2, xAxisY + 12),
+      'upper-left': box(yAxisX - 2 - width, xAxisY - 4),
+      'upper-right': box(yAxisX + 2, xAxisY - 4)
+    };
   }
 
-  async checkFunctionAccuracy(screenshotData) {
-    // TODO: Implement actual computer vision check
-    return { passed: true };
+  /**
+   * Parse the SVG and, when generation metadata is given, lay the content out again with the tool
+   * so the checks know where every element should be
+   * @private
+   */
+  prepareStructureVerification(type, svg, rules, options) {
+    const structure = SVGStructure.parse(svg);
+    const { tool, data, layout } = this.layoutFromMetadata(type, options);
+
+    if (layout && (Math.abs(structure.width - layout.width) > 0.5 || Math.abs(structure.height - layout.height) > 0.5)) {
+      throw new Error(`The SVG is ${structure.width}x${structure.height} but the ${type} lays out at ${layout.width}x${layout.height}; ` +
+        'pass the options it was generated with');
+    }
+
+    return {
+      type,
+      svg: structure,
+      rules,
+      tolerance: rules.tolerancePixels,
+      tool,
+      data,
+      layout,
+      config: layout ? layout.config : null
+    };
+  }
+
+  /**
+   * Verify number line SVG structure
+   * @private
+   */
+  async verifyNumberLineStructure(context, rules, results) {
+    await this.runChecks(results, [
+      [rules.checkPoints, 'points', () => this.checkSVGPoints(context)],
+      [rules.checkIntervals, 'intervals', () => this.checkSVGIntervals(context)],
+      [rules.checkLabels, 'labels', () => this.checkSVGLabels(context)],
+      [rules.checkBounds, 'bounds', () => this.checkSVGBounds(context)],
+      [rules.checkTextOverlap, 'textOverlap', () => this.checkTextOverlap(context)]
+    ]);
+  }
+
+  /**
+   * Verify graph SVG structure
+   * @private
+   */
+  async verifyGraphStructure(context, rules, results) {
+    await this.runChecks(results, [
+      [rules.checkPoints, 'points', () => this.checkSVGPoints(context)],
+      [rules.checkLabels, 'labels', () => this.checkSVGLabels(context)],
+      [rules.checkBounds, 'bounds', () => this.checkSVGBounds(context)],
+      [rules.checkTextOverlap, 'textOverlap', () => this.checkTextOverlap(context)]
+    ]);
+  }
+
+  // Every point is a circle of its color, filled or hollow, at its coordinates
+  async checkSVGPoints(context) {
+    const skipped = this.requireLayout(context);
+    if (skipped) return skipped;
+    const { type, data, layout, config } = context;
+
+    const markers = type === 'graph'
+      ? data.points.map(point => ({
+        description: `(${point.x}, ${point.y})`,
+        x: layout.toSVGX(point.x),
+        y: layout.toSVGY(point.y),
+        color: point.color || 'red',
+        closed: point.style !== 'open'
+      }))
+      : data.points.map(point => ({
+        description: `${point.value}`,
+        x: layout.toX(point.value),
+        y: layout.lineY,
+        color: point.color || config.highlightColor,
+        closed: point.type === 'solid'
+      }));
+
+    const errors = markers.map(marker => this.matchSVGMarker(context, { kind: 'point', ...marker })).filter(Boolean);
+    return this.checkOutcome(errors, { points: markers.length });
+  }
+
+  // Intervals, inequality rays and solution sets are lines of their color between the right x values,
+  // with open or closed circles at their finite ends
+  async checkSVGIntervals(context) {
+    const skipped = this.requireLayout(context);
+    if (skipped) return skipped;
+    const { data, layout, config, svg, tolerance } = context;
+    const { toX, lineY, lineStartX, lineEndX, min, max } = layout;
+    const color = item => item.color || config.highlightColor;
+    const describe = (start, end, startInclusive, endInclusive) =>
+      `${startInclusive ? '[' : '('}${Number.isFinite(start) ? start : '-∞'}, ${Number.isFinite(end) ? end : '∞'}${endInclusive ? ']' : ')'}`;
+    const spans = [];
+
+    data.intervals.forEach((interval, index) => {
+      spans.push({
+        kind: 'interval',
+        description: describe(interval.start, interval.end, interval.startInclusive, interval.endInclusive),
+        y: layout.intervalY(index),
+        x1: toX(interval.start),
+        x2: toX(interval.end),
+        color: color(interval),
+        ends: [
+          { x: toX(interval.start), closed: interval.startInclusive },
+          { x: toX(interval.end), closed: interval.endInclusive }
+        ]
+      });
+    });
+    data.inequalities.forEach(inequality => {
+      const x = toX(inequality.value);
+      const right = inequality.operator.includes('>');
+      if (!right && !inequality.operator.includes('<')) return;
+      spans.push({
+        kind: 'inequality',
+        description: `x ${inequality.operator} ${inequality.value}`,
+        y: lineY,
+        x1: right ? x : lineStartX,
+        x2: right ? lineEndX : x,
+        color: color(inequality),
+        ends: [{ x, closed: inequality.operator !== '>' && inequality.operator !== '<' }]
+      });
+    });
+    data.solutionSets.forEach(solutionSet => {
+      solutionSet.intervals.forEach(interval => {
+        if (interval.start > max || interval.end < min) return;
+        const ends = [];
+        if (Number.isFinite(interval.start) && interval.start >= min) ends.push({ x: toX(interval.start), closed: interval.startInclusive });
+        if (Number.isFinite(interval.end) && interval.end <= max) ends.push({ x: toX(interval.end), closed: interval.endInclusive });
+        spans.push({
+          kind: 'solution-set',
+          description: describe(interval.start, interval.end, interval.startInclusive, interval.endInclusive),
+          y: lineY,
+          x1: toX(Math.max(interval.start, min)),
+          x2: toX(Math.min(interval.end, max)),
+          color: color(solutionSet),
+          ends
+        });
+      });
+    });
+
+    const errors = [];
+    spans.forEach(span => {
+      const where = { kind: span.kind, description: span.description };
+      const candidates = svg.find('line', line => SVGStructure.paints(line, 'stroke', span.color)).map(line => {
+        const [x1, x2] = [SVGStructure.number(line, 'x1'), SVGStructure.number(line, 'x2')].sort((a, b) => a - b);
+        const y = (SVGStructure.number(line, 'y1') + SVGStructure.number(line, 'y2')) / 2;
+        return { x1, x2, y, offset: Math.max(Math.abs(x1 - span.x1), Math.abs(x2 - span.x2), Math.abs(y - span.y)) };
+      }).sort((a, b) => a.offset - b.offset);
+
+      if (!candidates.length) {
+        errors.push({ code: 'INTERVAL_MISSING', message: `No ${span.color} line for ${span.description}`, ...where });
+        return;
+      }
+      const [found] = candidates;
+      if (found.offset > tolerance) {
+        errors.push({
+          code: 'INTERVAL_MISPLACED',
+          message: `Line for ${span.description} is ${Math.round(found.offset * 10) / 10}px off`,
+          ...where,
+          expected: { x1: span.x1, x2: span.x2, y: span.y },
+          found: { x1: found.x1, x2: found.x2, y: found.y }
+        });
+      }
+      span.ends.forEach(end => {
+        const error = this.matchSVGMarker(context, { ...where, x: end.x, y: span.y, color: span.color, closed: end.closed });
+        if (error) errors.push(error);
+      });
+    });
+
+    return this.checkOutcome(errors, { intervals: spans.length });
   }
 
-  async checkLineSlope(screenshotData) {
-    // TODO: Implement actual computer vision check
-    return { passed: true };
+  // Every label the commands asked for is drawn, with its text, at its coordinates
+  async checkSVGLabels(context) {
+    const skipped = this.requireLayout(context);
+    if (skipped) return skipped;
+    const { type, data, layout, svg, tolerance } = context;
+    const labels = [];
+
+    if (type === 'graph') {
+      data.points.filter(point => point.label).forEach(point => {
+        labels.push({ kind: 'point-label', text: point.label, x: layout.toSVGX(point.x) + 6, y: layout.toSVGY(point.y) - 6 });
+      });
+      data.labels.forEach(label => {
+        labels.push({ kind: 'label', text: label.text, x: layout.toSVGX(label.x) + 5, y: layout.toSVGY(label.y) - 5 });
+      });
+    } else {
+      const { toX, lineY, jumpLevels, jumpLevelHeight } = layout;
+      data.jumps.forEach((jump, index) => {
+        if (!jump.label) return;
+        const rise = jumpLevelHeight * (jumpLevels[index] + 1);
+        labels.push({ kind: 'jump-label', text: jump.label, x: (toX(jump.start) + toX(jump.end)) / 2, y: lineY - rise - 5 });
+      });
+      data.points.filter(point => point.label).forEach(point => {
+        labels.push({ kind: 'point-label', text: point.label, x: toX(point.value), y: lineY - 15 });
+      });
+      data.labels.forEach(label => {
+        labels.push({ kind: 'label', text: label.text, x: toX(label.value), y: lineY - 15 });
+      });
+    }
+
+    const errors = [];
+    labels.forEach(label => {
+      const text = String(label.text).trim();
+      const found = svg.find('text', element => element.text === text).map(element => {
+        const x = SVGStructure.number(element, 'x');
+        const y = SVGStructure.number(element, 'y');
+        return { x, y, offset: Math.max(Math.abs(x - label.x), Math.abs(y - label.y)) };
+      }).sort((a, b) => a.offset - b.offset)[0];
+
+      if (!found) {
+        errors.push({ code: 'LABEL_MISSING', message: `Label "${text}" not found`, kind: label.kind, text });
+      } else if (found.offset > tolerance) {
+        errors.push({
+          code: 'LABEL_MISPLACED',
+          message: `Label "${text}" is ${Math.round(found.offset * 10) / 10}px off`,
+          kind: label.kind,
+          text,
+          expected: { x: label.x, y: label.y },
+          found: { x: found.x, y: found.y }
+        });
+      }
+    });
+
+    return this.checkOutcome(errors, { labels: labels.length });
   }
 
-  async checkAxisLabels(screenshotData) {
-    // TODO: Implement actual computer vision check
-    return { passed: true };
+  // Nothing is drawn outside the viewBox
+  async checkSVGBounds(context) {
+    const { type, svg, tolerance } = context;
+    // Graph grid lines, axes and curves run to the border by design and are clipped by the SVG,
+    // so only markers, arrowheads and text count there
+    const checked = type === 'graph' ? ['circle', 'polygon', 'text'] : ['line', 'circle', 'polygon', 'path', 'text'];
+    const elements = [];
+    const edges = [];
+
+    svg.elements.filter(element => checked.includes(element.tag)).forEach(element => {
+      const box = SVGStructure.bbox(element);
+      const crossed = box ? svg.edgesCrossed(box, tolerance) : [];
+      if (!crossed.length) return;
+      elements.push({
+        tag: element.tag,
+        ...(element.text !== null && { text: element.text }),
+        box: Object.fromEntries(Object.entries(box).map(([key, value]) => [key, Math.round(value * 10) / 10])),
+        edges: crossed
+      });
+    });
+
+    // The layout maps clipped items back to values, so a retry knows how far to widen the range
+    const items = context.layout
+      ? (type === 'graph' ? this.clippedGraphItems(context) : this.clippedNumberLineItems(context))
+      : [];
+    [...elements, ...items].forEach(item => item.edges.forEach(edge => !edges.includes(edge) && edges.push(edge)));
+
+    const errors = edges.length > 0
+      ? [{
+        code: 'CONTENT_CLIPPED',
+        message: type === 'graph' ? 'Content clipping outside viewBox' : 'Content cutoff at edges detected',
+        edges,
+        elements,
+        items,
+        needs: this.clippedRange(type, items),
+        range: this.drawnRange(context)
+      }]
+      : [];
+
+    return this.checkOutcome(errors, { edges, elements, items });
   }
 
-  async checkGridVisibility(screenshotData) {
-    // TODO: Implement actual computer vision check
-    return { passed: true };
+  // No two text elements overlap
+  async checkTextOverlap(context) {
+    const { type, svg, rules, layout, config } = context;
+    const texts = svg.find('text', element => element.text).map(element => ({ text: element.text, box: SVGStructure.bbox(element) }));
+    const overlapping = (a, b) => {
+      const overlap = SVGStructure.overlap(a, b);
+      return overlap && overlap.width > rules.minTextOverlap && overlap.height > rules.minTextOverlap ? overlap : null;
+    };
+    // The graph's origin label can move to another quadrant, so its collisions get their own error
+    const isOrigin = text => type === 'graph' && layout && text.text === '(0,0)';
+    // Fonts grow more slowly than the presets' widths, so the next size up spreads labels apart
+    const sizes = Object.keys(context.tool.sizePresets);
+    const nextSize = config && sizes.includes(config.size) ? sizes[sizes.indexOf(config.size) + 1] : null;
+    const errors = [];
+    const originOverlaps = [];
+    const reported = new Set();
+
+    texts.forEach((a, i) => {
+      texts.slice(i + 1).forEach(b => {
+        const overlap = overlapping(a.box, b.box);
+        if (!overlap) return;
+        if (isOrigin(a) || isOrigin(b)) {
+          originOverlaps.push(isOrigin(a) ? b.text : a.text);
+          return;
+        }
+        // Report each text once, so a run of crowded tick labels doesn't list every pair
+        if (reported.has(a) || reported.has(b)) return;
+        reported.add(a).add(b);
+        errors.push({
+          code: 'TEXT_OVERLAP',
+          message: `Text "${a.text}" overlaps "${b.text}"`,
+          texts: [a.text, b.text],
+          overlap: { width: Math.round(overlap.width * 10) / 10, height: Math.round(overlap.height * 10) / 10 },
+          ...(nextSize && { suggestedSize: nextSize })
+        });
+      });
+    });
+
+    if (originOverlaps.length) {
+      const position = config.originPosition || 'lower-left';
+      const others = texts.filter(text => !isOrigin(text));
+      const boxes = this.originLabelBoxes(layout);
+      const free = Object.keys(boxes).find(candidate =>
+        candidate !== position && !others.some(text => overlapping(boxes[candidate], text.box)));
+      errors.push({
+        code: 'ORIGIN_LABEL_OBSCURED',
+        message: 'Origin label not positioned correctly',
+        position,
+        texts: originOverlaps,
+        ...(free && { suggestedPosition: free })
+      });
+    }
+
+    return this.checkOutcome(errors, { texts: texts.length });
   }
 
-  async checkOriginLabel(screenshotData) {
-    // TODO: Implement actual computer vision check
-    return { passed: true };
+  /**
+   * Find the circle drawn for a marker; an error when it is missing, off its x or of the wrong type
+   * @private
+   */
+  matchSVGMarker({ svg, tolerance }, marker) {
+    const { kind, description, x, y, color, closed } = marker;
+    const expected = closed ? 'closed' : 'open';
+    const where = { kind, description, expectedX: x, expectedY: y };
+    const filled = circle => SVGStructure.paints(circle, 'fill', color);
+    const circles = svg.find('circle', circle =>
+      Math.abs(SVGStructure.number(circle, 'cy') - y) <= tolerance && (filled(circle) || SVGStructure.paints(circle, 'stroke', color)));
+    const offset = circle => SVGStructure.number(circle, 'cx') - x;
+    const at = circles.filter(circle => Math.abs(offset(circle)) <= tolerance);
+
+    if (!at.length) {
+      // A circle a few radii away is this marker drawn in the wrong place; further off it belongs to another one
+      const nearest = circles.sort((a, b) => Math.abs(offset(a)) - Math.abs(offset(b)))[0];
+      if (nearest && Math.abs(offset(nearest)) <= 20) {
+        return {
+          code: 'CIRCLE_MISPLACED',
+          message: `Circle for ${description} is ${Math.round(Math.abs(offset(nearest)) * 10) / 10}px off`,
+          ...where,
+          foundX: SVGStructure.number(nearest, 'cx')
+        };
+      }
+      return { code: 'CIRCLE_MISSING', message: `No ${expected} circle at ${description}`, ...where, expected };
+    }
+    if (!at.some(circle => filled(circle) === closed)) {
+      return { code: 'CIRCLE_TYPE_MISMATCH', message: 'Circle types (open/closed) incorrect', ...where, expected, found: closed ? 'open' : 'closed' };
+    }
+    return null;
   }
 
 
@@ -636,23 +1762,27 @@ export class ContentLabAPI {
           itemResult.svg = generateResult.svg;
           itemResult.metadata = generateResult.metadata;
 
-          // Step 2: Capture screenshot if enabled
-          let screenshotData = null;
+          // Step 2: Capture screenshot if enabled, otherwise the checks rasterize the SVG itself
+          let screenshotData = generateResult.svg;
           if (captureScreenshots) {
-            // Load the generated content into ContentLab
-            await this.loadContent(generateResult.svg);
+            // Load the generated content into ContentLab as a graph/number-line item
+            await this.loadContent([{ type: item.type, content: generateResult.svg }]);
             await this.waitForRender(500); // Wait for render
             
-            // Capture screenshot
-            const screenshotResult = await this.screenshot();
+            // Capture just the SVG element, so image pixels map back to SVG coordinates
+            const screenshotResult = await this.screenshot({ target: item.type });
+            if (!screenshotResult.success) {
+              throw new Error(`Screenshot failed: ${screenshotResult.error}`);
+            }
             screenshotData = screenshotResult;
           }
 
-          // Step 3: Verify the content
+          // Step 3: Verify the content against what the commands asked for
           const verifyResult = await this.verifyVisual(
             item.type,
             screenshotData,
-            item.verificationRules || {}
+            item.verificationRules || {},
+            { metadata: generateResult.metadata, generationOptions: item.options || {} }
           );
 
           if (!verifyResult.success) {
@@ -665,7 +1795,7 @@ export class ContentLabAPI {
           if (!verifyResult.results.passed) {
             // If verification failed and we have retries left, adjust parameters and retry
             if (attempt < maxRetries) {
-              console.log(`Verification failed on attempt ${attempt}. Errors: ${verifyResult.results.errors.join(', ')}`);
+              console.log(`Verification failed on attempt ${attempt}. Errors: ${verifyResult.results.errors.map(error => error.message).join(', ')}`);
               console.log(`Retrying with adjusted parameters...`);
               
               // Adjust parameters based on verification errors
@@ -674,7 +1804,7 @@ export class ContentLabAPI {
               await new Promise(resolve => setTimeout(resolve, retryDelay));
               continue; // Retry
             } else {
-              throw new Error(`Verification failed after ${maxRetries} attempts: ${verifyResult.results.errors.join(', ')}`);
+              throw new Error(`Verification failed after ${maxRetries} attempts: ${verifyResult.results.errors.map(error => error.message).join(', ')}`);
             }
           }
 
@@ -720,35 +1850,100 @@ export class ContentLabAPI {
 
   /**
    * Adjust generation parameters based on verification errors
+   * @param {object} currentOptions - Options of the failed attempt
+   * @param {Array} errors - Structured errors from verifyVisual ({ code, message, ... });
+   *                         plain message strings from older results are still understood
    * @private
    */
   adjustParametersForRetry(currentOptions, errors) {
     const adjusted = { ...currentOptions };
+    const legacyCode = (message) => {
+      if (message.includes('Content cutoff') || message.includes('clipping')) return 'CONTENT_CLIPPED';
+      if (message.includes('not readable')) return 'TEXT_TOO_SMALL';
+      if (message.includes('spacing')) return 'INTERVAL_SPACING';
+      return null;
+    };
 
-    // Check for specific error patterns and adjust accordingly
-    errors.forEach(error => {
-      if (error.includes('Content cutoff') || error.includes('clipping')) {
-        // Increase bounds
-        if (adjusted.min !== undefined) adjusted.min -= 1;
-        if (adjusted.max !== undefined) adjusted.max += 1;
-        if (adjusted.xMin !== undefined) adjusted.xMin -= 1;
-        if (adjusted.xMax !== undefined) adjusted.xMax += 1;
-        if (adjusted.yMin !== undefined) adjusted.yMin -= 1;
-        if (adjusted.yMax !== undefined) adjusted.yMax += 1;
-      }
+    // Check for specific error codes and adjust accordingly
+    errors.map(error => (typeof error === 'string' ? { code: legacyCode(error), message: error } : error)).forEach(error => {
+      switch (error.code) {
+        case 'CONTENT_CLIPPED': {
+          if (!error.needs) {
+            // Increase bounds
+            if (adjusted.min !== undefined) adjusted.min -= 1;
+            if (adjusted.max !== undefined) adjusted.max += 1;
+            if (adjusted.xMin !== undefined) adjusted.xMin -= 1;
+            if (adjusted.xMax !== undefined) adjusted.xMax += 1;
+            if (adjusted.yMin !== undefined) adjusted.yMin -= 1;
+            if (adjusted.yMax !== undefined) adjusted.yMax += 1;
+            break;
+          }
+          // Widen just the clipped sides, to 10% of the range past what the content needs
+          const widen = (lowKey, highKey) => {
+            const low = adjusted[lowKey] ?? error.range?.[lowKey] ?? -10;
+            const high = adjusted[highKey] ?? error.range?.[highKey] ?? 10;
+            const margin = (high - low) * 0.1;
+            if (error.needs[lowKey] !== undefined) adjusted[lowKey] = Math.min(low, error.needs[lowKey] - margin);
+            if (error.needs[highKey] !== undefined) adjusted[highKey] = Math.max(high, error.needs[highKey] + margin);
+          };
+          widen('min', 'max');
+          widen('xMin', 'xMax');
+          widen('yMin', 'yMax');
+          break;
+        }
 
-      if (error.includes('not readable')) {
-        // Try increasing size
-        const sizeMap = { small: 'medium', medium: 'large', large: 'xlarge' };
-        if (adjusted.size && sizeMap[adjusted.size]) {
-          adjusted.size = sizeMap[adjusted.size];
+        case 'TEXT_OVERLAP':
+        case 'TEXT_TOO_SMALL': {
+          if (error.suggestedSize) {
+            // A smaller SVG is scaled down less in a narrow container; a larger one spreads overlapping labels
+            adjusted.size = error.suggestedSize;
+            break;
+          }
+          // Try increasing size
+          const sizeMap = { small: 'medium', medium: 'large', large: 'xlarge' };
+          if (adjusted.size && sizeMap[adjusted.size]) {
+            adjusted.size = sizeMap[adjusted.size];
+          }
+          break;
         }
-      }
 
-      if (error.includes('spacing')) {
-        // Adjust spacing parameters if available
-        if (adjusted.intervalSpacing !== undefined) {
-          adjusted.intervalSpacing = 25; // Ensure proper spacing
+        case 'INTERVAL_SPACING':
+          // Adjust spacing parameters if available
+          if (adjusted.intervalSpacing !== undefined) {
+            adjusted.intervalSpacing = 25; // Ensure proper spacing
+          }
+          break;
+
+        case 'LOW_CONTRAST':
+          adjusted.backgroundColor = '#ffffff';
+          adjusted[error.colorOption || 'lineColor'] = '#000000';
+          break;
+
+        case 'GRID_TOO_DENSE':
+          adjusted.gridStep = error.suggestedGridStep;
+          break;
+
+        case 'GRID_NOT_VISIBLE':
+          adjusted.gridColor = '#c8c8c8';
+          break;
+
+        case 'AXIS_LABEL_MISSING':
+          adjusted.showAxisLabels = true;
+          break;
+
+        case 'ORIGIN_LABEL_OBSCURED':
+          if (error.suggestedPosition) {
+            adjusted.originPosition = error.suggestedPosition;
+          }
+          break;
+
+        case 'FUNCTION_MISMATCH':
+        case 'LINE_MISMATCH': {
+          // Sample curves more finely
+          const qualityMap = { low: 'medium', medium: 'high' };
+          adjusted.sampling = 'adaptive';
+          adjusted.quality = qualityMap[adjusted.quality || 'medium'] || 'high';
+          break;
         }
       }
     });
@@ -990,7 +2185,8 @@ export class ContentLabAPI {
         'element-measurement',
         'alignment-analysis',
         'batch-processing',
-        'iterative-correction'
+        'iterative-correction',
+        'expression-validation'
       ]
     };
   }
@@ -0,0 +1,246 @@
+/**
+ * RasterImage - RGBA pixels of a screenshot or rasterized SVG, addressed in SVG units
+ * Used by ContentLabAPI's visual verification checks
+ */
+
+// Fallback for named colors when there is no canvas to resolve them
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  purple: [128, 0, 128],
+  orange: [255, 165, 0],
+  yellow: [255, 255, 0],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  brown: [165, 42, 42],
+  pink: [255, 192, 203],
+  teal: [0, 128, 128],
+  navy: [0, 0, 128],
+  maroon: [128, 0, 0],
+  olive: [128, 128, 0],
+  lime: [0, 255, 0],
+  cyan: [0, 255, 255],
+  magenta: [255, 0, 255]
+};
+
+export class RasterImage {
+  /**
+   * @param {object} pixels - { width, height, data } with RGBA bytes (ImageData or a jimp bitmap)
+   * @param {number} scale - Image pixels per SVG unit
+   */
+  constructor(pixels, scale = 1) {
+    this.pixelWidth = pixels.width;
+    this.pixelHeight = pixels.height;
+    this.data = pixels.data;
+    this.scale = scale;
+    this.width = pixels.width / scale;
+    this.height = pixels.height / scale;
+  }
+
+  /**
+   * Decode verification input
+   * @param {string|object} source - SVG markup, a data URL, bare base64 PNG, a screenshot result
+   *                                 ({ screenshot }) or decoded pixels ({ width, height, data })
+   * @param {object} options
+   * @param {number} options.svgWidth - Width of the SVG the image shows, to map pixels to SVG units
+   * @param {number} options.scale - Pixels per SVG unit when rasterizing SVG markup (default: 2)
+   * @returns {Promise<RasterImage>}
+   */
+  static async from(source, { svgWidth = null, scale = 2 } = {}) {
+    if (source && typeof source === 'object') {
+      if (typeof source.screenshot === 'string') {
+        return this.from(source.screenshot, { svgWidth, scale });
+      }
+      if (source.data && source.width && source.height) {
+        return new RasterImage(source, svgWidth ? source.width / svgWidth : 1);
+      }
+    }
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new Error('Visual verification needs a screenshot data URL, SVG markup or decoded pixels');
+    }
+
+    const text = source.trim();
+    if (/^(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(text)) {
+      const size = (name) => parseFloat((text.match(new RegExp(`<svg[^>]*\\s${name}="([\\d.]+)`)) || [])[1]);
+      const width = size('width');
+      const height = size('height');
+      if (!width || !height) {
+        throw new Error('SVG markup needs numeric width and height attributes to be rasterized');
+      }
+      const pixels = await this.decode(
+        `data:image/svg+xml;charset=utf-8,${encodeURIComponent(text)}`,
+        Math.round(width * scale),
+        Math.round(height * scale)
+      );
+      return new RasterImage(pixels, scale);
+    }
+
+    let url = text;
+    if (!text.startsWith('data:')) {
+      if (!/^[A-Za-z0-9+/=\s]+$/.test(text)) {
+        throw new Error('Screenshots must be passed as data URLs or base64; file paths cannot be read in the page');
+      }
+      url = `data:image/png;base64,${text.replace(/\s+/g, '')}`;
+    }
+    const pixels = await this.decode(url);
+    return new RasterImage(pixels, svgWidth ? pixels.width / svgWidth : 1);
+  }
+
+  /**
+   * Draw an image URL onto a canvas and read its pixels (browser only)
+   */
+  static async decode(url, width = null, height = null) {
+    if (typeof document === 'undefined') {
+      throw new Error('Decoding images needs a browser; pass decoded pixels ({ width, height, data }) instead');
+    }
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width || image.naturalWidth;
+    canvas.height = height || image.naturalHeight;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+  }
+
+  /**
+   * Any CSS color the tools accept (#rgb, #rrggbb, rgb(), names) as [r, g, b], or null
+   */
+  static parseColor(color) {
+    if (Array.isArray(color)) return color;
+    if (typeof color !== 'string') return null;
+    const value = color.trim().toLowerCase();
+
+    const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+      return [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16));
+    }
+    const rgb = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+    if (rgb) {
+      return rgb.slice(1, 4).map(Number);
+    }
+    if (NAMED_COLORS[value]) {
+      return NAMED_COLORS[value];
+    }
+    if (typeof document !== 'undefined' && /^[a-z]+$/.test(value)) {
+      // The canvas normalizes any named color it knows to #rrggbb
+      const context = document.createElement('canvas').getContext('2d');
+      context.fillStyle = '#010203';
+      context.fillStyle = value;
+      return context.fillStyle === '#010203' ? null : this.parseColor(context.fillStyle);
+    }
+    return null;
+  }
+
+  /**
+   * Largest per-channel difference between two colors (0-255)
+   */
+  static distance(a, b) {
+    return Math.max(Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]), Math.abs(a[2] - b[2]));
+  }
+
+  /**
+   * WCAG contrast ratio between two colors (1-21)
+   */
+  static contrast(a, b) {
+    const luminance = (rgb) => {
+      const [r, g, b2] = rgb.map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+      });
+      return 0.2126 * r + 0.7152 * g + 0.0722 * b2;
+    };
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+  }
+
+  /**
+   * Color of the image pixel at integer pixel coordinates, composited over white; null outside the image
+   */
+  pixelAt(px, py) {
+    if (px < 0 || py < 0 || px >= this.pixelWidth || py >= this.pixelHeight) return null;
+    const i = (py * this.pixelWidth + px) * 4;
+    const alpha = this.data[i + 3] / 255;
+    return [0, 1, 2].map(channel => Math.round(this.data[i + channel] * alpha + 255 * (1 - alpha)));
+  }
+
+  /**
+   * Color at SVG coordinates
+   */
+  colorAt(x, y) {
+    return this.pixelAt(Math.floor(x * this.scale), Math.floor(y * this.scale));
+  }
+
+  /**
+   * The image's background, taken from its top-left pixel
+   */
+  background() {
+    return this.pixelAt(0, 0);
+  }
+
+  /**
+   * Runs of pixels matching a color along a row (horizontal) or column, in SVG units
+   * @param {string} direction - 'row' or 'column'
+   * @param {number} position - y of the row or x of the column
+   * @param {Function} test - (rgb) => boolean
+   * @param {number} from - Start of the scanned span (default: 0)
+   * @param {number} to - End of the scanned span (default: image width or height)
+   * @returns {Array} [{ start, end, center }]
+   */
+  runs(direction, position, test, from = 0, to = null) {
+    const horizontal = direction === 'row';
+    const fixed = Math.floor(position * this.scale);
+    const limit = horizontal ? this.pixelWidth : this.pixelHeight;
+    const first = Math.max(0, Math.floor(from * this.scale));
+    const last = Math.min(limit - 1, Math.ceil((to ?? limit / this.scale) * this.scale) - 1);
+    const runs = [];
+    let start = null;
+
+    for (let p = first; p <= last + 1; p++) {
+      const rgb = p <= last ? (horizontal ? this.pixelAt(p, fixed) : this.pixelAt(fixed, p)) : null;
+      const hit = rgb !== null && test(rgb);
+      if (hit && start === null) {
+        start = p;
+      } else if (!hit && start !== null) {
+        runs.push({ start: start / this.scale, end: p / this.scale, center: (start + p) / 2 / this.scale });
+        start = null;
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Count pixels inside an SVG-unit rectangle that pass a test
+   * @returns {object} { count, total }
+   */
+  count(test, region = null) {
+    const { x = 0, y = 0, width = this.width, height = this.height } = region || {};
+    const left = Math.max(0, Math.floor(x * this.scale));
+    const top = Math.max(0, Math.floor(y * this.scale));
+    const right = Math.min(this.pixelWidth, Math.ceil((x + width) * this.scale));
+    const bottom = Math.min(this.pixelHeight, Math.ceil((y + height) * this.scale));
+    let count = 0;
+
+    for (let py = top; py < bottom; py++) {
+      for (let px = left; px < right; px++) {
+        if (test(this.pixelAt(px, py))) count++;
+      }
+    }
+    return { count, total: Math.max(0, right - left) * Math.max(0, bottom - top) };
+  }
+
+  /**
+   * Test for pixels close to a color
+   */
+  static near(color, tolerance) {
+    return (rgb) => RasterImage.distance(rgb, color) <= tolerance;
+  }
+}
+
+export default RasterImage;
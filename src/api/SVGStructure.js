@@ -0,0 +1,256 @@
+/**
+ * SVGStructure - Elements of a generated SVG with their geometry, for structural verification
+ * Parses the markup NumberLineTool and GraphTool produce without a DOM, so it works in Node and the page
+ */
+
+import RasterImage from './RasterImage.js';
+
+// Presentation attributes a <g> passes down to its children
+const INHERITED = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'font-size', 'font-weight', 'text-anchor', 'opacity'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export class SVGStructure {
+  /**
+   * @param {object} structure - { width, height, viewBox, elements }
+   */
+  constructor({ width, height, viewBox, elements }) {
+    this.width = width;
+    this.height = height;
+    this.viewBox = viewBox;
+    this.elements = elements;
+  }
+
+  /**
+   * Parse SVG markup into drawn elements
+   * @param {string} svg - Markup with a root <svg> element
+   * @returns {SVGStructure}
+   */
+  static parse(svg) {
+    if (typeof svg !== 'string' || !/^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(svg)) {
+      throw new Error('SVG verification needs the generated SVG markup');
+    }
+
+    const elements = [];
+    const groups = [{}];
+    let root = null;
+    const tagPattern = /<(\/?)([\w:-]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>([^<]*)/g;
+    let match;
+
+    while ((match = tagPattern.exec(svg))) {
+      const [, closing, tag, rawAttributes, selfClosing, text] = match;
+      if (closing) {
+        if (tag === 'g' && groups.length > 1) groups.pop();
+        continue;
+      }
+
+      const own = this.attributes(rawAttributes);
+      if (tag === 'svg') {
+        root = own;
+        continue;
+      }
+
+      const inherited = groups[groups.length - 1];
+      if (tag === 'g') {
+        if (!selfClosing) {
+          groups.push({ ...inherited, ...this.pick(own, INHERITED) });
+        }
+        continue;
+      }
+
+      elements.push({
+        tag,
+        index: elements.length,
+        attributes: { ...inherited, ...own },
+        text: tag === 'text' ? this.decode(text).trim() : null
+      });
+    }
+
+    if (!root) {
+      throw new Error('SVG verification needs the generated SVG markup');
+    }
+    const viewBox = (root.viewBox || '').trim().split(/[\s,]+/).map(Number);
+    const width = parseFloat(root.width) || viewBox[2];
+    const height = parseFloat(root.height) || viewBox[3];
+    if (!width || !height) {
+      throw new Error('SVG markup needs numeric width and height attributes or a viewBox');
+    }
+
+    return new SVGStructure({
+      width,
+      height,
+      viewBox: viewBox.length === 4 && viewBox.every(Number.isFinite)
+        ? { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] }
+        : { x: 0, y: 0, width, height },
+      elements
+    });
+  }
+
+  /**
+   * Attribute string to an object
+   * @private
+   */
+  static attributes(raw) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted] of raw.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      attributes[name] = this.decode(doubleQuoted ?? singleQuoted);
+    }
+    return attributes;
+  }
+
+  /**
+   * @private
+   */
+  static pick(attributes, names) {
+    return Object.fromEntries(names.filter(name => attributes[name] !== undefined).map(name => [name, attributes[name]]));
+  }
+
+  /**
+   * Replace XML character references
+   * @private
+   */
+  static decode(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+      }
+      return ENTITIES[name] ?? entity;
+    });
+  }
+
+  /**
+   * Elements with a tag, optionally filtered
+   */
+  find(tag, test = null) {
+    return this.elements.filter(element => element.tag === tag && (!test || test(element)));
+  }
+
+  /**
+   * Numeric attribute
+   */
+  static number(element, name, fallback = 0) {
+    const value = parseFloat(element.attributes[name]);
+    return Number.isFinite(value) ? value : fallback;
+  }
+
+  /**
+   * Whether a paint attribute is the given color (any CSS notation the tools accept)
+   */
+  static paints(element, attribute, color) {
+    const value = element.attributes[attribute];
+    if (!value || value === 'none') return false;
+    const actual = RasterImage.parseColor(value);
+    const expected = RasterImage.parseColor(color);
+    return actual && expected ? RasterImage.distance(actual, expected) === 0 : value.toLowerCase() === String(color).toLowerCase();
+  }
+
+  /**
+   * Estimated bounding box of an element in SVG units: { x, y, width, height }
+   * Text is measured from its font size (0.6em per character, 0.75em above the baseline and 0.2em below
+   * when it has descenders), which is close for the sans-serif digits and short labels the tools draw
+   */
+  static bbox(element) {
+    const n = (name, fallback) => this.number(element, name, fallback);
+    const stroke = element.attributes.stroke && element.attributes.stroke !== 'none' ? n('stroke-width', 1) / 2 : 0;
+    const box = (xs, ys, pad = 0) => {
+      const x = Math.min(...xs) - pad;
+      const y = Math.min(...ys) - pad;
+      return { x, y, width: Math.max(...xs) + pad - x, height: Math.max(...ys) + pad - y };
+    };
+
+    switch (element.tag) {
+      case 'rect':
+        return box([n('x'), n('x') + n('width')], [n('y'), n('y') + n('height')], stroke);
+      case 'circle':
+        return box([n('cx') - n('r'), n('cx') + n('r')], [n('cy') - n('r'), n('cy') + n('r')], stroke);
+      case 'line':
+        return box([n('x1'), n('x2')], [n('y1'), n('y2')], stroke);
+      case 'polyline':
+      case 'polygon': {
+        const points = (element.attributes.points || '').trim().split(/[\s,]+/).map(Number);
+        if (points.length < 2) return null;
+        return box(points.filter((v, i) => i % 2 === 0), points.filter((v, i) => i % 2 === 1), stroke);
+      }
+      case 'path': {
+        const points = this.pathPoints(element.attributes.d || '');
+        if (!points.length) return null;
+        return box(points.map(p => p[0]), points.map(p => p[1]), stroke);
+      }
+      case 'text': {
+        const size = n('font-size', 16);
+        const width = [...(element.text || '')].length * size * 0.6;
+        const anchor = element.attributes['text-anchor'];
+        const left = n('x') - (anchor === 'middle' ? width / 2 : anchor === 'end' ? width : 0);
+        const descent = /[gjpqy(),;[\]{}|]/.test(element.text || '') ? size * 0.2 : 0;
+        return { x: left, y: n('y') - size * 0.75, width, height: size * 0.75 + descent };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Points along a path with absolute M, L, H, V, Q and Z commands; quadratic curves are sampled
+   * @private
+   */
+  static pathPoints(d) {
+    const points = [];
+    const tokens = d.match(/[MLHVQZ]|-?[\d.]+(?:e-?\d+)?/gi) || [];
+    let command = null;
+    let current = [0, 0];
+    let i = 0;
+    const next = () => parseFloat(tokens[i++]);
+
+    while (i < tokens.length) {
+      if (/[a-z]/i.test(tokens[i])) {
+        command = tokens[i++].toUpperCase();
+        if (command === 'Z') continue;
+      }
+      if (command === 'M' || command === 'L') {
+        current = [next(), next()];
+        points.push(current);
+      } else if (command === 'H') {
+        current = [next(), current[1]];
+        points.push(current);
+      } else if (command === 'V') {
+        current = [current[0], next()];
+        points.push(current);
+      } else if (command === 'Q') {
+        const control = [next(), next()];
+        const end = [next(), next()];
+        const start = current;
+        for (let t = 0.125; t <= 1; t += 0.125) {
+          points.push([0, 1].map(k => (1 - t) ** 2 * start[k] + 2 * (1 - t) * t * control[k] + t * t * end[k]));
+        }
+        current = end;
+      } else {
+        i++;
+      }
+    }
+    return points.filter(point => point.every(Number.isFinite));
+  }
+
+  /**
+   * Sides of the viewBox a box crosses, by more than the tolerance
+   */
+  edgesCrossed(box, tolerance = 0.5) {
+    const { x, y, width, height } = this.viewBox;
+    const edges = [];
+    if (box.x < x - tolerance) edges.push('left');
+    if (box.x + box.width > x + width + tolerance) edges.push('right');
+    if (box.y < y - tolerance) edges.push('top');
+    if (box.y + box.height > y + height + tolerance) edges.push('bottom');
+    return edges;
+  }
+
+  /**
+   * Overlap of two boxes: { width, height }, or null when they are apart
+   */
+  static overlap(a, b) {
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    return width > 0 && height > 0 ? { width, height } : null;
+  }
+}
+
+export default SVGStructure;
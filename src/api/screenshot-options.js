@@ -0,0 +1,83 @@
+/**
+ * Screenshot options shared by ContentLabAPI.screenshot() (html2canvas, in the page)
+ * and the API server's /api/screenshot routes (Puppeteer)
+ */
+
+export const ScreenshotOptions = {
+  // Named targets for the `target` option; `selector` takes any CSS selector instead
+  TARGETS: {
+    container: '.container-emulator',
+    content: '.rendered-content',
+    item: '[data-content-item]',
+    formula: '.katex-display, .katex-inline',
+    graph: '.graph-container svg',
+    'number-line': '.number-line-container svg'
+  },
+
+  FORMATS: ['png', 'jpeg', 'webp'],
+
+  /**
+   * Validate and fill in screenshot options
+   * @param {object} options
+   * @param {string} options.selector - CSS selector of the element to capture
+   * @param {string} options.target - Named target (see TARGETS), or 'viewport'
+   * @param {number} options.index - Which match of the selector to capture (default: 0)
+   * @param {number} options.scale - Device scale factor, e.g. 2 for retina (0.5-4)
+   * @param {string} options.format - png, jpeg or webp (default: png)
+   * @param {number} options.quality - 0-100 for jpeg and webp (default: 90)
+   * @param {boolean} options.transparent - Transparent instead of white background (png and webp)
+   * @param {number} options.padding - Pixels of surrounding page to include around the element
+   * @param {object} defaults - Defaults for target and scale
+   * @returns {object} Normalized options, with `selector` resolved and `mimeType` set
+   */
+  normalize(options = {}, defaults = {}) {
+    const {
+      selector = null,
+      target = defaults.target || null,
+      index = 0,
+      scale = defaults.scale || 1,
+      quality = 90,
+      transparent = false,
+      padding = 0
+    } = options;
+    const format = String(options.format || 'png').toLowerCase().replace(/^jpg$/, 'jpeg');
+
+    const fail = (message) => {
+      const error = new Error(message);
+      error.status = 400;
+      throw error;
+    };
+
+    if (!this.FORMATS.includes(format)) {
+      fail(`Unsupported screenshot format "${options.format}". Use one of: ${this.FORMATS.join(', ')}`);
+    }
+    if (transparent && format === 'jpeg') {
+      fail('JPEG has no alpha channel; use png or webp for transparent screenshots');
+    }
+    if (target && target !== 'viewport' && !this.TARGETS[target]) {
+      fail(`Unknown screenshot target "${target}". Use a selector or one of: viewport, ${Object.keys(this.TARGETS).join(', ')}`);
+    }
+    if (!(Number(scale) > 0 && Number(scale) <= 4)) {
+      fail(`Screenshot scale must be between 0 and 4, got ${scale}`);
+    }
+    if (!(Number(quality) >= 0 && Number(quality) <= 100)) {
+      fail(`Screenshot quality must be between 0 and 100, got ${quality}`);
+    }
+    if (!(Number.isInteger(Number(index)) && Number(index) >= 0)) {
+      fail(`Screenshot index must be a non-negative integer, got ${index}`);
+    }
+
+    return {
+      selector: selector || (target && target !== 'viewport' ? this.TARGETS[target] : null),
+      index: Number(index),
+      scale: Number(scale),
+      format,
+      mimeType: `image/${format}`,
+      quality: Math.round(Number(quality)),
+      transparent: Boolean(transparent),
+      padding: Math.max(0, Number(padding) || 0)
+    };
+  }
+};
+
+export default ScreenshotOptions;
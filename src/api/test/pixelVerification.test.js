@@ -0,0 +1,136 @@
+/**
+ * Pixel verification tests - ContentLabAPI.verifyVisual on decoded pixels, structured errors and retry adjustments
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContentLabAPI } from '../ContentLabAPI.js';
+import NumberLineTool from '../../components/Tools/NumberLineTool.js';
+
+const api = new ContentLabAPI();
+
+// Only the circle check: the others need text and strokes this stand-in rasterizer does not draw
+const CIRCLES_ONLY = {
+  checkIntervalPosition: false,
+  checkSpacing: false,
+  checkBounds: false,
+  checkColors: false,
+  checkReadability: false
+};
+
+/**
+ * Pixels of a number line at one pixel per SVG unit: white background, the main line, and
+ * 6px circles (filled, or a 1.5px ring) at the given values
+ * @private
+ */
+const paint = (metadata, circles) => {
+  const layout = new NumberLineTool().layout(metadata.lineData, metadata.options);
+  const { width, height, lineY, toX } = layout;
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  const set = (px, py, [r, g, b]) => {
+    const offset = (py * width + px) * 4;
+    data[offset] = r;
+    data[offset + 1] = g;
+    data[offset + 2] = b;
+  };
+
+  for (let px = layout.lineStartX; px < layout.lineEndX; px++) {
+    set(px, Math.floor(lineY) - 1, [0, 0, 0]);
+    set(px, Math.floor(lineY), [0, 0, 0]);
+  }
+  circles.forEach(({ value, open = false, color = [255, 0, 0] }) => {
+    const cx = toX(value);
+    for (let py = Math.floor(lineY - 8); py <= lineY + 8; py++) {
+      for (let px = Math.floor(cx - 8); px <= cx + 8; px++) {
+        const distance = Math.hypot(px + 0.5 - cx, py + 0.5 - lineY);
+        if (open ? Math.abs(distance - 6) <= 0.75 : distance <= 6) set(px, py, color);
+      }
+    }
+  });
+  return { width, height, data };
+};
+
+const verifyPixels = (pixels, metadata, rules = CIRCLES_ONLY) =>
+  api.verifyVisual('number-line', pixels, rules, { metadata }).then(response => response.results);
+
+describe('ContentLabAPI.verifyVisual in pixel mode', () => {
+  it('passes circles drawn where and how the metadata says', async () => {
+    const { metadata } = await api.generateNumberLine('range: -5 to 5\npoint(2)\nopen(-3)');
+    const results = await verifyPixels(paint(metadata, [{ value: 2 }, { value: -3, open: true }]), metadata);
+    assert.equal(results.mode, 'pixel');
+    assert.equal(results.passed, true, JSON.stringify(results.errors));
+    assert.equal(results.checks.circleTypes, true);
+    assert.deepEqual(results.details.circleTypes.markers.map(marker => marker.found.type), ['closed', 'open']);
+  });
+
+  it('reports each problem as a structured error tagged with its check', async () => {
+    const { metadata } = await api.generateNumberLine('range: -5 to 5\npoint(2)\npoint(-3)\npoint(4)');
+    const { toX } = new NumberLineTool().layout(metadata.lineData, metadata.options);
+    // 8px to the right: past the 5px tolerance but still in the search window around -3
+    const shifted = -3 + 8 / (toX(1) - toX(0));
+    const results = await verifyPixels(paint(metadata, [{ value: 2, open: true }, { value: shifted }]), metadata);
+    assert.equal(results.passed, false);
+    assert.equal(results.checks.circleTypes, false);
+    assert.deepEqual(results.errors.map(({ check, code, kind, value }) => ({ check, code, kind, value })), [
+      { check: 'circleTypes', code: 'CIRCLE_TYPE_MISMATCH', kind: 'point', value: 2 },
+      { check: 'circleTypes', code: 'CIRCLE_MISPLACED', kind: 'point', value: -3 },
+      { check: 'circleTypes', code: 'CIRCLE_MISSING', kind: 'point', value: 4 }
+    ]);
+    assert.equal(results.errors[0].expected, 'closed');
+    assert.equal(results.errors[0].found, 'open');
+    assert.ok(Math.abs(results.errors[1].foundX - results.errors[1].expectedX - 8) < 1);
+    results.errors.forEach(error => assert.equal(typeof error.message, 'string'));
+  });
+
+  it('skips layout checks without metadata', async () => {
+    const { metadata } = await api.generateNumberLine('range: -5 to 5\npoint(2)');
+    const results = await verifyPixels(paint(metadata, [{ value: 2 }]), undefined);
+    assert.equal(results.checks.circleTypes, null);
+    assert.deepEqual(results.skipped, [{ check: 'circleTypes', reason: 'No generation metadata to compare the content with' }]);
+  });
+
+  it('fails for images that are not the SVG element or cannot be decoded here', async () => {
+    const { metadata } = await api.generateNumberLine('range: -5 to 5\npoint(2)');
+    const pixels = paint(metadata, [{ value: 2 }]);
+    const tall = { width: pixels.width, height: pixels.height * 2, data: new Uint8ClampedArray(pixels.data.length * 2).fill(255) };
+    const cropped = await api.verifyVisual('number-line', tall, CIRCLES_ONLY, { metadata });
+    assert.equal(cropped.success, false);
+    assert.match(cropped.error, /capture the SVG element itself \(screenshot target "number-line"\)/);
+
+    const encoded = await api.verifyVisual('number-line', 'iVBORw0KGgo=', CIRCLES_ONLY, { metadata });
+    assert.match(encoded.error, /Decoding images needs a browser/);
+    assert.match((await api.verifyVisual('number-line', pixels, {}, { mode: 'ocr' })).error, /Unknown verification mode: ocr/);
+  });
+});
+
+describe('ContentLabAPI.adjustParametersForRetry', () => {
+  it('widens only the clipped sides a structured error names', () => {
+    const adjusted = api.adjustParametersForRetry({ min: -5, max: 5 }, [
+      { code: 'CONTENT_CLIPPED', message: 'Content is cut off', needs: { max: 8 } }
+    ]);
+    assert.equal(adjusted.min, -5);
+    assert.ok(Math.abs(adjusted.max - 9) < 1e-9);
+  });
+
+  it('acts on the specifics of other error codes', () => {
+    assert.deepEqual(
+      api.adjustParametersForRetry({ size: 'medium' }, [{ code: 'TEXT_TOO_SMALL', message: 'Labels too small', suggestedSize: 'small' }]),
+      { size: 'small' }
+    );
+    assert.deepEqual(
+      api.adjustParametersForRetry({}, [{ code: 'LOW_CONTRAST', message: 'Low contrast', colorOption: 'highlightColor' }]),
+      { backgroundColor: '#ffffff', highlightColor: '#000000' }
+    );
+    assert.deepEqual(
+      api.adjustParametersForRetry({ gridStep: 0.1 }, [{ code: 'GRID_TOO_DENSE', message: 'Grid too dense', suggestedGridStep: 1 }]),
+      { gridStep: 1 }
+    );
+  });
+
+  it('still understands plain message strings from older results', () => {
+    assert.deepEqual(
+      api.adjustParametersForRetry({ min: -5, max: 5, size: 'small' }, ['Content cutoff detected at edges', 'Text not readable']),
+      { min: -6, max: 6, size: 'medium' }
+    );
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Screenshot options tests - ScreenshotOptions.normalize defaults, named targets and validation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ScreenshotOptions from '../screenshot-options.js';
+
+describe('ScreenshotOptions.normalize', () => {
+  it('fills in the defaults', () => {
+    assert.deepEqual(ScreenshotOptions.normalize(), {
+      selector: null,
+      index: 0,
+      scale: 1,
+      format: 'png',
+      mimeType: 'image/png',
+      quality: 90,
+      transparent: false,
+      padding: 0
+    });
+    const withDefaults = ScreenshotOptions.normalize({}, { target: 'content', scale: 2 });
+    assert.equal(withDefaults.selector, '.rendered-content');
+    assert.equal(withDefaults.scale, 2);
+  });
+
+  it('resolves named targets, with an explicit selector taking precedence', () => {
+    assert.equal(ScreenshotOptions.normalize({ target: 'number-line' }).selector, '.number-line-container svg');
+    assert.equal(ScreenshotOptions.normalize({ target: 'viewport' }).selector, null);
+    assert.equal(ScreenshotOptions.normalize({ target: 'graph', selector: '#plot' }).selector, '#plot');
+  });
+
+  it('normalizes formats and numeric values', () => {
+    const options = ScreenshotOptions.normalize({ format: 'JPG', quality: '72.6', scale: '1.5', index: '2', padding: -4 });
+    assert.equal(options.format, 'jpeg');
+    assert.equal(options.mimeType, 'image/jpeg');
+    assert.equal(options.quality, 73);
+    assert.equal(options.scale, 1.5);
+    assert.equal(options.index, 2);
+    assert.equal(options.padding, 0);
+    assert.equal(ScreenshotOptions.normalize({ format: 'webp', transparent: true }).transparent, true);
+  });
+
+  it('rejects invalid options with status 400', () => {
+    const rejects = (options, message) => assert.throws(() => ScreenshotOptions.normalize(options), { status: 400, message });
+    rejects({ format: 'gif' }, /Unsupported screenshot format "gif"\. Use one of: png, jpeg, webp/);
+    rejects({ format: 'jpeg', transparent: true }, /JPEG has no alpha channel/);
+    rejects({ target: 'sidebar' }, /Unknown screenshot target "sidebar"/);
+    rejects({ scale: 0 }, /scale must be between 0 and 4, got 0/);
+    rejects({ scale: 5 }, /scale must be between 0 and 4/);
+    rejects({ scale: 'big' }, /scale must be between 0 and 4/);
+    rejects({ quality: 101 }, /quality must be between 0 and 100/);
+    rejects({ index: 1.5 }, /index must be a non-negative integer/);
+    rejects({ index: -1 }, /index must be a non-negative integer/);
+  });
+});
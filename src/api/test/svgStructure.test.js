@@ -0,0 +1,91 @@
+/**
+ * SVG structure verification tests - SVGStructure parsing and ContentLabAPI.verifyVisual in svg mode
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import SVGStructure from '../SVGStructure.js';
+import { ContentLabAPI } from '../ContentLabAPI.js';
+
+const api = new ContentLabAPI();
+
+const verifySVG = (type, svg, metadata, rules = {}) =>
+  api.verifyVisual(type, svg, rules, { mode: 'svg', metadata }).then(response => response.results);
+
+// Shift the first circle painted with the given fill sideways
+const moveCircle = (svg, fill, dx) => svg.replace(
+  new RegExp(`<circle([^>]*)cx="([\\d.]+)"([^>]*fill="${fill}")`),
+  (match, before, cx, after) => `<circle${before}cx="${Number(cx) + dx}"${after}`
+);
+
+describe('SVGStructure', () => {
+  it('parses elements, inherited group attributes and entities', () => {
+    const structure = SVGStructure.parse(
+      '<svg width="100" height="50"><g fill="red" font-size="10"><text x="5" y="20">a &amp; b</text></g><circle cx="10" cy="10" r="2"/></svg>'
+    );
+    assert.equal(structure.width, 100);
+    assert.deepEqual(structure.viewBox, { x: 0, y: 0, width: 100, height: 50 });
+    assert.deepEqual(structure.elements.map(element => element.tag), ['text', 'circle']);
+    assert.equal(structure.elements[0].text, 'a & b');
+    assert.equal(structure.elements[0].attributes.fill, 'red');
+    assert.equal(structure.elements[1].attributes.fill, undefined);
+  });
+
+  it('rejects markup that is not an SVG', () => {
+    assert.throws(() => SVGStructure.parse('<div></div>'), /needs the generated SVG markup/);
+    assert.throws(() => SVGStructure.parse('<svg><line/></svg>'), /numeric width and height/);
+  });
+
+  it('measures element boxes and the viewBox edges they cross', () => {
+    const structure = SVGStructure.parse(
+      '<svg viewBox="0 0 100 50"><text x="95" y="20" font-size="10">label</text><path d="M 0 0 L 10 10 Q 20 0 30 10 Z"/></svg>'
+    );
+    const [text, path] = structure.elements;
+    const textBox = SVGStructure.bbox(text);
+    assert.deepEqual(textBox, { x: 95, y: 12.5, width: 30, height: 7.5 });
+    assert.deepEqual(structure.edgesCrossed(textBox), ['right']);
+    assert.deepEqual(SVGStructure.bbox(path), { x: 0, y: 0, width: 30, height: 10 });
+    assert.equal(SVGStructure.overlap(textBox, SVGStructure.bbox(path)), null);
+  });
+
+  it('matches colors in any notation', () => {
+    const [circle] = SVGStructure.parse('<svg width="10" height="10"><circle fill="#0000ff"/></svg>').elements;
+    assert.equal(SVGStructure.paints(circle, 'fill', 'blue'), true);
+    assert.equal(SVGStructure.paints(circle, 'fill', 'red'), false);
+    assert.equal(SVGStructure.paints(circle, 'stroke', 'blue'), false);
+  });
+});
+
+describe('ContentLabAPI.verifyVisual in svg mode', () => {
+  it('passes a number line as generated', async () => {
+    const { svg, metadata } = await api.generateNumberLine('range: -5 to 5\npoint(2) [color:blue]\nx > 1');
+    const results = await verifySVG('number-line', svg, metadata);
+    assert.equal(results.passed, true, JSON.stringify(results.errors));
+    assert.equal(results.details.points.points, 1);
+    assert.equal(results.details.intervals.intervals, 1);
+  });
+
+  it('reports a point drawn in the wrong place', async () => {
+    const { svg, metadata } = await api.generateNumberLine('range: -5 to 5\npoint(2) [color:blue]');
+    const results = await verifySVG('number-line', moveCircle(svg, 'blue', 40), metadata);
+    assert.equal(results.passed, false);
+    assert.equal(results.checks.points, false);
+    assert.deepEqual(
+      results.errors.map(({ check, code, description, expected }) => ({ check, code, description, expected })),
+      [{ check: 'points', code: 'CIRCLE_MISSING', description: '2', expected: 'closed' }]
+    );
+  });
+
+  it('checks graph points against the graph layout', async () => {
+    const { svg, metadata } = await api.generateGraph('f(x) = x^2\npoint(1, 1) [color:blue]');
+    const rules = { checkTextOverlap: false };
+    assert.equal((await verifySVG('graph', svg, metadata, rules)).checks.points, true);
+    assert.equal((await verifySVG('graph', moveCircle(svg, 'blue', 30), metadata, rules)).checks.points, false);
+  });
+
+  it('skips layout checks without metadata', async () => {
+    const { svg } = await api.generateNumberLine('range: -5 to 5\npoint(2)');
+    const results = await verifySVG('number-line', svg, undefined);
+    assert.ok(results.skipped.some(({ check }) => check === 'points'));
+  });
+});
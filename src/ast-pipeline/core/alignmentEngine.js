@@ -3,13 +3,18 @@
  * Creates properly aligned multi-step solutions
  */
 
+import ExpressionParser from './expressionParser.js';
+import MathAst from './mathAst.js';
+
 class AlignmentEngine {
   constructor() {
+    this.parser = new ExpressionParser();
     this.alignmentStrategies = {
       'equals': this.alignByEquals.bind(this),
       'operator': this.alignByOperator.bind(this),
       'decimal': this.alignByDecimal.bind(this),
-      'fraction': this.alignByFraction.bind(this)
+      'fraction': this.alignByFraction.bind(this),
+      'system': this.alignSystem.bind(this)
     };
   }
 
@@ -29,17 +34,21 @@ class AlignmentEngine {
    * Detect the best alignment strategy based on content
    */
   detectBestStrategy(steps) {
-    // Check if all steps have equals signs
-    const allHaveEquals = steps.every(step => 
-      step.expression && step.expression.includes('=')
+    // Numbered equations of a system
+    if (steps.some(step => step.equations)) return 'system';
+
+    // Check if all steps are equations or inequalities
+    const allHaveEquals = steps.every(step =>
+      this.stepAst(step)?.type === 'relation'
     );
     
     if (allHaveEquals) return 'equals';
     
     // Check for consistent operators
-    const hasConsistentOps = steps.every(step =>
-      step.expression && /[+\-*/]/.test(step.expression)
-    );
+    const hasConsistentOps = steps.every(step => {
+      const ast = this.stepAst(step);
+      return ast && MathAst.contains(ast, node => node.type === 'binary');
+    });
     
     if (hasConsistentOps) return 'operator';
     
@@ -47,37 +56,49 @@ class AlignmentEngine {
   }
 
   /**
-   * Align by equals sign - most common for equation solving
+   * The step's AST, parsing its expression when the step has none; null when it does not parse
+   */
+  stepAst(step) {
+    if (step.ast) return step.ast;
+    if (!step.expression) return null;
+    try {
+      return this.parser.parse(step.expression);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Align by equals sign (or any relation) - most common for equation solving
    */
   alignByEquals(steps) {
     const aligned = [];
     
     for (const step of steps) {
-      if (!step.expression) {
+      const ast = this.stepAst(step);
+      if (!step.expression && !ast) {
         aligned.push(step);
         continue;
       }
       
-      const parts = step.expression.split('=');
-      if (parts.length === 2) {
-        const left = parts[0].trim();
-        const right = parts[1].trim();
-        
+      if (ast?.type === 'relation') {
         aligned.push({
           ...step,
           aligned: {
-            left: left,
-            operator: '=',
-            right: right,
-            latex: `${left} &=& ${right}`
+            left: MathAst.toLatex(ast.left),
+            operator: ast.op,
+            right: MathAst.toLatex(ast.right),
+            latex: step.alignedLatex ?? MathAst.toAlignedLatex(ast)
           }
         });
       } else {
+        // Chains such as x = 2(1) + 1 = 3 align on their first relation
+        const latex = ast ? MathAst.toAlignedLatex(ast) : step.expression;
         aligned.push({
           ...step,
           aligned: {
-            center: step.expression,
-            latex: step.expression
+            center: latex,
+            latex: latex
           }
         });
       }
@@ -123,14 +144,15 @@ class AlignmentEngine {
    * Format an operation line (like "- 4 = - 4")
    */
   formatOperationLine(step) {
+    const value = step.valueLatex ?? step.value;
     if (step.operation === 'subtract') {
-      return `-${step.value} &=& -${step.value}`;
+      return `-${value} &=& -${value}`;
     } else if (step.operation === 'add') {
-      return `+${step.value} &=& +${step.value}`;
+      return `+${value} &=& +${value}`;
     } else if (step.operation === 'multiply') {
-      return `\\times ${step.value} &=& \\times ${step.value}`;
+      return `\\times ${value} &=& \\times ${value}`;
     } else if (step.operation === 'divide') {
-      return `\\div ${step.value} &=& \\div ${step.value}`;
+      return `\\div ${value} &=& \\div ${value}`;
     }
     return step.aligned?.latex || '';
   }
@@ -180,12 +202,12 @@ class AlignmentEngine {
     const latexLines = [];
     
     for (const step of steps) {
-      if (step.aligned) {
-        latexLines.push(step.aligned.latex);
-      }
       if (step.isOperation) {
-        // Add horizontal line after operation
+        // Operation line, then a horizontal line
+        latexLines.push(this.formatOperationLine(step));
         latexLines.push('\\hline');
+      } else if (step.aligned) {
+        latexLines.push(step.aligned.latex);
       }
     }
     
@@ -194,8 +216,72 @@ class AlignmentEngine {
       steps: steps.map(s => ({
         expression: s.expression,
         operation: s.operation,
+        value: s.value,
         description: s.description
-      }))
+      })),
+      description: this.describeGroup(steps)
+    };
+  }
+
+  /**
+   * What a group does: the descriptions of the steps that lead to its result ("Distribute to remove
+   * parentheses. Subtract 4 from both sides"), or the description of a lone step
+   */
+  describeGroup(steps) {
+    const leading = steps.length > 1 ? steps.filter(step => !step.isResult) : steps;
+    const descriptions = (leading.length ? leading : steps).map(step => step.description).filter(Boolean);
+    return [...new Set(descriptions)].join('. ');
+  }
+
+  /**
+   * Align a system of equations: each step with numbered equations is its own group, with the equation
+   * numbers in a fourth column and a rule above the equation an elimination adds up to; the steps between
+   * them are aligned by equals
+   */
+  alignSystem(steps) {
+    const display = [];
+    let run = [];
+    const flush = () => {
+      if (run.length) display.push(...this.alignByEquals(run).display);
+      run = [];
+    };
+
+    for (const step of steps) {
+      if (!step.equations) {
+        run.push(step);
+        continue;
+      }
+      flush();
+      display.push(this.createSystemGroup(step));
+    }
+    flush();
+
+    return {
+      steps: steps,
+      latex: display.map(group => group.latex).join('\n'),
+      display: display
+    };
+  }
+
+  /**
+   * Display group for numbered equations (1), (2), ...
+   */
+  createSystemGroup(step) {
+    const line = equation => `${MathAst.toAlignedLatex(equation.ast)} &\\quad ${equation.labelLatex}`;
+    const latexLines = step.equations.map(line);
+    if (step.result) {
+      latexLines.push('\\hline');
+      latexLines.push(line(step.result));
+    }
+
+    return {
+      latex: `\\begin{array}{rcll}\n${latexLines.join(' \\\\\n')}\n\\end{array}`,
+      steps: [{
+        expression: step.expression,
+        operation: step.operation,
+        description: step.description
+      }],
+      description: step.description
     };
   }
 
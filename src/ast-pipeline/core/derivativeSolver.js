@@ -0,0 +1,326 @@
+/**
+ * Derivative Solver - Step-by-step symbolic differentiation
+ * Differentiation is written as unevaluated d/dx nodes that are rewritten one rule at a time: sum, constant
+ * multiple, power, product, quotient and chain rules, and the derivatives of the trigonometric, inverse
+ * trigonometric, exponential and logarithmic functions. Each step applies one named rule everywhere it is
+ * the rule that applies
+ */
+
+import MathAst from './mathAst.js';
+import ExpressionSimplifier from './expressionSimplifier.js';
+
+export const DERIVATIVE_RULES = {
+  constant: 'Constant rule: the derivative of a constant is 0',
+  sum: 'Sum rule: differentiate term by term',
+  constant_multiple: 'Constant multiple rule: keep the constant, differentiate the rest',
+  power: 'Power rule: bring down the exponent and reduce it by 1',
+  product: "Product rule: (uv)' = u'v + uv'",
+  quotient: "Quotient rule: (u/v)' = (u'v - uv')/v^2",
+  chain: "Chain rule: differentiate the outer function, then multiply by the derivative of the inside",
+  trig: 'Derivatives of trigonometric functions',
+  inverse_trig: 'Derivatives of inverse trigonometric functions',
+  exponential: 'Exponential rule: d/dx e^x = e^x and d/dx a^x = a^x ln(a)',
+  logarithm: 'Logarithm rule: d/dx ln(x) = 1/x'
+};
+
+class DerivativeSolver {
+  constructor() {
+    this.simplifier = new ExpressionSimplifier();
+  }
+
+  /**
+   * Differentiate an expression
+   * @param {object} expression - AST node to differentiate
+   * @param {string} variable - Variable to differentiate with respect to
+   * @param {object} options - { functionName }: steps read f(x) = ..., f'(x) = ... with that name; without
+   *                           one they read d/dx(...) = ...
+   * @returns {object|null} { steps, derivative } or null when a part has no rule here (x^x, abs, f(x))
+   *   steps: [{ equation, operation, description }]; the first is the function itself with operation null,
+   *          the others have operation { type: 'differentiate', rule } with rule a key of DERIVATIVE_RULES
+   *   derivative: the simplified derivative
+   */
+  solve(expression, variable, options = {}) {
+    this.variable = variable;
+    const x = MathAst.variable(variable);
+    const named = options.functionName;
+    const left = named
+      ? MathAst.func(named, [x], { primes: 1 })
+      : { type: 'derivative', variable, argument: expression, order: 1 };
+
+    const steps = [];
+    if (named) {
+      steps.push({ equation: MathAst.relation('=', MathAst.func(named, [x]), expression), operation: null, description: 'Original function' });
+    } else {
+      steps.push({ equation: left, operation: null, description: 'Differentiate' });
+    }
+
+    let current = this.pending(expression);
+    while (this.hasPending(current)) {
+      const rule = this.firstRule(current);
+      if (!rule) return null;
+
+      // The constant rule goes along with whichever rule is applied
+      const applied = new Set([rule]);
+      current = this.rewrite(current, argument => {
+        const match = this.rule(argument);
+        if (match !== rule && match !== 'constant') return null;
+        applied.add(match);
+        return this.apply(match, argument);
+      });
+      current = this.simplifier.simplify(current, variable);
+
+      steps.push({
+        equation: MathAst.relation('=', left, current),
+        operation: { type: 'differentiate', rule },
+        description: [...applied].map(name => DERIVATIVE_RULES[name]).join('; ')
+      });
+    }
+
+    return { steps, derivative: current };
+  }
+
+  /**
+   * d/dx of an expression, as an unevaluated node
+   * @private
+   */
+  pending(argument) {
+    return { type: 'derivative', variable: this.variable, argument, order: 1 };
+  }
+
+  /**
+   * @private
+   */
+  hasPending(node) {
+    return MathAst.contains(node, child => child.type === 'derivative' && child.variable === this.variable);
+  }
+
+  /**
+   * The rule for the first unevaluated derivative, reading left to right
+   * @private
+   */
+  firstRule(node) {
+    let rule;
+    MathAst.walk(node, child => {
+      if (rule === undefined && child.type === 'derivative' && child.variable === this.variable) {
+        rule = this.rule(child.argument);
+      }
+    });
+    return rule;
+  }
+
+  /**
+   * Replace each unevaluated derivative by transform(argument), or keep it when transform returns null
+   * @private
+   */
+  rewrite(node, transform) {
+    if (node.type === 'derivative' && node.variable === this.variable) {
+      return transform(node.argument) || node;
+    }
+    const rewrite = child => this.rewrite(child, transform);
+    switch (node.type) {
+      case 'unary': return { ...node, argument: rewrite(node.argument) };
+      case 'binary':
+      case 'relation': return { ...node, left: rewrite(node.left), right: rewrite(node.right) };
+      case 'function': return { ...node, args: node.args.map(rewrite) };
+      default: return node;
+    }
+  }
+
+  /**
+   * Which rule differentiates a node, or null when none does
+   * @private
+   */
+  rule(node) {
+    const x = this.variable;
+    if (this.isConstant(node)) return 'constant';
+    if (node.type === 'variable') return 'power';
+
+    switch (node.type) {
+      case 'unary':
+        return node.op === '-' ? 'constant_multiple' : null;
+      case 'binary':
+        switch (node.op) {
+          case '+':
+          case '-':
+            return 'sum';
+          case '*':
+            if (this.isConstant(node.left) || this.isConstant(node.right)) {
+              const other = this.isConstant(node.left) ? node.right : node.left;
+              // 3x^2 is a single power rule step
+              return this.isPowerOfVariable(other) ? 'power' : 'constant_multiple';
+            }
+            return 'product';
+          case '/':
+            if (this.isConstant(node.right)) return this.isPowerOfVariable(node.left) ? 'power' : 'constant_multiple';
+            // 1/x^2 is x^(-2)
+            return this.isConstant(node.left) && this.isPowerOfVariable(node.right) ? 'power' : 'quotient';
+          case '^':
+            if (this.isConstant(node.right)) return node.left.type === 'variable' ? 'power' : 'chain';
+            if (this.isConstant(node.left)) return this.isVariable(node.right) ? 'exponential' : 'chain';
+            return null;
+          default:
+            return null;
+        }
+      case 'function': {
+        const outer = this.outerRule(node);
+        if (!outer) return null;
+        return node.args.length === 1 && node.args[0].type === 'variable' && node.args[0].name === x ? outer : 'chain';
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * The rule for a function applied to the variable itself
+   * @private
+   */
+  outerRule(node) {
+    if (node.primes || MathAst.variables(node.args[1] || MathAst.number(0)).length) return null;
+    if (['sin', 'cos', 'tan', 'sec', 'csc', 'cot'].includes(node.name)) return 'trig';
+    if (['arcsin', 'arccos', 'arctan'].includes(node.name)) return 'inverse_trig';
+    if (node.name === 'exp') return 'exponential';
+    if (['ln', 'log'].includes(node.name)) return 'logarithm';
+    if (node.name === 'sqrt') return 'power';
+    return null;
+  }
+
+  /**
+   * The rule's result, with derivatives of the parts left unevaluated
+   * @private
+   */
+  apply(rule, node) {
+    const d = child => this.pending(child);
+    const product = (a, b) => MathAst.binary('*', a, b, { implicit: true });
+
+    switch (rule) {
+      case 'constant':
+        return MathAst.number(0);
+      case 'sum':
+        return this.termwise(node);
+      case 'constant_multiple':
+        if (node.type === 'unary') return MathAst.unary('-', d(node.argument));
+        if (node.op === '/') return MathAst.binary('/', d(node.left), node.right, { fraction: true });
+        return this.isConstant(node.left) ? product(node.left, d(node.right)) : product(node.right, d(node.left));
+      case 'power':
+        return this.powerRule(node);
+      case 'product':
+        return MathAst.binary('+', product(d(node.left), node.right), product(node.left, d(node.right)));
+      case 'quotient':
+        return MathAst.binary('/',
+          MathAst.binary('-', product(d(node.left), node.right), product(node.left, d(node.right))),
+          MathAst.binary('^', node.right, MathAst.number(2)), { fraction: true });
+      case 'chain': {
+        if (node.type === 'binary' && node.op === '^' && this.isConstant(node.right)) {
+          // General power rule: n u^(n - 1) u'
+          const exponent = this.simplifier.simplify(MathAst.binary('-', node.right, MathAst.number(1)));
+          return product(product(node.right, MathAst.binary('^', node.left, exponent)), d(node.left));
+        }
+        const inside = node.type === 'binary' ? node.right : node.args[0];
+        return product(this.outer(node), d(inside));
+      }
+      default:
+        // trig, inverse_trig, exponential, logarithm: the function of the variable itself
+        return this.outer(node);
+    }
+  }
+
+  /**
+   * d/du of an outer function at its own argument: sin(u) gives cos(u), a^u gives a^u ln(a)
+   * @private
+   */
+  outer(node) {
+    const one = MathAst.number(1);
+    const fraction = (numerator, denominator) => MathAst.binary('/', numerator, denominator, { fraction: true });
+    const product = (a, b) => MathAst.binary('*', a, b, { implicit: true });
+    const square = child => MathAst.binary('^', child, MathAst.number(2));
+
+    if (node.type === 'binary') {
+      // a^u: e^u stays e^u, other bases gain a factor ln(a)
+      return node.left.type === 'constant' && node.left.name === 'e'
+        ? node
+        : product(node, MathAst.func('ln', [node.left]));
+    }
+
+    const [u, base] = node.args;
+    const f = name => MathAst.func(name, [u]);
+    switch (node.name) {
+      case 'sin': return f('cos');
+      case 'cos': return MathAst.unary('-', f('sin'));
+      case 'tan': return square(f('sec'));
+      case 'sec': return product(f('sec'), f('tan'));
+      case 'csc': return MathAst.unary('-', product(f('csc'), f('cot')));
+      case 'cot': return MathAst.unary('-', square(f('csc')));
+      case 'arcsin': return fraction(one, MathAst.func('sqrt', [MathAst.binary('-', one, square(u))]));
+      case 'arccos': return MathAst.unary('-', fraction(one, MathAst.func('sqrt', [MathAst.binary('-', one, square(u))])));
+      case 'arctan': return fraction(one, MathAst.binary('+', one, square(u)));
+      case 'exp': return node;
+      case 'ln': return fraction(one, u);
+      case 'log':
+        return fraction(one, product(u, MathAst.func('ln', [base || MathAst.number(10)])));
+      case 'sqrt': return fraction(one, product(MathAst.number(2), node));
+      default: return null;
+    }
+  }
+
+  /**
+   * x^n, c x^n and c/x^n: n x^(n - 1) with the coefficient multiplied in; sqrt(x) is x^(1/2)
+   * @private
+   */
+  powerRule(node) {
+    if (node.type === 'function') return this.outer(node);
+
+    let coefficient = MathAst.number(1);
+    let power = node;
+    if (node.type === 'binary' && node.op === '*') {
+      [coefficient, power] = this.isConstant(node.left) ? [node.left, node.right] : [node.right, node.left];
+    } else if (node.type === 'binary' && node.op === '/' && this.isConstant(node.left)) {
+      [coefficient, power] = [node.left, node.right];
+    } else if (node.type === 'binary' && node.op === '/') {
+      [coefficient, power] = [MathAst.binary('/', MathAst.number(1), node.right, { fraction: true }), node.left];
+    }
+
+    let [base, exponent] = power.type === 'binary' ? [power.left, power.right] : [power, MathAst.number(1)];
+    if (power !== node && node.op === '/' && power === node.right) exponent = MathAst.unary('-', exponent);
+    const lowered = MathAst.binary('-', exponent, MathAst.number(1));
+    return MathAst.binary('*',
+      MathAst.binary('*', coefficient, exponent, { implicit: true }),
+      MathAst.binary('^', base, lowered), { implicit: true });
+  }
+
+  /**
+   * d/dx(a + b - c) as d/dx(a) + d/dx(b) - d/dx(c), in one step
+   * @private
+   */
+  termwise(node) {
+    if (node.type === 'binary' && ['+', '-'].includes(node.op)) {
+      return MathAst.binary(node.op, this.termwise(node.left), this.termwise(node.right));
+    }
+    return this.pending(node);
+  }
+
+  /**
+   * @private
+   */
+  isConstant(node) {
+    return !MathAst.variables(node).includes(this.variable) && !MathAst.contains(node, child => child.type === 'derivative');
+  }
+
+  /**
+   * @private
+   */
+  isVariable(node) {
+    return node.type === 'variable' && node.name === this.variable;
+  }
+
+  /**
+   * x or x^n with a constant n
+   * @private
+   */
+  isPowerOfVariable(node) {
+    return this.isVariable(node) ||
+      (node.type === 'binary' && node.op === '^' && this.isVariable(node.left) && this.isConstant(node.right));
+  }
+}
+
+export default DerivativeSolver;
@@ -0,0 +1,463 @@
+/**
+ * Expression Parser - Recursive-descent parser from math text to an AST (see mathAst.js)
+ * Handles equations, inequalities, implicit products, powers, fractions, function calls, derivatives
+ * and integrals, written in plain text or LaTeX
+ */
+
+import MathTokenizer from './mathTokenizer.js';
+import MathAst from './mathAst.js';
+
+const RELATIONS = ['=', '<', '>', '<=', '>=', '!='];
+
+// Single letters read as function names when followed by ( or ': f(x), g'(x)
+const FUNCTION_LETTERS = ['f', 'g', 'h'];
+
+class ExpressionParser {
+  constructor() {
+    this.tokenizer = new MathTokenizer();
+  }
+
+  /**
+   * Parse one expression, equation or inequality
+   * @param {string} input - Plain text or LaTeX
+   * @returns {object} AST node
+   */
+  parse(input) {
+    const statements = this.parseAll(input);
+    if (statements.length !== 1) {
+      throw new Error(`Expected one expression, found ${statements.length}`);
+    }
+    return statements[0];
+  }
+
+  /**
+   * Parse statements separated by newlines, semicolons, commas, \\ or "and" (systems of equations)
+   * @returns {Array} AST nodes
+   */
+  parseAll(input) {
+    this.tokens = this.tokenizer.tokenize(input);
+    this.index = 0;
+    this.absDepth = 0;
+    this.integralDepth = 0;
+
+    const statements = [];
+    while (this.peek().type !== 'eof') {
+      if (this.peek().type === 'separator' || this.peek().type === 'comma') {
+        this.next();
+        continue;
+      }
+      statements.push(this.parseStatement());
+      const after = this.peek();
+      if (!['separator', 'comma', 'eof'].includes(after.type)) {
+        throw this.unexpected(after);
+      }
+    }
+    if (!statements.length) {
+      throw new Error('No expression to parse');
+    }
+    return statements;
+  }
+
+  // Token helpers
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isOperator(token, ...values) {
+    return token.type === 'operator' && values.includes(token.value);
+  }
+
+  expect(type, value = null) {
+    const token = this.peek();
+    if (token.type !== type || (value !== null && token.value !== value)) {
+      throw this.unexpected(token, value || type);
+    }
+    return this.next();
+  }
+
+  unexpected(token, expected = null) {
+    const found = token.type === 'eof' ? 'end of input' : `"${token.value}"`;
+    const error = new Error(`Unexpected ${found} at position ${token.position}${expected ? ` (expected ${expected})` : ''}`);
+    error.position = token.position;
+    return error;
+  }
+
+  // Grammar
+
+  /**
+   * statement := expression (relation expression)*
+   */
+  parseStatement() {
+    const operands = [this.parseExpression()];
+    const ops = [];
+    while (this.peek().type === 'operator' && RELATIONS.includes(this.peek().value)) {
+      ops.push(this.next().value);
+      operands.push(this.parseExpression());
+    }
+
+    if (!ops.length) return operands[0];
+    if (ops.length === 1) return MathAst.relation(ops[0], operands[0], operands[1]);
+    return { type: 'compound', ops, operands };
+  }
+
+  /**
+   * expression := term (('+' | '-' | '±') term)*
+   */
+  parseExpression() {
+    let left = this.parseTerm();
+    while (this.isOperator(this.peek(), '+', '-', '±')) {
+      const op = this.next().value;
+      left = MathAst.binary(op, left, this.parseTerm());
+    }
+    return left;
+  }
+
+  /**
+   * term := unary (('*' | '/') unary | implicit-factor)*
+   */
+  parseTerm() {
+    let left = this.parseUnary();
+    for (;;) {
+      const token = this.peek();
+      if (this.isOperator(token, '*', '/')) {
+        this.next();
+        left = MathAst.binary(token.value, left, this.parseUnary());
+      } else if (this.startsFactor(token)) {
+        left = MathAst.binary('*', left, this.parsePower(), { implicit: true });
+      } else {
+        return left;
+      }
+    }
+  }
+
+  /**
+   * unary := ('-' | '+') unary | power
+   */
+  parseUnary() {
+    if (this.isOperator(this.peek(), '-')) {
+      this.next();
+      return MathAst.unary('-', this.parseUnary());
+    }
+    if (this.isOperator(this.peek(), '+')) {
+      this.next();
+      return this.parseUnary();
+    }
+    return this.parsePower();
+  }
+
+  /**
+   * power := primary ('^' exponent)?   (right-associative: 2^3^2 is 2^9)
+   */
+  parsePower() {
+    const base = this.parsePrimary();
+    if (this.isOperator(this.peek(), '^')) {
+      this.next();
+      return MathAst.binary('^', base, this.parseScript());
+    }
+    return base;
+  }
+
+  /**
+   * Exponent, subscript or limit: a {group}, or a signed single factor (x^-1; x^2y is x^2 · y; \int_0^1)
+   */
+  parseScript() {
+    if (this.peek().type === 'lparen' && this.peek().group) {
+      return this.parseGroup();
+    }
+    if (this.isOperator(this.peek(), '-')) {
+      this.next();
+      return MathAst.unary('-', this.parseScript());
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case 'number':
+        this.next();
+        return MathAst.number(token.value);
+
+      case 'identifier':
+        return this.parseIdentifier();
+
+      case 'name':
+        if (token.value === 'pi' || token.value === 'infinity') {
+          this.next();
+          return MathAst.constant(token.value);
+        }
+        return this.parseFunction();
+
+      case 'command':
+        if (token.value === 'frac') return this.parseFraction();
+        if (token.value === 'sqrt') return this.parseRoot();
+        return this.parseIntegral();
+
+      case 'lparen': {
+        this.next();
+        // Parentheses inside an integral still belong to the integrand
+        const depth = this.integralDepth;
+        this.integralDepth = 0;
+        const inner = this.parseExpression();
+        this.integralDepth = depth;
+        this.expect('rparen');
+        return inner;
+      }
+
+      case 'bar': {
+        this.next();
+        this.absDepth++;
+        const inner = this.parseExpression();
+        this.absDepth--;
+        this.expect('bar');
+        return MathAst.func('abs', [inner]);
+      }
+
+      default:
+        throw this.unexpected(token, 'a number, variable or (');
+    }
+  }
+
+  /**
+   * Variables, e, f(x) and d/dx
+   */
+  parseIdentifier() {
+    const token = this.next();
+    const name = token.value;
+
+    // d/dx (...) and dy/dx
+    if (name === 'd' && this.isDerivativeOperator()) {
+      return this.parseLeibniz();
+    }
+
+    if (FUNCTION_LETTERS.includes(name) && (this.peek().type === 'lparen' && this.peek().value === '(' || this.isOperator(this.peek(), "'"))) {
+      let primes = 0;
+      while (this.isOperator(this.peek(), "'")) {
+        this.next();
+        primes++;
+      }
+      this.expect('lparen', '(');
+      const args = [this.parseExpression()];
+      while (this.peek().type === 'comma') {
+        this.next();
+        args.push(this.parseExpression());
+      }
+      this.expect('rparen', ')');
+      return MathAst.func(name, args, primes ? { primes } : {});
+    }
+
+    if (name === 'e' && !this.isOperator(this.peek(), '_')) {
+      return MathAst.constant('e');
+    }
+
+    if (this.isOperator(this.peek(), '_')) {
+      this.next();
+      const subscript = this.parseScript();
+      const text = MathAst.toText(subscript);
+      if (!/^\w+$/.test(text)) {
+        throw new Error(`Unsupported subscript "${text}" on ${name}`);
+      }
+      return MathAst.variable(`${name}_${text}`);
+    }
+    return MathAst.variable(name);
+  }
+
+  /**
+   * sin x, \sin^2(x), \log_2 8, sqrt(x), ln|x|
+   */
+  parseFunction() {
+    const name = this.next().value;
+    let base = null;
+    let power = null;
+
+    if (this.isOperator(this.peek(), '_')) {
+      this.next();
+      base = this.parseScript();
+    }
+    if (this.isOperator(this.peek(), '^')) {
+      this.next();
+      power = this.parseScript();
+    }
+
+    let argument;
+    if (this.peek().type === 'lparen') {
+      argument = this.parsePrimary();
+    } else {
+      // Without parentheses the argument runs to the next operator or function: \sin 2x \cos x
+      argument = this.parsePower();
+      while (this.startsFactor(this.peek()) && !['name', 'command'].includes(this.peek().type)) {
+        argument = MathAst.binary('*', argument, this.parsePower(), { implicit: true });
+      }
+    }
+
+    const call = MathAst.func(name, base ? [argument, base] : [argument]);
+    return power ? MathAst.binary('^', call, power) : call;
+  }
+
+  /**
+   * \frac{a}{b}, and \frac{d}{dx} / \frac{dy}{dx} derivatives
+   */
+  parseFraction() {
+    this.next();
+    const numerator = this.parseGroupOrFactor();
+    const denominator = this.parseGroupOrFactor();
+
+    const differential = this.differentialVariable(denominator);
+    if (differential) {
+      if (numerator.type === 'variable' && numerator.name === 'd') {
+        return { type: 'derivative', variable: differential, argument: this.parseDerivativeArgument(), order: 1 };
+      }
+      const differentiated = this.differentialVariable(numerator);
+      if (differentiated) {
+        return { type: 'derivative', variable: differential, argument: MathAst.variable(differentiated), order: 1 };
+      }
+    }
+    return MathAst.binary('/', numerator, denominator, { fraction: true });
+  }
+
+  /**
+   * \sqrt{x}, \sqrt[3]{x}, √x
+   */
+  parseRoot() {
+    this.next();
+    let index = null;
+    if (this.peek().type === 'lparen' && this.peek().value === '[') {
+      this.next();
+      index = this.parseExpression();
+      this.expect('rparen', ']');
+    }
+    const radicand = this.parseGroupOrFactor();
+    return index ? MathAst.func('root', [radicand, index]) : MathAst.func('sqrt', [radicand]);
+  }
+
+  /**
+   * \int f(x) dx, \int_a^b f(x) \, dx
+   */
+  parseIntegral() {
+    const start = this.next();
+    let lower = null;
+    let upper = null;
+    for (let i = 0; i < 2; i++) {
+      if (this.isOperator(this.peek(), '_')) {
+        this.next();
+        lower = this.parseScript();
+      } else if (this.isOperator(this.peek(), '^')) {
+        this.next();
+        upper = this.parseScript();
+      }
+    }
+    if (Boolean(lower) !== Boolean(upper)) {
+      throw new Error(`Integral at position ${start.position} needs both limits or neither`);
+    }
+
+    this.integralDepth++;
+    const argument = this.isDifferential() ? MathAst.number(1) : this.parseExpression();
+    this.integralDepth--;
+
+    if (!this.isDifferential(true)) {
+      throw new Error(`Integral at position ${start.position} needs a differential such as dx`);
+    }
+    this.next();
+    const variable = this.next().value;
+    return { type: 'integral', variable, argument, ...(lower && { lower, upper }) };
+  }
+
+  /**
+   * d/dx (...) and dy/dx in plain text; the "d" has been read
+   */
+  parseLeibniz() {
+    let differentiated = null;
+    if (this.peek().type === 'identifier' && this.peek().value !== 'd') {
+      differentiated = this.next().value;
+    }
+    this.expect('operator', '/');
+    this.expect('identifier', 'd');
+    const variable = this.expect('identifier').value;
+    return {
+      type: 'derivative',
+      variable,
+      argument: differentiated ? MathAst.variable(differentiated) : this.parseDerivativeArgument(),
+      order: 1
+    };
+  }
+
+  /**
+   * What d/dx applies to: a parenthesized expression, or the implicit product that follows
+   */
+  parseDerivativeArgument() {
+    let argument = this.parsePower();
+    while (this.startsFactor(this.peek())) {
+      argument = MathAst.binary('*', argument, this.parsePower(), { implicit: true });
+    }
+    return argument;
+  }
+
+  parseGroup() {
+    this.expect('lparen', '{');
+    const inner = this.peek().type === 'rparen' ? MathAst.number(1) : this.parseExpression();
+    this.expect('rparen', '}');
+    return inner;
+  }
+
+  parseGroupOrFactor() {
+    return this.peek().type === 'lparen' && this.peek().group ? this.parseGroup() : this.parsePrimary();
+  }
+
+  /**
+   * Whether a token can start an implicitly multiplied factor: 2x, 3(x - 2), x\sin x, (x + 1)(x - 1)
+   */
+  startsFactor(token) {
+    switch (token.type) {
+      case 'identifier':
+        return !this.isDifferential();
+      case 'name':
+      case 'command':
+        return true;
+      case 'lparen':
+        return true;
+      case 'bar':
+        // Inside |...| a bar closes the absolute value
+        return this.absDepth === 0;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Whether the next tokens are the "d x" that ends an integral
+   */
+  isDifferential(force = false) {
+    const [d, variable] = [this.peek(), this.peek(1)];
+    return (force || this.integralDepth > 0) && d.type === 'identifier' && d.value === 'd' &&
+      variable.type === 'identifier' && variable.value !== 'd';
+  }
+
+  /**
+   * After "d": "/ d x" follows for d/dx, or "x / d x" for dx/dy-style fractions
+   */
+  isDerivativeOperator() {
+    const [a, b, c, d] = [this.peek(), this.peek(1), this.peek(2), this.peek(3)];
+    const slashDx = (slash, dToken, variable) => this.isOperator(slash, '/') &&
+      dToken.type === 'identifier' && dToken.value === 'd' && variable.type === 'identifier';
+    return slashDx(a, b, c) || (a.type === 'identifier' && slashDx(b, c, d));
+  }
+
+  /**
+   * "x" for a node that reads d·x (the denominator of \frac{d}{dx})
+   */
+  differentialVariable(node) {
+    if (node.type === 'binary' && node.op === '*' && node.left.type === 'variable' && node.left.name === 'd' &&
+      node.right.type === 'variable') {
+      return node.right.name;
+    }
+    return null;
+  }
+}
+
+export default ExpressionParser;
@@ -0,0 +1,340 @@
+/**
+ * Expression Simplifier - Light algebraic clean-up of expression trees
+ * Folds numbers, drops zero terms and unit factors, puts numeric coefficients first, merges powers of the
+ * same base and writes polynomial pieces in descending powers. It does not expand powers of sums or factor,
+ * so 6x(x^2 + 1)^2 keeps its shape
+ */
+
+import MathAst from './mathAst.js';
+import Fraction from './fraction.js';
+
+// Exact values at the arguments derivatives and definite integrals commonly produce
+const EXACT_VALUES = {
+  sin: { 0: 0, pi: 0 },
+  cos: { 0: 1, pi: -1 },
+  tan: { 0: 0, pi: 0 },
+  arcsin: { 0: 0 },
+  arctan: { 0: 0 },
+  sinh: { 0: 0 },
+  cosh: { 0: 1 },
+  exp: { 0: 1 },
+  ln: { 1: 0, e: 1 },
+  log: { 1: 0 }
+};
+
+const FUNCTIONS = {
+  sin: Math.sin, cos: Math.cos, tan: Math.tan,
+  sec: x => 1 / Math.cos(x), csc: x => 1 / Math.sin(x), cot: x => 1 / Math.tan(x),
+  arcsin: Math.asin, arccos: Math.acos, arctan: Math.atan,
+  sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+  exp: Math.exp, ln: Math.log, sqrt: Math.sqrt, abs: Math.abs,
+  log: (x, base = 10) => Math.log(x) / Math.log(base),
+  root: (x, n) => Math.sign(x) * Math.abs(x) ** (1 / n)
+};
+
+class ExpressionSimplifier {
+  /**
+   * Simplify until nothing changes
+   * @param {object} node - AST node
+   * @param {string} variable - Variable whose polynomial pieces are collected, or null
+   */
+  simplify(node, variable = null) {
+    let current = node;
+    for (let i = 0; i < 20; i++) {
+      const next = this.pass(current, variable);
+      if (MathAst.equals(next, current)) return next;
+      current = next;
+    }
+    return current;
+  }
+
+  /**
+   * Numeric value of an expression, with variables looked up in scope; NaN when it cannot be evaluated
+   */
+  evaluate(node, scope = {}) {
+    const evaluate = child => this.evaluate(child, scope);
+    switch (node.type) {
+      case 'number': return node.value;
+      case 'constant': return { pi: Math.PI, e: Math.E, infinity: Infinity }[node.name] ?? NaN;
+      case 'variable': return scope[node.name] ?? NaN;
+      case 'unary': return node.op === '-' ? -evaluate(node.argument) : NaN;
+      case 'binary': {
+        const [a, b] = [evaluate(node.left), evaluate(node.right)];
+        switch (node.op) {
+          case '+': return a + b;
+          case '-': return a - b;
+          case '*': return a * b;
+          case '/': return a / b;
+          case '^': return a ** b;
+          default: return NaN;
+        }
+      }
+      case 'function': {
+        const fn = FUNCTIONS[node.name];
+        return fn ? fn(...node.args.map(evaluate)) : NaN;
+      }
+      default: return NaN;
+    }
+  }
+
+  /**
+   * The value of a constant rational expression (3, -2/3, 2^3), or null
+   */
+  rational(node) {
+    if (!MathAst.isConstant(node)) return null;
+    const polynomial = MathAst.polynomial(node, '');
+    return polynomial?.length === 1 ? polynomial[0] : null;
+  }
+
+  /**
+   * -node, folding numbers and double negatives
+   */
+  negate(node) {
+    const value = this.rational(node);
+    if (value) return MathAst.fromFraction(value.neg());
+    if (node.type === 'unary' && node.op === '-') return node.argument;
+    return MathAst.unary('-', node);
+  }
+
+  /**
+   * @private
+   */
+  pass(node, variable) {
+    if (node.parenthesized) node = { ...node, parenthesized: false };
+    const pass = child => this.pass(child, variable);
+
+    switch (node.type) {
+      case 'unary':
+        return node.op === '-' ? this.negate(pass(node.argument)) : { ...node, argument: pass(node.argument) };
+      case 'binary': {
+        const simplified = this.binary(node, pass(node.left), pass(node.right));
+        return this.collect(simplified, variable);
+      }
+      case 'function':
+        return this.func({ ...node, args: node.args.map(pass) });
+      case 'relation':
+        return { ...node, left: pass(node.left), right: pass(node.right) };
+      case 'compound':
+        return { ...node, operands: node.operands.map(pass) };
+      case 'derivative':
+      case 'integral':
+        return { ...node, argument: pass(node.argument) };
+      default:
+        return node;
+    }
+  }
+
+  /**
+   * Local rules for one operator whose operands are already simplified
+   * @private
+   */
+  binary(node, a, b) {
+    const [ra, rb] = [this.rational(a), this.rational(b)];
+    const number = value => MathAst.fromFraction(value);
+    const rebuilt = () => ({ ...node, left: a, right: b });
+
+    switch (node.op) {
+      case '+':
+        if (ra && rb) return number(ra.add(rb));
+        if (ra?.isZero()) return b;
+        if (rb?.isZero()) return a;
+        if (b.type === 'unary' && b.op === '-') return MathAst.binary('-', a, b.argument);
+        return rebuilt();
+      case '-':
+        if (ra && rb) return number(ra.sub(rb));
+        if (rb?.isZero()) return a;
+        if (ra?.isZero()) return this.negate(b);
+        // e - e, as the limits of x e^x - e^x give
+        if (MathAst.equals(a, b)) return MathAst.number(0);
+        if (b.type === 'unary' && b.op === '-') return MathAst.binary('+', a, b.argument);
+        return rebuilt();
+      case '*':
+      case '/':
+        if (node.op === '/' && rb?.isZero()) return rebuilt();
+        return this.product(MathAst.binary(node.op, a, b));
+      case '^': {
+        if (ra && rb) {
+          const value = ra.pow(rb);
+          if (value && rb.abs().numerator <= 20) return number(value);
+        }
+        if (rb?.isZero()) return MathAst.number(1);
+        if (rb?.isOne()) return a;
+        if (ra?.isOne()) return MathAst.number(1);
+        // (x^2)^3 is x^6
+        const [base, exponent] = this.power(a);
+        if (rb && exponent && a.type === 'binary') return MathAst.binary('^', base, number(exponent.mul(rb)));
+        // x^(-2) is 1/x^2
+        if (rb?.isNegative() && !ra) {
+          return MathAst.binary('/', MathAst.number(1), MathAst.binary('^', a, number(rb.neg())), { fraction: true });
+        }
+        return rebuilt();
+      }
+      default:
+        return rebuilt();
+    }
+  }
+
+  /**
+   * A product or quotient rebuilt from its factors: numbers multiplied into one coefficient, powers of the
+   * same base merged or cancelled, and the factors ordered coefficient, algebraic, functions, then unevaluated
+   * derivatives: 2x cos(x), x/sqrt(x^2 + 1), -1/x^2
+   * @private
+   */
+  product(node) {
+    const parts = this.factors(node);
+    const cancel = (top, bottom) => {
+      for (let i = 0; i < bottom.length; i++) {
+        const [base, exponent] = this.power(bottom[i]);
+        const j = top.findIndex(factor => MathAst.equals(this.power(factor)[0], base));
+        if (j < 0) continue;
+        const difference = this.power(top[j])[1].sub(exponent);
+        top.splice(j, 1);
+        bottom.splice(i--, 1);
+        if (difference.isNegative()) bottom.push(this.raise(base, difference.neg()));
+        else if (!difference.isZero()) top.push(this.raise(base, difference));
+      }
+    };
+    const numerator = this.mergePowers(parts.numerator);
+    const denominator = this.mergePowers(parts.denominator);
+    cancel(numerator, denominator);
+
+    // x^2 before (x + 1)^2 before e^x before sin(x) before d/dx(...)
+    const order = factor => {
+      if (MathAst.contains(factor, child => child.type === 'derivative')) return 4;
+      if (MathAst.contains(factor, child => child.type === 'function')) return 3;
+      if (this.isTranscendental(factor)) return 2;
+      return this.power(factor)[0].type === 'variable' ? 0 : 1;
+    };
+    const multiply = (coefficient, factors) => [
+      ...(coefficient.isOne() && factors.length ? [] : [MathAst.fromFraction(coefficient)]),
+      ...factors
+        .map((factor, index) => ({ factor, index }))
+        .sort((x, y) => order(x.factor) - order(y.factor) || x.index - y.index)
+        .map(({ factor }) => factor)
+    ].reduce((result, factor) => (result ? MathAst.binary('*', result, factor, { implicit: true }) : factor), null);
+
+    const magnitude = parts.coefficient.abs();
+    // (2/3)x, as polynomials print, but 2x/(x^2 + 1)
+    const result = !denominator.length
+      ? multiply(magnitude, numerator)
+      : MathAst.binary('/',
+        multiply(new Fraction(magnitude.numerator), numerator),
+        multiply(new Fraction(magnitude.denominator), denominator), { fraction: true });
+    return parts.coefficient.isNegative() ? MathAst.unary('-', result) : result;
+  }
+
+  /**
+   * { coefficient, numerator, denominator } of a product or quotient, with factors flattened
+   * @private
+   */
+  factors(node) {
+    const value = this.rational(node);
+    if (value) return { coefficient: value, numerator: [], denominator: [] };
+    if (node.type === 'unary' && node.op === '-') {
+      const parts = this.factors(node.argument);
+      return { ...parts, coefficient: parts.coefficient.neg() };
+    }
+    if (node.type === 'binary' && (node.op === '*' || node.op === '/')) {
+      const left = this.factors(node.left);
+      const right = this.factors(node.right);
+      if (node.op === '/' && right.coefficient.isZero()) {
+        return { coefficient: new Fraction(1), numerator: [node], denominator: [] };
+      }
+      return node.op === '*'
+        ? {
+          coefficient: left.coefficient.mul(right.coefficient),
+          numerator: [...left.numerator, ...right.numerator],
+          denominator: [...left.denominator, ...right.denominator]
+        }
+        : {
+          coefficient: left.coefficient.div(right.coefficient),
+          numerator: [...left.numerator, ...right.denominator],
+          denominator: [...left.denominator, ...right.numerator]
+        };
+    }
+    return { coefficient: new Fraction(1), numerator: [node], denominator: [] };
+  }
+
+  /**
+   * Powers of the same base multiplied together: x * x^2 is x^3
+   * @private
+   */
+  mergePowers(factors) {
+    const merged = [];
+    for (const factor of factors) {
+      const [base, exponent] = this.power(factor);
+      const index = merged.findIndex(other => MathAst.equals(this.power(other)[0], base));
+      if (index < 0) {
+        merged.push(factor);
+      } else {
+        merged[index] = this.raise(base, this.power(merged[index])[1].add(exponent));
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * @private
+   */
+  raise(base, exponent) {
+    return exponent.isOne() ? base : MathAst.binary('^', base, MathAst.fromFraction(exponent));
+  }
+
+  /**
+   * Write a piece that is a polynomial in the variable in descending powers, unless it is a product or power
+   * of sums, which stays factored
+   * @private
+   */
+  collect(node, variable) {
+    if (!variable || !MathAst.variables(node).includes(variable)) return node;
+    const isSum = child => child.type === 'binary' && ['+', '-'].includes(child.op);
+    const factored = MathAst.contains(node, child => child.type === 'binary' &&
+      ((child.op === '*' && (isSum(child.left) || isSum(child.right))) || (child.op === '^' && isSum(child.left))));
+    if (factored) return node;
+    const polynomial = MathAst.polynomial(node, variable);
+    return polynomial ? MathAst.fromPolynomial(polynomial, variable) : node;
+  }
+
+  /**
+   * Exact values of functions at 0, 1, π and e, absolute values and square roots of numbers
+   * @private
+   */
+  func(node) {
+    const [argument] = node.args;
+    const key = argument.type === 'constant' ? argument.name : this.rational(argument)?.toString();
+    const value = node.args.length === 1 ? EXACT_VALUES[node.name]?.[key] : undefined;
+    if (value !== undefined) return MathAst.fromFraction(value);
+
+    if (node.name === 'abs' && this.rational(argument)) return MathAst.fromFraction(this.rational(argument).abs());
+    if (node.name === 'sqrt') {
+      const radicand = this.rational(argument);
+      const root = radicand && !radicand.isNegative()
+        ? [Math.sqrt(radicand.numerator), Math.sqrt(radicand.denominator)]
+        : null;
+      if (root && root.every(Number.isInteger)) return MathAst.fromFraction(new Fraction(root[0], root[1]));
+    }
+    return node;
+  }
+
+  /**
+   * [base, exponent] of a factor, with a rational exponent: x^3 is [x, 3], sin(x) is [sin(x), 1]
+   * @private
+   */
+  power(node) {
+    if (node.type === 'binary' && node.op === '^') {
+      const exponent = this.rational(node.right);
+      if (exponent) return [node.left, exponent];
+    }
+    return [node, new Fraction(1)];
+  }
+
+  /**
+   * Whether a factor involves a function or e, π
+   * @private
+   */
+  isTranscendental(node) {
+    return MathAst.contains(node, child => ['function', 'constant'].includes(child.type));
+  }
+}
+
+export default ExpressionSimplifier;
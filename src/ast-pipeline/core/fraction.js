@@ -0,0 +1,161 @@
+/**
+ * Fraction - Exact rational numbers for coefficients and solutions
+ * Keeps 7/3 as 7/3 instead of 2.333..., so steps show the values students write
+ */
+
+/**
+ * Greatest common divisor of two integers, always non-negative; gcd(0, n) is |n|
+ */
+export const gcd = (a, b) => {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b) [a, b] = [b, a % b];
+  return a;
+};
+
+/**
+ * Least common multiple of two positive integers
+ */
+export const lcm = (a, b) => (a * b) / gcd(a, b);
+
+class Fraction {
+  constructor(numerator, denominator = 1) {
+    if (denominator === 0) {
+      throw new Error('Division by zero');
+    }
+    if (!Number.isInteger(numerator) || !Number.isInteger(denominator)) {
+      const fraction = Fraction.fromNumber(numerator / denominator);
+      numerator = fraction.numerator;
+      denominator = fraction.denominator;
+    }
+    const sign = denominator < 0 ? -1 : 1;
+    const divisor = gcd(numerator, denominator);
+    this.numerator = (sign * numerator) / divisor || 0;
+    this.denominator = Math.abs(denominator) / divisor;
+  }
+
+  /**
+   * Exact value of a decimal string such as "2.75" or "-0.125"
+   */
+  static parse(text) {
+    const match = String(text).trim().match(/^(-?)(\d*)(?:\.(\d+))?$/);
+    if (!match || (!match[2] && !match[3])) {
+      throw new Error(`Not a number: ${text}`);
+    }
+    const [, sign, whole, decimals = ''] = match;
+    const denominator = 10 ** decimals.length;
+    return new Fraction((sign ? -1 : 1) * parseInt(`${whole || '0'}${decimals}`, 10), denominator);
+  }
+
+  /**
+   * Closest fraction to a number, exact for the values decimals and small fractions produce
+   */
+  static fromNumber(value) {
+    if (value instanceof Fraction) return value;
+    if (!Number.isFinite(value)) {
+      throw new Error(`Not a finite number: ${value}`);
+    }
+    if (Number.isInteger(value)) return new Fraction(value, 1);
+
+    // Continued fractions, stopping once the approximation is exact to double precision
+    let [h0, h1, k0, k1] = [0, 1, 1, 0];
+    let x = value;
+    for (let i = 0; i < 32; i++) {
+      const a = Math.floor(x);
+      [h0, h1] = [h1, a * h1 + h0];
+      [k0, k1] = [k1, a * k1 + k0];
+      if (Math.abs(value - h1 / k1) < 1e-12 * Math.max(1, Math.abs(value)) || x === a) break;
+      x = 1 / (x - a);
+    }
+    return new Fraction(h1, k1);
+  }
+
+  static from(value) {
+    return value instanceof Fraction ? value : Fraction.fromNumber(value);
+  }
+
+  add(other) {
+    other = Fraction.from(other);
+    return new Fraction(this.numerator * other.denominator + other.numerator * this.denominator, this.denominator * other.denominator);
+  }
+
+  sub(other) {
+    return this.add(Fraction.from(other).neg());
+  }
+
+  mul(other) {
+    other = Fraction.from(other);
+    return new Fraction(this.numerator * other.numerator, this.denominator * other.denominator);
+  }
+
+  div(other) {
+    other = Fraction.from(other);
+    if (other.isZero()) {
+      throw new Error('Division by zero');
+    }
+    return new Fraction(this.numerator * other.denominator, this.denominator * other.numerator);
+  }
+
+  neg() {
+    return new Fraction(-this.numerator, this.denominator);
+  }
+
+  abs() {
+    return new Fraction(Math.abs(this.numerator), this.denominator);
+  }
+
+  /**
+   * Integer powers; null when the result is not rational (fractional exponents)
+   */
+  pow(exponent) {
+    exponent = Fraction.from(exponent);
+    if (!exponent.isInteger()) return null;
+    const n = exponent.numerator;
+    if (n < 0) {
+      return new Fraction(this.denominator ** -n, this.numerator ** -n);
+    }
+    return new Fraction(this.numerator ** n, this.denominator ** n);
+  }
+
+  isZero() {
+    return this.numerator === 0;
+  }
+
+  isOne() {
+    return this.numerator === 1 && this.denominator === 1;
+  }
+
+  isInteger() {
+    return this.denominator === 1;
+  }
+
+  isNegative() {
+    return this.numerator < 0;
+  }
+
+  equals(other) {
+    other = Fraction.from(other);
+    return this.numerator === other.numerator && this.denominator === other.denominator;
+  }
+
+  compare(other) {
+    other = Fraction.from(other);
+    return Math.sign(this.numerator * other.denominator - other.numerator * this.denominator);
+  }
+
+  valueOf() {
+    return this.numerator / this.denominator;
+  }
+
+  toString() {
+    return this.isInteger() ? `${this.numerator}` : `${this.numerator}/${this.denominator}`;
+  }
+
+  toLatex() {
+    if (this.isInteger()) return `${this.numerator}`;
+    const fraction = `\\frac{${Math.abs(this.numerator)}}{${this.denominator}}`;
+    return this.isNegative() ? `-${fraction}` : fraction;
+  }
+}
+
+export default Fraction;
@@ -0,0 +1,393 @@
+/**
+ * Integral Solver - Step-by-step antiderivatives and definite integrals
+ * Integration is written as unevaluated integral nodes that are rewritten one rule at a time: sum, constant
+ * multiple, power and reciprocal rules, exponentials, sin, cos, sec^2 and csc^2, the same functions of a
+ * linear kx + b, polynomials expanded into powers, and integration by parts for a polynomial times an
+ * exponential, sin or cos. Definite integrals are then evaluated at the limits
+ */
+
+import MathAst from './mathAst.js';
+import ExpressionSimplifier from './expressionSimplifier.js';
+
+export const INTEGRAL_RULES = {
+  constant: 'Constant rule: the integral of a constant k is kx',
+  sum: 'Sum rule: integrate term by term',
+  constant_multiple: 'Constant multiple rule: keep the constant, integrate the rest',
+  power: 'Power rule: raise the exponent by 1 and divide by the new exponent',
+  reciprocal: 'Reciprocal rule: the integral of 1/x is ln|x|',
+  exponential: 'Exponential rule: the integral of e^x is e^x, and of a^x is a^x/ln(a)',
+  trig: 'Integrals of trigonometric functions',
+  linear_substitution: 'Reverse chain rule: integrate f(kx + b) as F(kx + b)/k',
+  expand: 'Expand into a sum of powers',
+  parts: 'Integration by parts: ∫u dv = uv - ∫v du, with u the polynomial factor',
+  fundamental_theorem: 'Fundamental theorem of calculus: evaluate the antiderivative at the upper limit minus the lower limit'
+};
+
+class IntegralSolver {
+  constructor() {
+    this.simplifier = new ExpressionSimplifier();
+  }
+
+  /**
+   * Integrate an expression
+   * @param {object} expression - AST node to integrate
+   * @param {string} variable - Variable of integration
+   * @param {object} options - { lower, upper }: AST limits of a definite integral
+   * @returns {object|null} { steps, antiderivative, value, approximation } or null when a part has no rule
+   *   here (x ln(x), 1/(x^2 + 1))
+   *   steps: [{ equation, operation, description }]; the first is the integral itself with operation null,
+   *          the others have operation { type: 'integrate', rule } with rule a key of INTEGRAL_RULES, and a
+   *          definite integral ends with operation { type: 'simplify' } when the difference simplifies
+   *   antiderivative: F(x), without + C
+   *   value, approximation: for a definite integral, the simplified F(b) - F(a) and its numeric value
+   */
+  solve(expression, variable, options = {}) {
+    this.variable = variable;
+    const { lower, upper } = options;
+    const definite = lower && upper;
+    const indefinite = this.pending(expression);
+    const integral = definite ? { ...indefinite, lower, upper } : indefinite;
+
+    const steps = [{ equation: integral, operation: null, description: 'Integrate' }];
+
+    let current = indefinite;
+    while (this.hasPending(current)) {
+      const rule = this.firstRule(current);
+      if (!rule) return null;
+
+      // The constant rule goes along with whichever rule is applied
+      const applied = new Set([rule]);
+      current = this.rewrite(current, argument => {
+        const match = this.rule(argument);
+        if (match !== rule && match !== 'constant') return null;
+        applied.add(match);
+        return this.apply(match, argument);
+      });
+      current = this.simplifier.simplify(current, variable);
+
+      // The last rule of an indefinite integral adds the constant of integration
+      const done = !this.hasPending(current);
+      const right = done && !definite ? MathAst.binary('+', current, MathAst.variable('C')) : current;
+      steps.push({
+        equation: MathAst.relation('=', indefinite, right),
+        operation: { type: 'integrate', rule },
+        description: [...applied].map(name => INTEGRAL_RULES[name]).join('; ')
+      });
+    }
+
+    const result = { steps, antiderivative: current };
+    if (!definite) return result;
+
+    // F(b) - F(a), with -cos(0) in parentheses after the minus
+    const at = limit => MathAst.substitute(current, variable, limit);
+    const subtracted = at(lower);
+    const difference = MathAst.binary('-', at(upper),
+      subtracted.type === 'unary' ? { ...subtracted, parenthesized: true } : subtracted);
+    steps.push({
+      equation: MathAst.relation('=', integral, difference),
+      operation: { type: 'integrate', rule: 'fundamental_theorem' },
+      description: INTEGRAL_RULES.fundamental_theorem
+    });
+    const value = this.simplifier.simplify(difference);
+    if (!MathAst.equals(value, difference)) {
+      steps.push({ equation: MathAst.relation('=', integral, value), operation: { type: 'simplify' }, description: 'Simplify' });
+    }
+
+    return { ...result, value, approximation: this.simplifier.evaluate(value) };
+  }
+
+  /**
+   * ∫ expression dx, as an unevaluated node
+   * @private
+   */
+  pending(argument) {
+    return { type: 'integral', variable: this.variable, argument };
+  }
+
+  /**
+   * @private
+   */
+  hasPending(node) {
+    return MathAst.contains(node, child => child.type === 'integral' && child.variable === this.variable);
+  }
+
+  /**
+   * The rule for the first unevaluated integral, reading left to right
+   * @private
+   */
+  firstRule(node) {
+    let rule;
+    MathAst.walk(node, child => {
+      if (rule === undefined && child.type === 'integral' && child.variable === this.variable) {
+        rule = this.rule(child.argument);
+      }
+    });
+    return rule;
+  }
+
+  /**
+   * Replace each unevaluated integral by transform(argument), or keep it when transform returns null
+   * @private
+   */
+  rewrite(node, transform) {
+    if (node.type === 'integral' && node.variable === this.variable) {
+      return transform(node.argument) || node;
+    }
+    const rewrite = child => this.rewrite(child, transform);
+    switch (node.type) {
+      case 'unary': return { ...node, argument: rewrite(node.argument) };
+      case 'binary': return { ...node, left: rewrite(node.left), right: rewrite(node.right) };
+      case 'function': return { ...node, args: node.args.map(rewrite) };
+      default: return node;
+    }
+  }
+
+  /**
+   * Which rule integrates a node, or null when none does
+   * @private
+   */
+  rule(node) {
+    if (this.isConstant(node)) return 'constant';
+    if (this.isVariable(node)) return 'power';
+    const inner = this.inner(node);
+    if (inner) {
+      const outer = this.replaceInner(node, inner, MathAst.variable(this.variable));
+      return this.outerRule(outer) ? 'linear_substitution' : null;
+    }
+    const polynomial = MathAst.polynomial(node, this.variable);
+
+    switch (node.type) {
+      case 'unary':
+        return node.op === '-' ? 'constant_multiple' : null;
+      case 'binary':
+        switch (node.op) {
+          case '+':
+          case '-':
+            return 'sum';
+          case '*':
+            if (this.isConstant(node.left) || this.isConstant(node.right)) {
+              const other = this.isConstant(node.left) ? node.right : node.left;
+              // 3x^2 is a single power rule step
+              return this.isPowerOfVariable(other) ? this.outerRule(other) : 'constant_multiple';
+            }
+            if (this.partsFactors(node)) return 'parts';
+            return polynomial ? 'expand' : null;
+          case '/':
+            if (this.isConstant(node.right)) return this.isPowerOfVariable(node.left) ? 'power' : 'constant_multiple';
+            if (this.isConstant(node.left) && this.isPowerOfVariable(node.right)) {
+              return this.isVariable(node.right) ? 'reciprocal' : 'power';
+            }
+            return null;
+          case '^':
+            return this.outerRule(node) || (polynomial ? 'expand' : null);
+          default:
+            return null;
+        }
+      default:
+        return this.outerRule(node);
+    }
+  }
+
+  /**
+   * The rule for a power, exponential or function of the variable itself
+   * @private
+   */
+  outerRule(node) {
+    if (this.isVariable(node)) return 'power';
+    if (node.type === 'function') {
+      if (node.primes || node.args.length !== 1 || !this.isVariable(node.args[0])) return null;
+      if (node.name === 'sqrt') return 'power';
+      if (['sin', 'cos'].includes(node.name)) return 'trig';
+      return node.name === 'exp' ? 'exponential' : null;
+    }
+    if (node.type === 'binary' && node.op === '/') {
+      return this.isConstant(node.left) && this.isVariable(node.right) ? 'reciprocal' : null;
+    }
+    if (node.type !== 'binary' || node.op !== '^') return null;
+
+    const exponent = this.simplifier.rational(node.right);
+    if (this.isVariable(node.left) && this.isConstant(node.right)) return exponent?.equals(-1) ? 'reciprocal' : 'power';
+    // sec^2 and csc^2
+    if (node.left.type === 'function' && ['sec', 'csc'].includes(node.left.name) && this.isVariable(node.left.args[0])) {
+      return exponent?.equals(2) ? 'trig' : null;
+    }
+    return this.isConstant(node.left) && this.isVariable(node.right) ? 'exponential' : null;
+  }
+
+  /**
+   * The linear kx + b that a power, exponential or function is applied to, when it is not the variable
+   * itself: 2x + 1 in (2x + 1)^3, 3x in sin(3x); null otherwise
+   * @private
+   */
+  inner(node) {
+    let argument = null;
+    if (node.type === 'function' && node.args.length === 1) {
+      argument = node.args[0];
+    } else if (node.type === 'binary' && node.op === '^') {
+      if (node.left.type === 'function' && node.left.args.length === 1) argument = node.left.args[0];
+      else argument = this.isConstant(node.right) ? node.left : this.isConstant(node.left) ? node.right : null;
+    } else if (node.type === 'binary' && node.op === '/' && this.isConstant(node.left)) {
+      argument = node.right;
+    }
+    if (!argument || this.isVariable(argument)) return null;
+    const polynomial = MathAst.polynomial(argument, this.variable);
+    return polynomial?.length === 2 ? argument : null;
+  }
+
+  /**
+   * The node with its inner linear kx + b replaced
+   * @private
+   */
+  replaceInner(node, inner, replacement) {
+    if (node === inner) return replacement;
+    switch (node.type) {
+      case 'binary':
+        return { ...node, left: this.replaceInner(node.left, inner, replacement), right: this.replaceInner(node.right, inner, replacement) };
+      case 'function':
+        return { ...node, args: node.args.map(child => this.replaceInner(child, inner, replacement)) };
+      default:
+        return node;
+    }
+  }
+
+  /**
+   * The rule's result, with integrals of the parts left unevaluated
+   * @private
+   */
+  apply(rule, node) {
+    const x = MathAst.variable(this.variable);
+    const integral = child => this.pending(child);
+    const product = (a, b) => MathAst.binary('*', a, b, { implicit: true });
+    const fraction = (numerator, denominator) => MathAst.binary('/', numerator, denominator, { fraction: true });
+
+    switch (rule) {
+      case 'constant':
+        return product(node, x);
+      case 'sum':
+        return this.termwise(node);
+      case 'constant_multiple':
+        if (node.type === 'unary') return MathAst.unary('-', integral(node.argument));
+        if (node.op === '/') return product(fraction(MathAst.number(1), node.right), integral(node.left));
+        return this.isConstant(node.left) ? product(node.left, integral(node.right)) : product(node.right, integral(node.left));
+      case 'expand':
+        return integral(MathAst.fromPolynomial(MathAst.polynomial(node, this.variable), this.variable));
+      case 'parts': {
+        // uv - ∫v du: u' lowers the polynomial's degree, so x^n e^x takes n steps
+        const [u, dv] = this.partsFactors(node);
+        const v = this.simplifier.simplify(this.apply(this.rule(dv), dv), this.variable);
+        const coefficients = MathAst.polynomial(u, this.variable);
+        const du = MathAst.fromPolynomial(coefficients.slice(1).map((value, power) => value.mul(power + 1)), this.variable);
+        return MathAst.binary('-', product(u, v), integral(product(du, v)));
+      }
+      case 'linear_substitution': {
+        // F(kx + b)/k
+        const inner = this.inner(node);
+        const [, k] = MathAst.polynomial(inner, this.variable);
+        const outer = this.replaceInner(node, inner, x);
+        const antiderivative = MathAst.substitute(this.apply(this.outerRule(outer), outer), this.variable, inner);
+        return fraction(antiderivative, MathAst.fromFraction(k));
+      }
+      default:
+        return this.outer(rule, node);
+    }
+  }
+
+  /**
+   * Antiderivatives of the variable itself: c x^n, c/x, e^x, a^x, sin, cos, sec^2, csc^2
+   * @private
+   */
+  outer(rule, node) {
+    const x = MathAst.variable(this.variable);
+    const product = (a, b) => MathAst.binary('*', a, b, { implicit: true });
+    const fraction = (numerator, denominator) => MathAst.binary('/', numerator, denominator, { fraction: true });
+
+    let coefficient = MathAst.number(1);
+    let power = node;
+    if (node.type === 'binary' && node.op === '*') {
+      [coefficient, power] = this.isConstant(node.left) ? [node.left, node.right] : [node.right, node.left];
+    } else if (node.type === 'binary' && node.op === '/' && this.isConstant(node.left)) {
+      // c/x^n is c x^(-n)
+      coefficient = node.left;
+      power = MathAst.binary('^', x, MathAst.unary('-', this.isVariable(node.right) ? MathAst.number(1) : node.right.right));
+    } else if (node.type === 'binary' && node.op === '/') {
+      [coefficient, power] = [fraction(MathAst.number(1), node.right), node.left];
+    }
+
+    switch (rule) {
+      case 'power': {
+        const exponent = power.type === 'function' ? fraction(MathAst.number(1), MathAst.number(2))
+          : power.type === 'binary' ? power.right : MathAst.number(1);
+        const raised = MathAst.binary('+', exponent, MathAst.number(1));
+        return fraction(product(coefficient, MathAst.binary('^', x, raised)), raised);
+      }
+      case 'reciprocal':
+        return product(coefficient, MathAst.func('ln', [MathAst.func('abs', [x])]));
+      case 'exponential':
+        if (power.type === 'function' || (power.left.type === 'constant' && power.left.name === 'e')) return power;
+        return fraction(power, MathAst.func('ln', [power.left]));
+      default: {
+        // trig
+        const name = power.type === 'function' ? power.name : power.left.name;
+        const f = fn => MathAst.func(fn, [x]);
+        return {
+          sin: MathAst.unary('-', f('cos')),
+          cos: f('sin'),
+          sec: f('tan'),
+          csc: MathAst.unary('-', f('cot'))
+        }[name];
+      }
+    }
+  }
+
+  /**
+   * ∫(a + b - c) dx as ∫a dx + ∫b dx - ∫c dx, in one step
+   * @private
+   */
+  termwise(node) {
+    if (node.type === 'binary' && ['+', '-'].includes(node.op)) {
+      return MathAst.binary(node.op, this.termwise(node.left), this.termwise(node.right));
+    }
+    return this.pending(node);
+  }
+
+  /**
+   * [u, dv] for integration by parts: a polynomial times e^(kx + b), sin(kx + b) or cos(kx + b); null otherwise
+   * @private
+   */
+  partsFactors(node) {
+    const integrable = factor => {
+      const inner = this.inner(factor);
+      const outer = inner ? this.replaceInner(factor, inner, MathAst.variable(this.variable)) : factor;
+      const rule = this.outerRule(outer);
+      return rule === 'exponential' || (rule === 'trig' && outer.type === 'function');
+    };
+    const degree = factor => (MathAst.polynomial(factor, this.variable)?.length ?? 0) - 1;
+    return [[node.left, node.right], [node.right, node.left]]
+      .find(([u, dv]) => degree(u) >= 1 && integrable(dv)) || null;
+  }
+
+  /**
+   * @private
+   */
+  isConstant(node) {
+    return !MathAst.variables(node).includes(this.variable) && !MathAst.contains(node, child => child.type === 'integral');
+  }
+
+  /**
+   * @private
+   */
+  isVariable(node) {
+    return node.type === 'variable' && node.name === this.variable;
+  }
+
+  /**
+   * x or x^n with a constant n
+   * @private
+   */
+  isPowerOfVariable(node) {
+    return this.isVariable(node) ||
+      (node.type === 'binary' && node.op === '^' && this.isVariable(node.left) && this.isConstant(node.right));
+  }
+}
+
+export default IntegralSolver;
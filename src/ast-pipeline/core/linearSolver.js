@@ -0,0 +1,227 @@
+/**
+ * Linear Solver - Step-by-step solutions of linear equations in one variable
+ * Produces the sequence of equivalent equations and the operation applied to reach each one:
+ * distribute, combine like terms, clear fractions, collect the variable on one side, isolate it
+ */
+
+import MathAst from './mathAst.js';
+import Fraction, { lcm } from './fraction.js';
+
+class LinearSolver {
+  /**
+   * Solve a linear equation
+   * @param {object} equation - Relation node with op '='
+   * @param {string} variable - Variable to solve for
+   * @returns {object|null} { steps, outcome, solution } or null when the equation is not linear in the variable.
+   *   steps: [{ equation, operation, description }] starting with the original equation; operation is null for
+   *          the original, { type: 'distribute' | 'combine' | 'swap' } for rewrites of the sides and
+   *          { type: 'add' | 'subtract' | 'multiply' | 'divide', amount } (amount is an AST node) for operations
+   *          applied to both sides
+   *   outcome: 'unique', 'identity' (every value is a solution) or 'contradiction' (no solution)
+   *   solution: Fraction for a unique solution, otherwise null
+   */
+  solve(equation, variable) {
+    if (equation?.type !== 'relation' || equation.op !== '=') return null;
+    let left = this.terms(equation.left, variable);
+    let right = this.terms(equation.right, variable);
+    if (!left || !right || ![...left, ...right].some(term => term.degree === 1)) return null;
+
+    const steps = [{ equation, operation: null, description: 'Original equation' }];
+    const record = (operation, description) => steps.push({
+      equation: MathAst.relation('=', MathAst.fromTerms(left, variable), MathAst.fromTerms(right, variable)),
+      operation,
+      description
+    });
+
+    if (MathAst.hasDistribution(equation.left) || MathAst.hasDistribution(equation.right)) {
+      record({ type: 'distribute' }, 'Distribute to remove parentheses');
+    }
+
+    if (this.hasLikeTerms(left) || this.hasLikeTerms(right)) {
+      left = this.combine(left);
+      right = this.combine(right);
+      record({ type: 'combine' }, 'Combine like terms');
+    }
+
+    // ax + b = cx + d from here on
+    let [b, a] = this.coefficients(left);
+    let [d, c] = this.coefficients(right);
+    const term = coefficient => MathAst.fromTerms([{ coefficient, degree: 1 }], variable);
+    const sides = () => {
+      left = this.combine([{ coefficient: a, degree: 1 }, { coefficient: b, degree: 0 }]);
+      right = this.combine([{ coefficient: c, degree: 1 }, { coefficient: d, degree: 0 }]);
+    };
+
+    // Multiply by the least common denominator so every coefficient is an integer
+    const denominator = [a, b, c, d].reduce((result, value) => lcm(result, value.denominator), 1);
+    if (denominator > 1) {
+      [a, b, c, d] = [a, b, c, d].map(value => value.mul(denominator));
+      sides();
+      record(
+        { type: 'multiply', amount: MathAst.number(denominator) },
+        `Multiply both sides by ${denominator} to clear the fractions`
+      );
+    }
+
+    // Collect the variable on the side where its coefficient stays positive
+    if (!a.isZero() && !c.isZero()) {
+      const moved = a.compare(c) >= 0 ? c : a;
+      const type = moved.isNegative() ? 'add' : 'subtract';
+      [a, c] = [a.sub(moved), c.sub(moved)];
+      sides();
+      record({ type, amount: term(moved.abs()) }, this.describe(type, MathAst.toText(term(moved.abs()))));
+    }
+
+    if (a.isZero() && c.isZero()) {
+      // The variable cancelled: 2 = 2 holds for every value, 5 = 2 for none
+      const outcome = b.equals(d) ? 'identity' : 'contradiction';
+      steps[steps.length - 1].description += outcome === 'identity'
+        ? `: always true, every value of ${variable} is a solution`
+        : ': never true, the equation has no solution';
+      return { steps, outcome, solution: null };
+    }
+
+    // Move the constant away from the variable side
+    const variableOnLeft = !a.isZero();
+    const constant = variableOnLeft ? b : d;
+    if (!constant.isZero()) {
+      const type = constant.isNegative() ? 'add' : 'subtract';
+      if (variableOnLeft) {
+        [b, d] = [new Fraction(0), d.sub(constant)];
+      } else {
+        [b, d] = [b.sub(constant), new Fraction(0)];
+      }
+      sides();
+      record({ type, amount: MathAst.fromFraction(constant.abs()) }, this.describe(type, constant.abs()));
+    }
+
+    // Divide by the coefficient
+    const coefficient = variableOnLeft ? a : c;
+    const value = variableOnLeft ? d : b;
+    const solution = value.div(coefficient);
+    if (!coefficient.isOne()) {
+      if (variableOnLeft) {
+        [a, d] = [new Fraction(1), solution];
+      } else {
+        [c, b] = [new Fraction(1), solution];
+      }
+      sides();
+      record({ type: 'divide', amount: MathAst.fromFraction(coefficient) }, this.describe('divide', coefficient));
+    }
+
+    // 5 = x needs no operation, but the solution should not be the equation as given
+    if (steps.length === 1 && !variableOnLeft) {
+      [a, b, c, d] = [c, d, a, b];
+      sides();
+      record({ type: 'swap' }, `Swap the sides so ${variable} is on the left`);
+    }
+
+    return { steps, outcome: 'unique', solution };
+  }
+
+  /**
+   * Terms of a side in reading order, [{ coefficient, degree }] with degree 0 or 1, distributing products
+   * over sums; null when the side is not linear in the variable
+   */
+  terms(node, variable) {
+    switch (node.type) {
+      case 'number':
+        return [{ coefficient: Fraction.parse(node.raw), degree: 0 }];
+      case 'variable':
+        return node.name === variable ? [{ coefficient: new Fraction(1), degree: 1 }] : null;
+      case 'unary': {
+        const argument = this.terms(node.argument, variable);
+        return argument && this.negate(argument);
+      }
+      case 'binary': {
+        if (node.op === '^') {
+          // 2^3 and x^1 are still linear
+          const polynomial = MathAst.polynomial(node, variable);
+          return polynomial && polynomial.length <= 2 ? this.fromCoefficients(polynomial) : null;
+        }
+        const left = this.terms(node.left, variable);
+        const right = left && this.terms(node.right, variable);
+        if (!left || !right) return null;
+        switch (node.op) {
+          case '+': return [...left, ...right];
+          case '-': return [...left, ...this.negate(right)];
+          case '*': {
+            const product = left.flatMap(x => right.map(y => ({
+              coefficient: x.coefficient.mul(y.coefficient),
+              degree: x.degree + y.degree
+            })));
+            return product.some(term => term.degree > 1) ? null : product;
+          }
+          case '/': {
+            const [divisor, variablePart] = this.coefficients(right);
+            if (divisor.isZero() || !variablePart.isZero()) return null;
+            return left.map(term => ({ ...term, coefficient: term.coefficient.div(divisor) }));
+          }
+          default: return null;
+        }
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  negate(terms) {
+    return terms.map(term => ({ ...term, coefficient: term.coefficient.neg() }));
+  }
+
+  /**
+   * Whether two terms share a degree (2x + 3x, 5 - 1)
+   * @private
+   */
+  hasLikeTerms(terms) {
+    const nonZero = terms.filter(term => !term.coefficient.isZero());
+    return new Set(nonZero.map(term => term.degree)).size < nonZero.length || nonZero.length < terms.length;
+  }
+
+  /**
+   * Like terms added together, variable term first
+   * @private
+   */
+  combine(terms) {
+    const [constant, coefficient] = this.coefficients(terms);
+    return [{ coefficient, degree: 1 }, { coefficient: constant, degree: 0 }];
+  }
+
+  /**
+   * [constant, coefficient] of a list of terms
+   * @private
+   */
+  coefficients(terms) {
+    return terms.reduce(
+      (result, term) => {
+        result[term.degree] = result[term.degree].add(term.coefficient);
+        return result;
+      },
+      [new Fraction(0), new Fraction(0)]
+    );
+  }
+
+  /**
+   * @private
+   */
+  fromCoefficients(polynomial) {
+    return polynomial.map((coefficient, degree) => ({ coefficient, degree })).reverse();
+  }
+
+  /**
+   * @private
+   */
+  describe(type, amount) {
+    switch (type) {
+      case 'add': return `Add ${amount} to both sides`;
+      case 'subtract': return `Subtract ${amount} from both sides`;
+      case 'multiply': return `Multiply both sides by ${amount}`;
+      default: return `Divide both sides by ${amount}`;
+    }
+  }
+}
+
+export default LinearSolver;
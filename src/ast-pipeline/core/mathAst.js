@@ -0,0 +1,465 @@
+/**
+ * Math AST - Node builders, traversal, printing and polynomial analysis for expression trees
+ *
+ * Nodes are plain objects with a type:
+ *   number     { value, raw }                    3, 2.5
+ *   variable   { name }                          x, theta, x_1
+ *   constant   { name }                          pi, e, infinity
+ *   unary      { op: '-', argument }
+ *   binary     { op, left, right, implicit?, explicit?, fraction? }   op: + - ± * / ^
+ *              explicit products always show the operator: 4 · 1 · (-1), not 4 * 1(-1)
+ *   function   { name, args, primes? }           sin(x), sqrt(x), root(x, n), log(x, base), abs(x), f'(x)
+ *   relation   { op, left, right }               op: = < > <= >= !=
+ *   compound   { ops, operands }                 -2 < x <= 5
+ *   derivative { variable, argument, order }
+ *   integral   { variable, argument, lower?, upper? }
+ */
+
+import Fraction from './fraction.js';
+
+const PRECEDENCE = { relation: 0, '±': 1, '+': 1, '-': 1, '*': 2, '/': 2, unary: 3, '^': 4 };
+
+const LATEX_RELATIONS = { '=': '=', '<': '<', '>': '>', '<=': '\\le', '>=': '\\ge', '!=': '\\ne' };
+const TEXT_RELATIONS = { '=': '=', '<': '<', '>': '>', '<=': '≤', '>=': '≥', '!=': '≠' };
+
+const LATEX_CONSTANTS = { pi: '\\pi', e: 'e', infinity: '\\infty' };
+const TEXT_CONSTANTS = { pi: 'π', e: 'e', infinity: '∞' };
+
+const GREEK = /^(?:alpha|beta|gamma|delta|epsilon|varepsilon|zeta|eta|theta|vartheta|iota|kappa|lambda|mu|nu|xi|rho|sigma|tau|upsilon|phi|varphi|chi|psi|omega|Gamma|Delta|Theta|Lambda|Xi|Sigma|Phi|Psi|Omega)$/;
+const LATEX_FUNCTIONS = /^(?:arcsin|arccos|arctan|sinh|cosh|tanh|sin|cos|tan|sec|csc|cot|exp|log|ln)$/;
+
+class MathAst {
+  // Builders
+
+  static number(value) {
+    const raw = String(value);
+    return { type: 'number', value: Number(raw), raw };
+  }
+
+  static variable(name) {
+    return { type: 'variable', name };
+  }
+
+  static constant(name) {
+    return { type: 'constant', name };
+  }
+
+  static unary(op, argument) {
+    return { type: 'unary', op, argument };
+  }
+
+  static binary(op, left, right, flags = {}) {
+    return { type: 'binary', op, left, right, ...flags };
+  }
+
+  static func(name, args, flags = {}) {
+    return { type: 'function', name, args, ...flags };
+  }
+
+  static relation(op, left, right) {
+    return { type: 'relation', op, left, right };
+  }
+
+  /**
+   * A rational number as a node: 3, -3, \frac{7}{3} or -\frac{7}{3}
+   */
+  static fromFraction(value) {
+    const fraction = Fraction.from(value);
+    const magnitude = fraction.isInteger()
+      ? this.number(Math.abs(fraction.numerator))
+      : this.binary('/', this.number(Math.abs(fraction.numerator)), this.number(fraction.denominator), { fraction: true });
+    return fraction.isNegative() ? this.unary('-', magnitude) : magnitude;
+  }
+
+  /**
+   * Polynomial coefficients (index = degree) to an expression in descending powers: 3x^2 - 6x + 1
+   */
+  static fromPolynomial(coefficients, variable) {
+    const terms = Array.from(coefficients, (coefficient, degree) => ({ coefficient, degree })).reverse();
+    return this.fromTerms(terms, variable);
+  }
+
+  /**
+   * Terms in the order given, without combining like terms: [{ coefficient: 3, degree: 1 }, { coefficient: -6,
+   * degree: 0 }] is 3x - 6. Zero terms are left out; a term may name its own variable (2x + 3y)
+   */
+  static fromTerms(terms, variable) {
+    let result = null;
+    for (const { coefficient: value, degree, variable: name = variable } of terms) {
+      const coefficient = Fraction.from(value ?? 0);
+      if (coefficient.isZero()) continue;
+
+      const power = degree === 0 ? null
+        : degree === 1 ? this.variable(name)
+          : this.binary('^', this.variable(name), this.number(degree));
+      const magnitude = coefficient.abs();
+      const term = !power ? this.fromFraction(magnitude)
+        : magnitude.isOne() ? power
+          : this.binary('*', this.fromFraction(magnitude), power, { implicit: true });
+
+      if (!result) {
+        result = coefficient.isNegative() ? this.unary('-', term) : term;
+      } else {
+        result = this.binary(coefficient.isNegative() ? '-' : '+', result, term);
+      }
+    }
+    return result || this.number(0);
+  }
+
+  /**
+   * A copy of node with every occurrence of a variable replaced by value. The value is marked parenthesized
+   * where it is a factor or not a single number or variable, so substitutions read 2(3) + (y + 1)
+   */
+  static substitute(node, name, value) {
+    const replace = (current, parent) => {
+      switch (current.type) {
+        case 'variable': {
+          if (current.name !== name) return current;
+          const factor = parent?.type === 'unary' || (parent?.type === 'binary' && ['*', '/', '^'].includes(parent.op));
+          return factor || !this.isAtom(value) ? { ...value, parenthesized: true } : value;
+        }
+        case 'unary': return { ...current, argument: replace(current.argument, current) };
+        case 'binary':
+        case 'relation': return { ...current, left: replace(current.left, current), right: replace(current.right, current) };
+        case 'function': return { ...current, args: current.args.map(arg => replace(arg, current)) };
+        case 'compound': return { ...current, operands: current.operands.map(operand => replace(operand, current)) };
+        default: return current;
+      }
+    };
+    return replace(node, null);
+  }
+
+  // Traversal
+
+  /**
+   * Child nodes, in reading order
+   */
+  static children(node) {
+    switch (node?.type) {
+      case 'unary': return [node.argument];
+      case 'binary':
+      case 'relation': return [node.left, node.right];
+      case 'function': return node.args;
+      case 'compound': return node.operands;
+      case 'derivative': return [node.argument];
+      case 'integral': return [node.argument, node.lower, node.upper].filter(Boolean);
+      default: return [];
+    }
+  }
+
+  /**
+   * Visit every node depth-first, parents before children
+   */
+  static walk(node, visit, parent = null) {
+    if (!node) return;
+    visit(node, parent);
+    this.children(node).forEach(child => this.walk(child, visit, node));
+  }
+
+  static contains(node, test) {
+    let found = false;
+    this.walk(node, child => {
+      if (!found && test(child)) found = true;
+    });
+    return found;
+  }
+
+  /**
+   * Variable names used in a node, in order of first appearance
+   */
+  static variables(node) {
+    const names = [];
+    this.walk(node, child => {
+      if (child.type === 'variable' && !names.includes(child.name)) names.push(child.name);
+    });
+    return names;
+  }
+
+  static equals(a, b) {
+    if (!a || !b || a.type !== b.type) return a === b;
+    switch (a.type) {
+      case 'number': return a.value === b.value;
+      case 'variable':
+      case 'constant': return a.name === b.name;
+      case 'unary': return a.op === b.op && this.equals(a.argument, b.argument);
+      case 'binary':
+      case 'relation': return a.op === b.op && this.equals(a.left, b.left) && this.equals(a.right, b.right);
+      case 'function':
+        return a.name === b.name && (a.primes || 0) === (b.primes || 0) &&
+          a.args.length === b.args.length && a.args.every((arg, i) => this.equals(arg, b.args[i]));
+      case 'compound':
+        return a.ops.join() === b.ops.join() && a.operands.every((operand, i) => this.equals(operand, b.operands[i]));
+      case 'derivative':
+        return a.variable === b.variable && a.order === b.order && this.equals(a.argument, b.argument);
+      case 'integral':
+        return a.variable === b.variable && this.equals(a.argument, b.argument) &&
+          this.equals(a.lower || null, b.lower || null) && this.equals(a.upper || null, b.upper || null);
+      default: return false;
+    }
+  }
+
+  // Analysis
+
+  /**
+   * Coefficients of a polynomial in one variable, as Fractions indexed by degree ([-6, 3] is 3x - 6),
+   * or null when the node is not a polynomial with rational coefficients in that variable
+   */
+  static polynomial(node, variable) {
+    const trim = coefficients => {
+      while (coefficients.length > 1 && coefficients[coefficients.length - 1].isZero()) coefficients.pop();
+      return coefficients;
+    };
+    const add = (a, b, sign = 1) => trim(Array.from({ length: Math.max(a.length, b.length) }, (_, i) => {
+      const right = b[i] || new Fraction(0);
+      return (a[i] || new Fraction(0)).add(sign < 0 ? right.neg() : right);
+    }));
+    const multiply = (a, b) => {
+      const product = Array.from({ length: a.length + b.length - 1 }, () => new Fraction(0));
+      a.forEach((x, i) => b.forEach((y, j) => {
+        product[i + j] = product[i + j].add(x.mul(y));
+      }));
+      return trim(product);
+    };
+
+    const visit = (current) => {
+      switch (current.type) {
+        case 'number':
+          return [Fraction.parse(current.raw)];
+        case 'variable':
+          return current.name === variable ? [new Fraction(0), new Fraction(1)] : null;
+        case 'unary': {
+          const argument = visit(current.argument);
+          return argument && argument.map(c => c.neg());
+        }
+        case 'binary': {
+          const left = visit(current.left);
+          const right = left && visit(current.right);
+          if (!left || !right) return null;
+          switch (current.op) {
+            case '+': return add(left, right);
+            case '-': return add(left, right, -1);
+            case '*': return multiply(left, right);
+            case '/':
+              return right.length === 1 && !right[0].isZero() ? trim(left.map(c => c.div(right[0]))) : null;
+            case '^': {
+              const exponent = right.length === 1 ? right[0] : null;
+              if (!exponent || !exponent.isInteger() || exponent.isNegative() || exponent.numerator > 20) return null;
+              let result = [new Fraction(1)];
+              for (let i = 0; i < exponent.numerator; i++) result = multiply(result, left);
+              return result;
+            }
+            default: return null;
+          }
+        }
+        default:
+          return null;
+      }
+    };
+
+    return visit(node);
+  }
+
+  /**
+   * Whether an expression has a sum to distribute over: 3(x - 2), -(x + 1), (x + 1)/2
+   */
+  static hasDistribution(node) {
+    const isSum = child => child.type === 'binary' && ['+', '-'].includes(child.op);
+    return this.contains(node, child =>
+      (child.type === 'binary' && child.op === '*' && (isSum(child.left) || isSum(child.right))) ||
+      (child.type === 'binary' && child.op === '/' && isSum(child.left)) ||
+      (child.type === 'unary' && isSum(child.argument)));
+  }
+
+  /**
+   * Whether a node is a number, a fraction of numbers, or a negation of either
+   */
+  static isConstant(node) {
+    return this.variables(node).length === 0 && !this.contains(node, child =>
+      ['constant', 'function', 'derivative', 'integral', 'relation'].includes(child.type));
+  }
+
+  // Printing
+
+  static toLatex(node) {
+    return this.print(node, 'latex');
+  }
+
+  static toText(node) {
+    return this.print(node, 'text');
+  }
+
+  /**
+   * A relation as a row of an {rcl} array (2x + 4 &=& 10), aligned on its first relation when chained;
+   * other nodes print as plain LaTeX
+   */
+  static toAlignedLatex(node) {
+    if (node.type === 'relation') {
+      return `${this.toLatex(node.left)} &${LATEX_RELATIONS[node.op]}& ${this.toLatex(node.right)}`;
+    }
+    if (node.type === 'compound') {
+      const rest = node.operands.slice(2).map((operand, i) => `${LATEX_RELATIONS[node.ops[i + 1]]} ${this.toLatex(operand)}`);
+      return [`${this.toLatex(node.operands[0])} &${LATEX_RELATIONS[node.ops[0]]}& ${this.toLatex(node.operands[1])}`, ...rest].join(' ');
+    }
+    return this.toLatex(node);
+  }
+
+  /**
+   * @private
+   */
+  static print(node, format) {
+    const latex = format === 'latex';
+    const print = child => this.print(child, format);
+    const wrap = (child, minimum) => this.precedence(child) < minimum ? this.parens(print(child), latex) : print(child);
+
+    if (node.parenthesized) {
+      return this.parens(this.print({ ...node, parenthesized: false }, format), latex);
+    }
+
+    switch (node.type) {
+      case 'number':
+        return node.raw;
+      case 'variable': {
+        const [name, subscript] = node.name.split('_');
+        const base = latex && GREEK.test(name) ? `\\${name}` : name;
+        return subscript === undefined ? base : latex ? `${base}_{${subscript}}` : `${base}_${subscript}`;
+      }
+      case 'constant':
+        return (latex ? LATEX_CONSTANTS : TEXT_CONSTANTS)[node.name] || node.name;
+      case 'unary': {
+        // -2x and -x^2 need no parentheses, -(x + 1) and -(-2) do
+        const op = node.op === '±' && latex ? '\\pm ' : node.op;
+        return node.argument.type === 'unary' && !node.argument.parenthesized
+          ? `${op}${this.parens(print(node.argument), latex)}`
+          : `${op}${wrap(node.argument, PRECEDENCE['*'])}`;
+      }
+      case 'binary':
+        return this.printBinary(node, format, print, wrap);
+      case 'function':
+        return this.printFunction(node, format, print);
+      case 'relation':
+        return `${print(node.left)} ${(latex ? LATEX_RELATIONS : TEXT_RELATIONS)[node.op]} ${print(node.right)}`;
+      case 'compound':
+        return node.operands.map((operand, i) =>
+          i === 0 ? print(operand) : `${(latex ? LATEX_RELATIONS : TEXT_RELATIONS)[node.ops[i - 1]]} ${print(operand)}`).join(' ');
+      case 'derivative': {
+        const order = node.order > 1 ? (latex ? `^{${node.order}}` : `^${node.order}`) : '';
+        const argument = node.argument.type === 'variable' ? print(node.argument) : this.parens(print(node.argument), latex);
+        return latex
+          ? `\\frac{d${order}}{d${node.variable}${order}}${argument}`
+          : `d${order}/d${node.variable}${order} ${argument}`;
+      }
+      case 'integral': {
+        if (latex) {
+          const limits = node.lower ? `_{${print(node.lower)}}^{${print(node.upper)}}` : '';
+          return `\\int${limits} ${wrap(node.argument, PRECEDENCE['+'] + 1)} \\, d${node.variable}`;
+        }
+        const limits = node.lower ? `[${print(node.lower)}, ${print(node.upper)}] ` : '';
+        return `∫${limits}${wrap(node.argument, PRECEDENCE['+'] + 1)} d${node.variable}`;
+      }
+      default:
+        throw new Error(`Cannot print node type ${node.type}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static printBinary(node, format, print, wrap) {
+    const latex = format === 'latex';
+    const precedence = PRECEDENCE[node.op];
+
+    switch (node.op) {
+      case '+':
+      case '±':
+        return `${wrap(node.left, precedence)} ${node.op === '±' && latex ? '\\pm' : node.op} ${wrap(node.right, precedence + 1)}`;
+      case '-':
+        return `${wrap(node.left, precedence)} - ${wrap(node.right, precedence + 1)}`;
+      case '*': {
+        // In text a quotient on the left keeps its parentheses: (3/4)x, not 3/4x
+        const left = !latex && node.left.type === 'binary' && node.left.op === '/' && !node.left.parenthesized
+          ? this.parens(print(node.left), latex)
+          : wrap(node.left, precedence);
+        // A negative right factor always gets parentheses: 3(-2), not 3-2
+        const right = node.right.type === 'unary' && !node.right.parenthesized ? this.parens(print(node.right), latex) : wrap(node.right, precedence + 1);
+        if (node.explicit) {
+          return latex ? `${left} \\cdot ${right}` : `${left} · ${right}`;
+        }
+        // 2x, 3(x - 2), x\sin(x) are written side by side; 2 \cdot 3 and 2 \cdot \frac{1}{3} are not
+        if (/^(?:[a-zA-Zπθαβ(|]|\\(?!frac))/.test(right)) {
+          // \pi r, not \pir; x sin(x), not xsin(x)
+          const spaced = latex ? /\\[a-zA-Z]+$/.test(left) && /^[a-zA-Z]/.test(right) : /^[a-zA-Z]{2,}[(|_]/.test(right);
+          return spaced ? `${left} ${right}` : `${left}${right}`;
+        }
+        return latex ? `${left} \\cdot ${right}` : `${left} * ${right}`;
+      }
+      case '/':
+        if (latex) {
+          return `\\frac{${print(node.left)}}{${print(node.right)}}`;
+        }
+        return `${wrap(node.left, precedence)}/${wrap(node.right, precedence + 1)}`;
+      case '^': {
+        const base = this.isAtom(node.left) ? print(node.left) : this.parens(print(node.left), latex);
+        if (latex) return `${base}^{${print(node.right)}}`;
+        return `${base}^${this.isAtom(node.right) ? print(node.right) : `(${print(node.right)})`}`;
+      }
+      default:
+        throw new Error(`Cannot print operator ${node.op}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static printFunction(node, format, print) {
+    const latex = format === 'latex';
+    const [argument, extra] = node.args.map(print);
+
+    switch (node.name) {
+      case 'sqrt':
+        return latex ? `\\sqrt{${argument}}` : `sqrt(${argument})`;
+      case 'root':
+        return latex ? `\\sqrt[${extra}]{${argument}}` : `root(${argument}, ${extra})`;
+      case 'abs':
+        return latex ? `\\left|${argument}\\right|` : `|${argument}|`;
+      default: {
+        const name = latex && LATEX_FUNCTIONS.test(node.name) ? `\\${node.name}` : node.name;
+        const base = extra === undefined ? '' : latex ? `_{${extra}}` : `_${extra}`;
+        // ln|x|, not ln(|x|)
+        const bars = node.args[0].type === 'function' && node.args[0].name === 'abs' && extra === undefined;
+        return `${name}${"'".repeat(node.primes || 0)}${base}${bars ? argument : this.parens(argument, latex)}`;
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  static precedence(node) {
+    if (node.parenthesized) return 5;
+    switch (node.type) {
+      case 'binary': return PRECEDENCE[node.op];
+      case 'unary': return PRECEDENCE.unary;
+      case 'relation':
+      case 'compound': return PRECEDENCE.relation;
+      case 'integral':
+      case 'derivative': return PRECEDENCE['*'];
+      default: return 5;
+    }
+  }
+
+  /**
+   * @private
+   */
+  static isAtom(node) {
+    return node.parenthesized || ['number', 'variable', 'constant', 'function'].includes(node.type);
+  }
+
+  /**
+   * @private
+   */
+  static parens(text, latex) {
+    return latex ? `\\left(${text}\\right)` : `(${text})`;
+  }
+}
+
+export default MathAst;
@@ -3,43 +3,55 @@
  * Handles detection and parsing of math problems and their steps
  */
 
+import ExpressionParser from './expressionParser.js';
+import MathAst from './mathAst.js';
+import Fraction from './fraction.js';
+import { FUNCTION_NAMES } from './mathTokenizer.js';
+
+// Words that join the math of a problem: "Find f'(x) if f(x) = x^3"
+const CONNECTIVES = /\s+(?:if|where|when|given)\s+/gi;
+
 class MathParser {
   constructor() {
-    // Problem type patterns
-    this.problemPatterns = {
+    this.expressionParser = new ExpressionParser();
+
+    // Problem types, identified from the parsed statements
+    this.problemTypes = {
       linear_single: {
-        pattern: /^[\s\S]*?(\d*)\s*([a-zA-Z])\s*([+\-])\s*(\d+)\s*=\s*(\d+)/,
         type: 'linear_equation',
-        variables: 1,
         description: 'Single variable linear equation'
       },
       linear_both_sides: {
-        pattern: /^[\s\S]*?(\d*)\s*([a-zA-Z])\s*([+\-])\s*(\d+)\s*=\s*(\d*)\s*([a-zA-Z])\s*([+\-])\s*(\d+)/,
         type: 'linear_equation_both_sides',
-        variables: 1,
         description: 'Linear equation with variables on both sides'
       },
       quadratic_standard: {
-        pattern: /^[\s\S]*?(\d*)\s*([a-zA-Z])\^2\s*([+\-])\s*(\d*)\s*([a-zA-Z])\s*([+\-])\s*(\d+)\s*=\s*(\d+)/,
         type: 'quadratic_equation',
-        variables: 1,
-        description: 'Standard form quadratic equation'
+        description: 'Quadratic equation'
+      },
+      polynomial_equation: {
+        type: 'polynomial_equation',
+        description: 'Polynomial equation of degree three or more'
+      },
+      linear_inequality: {
+        type: 'linear_inequality',
+        description: 'Linear inequality'
       },
       system_linear: {
-        pattern: /system|equations/i,
         type: 'system_of_equations',
-        variables: 2,
         description: 'System of linear equations'
       },
       derivative: {
-        pattern: /derivative|\\frac\{d\}\{dx\}|f'\(x\)|dy\/dx/i,
         type: 'derivative',
         description: 'Calculus derivative'
       },
       integral: {
-        pattern: /integral|\\int|∫/i,
         type: 'integral',
         description: 'Calculus integral'
+      },
+      expression: {
+        type: 'expression',
+        description: 'Expression to simplify'
       }
     };
 
@@ -61,26 +73,41 @@ class MathParser {
   parseProblem(text) {
     // Clean the input
     const cleaned = this.cleanInput(text);
-    
+
+    // Separate the math from the instructions and parse it
+    const mathText = this.extractMath(cleaned);
+    const intent = this.detectIntent(cleaned);
+    let statements = [];
+    let parseError = null;
+    try {
+      statements = mathText ? this.expressionParser.parseAll(mathText) : [];
+    } catch (error) {
+      parseError = error.message;
+    }
+
     // Identify problem type
-    const problemType = this.identifyProblemType(cleaned);
-    
+    const problemType = this.identifyProblemType(statements, intent);
+
     // Extract components
-    const components = this.extractComponents(cleaned, problemType);
-    
+    const components = this.extractComponents(statements, problemType);
+
     // Determine solution steps
     const steps = this.determineSolutionSteps(components, problemType);
-    
+
     return {
       originalText: text,
       cleanedText: cleaned,
+      mathText: mathText,
+      ast: statements.length === 1 ? statements[0] : null,
+      statements: statements,
+      parseError: parseError,
       problemType: problemType,
       components: components,
       suggestedSteps: steps,
       metadata: {
-        hasVariables: this.detectVariables(cleaned),
-        hasFractions: this.detectFractions(cleaned),
-        hasExponents: this.detectExponents(cleaned),
+        hasVariables: this.detectVariables(statements),
+        hasFractions: this.detectFractions(statements),
+        hasExponents: this.detectExponents(statements),
         complexity: this.assessComplexity(problemType, components)
       }
     };
@@ -92,93 +119,294 @@ class MathParser {
   cleanInput(text) {
     return text
       .replace(/\\text\{([^}]+)\}/g, '$1')  // Remove LaTeX text commands
-      .replace(/\s+/g, ' ')                  // Normalize whitespace
+      .replace(/[^\S\n]+/g, ' ')             // Normalize whitespace, keeping line breaks between equations
+      .replace(/ *\n[\s]*/g, '\n')
       .trim();
   }
 
   /**
-   * Identify the type of math problem
+   * Extract the math from a problem statement: $...$ segments when present, otherwise the text after
+   * "Solve:" with leading instruction words ("Find the derivative of") and a trailing "for x" removed
+   */
+  extractMath(text) {
+    const segments = [...text.matchAll(/\$\$?([^$]+)\$\$?/g)].map(match => match[1].trim());
+    if (segments.length) {
+      return segments.join('\n');
+    }
+
+    const functionNames = new RegExp(`^(?:${FUNCTION_NAMES.join('|')}|pi)\\b`);
+    return text
+      .replace(/^[a-zA-Z ,']*:\s*/, '')
+      .replace(CONNECTIVES, '\n')
+      .split('\n')
+      .map(line => {
+        let math = line.trim()
+          .replace(/\s+(?:for|with respect to)\s+[a-zA-Z]\s*[.?!]?$/i, '')
+          .replace(/[.?!]$/, '');
+        // Drop leading words that are not function names; "xy = 3" and "ab - 1" are products, so a word
+        // followed by an operator stays
+        let word;
+        while ((word = math.match(/^([a-zA-Z]{2,})(?:\s+(?![=<>+*/^_']|-\s)|$)/)) && !functionNames.test(word[1])) {
+          math = math.slice(word[0].length);
+        }
+        return math.trim();
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Calculus intent from the instruction words, for problems such as "Differentiate 3x^2"
    */
-  identifyProblemType(text) {
-    for (const [key, pattern] of Object.entries(this.problemPatterns)) {
-      if (pattern.pattern.test(text)) {
-        return {
-          key: key,
-          ...pattern
-        };
+  detectIntent(text) {
+    if (/\bderivative|\bdifferentiate|\bd\/dx\b/i.test(text)) return 'derivative';
+    if (/\bintegral|\bintegrate|\bantiderivative/i.test(text)) return 'integral';
+    return null;
+  }
+
+  /**
+   * Identify the type of math problem from its parsed statements
+   */
+  identifyProblemType(statements, intent = null) {
+    const identified = (key, variables) => ({
+      key: key,
+      ...this.problemTypes[key],
+      ...(variables !== undefined ? { variables } : {})
+    });
+    const variables = [...new Set(statements.flatMap(statement => MathAst.variables(statement)))];
+
+    if (!statements.length) {
+      return {
+        key: 'unknown',
+        type: 'unknown',
+        description: 'Unidentified problem type'
+      };
+    }
+
+    const has = test => statements.some(statement => MathAst.contains(statement, test));
+    if (intent === 'derivative' || has(node => node.type === 'derivative' || node.primes)) {
+      return identified('derivative');
+    }
+    if (intent === 'integral' || has(node => node.type === 'integral')) {
+      return identified('integral');
+    }
+
+    const equations = statements.filter(statement => statement.type === 'relation' && statement.op === '=');
+    if (statements.length > 1 && equations.length === statements.length &&
+        equations.every(equation => this.isLinear(equation))) {
+      return identified('system_linear', variables.length);
+    }
+
+    if (statements.length === 1 && variables.length === 1) {
+      const [statement] = statements;
+      const [variable] = variables;
+
+      if (equations.length === 1) {
+        const polynomial = MathAst.polynomial(MathAst.binary('-', statement.left, statement.right), variable);
+        const degree = polynomial ? polynomial.length - 1 : null;
+        if (degree !== null && degree <= 1) {
+          const bothSides = MathAst.variables(statement.left).length > 0 && MathAst.variables(statement.right).length > 0;
+          return identified(bothSides ? 'linear_both_sides' : 'linear_single', 1);
+        }
+        if (degree === 2) return identified('quadratic_standard', 1);
+        if (degree > 2) return identified('polynomial_equation', 1);
+      } else if (['relation', 'compound'].includes(statement.type) && this.isLinear(statement)) {
+        return identified('linear_inequality', 1);
       }
     }
-    
+
+    if (statements.length === 1 && !['relation', 'compound'].includes(statements[0].type)) {
+      return identified('expression', variables.length);
+    }
+
     return {
       key: 'unknown',
       type: 'unknown',
-      description: 'Unidentified problem type'
+      description: 'Unidentified problem type',
+      variables: variables.length
     };
   }
 
+  /**
+   * Whether every term has at most one variable factor, to the first power
+   */
+  isLinear(node) {
+    const hasVariable = child => MathAst.variables(child).length > 0;
+    return !MathAst.contains(node, child => {
+      if (child.type === 'binary') {
+        if (child.op === '*') return hasVariable(child.left) && hasVariable(child.right);
+        if (child.op === '/') return hasVariable(child.right);
+        if (child.op === '^') return hasVariable(child);
+      }
+      return ['function', 'derivative', 'integral'].includes(child.type) && hasVariable(child);
+    });
+  }
+
   /**
    * Extract mathematical components from the problem
    */
-  extractComponents(text, problemType) {
+  extractComponents(statements, problemType) {
     const components = {
       variables: [],
       constants: [],
       operators: [],
       equals: false,
       leftSide: '',
-      rightSide: ''
+      rightSide: '',
+      relation: null,
+      left: null,
+      right: null,
+      variable: null,
+      polynomial: null
     };
 
-    // Split on equals if present
-    if (text.includes('=')) {
-      components.equals = true;
-      const parts = text.split('=');
-      components.leftSide = parts[0].trim();
-      components.rightSide = parts[1]?.trim() || '';
-    }
+    components.variables = [...new Set(statements.flatMap(statement => MathAst.variables(statement)))];
+    components.variable = components.variables.includes('x') ? 'x' : components.variables[0] || null;
 
-    // Extract variables (single letters)
-    const varMatches = text.match(/[a-zA-Z]/g);
-    if (varMatches) {
-      components.variables = [...new Set(varMatches)];
+    for (const statement of statements) {
+      MathAst.walk(statement, node => {
+        if (node.type === 'number') components.constants.push(node.value);
+      });
+      components.operators.push(...this.collectOperators(statement));
     }
 
-    // Extract numbers
-    const numMatches = text.match(/\d+/g);
-    if (numMatches) {
-      components.constants = numMatches.map(n => parseInt(n));
+    const [statement] = statements;
+    if (statements.length === 1 && statement.type === 'relation') {
+      components.equals = statement.op === '=';
+      components.relation = statement.op;
+      components.left = statement.left;
+      components.right = statement.right;
+      components.leftSide = MathAst.toText(statement.left);
+      components.rightSide = MathAst.toText(statement.right);
     }
 
-    // Extract operators
-    const ops = text.match(/[+\-*/]/g);
-    if (ops) {
-      components.operators = ops;
+    if (['derivative', 'integral'].includes(problemType.key)) {
+      Object.assign(components, this.extractCalculusTarget(statements, problemType.key, components.variable));
+    } else if (components.variable && statements.length === 1) {
+      // Equations as left - right = 0, expressions as themselves
+      const node = components.left ? MathAst.binary('-', components.left, components.right) : statement;
+      components.polynomial = MathAst.polynomial(node, components.variable);
     }
 
     return components;
   }
 
+  /**
+   * The expression to differentiate or integrate, with the function name it was given (f in f(x) = x^3)
+   * and the integration limits
+   * @private
+   */
+  extractCalculusTarget(statements, key, variable) {
+    const target = { target: null, functionName: null, lower: null, upper: null };
+
+    let operator = null;
+    statements.forEach(statement => MathAst.walk(statement, node => {
+      if (!operator && node.type === key) operator = node;
+    }));
+    if (operator) {
+      target.target = operator.argument;
+      target.variable = operator.variable;
+      target.lower = operator.lower || null;
+      target.upper = operator.upper || null;
+      return target;
+    }
+
+    // "f(x) = x^3" or "y = 2x": the definition; otherwise the statement itself
+    const definition = statements.find(statement => statement.type === 'relation' && statement.op === '=' &&
+      ((statement.left.type === 'function' && !statement.left.primes) || statement.left.type === 'variable'));
+    if (definition) {
+      target.target = definition.right;
+      target.functionName = definition.left.type === 'function' ? definition.left.name : null;
+    } else {
+      const expression = statements.find(statement => !MathAst.contains(statement, node => node.primes));
+      target.target = expression?.type === 'relation' ? expression.right : expression || null;
+    }
+    target.variable = variable;
+    return target;
+  }
+
+  /**
+   * Operators in reading order
+   * @private
+   */
+  collectOperators(node) {
+    const operators = [];
+    const visit = current => {
+      if (current.type === 'binary') {
+        visit(current.left);
+        operators.push(current.op);
+        visit(current.right);
+      } else if (current.type === 'unary') {
+        operators.push(current.op);
+        visit(current.argument);
+      } else {
+        MathAst.children(current).forEach(visit);
+      }
+    };
+    visit(node);
+    return operators;
+  }
+
   /**
    * Determine solution steps based on problem type
    */
   determineSolutionSteps(components, problemType) {
     const steps = [];
-    
+
     switch (problemType.key) {
-      case 'linear_single':
+      case 'linear_single': {
         // Example: 2x + 4 = 10
-        if (components.operators.includes('+') || components.operators.includes('-')) {
+        const variableSide = MathAst.variables(components.left).length ? components.left : components.right;
+        if (MathAst.hasDistribution(variableSide)) {
+          steps.push({
+            operation: 'distribute',
+            description: 'Distribute to remove parentheses'
+          });
+        }
+        const polynomial = MathAst.polynomial(variableSide, components.variable);
+        if (!polynomial || !polynomial[0].isZero()) {
           steps.push({
             operation: 'isolate_constant',
-            description: 'Move constant to right side'
+            description: 'Move constant to the other side'
+          });
+        }
+        if (!polynomial || !(polynomial[1] || new Fraction(0)).isOne()) {
+          steps.push({
+            operation: 'isolate_variable',
+            description: 'Divide by coefficient'
+          });
+        }
+        break;
+      }
+
+      case 'linear_both_sides':
+        if (MathAst.hasDistribution(components.left) || MathAst.hasDistribution(components.right)) {
+          steps.push({
+            operation: 'distribute',
+            description: 'Distribute to remove parentheses'
           });
         }
+        steps.push({
+          operation: 'collect_variables',
+          description: 'Move variable terms to one side'
+        });
+        steps.push({
+          operation: 'isolate_constant',
+          description: 'Move constants to the other side'
+        });
         steps.push({
           operation: 'isolate_variable',
           description: 'Divide by coefficient'
         });
         break;
-        
+
+      case 'linear_inequality':
+        steps.push({
+          operation: 'isolate_variable',
+          description: 'Isolate the variable, flipping the inequality when multiplying or dividing by a negative'
+        });
+        break;
+
       case 'quadratic_standard':
         steps.push({
           operation: 'move_to_standard',
@@ -189,7 +417,18 @@ class MathParser {
           description: 'Factor or use quadratic formula'
         });
         break;
-        
+
+      case 'system_linear':
+        steps.push({
+          operation: 'eliminate',
+          description: 'Eliminate one variable by substitution or elimination'
+        });
+        steps.push({
+          operation: 'back_substitute',
+          description: 'Substitute back to find the other variables'
+        });
+        break;
+
       case 'derivative':
         steps.push({
           operation: 'identify_rule',
@@ -204,30 +443,47 @@ class MathParser {
           description: 'Simplify the result'
         });
         break;
+
+      case 'integral':
+        steps.push({
+          operation: 'identify_rule',
+          description: 'Identify integration rule'
+        });
+        steps.push({
+          operation: 'apply_rule',
+          description: 'Apply the rule'
+        });
+        if (components.lower) {
+          steps.push({
+            operation: 'evaluate_bounds',
+            description: 'Evaluate at the upper and lower limits'
+          });
+        }
+        break;
     }
-    
+
     return steps;
   }
 
   /**
-   * Detect if expression contains variables
+   * Detect if the statements contain variables
    */
-  detectVariables(text) {
-    return /[a-zA-Z]/.test(text);
+  detectVariables(statements) {
+    return statements.some(statement => MathAst.variables(statement).length > 0);
   }
 
   /**
-   * Detect if expression contains fractions
+   * Detect if the statements contain fractions
    */
-  detectFractions(text) {
-    return /\\frac|\//.test(text);
+  detectFractions(statements) {
+    return statements.some(statement => MathAst.contains(statement, node => node.type === 'binary' && node.op === '/'));
   }
 
   /**
-   * Detect if expression contains exponents
+   * Detect if the statements contain exponents
    */
-  detectExponents(text) {
-    return /\^|\\pow|\*\*/.test(text);
+  detectExponents(statements) {
+    return statements.some(statement => MathAst.contains(statement, node => node.type === 'binary' && node.op === '^'));
   }
 
   /**
@@ -235,7 +491,7 @@ class MathParser {
    */
   assessComplexity(problemType, components) {
     let score = 1; // Base complexity
-    
+
     // Add complexity for various factors
     if (components.variables.length > 1) score += 2;
     if (components.operators.length > 2) score += 1;
@@ -243,11 +499,11 @@ class MathParser {
     if (problemType.key.includes('system')) score += 3;
     if (problemType.key.includes('derivative')) score += 3;
     if (problemType.key.includes('integral')) score += 4;
-    
+
     if (score <= 2) return 'basic';
     if (score <= 4) return 'intermediate';
     return 'advanced';
   }
 }
 
-export default MathParser;
\ No newline at end of file
+export default MathParser;
@@ -0,0 +1,198 @@
+/**
+ * Math Tokenizer - Splits plain-text and LaTeX math into tokens for the expression parser
+ * "3(x-2) = 12", "\frac{x}{2} \le 5" and "2x² − 3x = 0" all produce the same kinds of tokens
+ */
+
+// Multi-letter names recognized in plain text and as LaTeX commands
+export const FUNCTION_NAMES = [
+  'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh', 'sin', 'cos', 'tan', 'sec', 'csc', 'cot',
+  'sqrt', 'abs', 'exp', 'log', 'ln'
+];
+const CONSTANT_NAMES = ['pi', 'infinity'];
+const PLAIN_NAMES = [...FUNCTION_NAMES, 'pi', 'inf'].sort((a, b) => b.length - a.length);
+
+const GREEK = [
+  'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'varepsilon', 'zeta', 'eta', 'theta', 'vartheta', 'iota', 'kappa',
+  'lambda', 'mu', 'nu', 'xi', 'rho', 'sigma', 'tau', 'upsilon', 'phi', 'varphi', 'chi', 'psi', 'omega',
+  'Gamma', 'Delta', 'Theta', 'Lambda', 'Xi', 'Sigma', 'Phi', 'Psi', 'Omega'
+];
+
+const LATEX_OPERATORS = {
+  cdot: '*', times: '*', ast: '*', div: '/',
+  le: '<=', leq: '<=', leqslant: '<=', ge: '>=', geq: '>=', geqslant: '>=',
+  ne: '!=', neq: '!=', lt: '<', gt: '>', pm: '±', prime: "'"
+};
+
+// Sizing and spacing commands that do not change the math
+const LATEX_IGNORED = [
+  'left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr', 'displaystyle', 'textstyle',
+  'quad', 'qquad', ',', ';', ':', '!', ' ', 'limits'
+];
+
+const UNICODE = {
+  '−': '-', '–': '-', '×': '*', '·': '*', '⋅': '*', '∙': '*', '÷': '/',
+  '≤': '<=', '≥': '>=', '≠': '!=', '±': '±'
+};
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9' };
+const UNICODE_NAMES = { 'π': 'pi', '∞': 'infinity', 'θ': 'theta', 'α': 'alpha', 'β': 'beta' };
+
+class MathTokenizer {
+  /**
+   * Tokenize an expression
+   * @param {string} input - Plain text or LaTeX
+   * @returns {Array} [{ type, value, position }] ending with an eof token. Types: number, identifier (variables),
+   *                  name (functions and constants), command (frac, sqrt, int), operator, lparen, rparen,
+   *                  bar, comma, separator
+   */
+  tokenize(input) {
+    const tokens = [];
+    const push = (type, value, position, extra = {}) => tokens.push({ type, value, position, ...extra });
+    let i = 0;
+
+    while (i < input.length) {
+      const char = input[i];
+      const start = i;
+
+      if (char === '\n') {
+        push('separator', '\n', i++);
+      } else if (/\s/.test(char) || char === '&' || char === '$') {
+        i++;
+      } else if (/[\d.]/.test(char) && /\d/.test(input.slice(i, i + 2))) {
+        const number = input.slice(i).match(/^\d*\.?\d+|^\d+/)[0];
+        push('number', number, i);
+        i += number.length;
+      } else if (/[a-zA-Z]/.test(char)) {
+        const word = input.slice(i).match(/^[a-zA-Z]+/)[0];
+        if (word === 'and') {
+          push('separator', 'and', i);
+        } else {
+          this.splitWord(word, i, push);
+        }
+        i += word.length;
+      } else if (char === '\\') {
+        i = this.readCommand(input, i, push);
+      } else if (SUPERSCRIPTS[char]) {
+        let digits = '';
+        while (SUPERSCRIPTS[input[i]]) digits += SUPERSCRIPTS[input[i++]];
+        push('operator', '^', start);
+        push('number', digits, start);
+      } else if (UNICODE_NAMES[char]) {
+        push(CONSTANT_NAMES.includes(UNICODE_NAMES[char]) ? 'name' : 'identifier', UNICODE_NAMES[char], i++);
+      } else if (char === '√') {
+        push('command', 'sqrt', i++);
+      } else if (char === '∫') {
+        push('command', 'int', i++);
+      } else if (UNICODE[char]) {
+        push('operator', UNICODE[char], i++);
+      } else if ('<>!='.includes(char) && input[i + 1] === '=') {
+        push('operator', char === '=' ? '=' : `${char}=`, i);
+        i += 2;
+      } else if (char === '*' && input[i + 1] === '*') {
+        push('operator', '^', i);
+        i += 2;
+      } else if ('+-*/^_=<>!\''.includes(char)) {
+        push('operator', char, i++);
+      } else if ('([{'.includes(char)) {
+        // Unescaped braces are LaTeX groups: they group like parentheses but print as nothing
+        push('lparen', char, i++, { group: char === '{' });
+      } else if (')]}'.includes(char)) {
+        push('rparen', char, i++, { group: char === '}' });
+      } else if (char === '|') {
+        push('bar', '|', i++);
+      } else if (char === ',') {
+        push('comma', ',', i++);
+      } else if (char === ';') {
+        push('separator', ';', i++);
+      } else {
+        throw this.error(`Unexpected character "${char}"`, i);
+      }
+    }
+
+    push('eof', null, input.length);
+    return tokens;
+  }
+
+  /**
+   * Letters to tokens: known names stay whole, everything else is single-letter variables ("xy" is x·y)
+   * @private
+   */
+  splitWord(word, position, push) {
+    let i = 0;
+    while (i < word.length) {
+      const name = PLAIN_NAMES.find(candidate => word.startsWith(candidate, i));
+      if (name) {
+        push('name', name === 'inf' ? 'infinity' : name, position + i);
+        i += name.length;
+      } else {
+        push('identifier', word[i], position + i);
+        i++;
+      }
+    }
+  }
+
+  /**
+   * Read a LaTeX command starting at the backslash; returns the index after it
+   * @private
+   */
+  readCommand(input, start, push) {
+    if (input[start + 1] === '\\') {
+      push('separator', '\\\\', start);
+      return start + 2;
+    }
+    const name = input.slice(start + 1).match(/^([a-zA-Z]+|.)/)?.[0];
+    if (!name) {
+      throw this.error('Incomplete LaTeX command', start);
+    }
+    let end = start + 1 + name.length;
+
+    if (LATEX_IGNORED.includes(name)) {
+      // \left. and \right. are invisible delimiters
+      if ((name === 'left' || name === 'right') && input[end] === '.') end++;
+      return end;
+    }
+    if (name === '{' || name === '}') {
+      push(name === '{' ? 'lparen' : 'rparen', name, start);
+    } else if (['vert', 'lvert', 'rvert', 'mid', '|'].includes(name)) {
+      push('bar', '|', start);
+    } else if (LATEX_OPERATORS[name]) {
+      push('operator', LATEX_OPERATORS[name], start);
+    } else if (['frac', 'dfrac', 'tfrac'].includes(name)) {
+      push('command', 'frac', start);
+    } else if (['sqrt', 'int'].includes(name)) {
+      push('command', name, start);
+    } else if (FUNCTION_NAMES.includes(name)) {
+      push('name', name, start);
+    } else if (name === 'pi' || name === 'infty') {
+      push('name', name === 'pi' ? 'pi' : 'infinity', start);
+    } else if (GREEK.includes(name)) {
+      push('identifier', name, start);
+    } else if (name === 'begin' || name === 'end') {
+      // \begin{cases} ... \end{cases}, aligned and similar environments: the rows are separate statements
+      const environment = input.slice(end).match(/^\s*\{[a-zA-Z*]+\}/);
+      if (!environment) {
+        throw this.error(`\\${name} needs an {environment}`, start);
+      }
+      push('separator', name, start);
+      return end + environment[0].length;
+    } else if (['mathrm', 'operatorname', 'mathit', 'text'].includes(name)) {
+      // \mathrm{d}x, \operatorname{sin}: the group's letters are read as plain text
+      const group = input.slice(end).match(/^\s*\{([a-zA-Z]*)\}/);
+      if (!group) {
+        throw this.error(`\\${name} needs a {group}`, start);
+      }
+      this.splitWord(group[1], end, push);
+      end += group[0].length;
+    } else {
+      throw this.error(`Unsupported LaTeX command \\${name}`, start);
+    }
+    return end;
+  }
+
+  error(message, position) {
+    const error = new Error(`${message} at position ${position}`);
+    error.position = position;
+    return error;
+  }
+}
+
+export default MathTokenizer;
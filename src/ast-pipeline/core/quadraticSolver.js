@@ -0,0 +1,419 @@
+/**
+ * Quadratic Solver - Step-by-step solutions of quadratic equations in one variable
+ * Solves by factoring over the integers, completing the square or the quadratic formula, with the
+ * discriminant analysis and simplified radicals. Steps have the same shape as LinearSolver's
+ */
+
+import MathAst from './mathAst.js';
+import Fraction, { gcd, lcm } from './fraction.js';
+
+export const QUADRATIC_METHODS = ['factor', 'square', 'formula'];
+
+class QuadraticSolver {
+  /**
+   * Solve a quadratic equation
+   * @param {object} equation - Relation node with op '='
+   * @param {string} variable - Variable to solve for
+   * @param {object} options - { method: 'factor' | 'square' | 'formula' }; without a method, factoring is tried
+   *                           first and the quadratic formula used when there is no integer factorization
+   * @returns {object|null} { method, steps, discriminant, outcome, solutions, values } or null when the equation
+   *   is not quadratic in the variable.
+   *   steps: [{ equation, alternatives?, conjunction?, operation, description }] - alternatives lists equations
+   *          read together ("x = 2 or x = 3", conjunction 'or') or side by side (conjunction ',')
+   *   outcome: 'two_rational', 'two_irrational', 'repeated' or 'none' (no real solutions)
+   *   solutions: exact AST nodes; values: the same as numbers
+   */
+  solve(equation, variable, options = {}) {
+    const { method } = options;
+    if (method && !QUADRATIC_METHODS.includes(method)) {
+      const error = new Error(`Unknown method "${method}". Use ${QUADRATIC_METHODS.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    if (equation?.type !== 'relation' || equation.op !== '=') return null;
+    const polynomial = MathAst.polynomial(MathAst.binary('-', equation.left, equation.right), variable);
+    if (polynomial?.length !== 3) return null;
+
+    this.variable = variable;
+    const steps = [{ equation, operation: null, description: 'Original equation' }];
+    const [a, b, c] = this.standardForm(equation, polynomial, steps);
+    const discriminant = b * b - 4 * a * c;
+
+    const factors = !method || method === 'factor' ? this.factor(a, b, c) : null;
+    let used = method || 'factor';
+    if (factors) {
+      this.solveByFactoring(a, b, c, factors, steps);
+    } else if (method === 'square') {
+      this.solveByCompletingSquare(a, b, c, steps);
+    } else {
+      const note = used === 'factor'
+        ? `${MathAst.toText(this.quadratic(a, b, c))} does not factor over the integers, so use the quadratic formula. `
+        : '';
+      used = 'formula';
+      this.solveByFormula(a, b, c, steps, note);
+    }
+
+    return { method: used, steps, discriminant, ...this.solutions(a, b, discriminant) };
+  }
+
+  /**
+   * Move every term to the left and scale to integer coefficients with no common factor and a positive
+   * leading coefficient; returns [a, b, c] as integers
+   * @private
+   */
+  standardForm(equation, polynomial, steps) {
+    const [constant, linear, leading] = polynomial;
+    const standard = this.relation(this.quadratic(leading, linear, constant), MathAst.number(0));
+    if (!MathAst.equals(standard, equation)) {
+      steps.push({ equation: standard, operation: { type: 'rearrange' }, description: 'Move all terms to one side' });
+    }
+
+    const denominator = polynomial.reduce((result, value) => lcm(result, value.denominator), 1);
+    const sign = leading.isNegative() ? -1 : 1;
+    const integers = polynomial.map(value => value.mul(denominator * sign).numerator);
+    const divisor = integers.reduce((result, value) => gcd(result, value), 0);
+    const scale = new Fraction(denominator * sign, divisor);
+    const [c, b, a] = integers.map(value => value / divisor);
+
+    if (!scale.isOne()) {
+      const reason = denominator > 1 ? 'to clear the fractions'
+        : divisor > 1 ? 'to simplify the coefficients'
+          : `so ${this.variable}^2 has a positive coefficient`;
+      const dividing = scale.numerator === 1 || (scale.numerator === -1 && scale.denominator > 1);
+      const amount = dividing ? new Fraction(1).div(scale) : scale;
+      steps.push({
+        equation: this.relation(this.quadratic(a, b, c), MathAst.number(0)),
+        operation: { type: dividing ? 'divide' : 'multiply', amount: MathAst.fromFraction(amount) },
+        description: `${dividing ? 'Divide' : 'Multiply'} both sides by ${amount} ${reason}`
+      });
+    }
+    return [a, b, c];
+  }
+
+  /**
+   * Integer factorization as [[n1, m1], [n2, m2]] for (n1 x - m1)(n2 x - m2), or null when the roots are
+   * not rational
+   * @private
+   */
+  factor(a, b, c) {
+    const discriminant = b * b - 4 * a * c;
+    const root = Math.round(Math.sqrt(Math.max(discriminant, 0)));
+    if (discriminant < 0 || root * root !== discriminant) return null;
+
+    const roots = [new Fraction(-b + root, 2 * a), new Fraction(-b - root, 2 * a)];
+    const factors = roots.map(value => [value.denominator, value.numerator]);
+    // The product of the denominators is a once the coefficients have no common factor
+    if (factors[0][0] * factors[1][0] !== a) return null;
+    // x(x - 5) rather than (x - 5)x
+    return factors[1][1] === 0 ? factors.reverse() : factors;
+  }
+
+  /**
+   * @private
+   */
+  solveByFactoring(a, b, c, factors, steps) {
+    const x = this.variable;
+    const [[p, m1], [r, m2]] = factors;
+    const [q, s] = [-m1, -m2];
+    const first = MathAst.fromTerms([{ coefficient: p, degree: 1 }, { coefficient: q, degree: 0 }], x);
+    const second = MathAst.fromTerms([{ coefficient: r, degree: 1 }, { coefficient: s, degree: 0 }], x);
+    const zero = MathAst.number(0);
+
+    if (c === 0) {
+      steps.push({ equation: this.relation(this.product(first, second), zero), operation: null, description: `Factor out ${x}` });
+    } else if (a === 1) {
+      steps.push({
+        equation: this.relation(this.product(first, second), zero),
+        operation: null,
+        description: `Find two numbers that multiply to ${c} and add to ${b}: ${q} and ${s}`
+      });
+    } else {
+      // ac method: px(rx + s) + q(rx + s)
+      steps.push({
+        equation: this.relation(MathAst.fromTerms([
+          { coefficient: a, degree: 2 }, { coefficient: p * s, degree: 1 }, { coefficient: q * r, degree: 1 },
+          { coefficient: c, degree: 0 }
+        ], x), zero),
+        operation: null,
+        description: `Split the middle term: ${p * s} and ${q * r} multiply to ${a * c} and add to ${b}`
+      });
+      const leadingPart = MathAst.binary('*', MathAst.fromTerms([{ coefficient: p, degree: 1 }], x), second, { implicit: true });
+      const grouped = Math.abs(q) === 1 ? second : MathAst.binary('*', MathAst.number(Math.abs(q)), second, { implicit: true });
+      steps.push({
+        equation: this.relation(MathAst.binary(q < 0 ? '-' : '+', leadingPart, grouped), zero),
+        operation: null,
+        description: 'Factor each pair of terms'
+      });
+      steps.push({ equation: this.relation(this.product(first, second), zero), operation: null, description: 'Factor out the common binomial' });
+    }
+
+    const roots = [new Fraction(m1, p), new Fraction(m2, r)];
+    if (roots[0].equals(roots[1])) {
+      steps.push({ equation: this.relation(first, zero), operation: null, description: 'Set the repeated factor equal to zero' });
+      steps.push({ equation: this.relation(MathAst.variable(x), MathAst.fromFraction(roots[0])), operation: null, description: `Solve for ${x}` });
+      return;
+    }
+    steps.push(this.alternatives([this.relation(first, zero), this.relation(second, zero)], 'Set each factor equal to zero'));
+    steps.push(this.alternatives(roots.map(root => this.relation(MathAst.variable(x), MathAst.fromFraction(root))), 'Solve each equation'));
+  }
+
+  /**
+   * @private
+   */
+  solveByCompletingSquare(a, b, c, steps) {
+    const x = this.variable;
+    const p = new Fraction(b, a);
+    const q = new Fraction(c, a);
+    const half = p.div(2);
+    const square = half.mul(half);
+    const k = square.sub(q);
+
+    if (a !== 1) {
+      steps.push({
+        equation: this.relation(this.quadratic(1, p, q), MathAst.number(0)),
+        operation: { type: 'divide', amount: MathAst.number(a) },
+        description: `Divide both sides by ${a} so ${x}^2 has coefficient 1`
+      });
+    }
+    if (!q.isZero()) {
+      steps.push({
+        equation: this.relation(this.quadratic(1, p, 0), MathAst.fromFraction(q.neg())),
+        operation: { type: q.isNegative() ? 'add' : 'subtract', amount: MathAst.fromFraction(q.abs()) },
+        description: `${q.isNegative() ? 'Add' : 'Subtract'} ${q.abs()} ${q.isNegative() ? 'to' : 'from'} both sides`
+      });
+    }
+
+    // (x + p/2)^2 = k
+    const base = MathAst.fromTerms([{ coefficient: 1, degree: 1 }, { coefficient: half, degree: 0 }], x);
+    if (!p.isZero()) {
+      steps.push({
+        equation: this.relation(this.quadratic(1, p, square), MathAst.fromFraction(k)),
+        operation: { type: 'add', amount: MathAst.binary('^', MathAst.fromFraction(half), MathAst.number(2)) },
+        description: `Add (${half})^2 = ${square} to both sides to complete the square`
+      });
+      steps.push({
+        equation: this.relation(MathAst.binary('^', base, MathAst.number(2)), MathAst.fromFraction(k)),
+        operation: null,
+        description: 'Write the left side as a square'
+      });
+    }
+
+    if (k.isNegative()) {
+      steps[steps.length - 1].description += `: a square cannot equal ${k}, so there are no real solutions`;
+      return;
+    }
+    if (k.isZero()) {
+      steps.push({ equation: this.relation(base, MathAst.number(0)), operation: null, description: 'Take the square root of both sides' });
+      if (half.isZero()) return;
+      steps.push({ equation: this.relation(MathAst.variable(x), MathAst.fromFraction(half.neg())), operation: null, description: `Solve for ${x}` });
+      return;
+    }
+
+    const radical = this.sqrt(k);
+    const root = MathAst.func('sqrt', [MathAst.fromFraction(k)]);
+    steps.push({
+      equation: this.relation(base, MathAst.unary('±', root)),
+      operation: null,
+      description: 'Take the square root of both sides'
+    });
+    const simplified = this.radicalAst(radical);
+    if (!MathAst.equals(simplified, root)) {
+      steps.push({
+        equation: this.relation(base, MathAst.unary('±', simplified)),
+        operation: null,
+        description: 'Simplify the radical'
+      });
+    }
+    // x = ±√8 simplified is already the answer; x = ±2 still reads better as two solutions
+    if (half.isZero() && radical.radicand !== 1) return;
+    const description = half.isZero() ? 'Write the two solutions'
+      : `${half.isNegative() ? 'Add' : 'Subtract'} ${half.abs()} ${half.isNegative() ? 'to' : 'from'} both sides`;
+    steps.push(this.solvedSteps(half.neg(), radical, description));
+  }
+
+  /**
+   * @private
+   */
+  solveByFormula(a, b, c, steps, note = '') {
+    const x = this.variable;
+    const discriminant = b * b - 4 * a * c;
+    const number = value => MathAst.fromFraction(value);
+
+    steps.push(this.alternatives(
+      [['a', a], ['b', b], ['c', c]].map(([name, value]) => this.relation(MathAst.variable(name), number(value))),
+      `${note}Identify the coefficients`,
+      ','
+    ));
+
+    // D = b^2 - 4ac, with the values substituted: 4 · 1 · (-1), not 4 * 1(-1)
+    const times = (left, right) => MathAst.binary('*', left, right, { explicit: true });
+    const substituted = MathAst.binary('-',
+      MathAst.binary('^', number(b), MathAst.number(2)),
+      times(times(MathAst.number(4), number(a)), number(c)));
+    steps.push({
+      equation: { type: 'compound', ops: ['=', '='], operands: [MathAst.variable('D'), substituted, number(discriminant)] },
+      operation: null,
+      description: `Discriminant: ${this.describeDiscriminant(discriminant)}`
+    });
+    if (discriminant < 0) return;
+
+    const denominator = MathAst.binary('*', MathAst.number(2), number(a));
+    const numerator = b === 0
+      ? MathAst.unary('±', MathAst.func('sqrt', [number(discriminant)]))
+      : MathAst.binary('±', number(-b), MathAst.func('sqrt', [number(discriminant)]));
+    steps.push({
+      equation: this.relation(MathAst.variable(x), MathAst.binary('/', numerator, denominator, { fraction: true })),
+      operation: null,
+      description: `Substitute into ${x} = (-b ± √D) / (2a)`
+    });
+
+    // Show the arithmetic when √D simplifies, and split a rational ± into its two solutions
+    const root = this.sqrt(new Fraction(discriminant));
+    if (root.radicand === 1 || !root.coefficient.isOne()) {
+      const value = this.radicalAst(root);
+      const over = top => MathAst.binary('/', top, MathAst.number(2 * a), { fraction: true });
+      const withRoot = op => (b === 0
+        ? (op === '+' ? value : MathAst.unary(op, value))
+        : MathAst.binary(op, number(-b), value));
+      const rootText = root.radicand === 1 ? `${root.coefficient}`
+        : `${root.coefficient.isOne() ? '' : root.coefficient}√${root.radicand}`;
+      steps.push({
+        equation: this.relation(MathAst.variable(x), over(discriminant === 0 ? number(-b) : withRoot('±'))),
+        operation: null,
+        description: `Work out √${discriminant} = ${rootText} and 2 · ${a} = ${2 * a}`
+      });
+      if (root.radicand === 1 && discriminant > 0) {
+        steps.push(this.alternatives(
+          ['+', '-'].map(op => this.relation(MathAst.variable(x), over(withRoot(op)))),
+          'Split the ± into the two solutions'
+        ));
+      }
+    }
+
+    const radical = this.sqrt(new Fraction(discriminant, 4 * a * a));
+    steps.push(this.solvedSteps(new Fraction(-b, 2 * a), radical, 'Simplify'));
+  }
+
+  /**
+   * The solution step for x = center ± radical: two values when the radical is rational, otherwise
+   * one ± expression over a common denominator
+   * @private
+   */
+  solvedSteps(center, radical, description) {
+    const x = MathAst.variable(this.variable);
+    if (radical.coefficient.isZero()) {
+      return { equation: this.relation(x, MathAst.fromFraction(center)), operation: null, description };
+    }
+    if (radical.radicand === 1) {
+      const roots = [center.add(radical.coefficient), center.sub(radical.coefficient)];
+      return this.alternatives(roots.map(root => this.relation(x, MathAst.fromFraction(root))), description);
+    }
+    return { equation: this.relation(x, this.plusMinus(center, radical)), operation: null, description };
+  }
+
+  /**
+   * (P ± Q√R) / S in lowest terms
+   * @private
+   */
+  plusMinus(center, radical) {
+    let denominator = lcm(center.denominator, radical.coefficient.denominator);
+    let p = center.mul(denominator).numerator;
+    let q = radical.coefficient.mul(denominator).numerator;
+    const divisor = gcd(gcd(p, q), denominator);
+    [p, q, denominator] = [p / divisor, q / divisor, denominator / divisor];
+
+    const root = MathAst.func('sqrt', [MathAst.number(radical.radicand)]);
+    const term = q === 1 ? root : MathAst.binary('*', MathAst.number(q), root, { implicit: true });
+    const numerator = p === 0 ? MathAst.unary('±', term) : MathAst.binary('±', MathAst.fromFraction(p), term);
+    return denominator === 1 ? numerator : MathAst.binary('/', numerator, MathAst.number(denominator), { fraction: true });
+  }
+
+  /**
+   * √value as coefficient · √radicand with the largest square factor taken out: √(45/4) = (3/2)√5
+   * @private
+   */
+  sqrt(value) {
+    if (value.isZero()) return { coefficient: new Fraction(0), radicand: 1 };
+    let radicand = value.numerator * value.denominator;
+    let coefficient = 1;
+    for (let i = 2; i * i <= radicand; i++) {
+      while (radicand % (i * i) === 0) {
+        radicand /= i * i;
+        coefficient *= i;
+      }
+    }
+    return { coefficient: new Fraction(coefficient, value.denominator), radicand };
+  }
+
+  /**
+   * @private
+   */
+  radicalAst({ coefficient, radicand }) {
+    if (radicand === 1) return MathAst.fromFraction(coefficient);
+    const root = MathAst.func('sqrt', [MathAst.number(radicand)]);
+    const numerator = coefficient.numerator === 1 ? root : MathAst.binary('*', MathAst.number(coefficient.numerator), root, { implicit: true });
+    return coefficient.denominator === 1 ? numerator : MathAst.binary('/', numerator, MathAst.number(coefficient.denominator), { fraction: true });
+  }
+
+  /**
+   * @private
+   */
+  describeDiscriminant(discriminant) {
+    if (discriminant < 0) return `D = ${discriminant} < 0, so there are no real solutions`;
+    if (discriminant === 0) return 'D = 0, so there is one repeated solution';
+    const root = Math.round(Math.sqrt(discriminant));
+    return root * root === discriminant
+      ? `D = ${discriminant} > 0 is a perfect square, so there are two rational solutions`
+      : `D = ${discriminant} > 0 is not a perfect square, so there are two irrational solutions`;
+  }
+
+  /**
+   * @private
+   */
+  solutions(a, b, discriminant) {
+    if (discriminant < 0) return { outcome: 'none', solutions: [], values: [] };
+    const center = new Fraction(-b, 2 * a);
+    const radical = this.sqrt(new Fraction(discriminant, 4 * a * a));
+    if (discriminant === 0) {
+      return { outcome: 'repeated', solutions: [MathAst.fromFraction(center)], values: [center.valueOf()] };
+    }
+    const offset = radical.coefficient.valueOf() * Math.sqrt(radical.radicand);
+    const values = [center.valueOf() + offset, center.valueOf() - offset];
+    if (radical.radicand === 1) {
+      const roots = [center.add(radical.coefficient), center.sub(radical.coefficient)];
+      return { outcome: 'two_rational', solutions: roots.map(root => MathAst.fromFraction(root)), values };
+    }
+    return { outcome: 'two_irrational', solutions: [this.plusMinus(center, radical)], values };
+  }
+
+  /**
+   * @private
+   */
+  quadratic(a, b, c) {
+    return MathAst.fromPolynomial([c, b, a], this.variable);
+  }
+
+  /**
+   * @private
+   */
+  product(first, second) {
+    if (MathAst.equals(first, second)) return MathAst.binary('^', first, MathAst.number(2));
+    return MathAst.binary('*', first, second, { implicit: true });
+  }
+
+  /**
+   * @private
+   */
+  relation(left, right) {
+    return MathAst.relation('=', left, right);
+  }
+
+  /**
+   * @private
+   */
+  alternatives(equations, description, conjunction = 'or') {
+    return { equation: equations[0], alternatives: equations, conjunction, operation: null, description };
+  }
+}
+
+export default QuadraticSolver;
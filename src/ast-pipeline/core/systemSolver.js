@@ -0,0 +1,536 @@
+/**
+ * System Solver - Step-by-step solutions of 2x2 and 3x3 systems of linear equations
+ * Solves by elimination or substitution, numbering the equations (1), (2), ... as they are derived so later
+ * steps can refer to them. The one-variable equations along the way are solved with LinearSolver
+ */
+
+import MathAst from './mathAst.js';
+import Fraction, { gcd, lcm } from './fraction.js';
+import LinearSolver from './linearSolver.js';
+
+export const SYSTEM_METHODS = ['elimination', 'substitution'];
+
+class SystemSolver {
+  constructor() {
+    this.linearSolver = new LinearSolver();
+  }
+
+  /**
+   * Solve a system of linear equations
+   * @param {Array} equations - Relation nodes with op '=', as many as there are variables (two or three)
+   * @param {Array} variables - Variable names, in the order they are solved for
+   * @param {object} options - { method: 'elimination' | 'substitution' }, elimination by default
+   * @returns {object|null} { method, steps, outcome, solution } or null when the equations are not a square
+   *   linear system in the variables.
+   *   steps: system steps { equations: [{ number, factor, equation }], result?, operation, description } list
+   *          numbered equations (factor is the multiplier an equation is scaled by, result the equation an
+   *          elimination produces); the other steps have LinearSolver's shape, and the last one lists the
+   *          solution as alternatives
+   *   outcome: 'unique', 'infinite' (dependent equations) or 'none' (inconsistent equations)
+   *   solution: { [variable]: Fraction } for a unique solution, otherwise null
+   */
+  solve(equations, variables, options = {}) {
+    const method = options.method || 'elimination';
+    if (!SYSTEM_METHODS.includes(method)) {
+      const error = new Error(`Unknown method "${options.method}". Use ${SYSTEM_METHODS.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    if (![2, 3].includes(variables.length) || equations.length !== variables.length) return null;
+    if (equations.some(equation => equation?.type !== 'relation' || equation.op !== '=')) return null;
+
+    this.variables = variables;
+    const rows = equations.map((equation, index) => this.row(equation, index + 1));
+    if (rows.some(row => !row)) return null;
+    this.nextNumber = rows.length + 1;
+
+    const steps = [{
+      equations: equations.map((equation, index) => ({ number: index + 1, factor: null, equation })),
+      operation: null,
+      description: 'Number the equations'
+    }];
+    const standard = this.standardForm(rows, equations, steps);
+    this.outcome = this.classify(standard);
+
+    const solution = method === 'substitution'
+      ? this.solveBySubstitution(standard, steps)
+      : this.solveByElimination(standard, steps);
+    if (!solution) {
+      return { method, steps, outcome: this.outcome, solution: null };
+    }
+
+    steps.push({
+      equation: this.assignment(variables[0], solution[variables[0]]),
+      alternatives: variables.map(variable => this.assignment(variable, solution[variable])),
+      conjunction: ',',
+      operation: null,
+      description: 'Solution'
+    });
+    const ordered = Object.fromEntries(variables.map(variable => [variable, solution[variable]]));
+    return { method, steps, outcome: 'unique', solution: ordered };
+  }
+
+  /**
+   * An equation as a row { number, coefficients, constant } of a1 x + a2 y + ... = constant, or null when
+   * it is not linear in the variables
+   * @private
+   */
+  row(equation, number) {
+    const left = this.linear(equation.left);
+    const right = left && this.linear(equation.right);
+    if (!right) return null;
+    const difference = left.map((value, i) => value.sub(right[i]));
+    return { number, coefficients: difference.slice(0, -1), constant: difference[difference.length - 1].neg() };
+  }
+
+  /**
+   * Coefficients of each variable followed by the constant term, or null when the node is not linear
+   * @private
+   */
+  linear(node) {
+    const size = this.variables.length + 1;
+    const constant = value => Array.from({ length: size }, (_, i) => (i === size - 1 ? value : new Fraction(0)));
+    const isConstant = values => values.slice(0, -1).every(value => value.isZero());
+
+    switch (node.type) {
+      case 'number':
+        return constant(Fraction.parse(node.raw));
+      case 'variable': {
+        const index = this.variables.indexOf(node.name);
+        if (index < 0) return null;
+        const values = constant(new Fraction(0));
+        values[index] = new Fraction(1);
+        return values;
+      }
+      case 'unary': {
+        const argument = node.op === '-' && this.linear(node.argument);
+        return argument ? argument.map(value => value.neg()) : null;
+      }
+      case 'binary': {
+        const left = this.linear(node.left);
+        const right = left && this.linear(node.right);
+        if (!right) return null;
+        switch (node.op) {
+          case '+': return left.map((value, i) => value.add(right[i]));
+          case '-': return left.map((value, i) => value.sub(right[i]));
+          case '*':
+            if (isConstant(left)) return right.map(value => value.mul(left[size - 1]));
+            if (isConstant(right)) return left.map(value => value.mul(right[size - 1]));
+            return null;
+          case '/': {
+            const divisor = right[size - 1];
+            if (!isConstant(right) || divisor.isZero()) return null;
+            return left.map(value => value.div(divisor));
+          }
+          default: return null;
+        }
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Rewrite the equations as a1 x + a2 y + ... = c with integer coefficients when they are not already
+   * @private
+   */
+  standardForm(rows, equations, steps) {
+    const standard = rows.map(row => {
+      const values = [...row.coefficients, row.constant];
+      const denominator = values.reduce((result, value) => lcm(result, value.denominator), 1);
+      return this.scale(row, denominator, row.number);
+    });
+
+    if (standard.some((row, i) => !MathAst.equals(this.equation(row), equations[i]))) {
+      const fractions = rows.some(row => [...row.coefficients, row.constant].some(value => !value.isInteger()));
+      steps.push({
+        equations: standard.map(row => ({ number: row.number, factor: null, equation: this.equation(row) })),
+        operation: { type: 'rearrange' },
+        description: fractions
+          ? 'Write each equation in standard form with integer coefficients'
+          : 'Write each equation in standard form'
+      });
+    }
+    return standard;
+  }
+
+  /**
+   * 'unique', 'infinite' or 'none', from the ranks of the coefficient and augmented matrices
+   * @private
+   */
+  classify(rows) {
+    const matrix = rows.map(row => [...row.coefficients, row.constant]);
+    const size = this.variables.length;
+    let rank = 0;
+    for (let column = 0; column <= size && rank < matrix.length; column++) {
+      const pivot = matrix.findIndex((values, i) => i >= rank && !values[column].isZero());
+      if (pivot < 0) continue;
+      // A pivot in the constant column is an equation 0 = c
+      if (column === size) return 'none';
+      [matrix[rank], matrix[pivot]] = [matrix[pivot], matrix[rank]];
+      for (let i = rank + 1; i < matrix.length; i++) {
+        const factor = matrix[i][column].div(matrix[rank][column]);
+        matrix[i] = matrix[i].map((value, j) => value.sub(factor.mul(matrix[rank][j])));
+      }
+      rank++;
+    }
+    return rank === size ? 'unique' : 'infinite';
+  }
+
+  /**
+   * Eliminate one variable at a time, pairing an equation with each other equation that contains the
+   * variable, then back-substitute into the equations that were kept
+   * @private
+   */
+  solveByElimination(rows, steps) {
+    let active = rows;
+    let remaining = this.variables.map((_, index) => index);
+    const pivots = [];
+
+    while (active.length > 1) {
+      if (this.degenerate(active, steps)) return null;
+
+      const { index, pivot } = this.chooseElimination(active, remaining);
+      const eliminated = [];
+      for (const row of active) {
+        if (row === pivot) continue;
+        if (row.coefficients[index].isZero()) {
+          eliminated.push(row);
+          continue;
+        }
+        eliminated.push(this.eliminate(pivot, row, index, steps));
+      }
+      pivots.push({ row: pivot, index });
+      active = eliminated;
+      remaining = remaining.filter(value => value !== index);
+    }
+
+    const [last] = active;
+    if (this.degenerate(active, steps)) return null;
+    const solution = {};
+    const index = last.coefficients.findIndex(value => !value.isZero());
+    solution[this.variables[index]] = this.solveEquation(this.equation(last), this.variables[index], steps, 1);
+
+    for (const { row, index } of pivots.reverse()) {
+      const variable = this.variables[index];
+      solution[variable] = this.backSubstitute(row, variable, solution, steps);
+    }
+    return solution;
+  }
+
+  /**
+   * The variable to eliminate and the equation to eliminate it with: the fewest equations to scale, then
+   * the smallest multipliers; coefficients that are already opposite are simply added
+   * @private
+   */
+  chooseElimination(active, remaining) {
+    let best = null;
+    for (const index of remaining) {
+      for (const pivot of active) {
+        const a = pivot.coefficients[index];
+        if (a.isZero()) continue;
+        let scaled = 0;
+        let size = 0;
+        for (const row of active) {
+          const b = row.coefficients[index];
+          if (row === pivot || b.isZero()) continue;
+          const [first, second] = this.multipliers(a, b);
+          scaled += (first !== 1) + (second !== 1);
+          size += first + second;
+        }
+        if (!best || scaled < best.scaled || (scaled === best.scaled && size < best.size)) {
+          best = { index, pivot, scaled, size };
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * The positive integers that give two integer coefficients the same size: 2 and 3 for 3 and 2
+   * @private
+   */
+  multipliers(a, b) {
+    const [p, q] = [Math.abs(a.numerator), Math.abs(b.numerator)];
+    const common = lcm(p, q);
+    return [common / p, common / q];
+  }
+
+  /**
+   * Combine two equations so a variable cancels, recording the step; returns the new equation
+   * @private
+   */
+  eliminate(pivot, row, index, steps) {
+    const variable = this.variables[index];
+    const [first, second] = this.multipliers(pivot.coefficients[index], row.coefficients[index]);
+    const a = this.scale(pivot, first, pivot.number);
+    const b = this.scale(row, second, row.number);
+    const add = a.coefficients[index].isNegative() !== b.coefficients[index].isNegative();
+
+    // Subtract whichever way round leaves the first remaining coefficient positive
+    const number = this.nextNumber++;
+    let [top, bottom] = [a, b];
+    let combined = this.combine(top, bottom, add ? 1 : -1, number);
+    const leading = combined.coefficients.find(value => !value.isZero());
+    if (!add && leading?.isNegative()) {
+      [top, bottom] = [b, a];
+      combined = this.combine(top, bottom, -1, number);
+    }
+    const factors = new Map([[pivot.number, first], [row.number, second]]);
+
+    // A scaled equation is named with its factor: subtract 2×(4) from (5)
+    const name = scaled => (factors.get(scaled.number) === 1 ? '' : `${factors.get(scaled.number)}×`) + `(${scaled.number})`;
+    const description = add
+      ? `Add ${name(top)} and ${name(bottom)} to eliminate ${variable}`
+      : `Subtract ${name(bottom)} from ${name(top)} to eliminate ${variable}`;
+
+    steps.push({
+      equations: [top, bottom].map(scaled => ({
+        number: scaled.number,
+        factor: factors.get(scaled.number) === 1 ? null : factors.get(scaled.number),
+        equation: this.equation(scaled)
+      })),
+      result: { number: combined.number, equation: this.equation(combined) },
+      operation: { type: 'eliminate', variable, combine: add ? 'add' : 'subtract' },
+      description
+    });
+    return combined;
+  }
+
+  /**
+   * Solve one equation for a variable in terms of the others, substitute it into the rest, and repeat
+   * until one variable is left; then back-substitute
+   * @private
+   */
+  solveBySubstitution(rows, steps) {
+    let active = rows;
+    let remaining = this.variables.map((_, index) => index);
+    const isolated = [];
+
+    while (active.length > 1) {
+      if (this.degenerate(active, steps)) return null;
+
+      const { index, row } = this.chooseSubstitution(active);
+      const variable = this.variables[index];
+      const expression = this.isolate(row, index);
+      const isolatedEquation = MathAst.relation('=', MathAst.variable(variable), expression);
+      // y = 2 is already solved for y
+      const solved = MathAst.equals(isolatedEquation, this.equation(row));
+      const number = solved ? row.number : this.nextNumber++;
+      if (!solved) {
+        steps.push({
+          equations: [{ number, factor: null, equation: isolatedEquation }],
+          operation: { type: 'isolate', variable },
+          description: `Solve (${row.number}) for ${variable}`
+        });
+      }
+      isolated.push({ number, index, expression });
+      remaining = remaining.filter(value => value !== index);
+
+      const others = active.filter(other => other !== row);
+      const substituted = others.map(other => MathAst.substitute(this.equation(other), variable, expression));
+      const simplified = others.map(other => this.combine(
+        other, this.scale(row, other.coefficients[index].div(row.coefficients[index]), null), -1, null
+      ));
+      const into = others.map(other => `(${other.number})`).join(' and ');
+
+      if (others.length === 1) {
+        // One equation in one variable: solve it directly
+        steps.push({
+          equation: substituted[0],
+          operation: { type: 'substitute' },
+          description: `Substitute (${number}) into ${into}`
+        });
+        if (this.degenerate(simplified, steps)) return null;
+        const target = this.variables[remaining[0]];
+        const value = this.solveEquation(substituted[0], target, steps, 1);
+        return this.backSubstituteIsolated(isolated, { [target]: value }, steps);
+      }
+
+      steps.push({
+        equations: others.map((other, i) => ({ number: other.number, factor: null, equation: substituted[i] })),
+        operation: { type: 'substitute' },
+        description: `Substitute (${number}) into ${into}`
+      });
+      active = simplified.map(row => this.integers({ ...row, number: this.nextNumber++ }));
+      steps.push({
+        equations: active.map(simplified => ({ number: simplified.number, factor: null, equation: this.equation(simplified) })),
+        operation: { type: 'simplify' },
+        description: 'Simplify each equation'
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * The equation and variable to isolate: a coefficient of 1 or -1 when there is one, otherwise the
+   * smallest coefficient
+   * @private
+   */
+  chooseSubstitution(active) {
+    let best = null;
+    for (const row of active) {
+      row.coefficients.forEach((value, index) => {
+        if (value.isZero()) return;
+        const size = value.abs().valueOf();
+        if (!best || size < best.size) best = { row, index, size };
+      });
+    }
+    return best;
+  }
+
+  /**
+   * The variable at index in terms of the others: x = (c - by) / a, as an AST
+   * @private
+   */
+  isolate(row, index) {
+    const a = row.coefficients[index];
+    const terms = this.variables
+      .map((variable, i) => ({ coefficient: row.coefficients[i].neg().div(a), degree: 1, variable }))
+      .filter((_, i) => i !== index);
+    return MathAst.fromTerms([...terms, { coefficient: row.constant.div(a), degree: 0 }], this.variables[0]);
+  }
+
+  /**
+   * Substitute the values found so far into the isolated expressions, last first
+   * @private
+   */
+  backSubstituteIsolated(isolated, solution, steps) {
+    for (const { number, index, expression } of [...isolated].reverse()) {
+      const variable = this.variables[index];
+      let substituted = expression;
+      const known = this.variables.filter(name => name in solution && MathAst.variables(expression).includes(name));
+      for (const name of known) {
+        substituted = MathAst.substitute(substituted, name, MathAst.fromFraction(solution[name]));
+      }
+      const value = this.evaluate(expression, solution);
+      solution[variable] = value;
+      if (!known.length) continue;
+      const operands = [MathAst.variable(variable), substituted, MathAst.fromFraction(value)];
+      steps.push({
+        equation: { type: 'compound', ops: ['=', '='], operands },
+        operation: { type: 'substitute' },
+        description: `Substitute ${known.map(name => `${name} = ${solution[name]}`).join(' and ')} into (${number})`
+      });
+    }
+    return solution;
+  }
+
+  /**
+   * Substitute the known values into a kept equation and solve it for its variable
+   * @private
+   */
+  backSubstitute(row, variable, solution, steps) {
+    let equation = this.equation(row);
+    const known = this.variables.filter(name => name in solution && MathAst.variables(equation).includes(name));
+    for (const name of known) {
+      equation = MathAst.substitute(equation, name, MathAst.fromFraction(solution[name]));
+    }
+    steps.push({
+      equation,
+      operation: { type: 'substitute' },
+      description: `Substitute ${known.map(name => `${name} = ${solution[name]}`).join(' and ')} into (${row.number})`
+    });
+    return this.solveEquation(equation, variable, steps, 1);
+  }
+
+  /**
+   * Solve a one-variable equation with LinearSolver, appending its steps after the first `skip` of them
+   * (the equation itself when it was already shown); returns the value, or null when it has none
+   * @private
+   */
+  solveEquation(equation, variable, steps, skip = 0) {
+    const result = this.linearSolver.solve(equation, variable);
+    if (!result) return null;
+    steps.push(...result.steps.slice(skip));
+    if (result.outcome !== 'unique') {
+      steps[steps.length - 1].description += `. ${this.describeOutcome()}`;
+      return null;
+    }
+    return result.solution;
+  }
+
+  /**
+   * Stop at an equation whose variables all cancelled (0 = 0 or 0 = 5), noting what it means for the system
+   * @private
+   */
+  degenerate(active, steps) {
+    if (!active.some(row => row.coefficients.every(value => value.isZero()))) return false;
+    steps[steps.length - 1].description += `. ${this.describeOutcome()}`;
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  describeOutcome() {
+    return this.outcome === 'none'
+      ? 'The equations are inconsistent, so the system has no solution'
+      : 'The equations are dependent, so the system has infinitely many solutions';
+  }
+
+  /**
+   * @private
+   */
+  scale(row, factor, number) {
+    return {
+      number,
+      coefficients: row.coefficients.map(value => value.mul(factor)),
+      constant: row.constant.mul(factor)
+    };
+  }
+
+  /**
+   * The sum (sign 1) or difference (sign -1) of two equations
+   * @private
+   */
+  combine(a, b, sign, number) {
+    return {
+      number,
+      coefficients: a.coefficients.map((value, i) => value.add(b.coefficients[i].mul(sign))),
+      constant: a.constant.add(b.constant.mul(sign))
+    };
+  }
+
+  /**
+   * A row scaled to integer coefficients with no common factor
+   * @private
+   */
+  integers(row) {
+    const values = [...row.coefficients, row.constant];
+    const denominator = values.reduce((result, value) => lcm(result, value.denominator), 1);
+    const divisor = values.reduce((result, value) => gcd(result, value.mul(denominator).numerator), 0) || 1;
+    const leading = row.coefficients.find(value => !value.isZero());
+    const sign = leading?.isNegative() ? -1 : 1;
+    return this.scale(row, new Fraction(denominator * sign, divisor), row.number);
+  }
+
+  /**
+   * @private
+   */
+  evaluate(expression, solution) {
+    const values = this.linear(expression);
+    return this.variables.reduce(
+      (result, variable, i) => result.add(values[i].mul(solution[variable] ?? 0)),
+      values[values.length - 1]
+    );
+  }
+
+  /**
+   * @private
+   */
+  equation(row) {
+    const terms = this.variables.map((variable, i) => ({ coefficient: row.coefficients[i], degree: 1, variable }));
+    return MathAst.relation('=', MathAst.fromTerms(terms, this.variables[0]), MathAst.fromFraction(row.constant));
+  }
+
+  /**
+   * @private
+   */
+  assignment(variable, value) {
+    return MathAst.relation('=', MathAst.variable(variable), MathAst.fromFraction(value));
+  }
+}
+
+export default SystemSolver;
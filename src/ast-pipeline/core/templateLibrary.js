@@ -3,30 +3,41 @@
  * Provides structured solutions with proper alignment
  */
 
+import MathAst from "./mathAst.js";
+import LinearSolver from "./linearSolver.js";
+import QuadraticSolver from "./quadraticSolver.js";
+import SystemSolver from "./systemSolver.js";
+import DerivativeSolver from "./derivativeSolver.js";
+import IntegralSolver from "./integralSolver.js";
+
 class TemplateLibrary {
   constructor() {
+    this.linearSolver = new LinearSolver();
+    this.quadraticSolver = new QuadraticSolver();
+    this.systemSolver = new SystemSolver();
+    this.derivativeSolver = new DerivativeSolver();
+    this.integralSolver = new IntegralSolver();
     this.templates = {
-      linear_single_add: this.linearSingleAdd.bind(this),
-      linear_single_subtract: this.linearSingleSubtract.bind(this),
-      linear_both_sides: this.linearBothSides.bind(this),
-      quadratic_factor: this.quadraticFactor.bind(this),
-      quadratic_formula: this.quadraticFormula.bind(this),
-      derivative_power: this.derivativePower.bind(this),
-      derivative_chain: this.derivativeChain.bind(this),
-      integral_power: this.integralPower.bind(this),
+      linear_equation: this.linearEquation.bind(this),
+      quadratic: this.quadratic.bind(this),
+      system: this.system.bind(this),
+      derivative: this.derivative.bind(this),
+      integral: this.integral.bind(this),
     };
   }
 
   /**
    * Get template for a specific problem type
+   * @param {object} options - { method } selects the quadratic method ('factor', 'square' or 'formula') or the
+   *                           system method ('elimination' or 'substitution')
    */
-  getTemplate(problemType, problemData) {
+  getTemplate(problemType, problemData, options = {}) {
     // Try to find exact match
-    const templateKey = this.findTemplateKey(problemType, problemData);
+    const templateKey = this.findTemplateKey(problemType);
     const template = this.templates[templateKey];
 
     if (template) {
-      return template(problemData);
+      return template(problemData, options);
     }
 
     // Return generic template
@@ -36,241 +47,347 @@ class TemplateLibrary {
   /**
    * Find the best matching template key
    */
-  findTemplateKey(problemType, problemData) {
-    if (problemType.includes("linear")) {
-      if (problemData.components?.operators?.includes("+")) {
-        return "linear_single_subtract"; // Subtract to solve
-      } else if (problemData.components?.operators?.includes("-")) {
-        return "linear_single_add"; // Add to solve
-      }
+  findTemplateKey(problemType) {
+    if (problemType === "linear_single" || problemType === "linear_both_sides") {
+      return "linear_equation";
     }
 
     if (problemType.includes("quadratic")) {
-      return "quadratic_factor"; // Try factoring first
+      return "quadratic";
+    }
+
+    if (problemType === "system_linear") {
+      return "system";
     }
 
     if (problemType.includes("derivative")) {
-      return "derivative_power"; // Most common
+      return "derivative";
+    }
+
+    if (problemType.includes("integral")) {
+      return "integral";
     }
 
     return "generic";
   }
 
   /**
-   * Template: Linear equation with addition (e.g., x - 3 = 5)
+   * A step showing an expression, in text and LaTeX, with its AST
    */
-  linearSingleAdd(data) {
-    const { cleanedText, components } = data;
-    const expression = cleanedText || data.expression;
-    const steps = [];
-
-    // Parse the expression (e.g., "x - 3 = 5")
-    const match = expression
-      ? expression.match(/([a-z])\s*-\s*(\d+)\s*=\s*(\d+)/i)
-      : null;
-    if (!match) return this.genericTemplate(data);
-
-    const [, variable, subtracted, result] = match;
-    const sum = parseInt(result) + parseInt(subtracted);
+  expressionStep(stepNumber, ast, description, extra = {}) {
+    return {
+      stepNumber: stepNumber,
+      expression: MathAst.toText(ast),
+      latex: MathAst.toLatex(ast),
+      ast: ast,
+      description: description,
+      ...extra,
+    };
+  }
 
-    steps.push({
-      stepNumber: 1,
-      expression: `${variable} - ${subtracted} = ${result}`,
-      description: "Original equation",
-      isResult: false,
-    });
+  /**
+   * A step applying an operation to both sides (e.g., "- 4 = - 4"); amount is an AST node
+   */
+  operationStep(stepNumber, operation, amount, description) {
+    // Negative amounts are parenthesized: ÷ (-2)
+    const negative = amount.type === "unary";
+    const text = negative ? `(${MathAst.toText(amount)})` : MathAst.toText(amount);
+    const symbol = { add: "+", subtract: "-", multiply: "×", divide: "÷" }[
+      operation
+    ];
 
-    steps.push({
-      stepNumber: 2,
-      expression: `+ ${subtracted} = + ${subtracted}`,
-      description: `Add ${subtracted} to both sides`,
-      operation: "add",
-      value: subtracted,
+    return {
+      stepNumber: stepNumber,
+      expression: `${symbol} ${text} = ${symbol} ${text}`,
+      description: description,
+      operation: operation,
+      value: text,
+      valueLatex: negative
+        ? `\\left(${MathAst.toLatex(amount)}\\right)`
+        : MathAst.toLatex(amount),
       isOperation: true,
-    });
-
-    steps.push({
-      stepNumber: 3,
-      expression: `${variable} = ${sum}`,
-      description: "Simplified result",
-      isResult: true,
-    });
+    };
+  }
 
-    return this.formatStepsWithLatex(steps);
+  /**
+   * Template: Linear equation in one variable (e.g., 2x + 4 = 10, 3(x + 2) = 2(x - 1) + 10)
+   */
+  linearEquation(data) {
+    const result = this.linearSolver.solve(
+      data.ast,
+      data.components?.variable
+    );
+    if (!result) return this.genericTemplate(data);
+
+    const outcomes = {
+      unique: "Final answer",
+      identity: "Every value is a solution",
+      contradiction: "No solution",
+    };
+    return {
+      ...this.formatStepsWithLatex(
+        this.solverSteps(result.steps, outcomes[result.outcome])
+      ),
+      solution: result.solution,
+      outcome: result.outcome,
+    };
   }
 
   /**
-   * Template: Linear equation with subtraction (e.g., x + 4 = 10)
+   * Template: Quadratic equation by factoring, completing the square or the quadratic formula
    */
-  linearSingleSubtract(data) {
-    const expression = data.cleanedText || data.expression;
-    const steps = [];
+  quadratic(data, options = {}) {
+    const result = this.quadraticSolver.solve(
+      data.ast,
+      data.components?.variable,
+      { method: options.method }
+    );
+    if (!result) return this.genericTemplate(data);
 
-    // Parse the expression (e.g., "2x + 4 = 10")
-    const match = expression
-      ? expression.match(/(\d*)([a-z])\s*\+\s*(\d+)\s*=\s*(\d+)/i)
-      : null;
-    if (!match) return this.genericTemplate(data);
-
-    const [, coefficient, variable, added, result] = match;
-    const coef = coefficient || "1";
-    const difference = parseInt(result) - parseInt(added);
-
-    // Step 1: Original equation
-    steps.push({
-      stepNumber: 1,
-      expression: `${
-        coef === "1" ? "" : coef
-      }${variable} + ${added} = ${result}`,
-      description: "Original equation",
-      isResult: false,
-    });
+    return {
+      ...this.formatStepsWithLatex(
+        this.solverSteps(
+          result.steps,
+          result.outcome === "none" ? "No real solutions" : "Final answer"
+        )
+      ),
+      method: result.method,
+      discriminant: result.discriminant,
+      outcome: result.outcome,
+      solutions: result.solutions.map((solution) => MathAst.toText(solution)),
+      values: result.values,
+    };
+  }
 
-    // Step 2: Subtract from both sides
-    steps.push({
-      stepNumber: 2,
-      expression: `- ${added} = - ${added}`,
-      description: `Subtract ${added} from both sides`,
-      operation: "subtract",
-      value: added,
-      isOperation: true,
+  /**
+   * Template: 2x2 or 3x3 system of linear equations by elimination or substitution. The steps are left
+   * unformatted so AlignmentEngine lays out the numbered equations
+   */
+  system(data, options = {}) {
+    const variables = [...(data.components?.variables || [])].sort();
+    const result = this.systemSolver.solve(data.statements, variables, {
+      method: options.method,
     });
+    if (!result) return this.genericTemplate(data);
 
-    // Step 3: Simplified after subtraction
-    steps.push({
-      stepNumber: 3,
-      expression: `${coef === "1" ? "" : coef}${variable} = ${difference}`,
-      description: "Simplified equation",
-      isResult: true,
-      newGroup: coef !== "1", // Start new group if we need to divide
+    // Runs of one-variable equations are shown like any other solver steps
+    const steps = [];
+    let run = [];
+    const flush = () => {
+      steps.push(...this.solverSteps(run, "Simplified equation"));
+      run = [];
+    };
+    result.steps.forEach((solverStep) => {
+      if (!solverStep.equations) {
+        run.push(solverStep);
+        return;
+      }
+      flush();
+      steps.push(this.systemStep(solverStep));
+    });
+    flush();
+    steps.forEach((step, index) => {
+      step.stepNumber = index + 1;
     });
 
-    // Step 4: Divide if there's a coefficient
-    if (coef !== "1") {
-      steps.push({
-        stepNumber: 4,
-        expression: `÷ ${coef} = ÷ ${coef}`,
-        description: `Divide both sides by ${coef}`,
-        operation: "divide",
-        value: coef,
-        isOperation: true,
-      });
-
-      const finalResult = difference / parseInt(coef);
-      steps.push({
-        stepNumber: 5,
-        expression: `${variable} = ${finalResult}`,
-        description: "Final answer",
-        isResult: true,
-      });
-    }
+    return {
+      steps: steps,
+      method: result.method,
+      outcome: result.outcome,
+      solution: result.solution
+        ? Object.fromEntries(
+            Object.entries(result.solution).map(([variable, value]) => [
+              variable,
+              value.toString(),
+            ])
+          )
+        : null,
+    };
+  }
+
+  /**
+   * A step showing several numbered equations, and for an elimination the equation they add up to
+   */
+  systemStep({ equations, result, operation, description }) {
+    const numbered = ({ number, factor, equation }) => ({
+      label: factor ? `${factor} × (${number})` : `(${number})`,
+      labelLatex: factor ? `${factor} \\times (${number})` : `(${number})`,
+      expression: MathAst.toText(equation),
+      latex: MathAst.toLatex(equation),
+      ast: equation,
+    });
+    const lines = equations.map(numbered);
+    const combined = result ? numbered(result) : null;
 
-    return this.formatStepsWithLatex(steps);
+    return {
+      stepNumber: 0,
+      expression: [...lines, ...(combined ? [combined] : [])]
+        .map((line) => `${line.label}: ${line.expression}`)
+        .join("; "),
+      equations: lines,
+      ...(combined ? { result: combined } : {}),
+      description: description,
+      ...(operation ? { operation: operation.type } : {}),
+      newGroup: true,
+    };
   }
 
   /**
-   * Template: Quadratic by factoring
+   * Display steps for a solver's equations: an operation on both sides becomes an operation line followed
+   * by the equation it produces; rewrites and alternatives ("x = 2 or x = 3") are a single line
    */
-  quadraticFactor(data) {
-    const expression = data.cleanedText || data.expression;
+  solverSteps(solverSteps, finalDescription) {
     const steps = [];
 
-    // This is a simplified example - real implementation would be more complex
-    steps.push({
-      stepNumber: 1,
-      expression: expression,
-      description: "Original equation",
-    });
-
-    steps.push({
-      stepNumber: 2,
-      expression: "Move all terms to one side",
-      description: "Standard form",
-    });
+    solverSteps.forEach((solverStep, index) => {
+      const { equation, operation, description } = solverStep;
+      const last = index === solverSteps.length - 1;
+
+      if (!operation?.amount) {
+        steps.push(
+          this.expressionStep(steps.length + 1, equation, description, {
+            ...(operation ? { operation: operation.type } : {}),
+            ...(solverStep.alternatives
+              ? this.alternativesFields(solverStep)
+              : {}),
+            isResult: last,
+          })
+        );
+        return;
+      }
 
-    steps.push({
-      stepNumber: 3,
-      expression: "Factor the expression",
-      description: "Factored form",
+      steps.push(
+        this.operationStep(
+          steps.length + 1,
+          operation.type,
+          operation.amount,
+          description
+        )
+      );
+      steps.push(
+        this.expressionStep(
+          steps.length + 1,
+          equation,
+          last ? finalDescription : "Simplified equation",
+          { isResult: true }
+        )
+      );
     });
 
-    return this.formatStepsWithLatex(steps);
+    return steps;
   }
 
   /**
-   * Template: Quadratic formula
+   * Text and LaTeX for equations read together: "x = 2 or x = 3", "a = 1, b = -5, c = 6"
    */
-  quadraticFormula(data) {
-    // Implementation for quadratic formula
-    return this.genericTemplate(data);
+  alternativesFields({ alternatives, conjunction }) {
+    const separator = conjunction === "," ? ", " : ` ${conjunction} `;
+    const latexSeparator =
+      conjunction === "," ? ",\\quad " : ` \\text{ ${conjunction} } `;
+
+    return {
+      alternatives: alternatives,
+      expression: alternatives.map((ast) => MathAst.toText(ast)).join(separator),
+      latex: alternatives.map((ast) => MathAst.toLatex(ast)).join(latexSeparator),
+      alignedLatex: [
+        MathAst.toAlignedLatex(alternatives[0]),
+        ...alternatives.slice(1).map((ast) => MathAst.toLatex(ast)),
+      ].join(latexSeparator),
+    };
   }
 
   /**
-   * Template: Derivative using power rule
+   * Template: Derivative by the sum, constant multiple, power, product, quotient and chain rules and the
+   * derivatives of trigonometric, exponential and logarithmic functions, one rule per step
    */
-  derivativePower(data) {
-    const expression = data.cleanedText || data.expression;
-    const steps = [];
-
-    // Parse for power rule (e.g., "f(x) = x^3")
-    const match = expression ? expression.match(/([a-z])\^(\d+)/i) : null;
-    if (match) {
-      const [, variable, power] = match;
-      const newPower = parseInt(power) - 1;
-
-      steps.push({
-        stepNumber: 1,
-        expression: `f(x) = ${variable}^${power}`,
-        description: "Original function",
-      });
-
-      steps.push({
-        stepNumber: 2,
-        expression: `f'(x) = ${power}${variable}^${newPower}`,
-        description: "Apply power rule: bring down exponent, reduce by 1",
-      });
-    }
+  derivative(data) {
+    const { target, variable, functionName } = data.components || {};
+    if (!target || !variable) return this.genericTemplate(data);
+
+    // f(x) and f'(x), keeping the name the problem used; d/dx(...) when the problem wrote one
+    const operator = data.statements?.some((statement) =>
+      MathAst.contains(statement, (node) => node.type === "derivative")
+    );
+    const result = this.derivativeSolver.solve(target, variable, {
+      functionName: functionName || (operator ? null : "f"),
+    });
+    if (!result) return this.genericTemplate(data);
 
-    return this.formatStepsWithLatex(steps);
+    return {
+      ...this.formatStepsWithLatex(this.calculusSteps(result.steps)),
+      derivative: MathAst.toText(result.derivative),
+    };
   }
 
   /**
-   * Template: Derivative using chain rule
+   * Template: Indefinite or definite integral by the basic antiderivatives, one rule per step, then the
+   * limits for a definite integral
    */
-  derivativeChain(data) {
-    // Implementation for chain rule
-    return this.genericTemplate(data);
-  }
+  integral(data) {
+    const { target, variable, lower, upper } = data.components || {};
+    if (!target || !variable) return this.genericTemplate(data);
 
-  /**
-   * Template: Integral using power rule
-   */
-  integralPower(data) {
-    // Implementation for integration
-    return this.genericTemplate(data);
+    const result = this.integralSolver.solve(target, variable, {
+      lower,
+      upper,
+    });
+    if (!result) return this.genericTemplate(data);
+
+    return {
+      ...this.formatStepsWithLatex(this.calculusSteps(result.steps)),
+      antiderivative: MathAst.toText(result.antiderivative),
+      ...(result.value
+        ? {
+            value: MathAst.toText(result.value),
+            approximation: result.approximation,
+          }
+        : {}),
+    };
   }
 
   /**
-   * Template: Linear equation with variables on both sides
+   * Display steps for a derivative or integral, each rule in its own group; the operation names the rule
+   * (differentiate_chain, integrate_power) so instructions and hints can explain it
    */
-  linearBothSides(data) {
-    // Implementation for both sides
-    return this.genericTemplate(data);
+  calculusSteps(solverSteps) {
+    return solverSteps.map(({ equation, operation, description }, index) =>
+      this.expressionStep(index + 1, equation, description, {
+        ...(operation
+          ? {
+              operation: operation.rule
+                ? `${operation.type}_${operation.rule}`
+                : operation.type,
+            }
+          : {}),
+        newGroup: true,
+      })
+    );
   }
 
   /**
    * Generic template for unmatched problems
    */
   genericTemplate(data) {
+    // One step per parsed statement, or the raw text when it did not parse
+    const steps = data.statements?.length
+      ? data.statements.map((ast, index) =>
+          this.expressionStep(
+            index + 1,
+            ast,
+            "Please provide manual solution steps"
+          )
+        )
+      : [
+          {
+            stepNumber: 1,
+            expression:
+              data.cleanedText || data.expression || "Unknown expression",
+            description: "Please provide manual solution steps",
+          },
+        ];
+
     return {
-      steps: [
-        {
-          stepNumber: 1,
-          expression:
-            data.cleanedText || data.expression || "Unknown expression",
-          description: "Please provide manual solution steps",
-        },
-      ],
+      steps: steps,
       needsManualIntervention: true,
     };
   }
@@ -329,9 +446,14 @@ class TemplateLibrary {
         hasOperation = true;
         // Format operation line
         const op = this.getOperatorSymbol(step.operation);
-        lines.push(`${op} ${step.value} &=& ${op} ${step.value}`);
+        const value = step.valueLatex ?? step.value;
+        lines.push(`${op} ${value} &=& ${op} ${value}`);
+      } else if (step.alignedLatex) {
+        lines.push(step.alignedLatex);
+      } else if (step.ast) {
+        // Format equation line, aligned on its relation
+        lines.push(MathAst.toAlignedLatex(step.ast));
       } else {
-        // Format equation line
         const parts = step.expression.split("=");
         if (parts.length === 2) {
           lines.push(`${parts[0].trim()} &=& ${parts[1].trim()}`);
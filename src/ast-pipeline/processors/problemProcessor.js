@@ -6,6 +6,8 @@
 import MathParser from "../core/mathParser.js";
 import AlignmentEngine from "../core/alignmentEngine.js";
 import TemplateLibrary from "../core/templateLibrary.js";
+import { DERIVATIVE_RULES } from "../core/derivativeSolver.js";
+import { INTEGRAL_RULES } from "../core/integralSolver.js";
 
 class ProblemProcessor {
   constructor() {
@@ -16,6 +18,9 @@ class ProblemProcessor {
 
   /**
    * Process a complete problem from markdown to JSON
+   * @param {object} options - problemNumber, parentReferences, and method: for quadratics
+   *                           'factor' | 'square' | 'formula' (default: factor when possible, else formula),
+   *                           for systems 'elimination' | 'substitution' (default: elimination)
    */
   async processProblem(markdown, options = {}) {
     try {
@@ -26,7 +31,8 @@ class ProblemProcessor {
       // Step 2: Apply template if available
       const templated = this.templates.getTemplate(
         parsed.problemType.key,
-        parsed
+        parsed,
+        options
       );
       console.log("Applied template:", templated);
 
@@ -35,7 +41,7 @@ class ProblemProcessor {
       if (templated.formattedSteps) {
         aligned = templated.formattedSteps;
       } else {
-        aligned = this.aligner.alignSteps(templated.steps);
+        aligned = this.aligner.alignSteps(templated.steps).display;
       }
       console.log("Aligned steps:", aligned);
 
@@ -91,6 +97,18 @@ class ProblemProcessor {
           ],
         };
 
+        // Annotate the operations applied in this step (distribute, subtract 4, divide by 2, ...)
+        const operations = (group.steps || [])
+          .filter((s) => s.operation)
+          .map((s) => ({
+            operation: s.operation,
+            value: s.value ?? null,
+            description: s.description,
+          }));
+        if (operations.length > 0) {
+          step.stepOperations = operations;
+        }
+
         // Add interactive helper (hints)
         const hints = this.generateHints(group, parsed.problemType);
         if (hints.length > 0) {
@@ -184,8 +202,17 @@ class ProblemProcessor {
       factor: "Factor the expression",
       expand: "Expand the expression",
       simplify: "Simplify",
+      eliminate: "Add or subtract the equations to eliminate a variable",
+      isolate: "Solve one equation for a variable",
+      substitute: "Substitute into the other equation",
     };
 
+    // differentiate_chain, integrate_power, ...: the statement of the rule
+    const [, kind, rule] =
+      /^(differentiate|integrate)_(\w+)$/.exec(operation.operation) || [];
+    const rules = { differentiate: DERIVATIVE_RULES, integrate: INTEGRAL_RULES };
+    if (kind && rules[kind][rule]) return rules[kind][rule];
+
     return instructions[operation.operation] || "Perform operation";
   }
 
@@ -196,26 +223,95 @@ class ProblemProcessor {
     const hints = [];
 
     // Add general hints based on problem type
-    if (problemType.type === "linear_equation") {
+    if (problemType.type.startsWith("linear_equation")) {
       hints.push("Remember: what you do to one side, you must do to the other");
       hints.push("Goal: isolate the variable on one side");
     } else if (problemType.type === "quadratic_equation") {
       hints.push("Consider factoring or using the quadratic formula");
       hints.push("Set the equation equal to zero first");
+    } else if (problemType.type === "system_of_equations") {
+      hints.push("Number the equations so you can refer to them");
+      hints.push("Goal: reduce the system to one equation in one variable");
+    } else if (problemType.type === "derivative") {
+      hints.push(
+        "Find the last operation in the expression: it decides which rule comes first"
+      );
+      hints.push("Apply one rule at a time and simplify as you go");
+    } else if (problemType.type === "integral") {
+      hints.push("Split sums and pull out constant factors first");
+      hints.push("Check your answer by differentiating it");
     }
 
+    // What each differentiation and integration rule asks for
+    const ruleHints = {
+      differentiate_sum: "Differentiate each term on its own",
+      differentiate_power:
+        "Multiply by the exponent, then lower the exponent by 1",
+      differentiate_product:
+        "Name the factors u and v, then add u'v and uv'",
+      differentiate_quotient:
+        "Name the numerator u and the denominator v: (u'v - uv')/v^2, in that order",
+      differentiate_chain:
+        "Differentiate the outer function with the inside unchanged, then multiply by the derivative of the inside",
+      differentiate_trig: "d/dx sin(x) = cos(x) and d/dx cos(x) = -sin(x)",
+      differentiate_exponential: "e^x is its own derivative",
+      differentiate_logarithm: "d/dx ln(x) = 1/x",
+      integrate_sum: "Integrate each term on its own",
+      integrate_power:
+        "Add 1 to the exponent, then divide by the new exponent",
+      integrate_reciprocal:
+        "The power rule does not work for x^(-1); its integral is ln|x|",
+      integrate_linear_substitution:
+        "Integrate as if the inside were x, then divide by its coefficient of x",
+      integrate_expand:
+        "Multiply out the powers and products to get a sum of powers of x",
+      integrate_parts:
+        "Let u be the polynomial: each round lowers its degree, until what is left is a basic integral",
+      integrate_fundamental_theorem:
+        "Substitute the upper limit, then subtract the value at the lower limit; the + C cancels",
+    };
+
     // Add specific hints based on operations
     if (group.steps) {
       const operations = group.steps.filter((s) => s.operation);
       operations.forEach((op) => {
-        if (op.operation === "subtract") {
+        if (
+          ["add", "subtract"].includes(op.operation) &&
+          /[a-z]/i.test(op.value)
+        ) {
+          hints.push(
+            `${op.operation === "add" ? "Adding" : "Subtracting"} ${
+              op.value
+            } collects the variable terms on one side`
+          );
+        } else if (op.operation === "subtract") {
           hints.push(
             `Subtracting ${op.value} will eliminate the constant term`
           );
+        } else if (op.operation === "add") {
+          hints.push(`Adding ${op.value} will eliminate the constant term`);
+        } else if (op.operation === "eliminate") {
+          hints.push(
+            "Scale the equations so one variable has matching coefficients, then add or subtract them"
+          );
+        } else if (op.operation === "isolate") {
+          hints.push(
+            "Pick the variable with a coefficient of 1 or -1 to avoid fractions"
+          );
+        } else if (op.operation === "substitute") {
+          hints.push(
+            "Replace the variable with its expression or value, in parentheses"
+          );
+        } else if (op.operation === "distribute") {
+          hints.push("Multiply each term inside the parentheses");
+        } else if (op.operation === "multiply") {
+          hints.push(this.multiplyHint(op.value));
         } else if (op.operation === "divide") {
           hints.push(
             `Dividing by ${op.value} will give you the value of the variable`
           );
+        } else if (ruleHints[op.operation]) {
+          hints.push(ruleHints[op.operation]);
         }
       });
     }
@@ -223,6 +319,22 @@ class ProblemProcessor {
     return hints.slice(0, 3); // Limit to 3 hints
   }
 
+  /**
+   * What multiplying both sides achieves, from the amount: the solvers multiply by -1 to make the
+   * leading coefficient positive and by a common denominator (or a fraction) to get whole-number coefficients
+   * @private
+   */
+  multiplyHint(value) {
+    const amount = String(value).replace(/^\((.*)\)$/, "$1");
+    if (amount.startsWith("-")) {
+      return `Multiplying by ${amount} makes the leading coefficient positive`;
+    }
+    if (amount.includes("/")) {
+      return `Multiplying by ${amount} leaves whole-number coefficients`;
+    }
+    return `Multiplying by ${amount}, the common denominator, clears the fractions`;
+  }
+
   /**
    * Validate the output JSON
    */
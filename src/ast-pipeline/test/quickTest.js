@@ -18,11 +18,12 @@ async function quickTest() {
   const result = await processor.processProblem('Solve: 2x + 4 = 10');
   
   if (result.success) {
-    console.log('✅ Success! Generated', result.data.Steps.length, 'steps\n');
+    const steps = result.data.structure.stepsArray;
+    console.log('✅ Success! Generated', steps.length, 'steps\n');
     
-    result.data.Steps.forEach(step => {
-      console.log(`Step ${step.stepNumber}: ${step.description}`);
-      console.log('LaTeX:', step.latex);
+    steps.forEach(step => {
+      console.log(`Step ${step.stepNumber}: ${step.stepInstructions?.[0].content || 'Original equation'}`);
+      console.log('LaTeX:', step.stepFormula[0].content);
       console.log('');
     });
   } else {
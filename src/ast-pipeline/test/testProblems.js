@@ -2,7 +2,8 @@
  * Test Problems - Examples to test the AST pipeline
  */
 
-const ProblemProcessor = require('../processors/problemProcessor');
+import { pathToFileURL } from 'url';
+import ProblemProcessor from '../processors/problemProcessor.js';
 
 // Create processor instance
 const processor = new ProblemProcessor();
@@ -13,6 +14,8 @@ const testProblems = [
     name: 'Simple Linear - Addition',
     markdown: 'Solve: x + 4 = 10',
     expected: {
+      type: 'linear_single',
+      answer: 'x = 6',
       steps: 2,
       operations: ['subtract']
     }
@@ -21,6 +24,8 @@ const testProblems = [
     name: 'Simple Linear - Subtraction',
     markdown: 'Solve: x - 3 = 7',
     expected: {
+      type: 'linear_single',
+      answer: 'x = 10',
       steps: 2,
       operations: ['add']
     }
@@ -29,6 +34,8 @@ const testProblems = [
     name: 'Linear with Coefficient',
     markdown: 'Solve: 2x + 4 = 10',
     expected: {
+      type: 'linear_single',
+      answer: 'x = 3',
       steps: 3,
       operations: ['subtract', 'divide']
     }
@@ -37,6 +44,8 @@ const testProblems = [
     name: 'Linear with Negative',
     markdown: 'Solve: 3x - 6 = 9',
     expected: {
+      type: 'linear_single',
+      answer: 'x = 5',
       steps: 3,
       operations: ['add', 'divide']
     }
@@ -45,6 +54,8 @@ const testProblems = [
     name: 'Both Sides Variables',
     markdown: 'Solve: 2x + 3 = x + 7',
     expected: {
+      type: 'linear_both_sides',
+      answer: 'x = 4',
       steps: 4,
       operations: ['subtract', 'subtract']
     }
@@ -53,8 +64,61 @@ const testProblems = [
     name: 'Simple Quadratic',
     markdown: 'Solve: x^2 - 5x + 6 = 0',
     expected: {
-      type: 'quadratic',
-      method: 'factoring'
+      type: 'quadratic_standard',
+      method: 'factor',
+      answer: 'x = 3 or x = 2'
+    }
+  },
+  {
+    name: 'Quadratic with Negative Leading Coefficient',
+    markdown: 'Solve: -x^2 + 5x - 6 = 0',
+    expected: {
+      type: 'quadratic_standard',
+      method: 'factor',
+      answer: 'x = 3 or x = 2',
+      operations: ['multiply'],
+      hints: ['Multiplying by -1 makes the leading coefficient positive']
+    }
+  },
+  {
+    name: 'Quadratic Formula (irrational)',
+    markdown: 'Solve: x^2 + 2x - 1 = 0',
+    expected: {
+      type: 'quadratic_standard',
+      method: 'formula',
+      answer: 'x = -1 ± sqrt(2)'
+    }
+  },
+  {
+    name: 'Quadratic Formula (rational)',
+    markdown: 'Solve: x^2 - 5x + 6 = 0',
+    options: { method: 'formula' },
+    expected: {
+      type: 'quadratic_standard',
+      method: 'formula',
+      answer: 'x = 3 or x = 2',
+      lines: ['x = (5 ± sqrt(1))/(2 * 1)', 'x = (5 ± 1)/2', 'x = (5 + 1)/2 or x = (5 - 1)/2']
+    }
+  },
+  {
+    name: 'Completing the Square',
+    markdown: 'Solve: 2x^2 + 3x - 1 = 0',
+    options: { method: 'square' },
+    expected: {
+      type: 'quadratic_standard',
+      method: 'square',
+      answer: 'x = (-3 ± sqrt(17))/4',
+      operations: ['divide', 'add', 'add']
+    }
+  },
+  {
+    name: 'Quadratic No Real Solutions',
+    markdown: 'Solve: x^2 + x + 1 = 0',
+    options: { method: 'formula' },
+    expected: {
+      type: 'quadratic_standard',
+      method: 'formula',
+      answer: 'D = 1^2 - 4 · 1 · 1 = -3'
     }
   },
   {
@@ -62,15 +126,189 @@ const testProblems = [
     markdown: 'Find the derivative: f(x) = x^3',
     expected: {
       type: 'derivative',
-      result: '3x^2'
+      answer: "f'(x) = 3x^2"
+    }
+  },
+  {
+    name: 'Derivative Product Rule',
+    markdown: 'Find the derivative of $f(x) = x^2 \\sin x$',
+    expected: {
+      type: 'derivative',
+      answer: "f'(x) = 2x sin(x) + x^2 cos(x)",
+      operations: ['differentiate_product', 'differentiate_power', 'differentiate_trig']
+    }
+  },
+  {
+    name: 'Derivative Chain Rule',
+    markdown: 'Find the derivative: f(x) = (x^2 + 1)^3',
+    expected: {
+      type: 'derivative',
+      answer: "f'(x) = 6x(x^2 + 1)^2",
+      operations: ['differentiate_chain', 'differentiate_sum', 'differentiate_power']
+    }
+  },
+  {
+    name: 'Derivative Quotient Rule',
+    markdown: 'Differentiate $f(x) = \\frac{x}{x + 1}$',
+    expected: {
+      type: 'derivative',
+      answer: "f'(x) = 1/(x + 1)^2",
+      operations: ['differentiate_quotient', 'differentiate_power', 'differentiate_sum', 'differentiate_power']
     }
   },
   {
     name: 'Complex Linear',
     markdown: 'Solve: 3(x + 2) = 2(x - 1) + 10',
     expected: {
+      type: 'linear_both_sides',
+      answer: 'x = 2',
       steps: 5,
-      operations: ['expand', 'simplify', 'subtract', 'subtract']
+      operations: ['distribute', 'combine', 'subtract', 'subtract']
+    }
+  },
+  {
+    name: 'Linear with Parentheses',
+    markdown: 'Solve: 3(x-2) = 12',
+    expected: {
+      type: 'linear_single',
+      answer: 'x = 6',
+      operations: ['distribute', 'add', 'divide']
+    }
+  },
+  {
+    name: 'Negative Variable Term',
+    markdown: 'Solve: -x + 5 = 2x',
+    expected: {
+      type: 'linear_both_sides',
+      answer: '5/3 = x',
+      operations: ['add', 'divide']
+    }
+  },
+  {
+    name: 'Fractions in LaTeX',
+    markdown: 'Solve $\\frac{x}{2} + \\frac{1}{3} = 5$',
+    expected: {
+      type: 'linear_single',
+      answer: 'x = 28/3',
+      operations: ['multiply', 'subtract', 'divide'],
+      hints: ['Multiplying by 6, the common denominator, clears the fractions']
+    }
+  },
+  {
+    name: 'Variable on the Right',
+    markdown: 'Solve for x: 12 = 3x',
+    expected: {
+      type: 'linear_single',
+      answer: '4 = x',
+      operations: ['divide']
+    }
+  },
+  {
+    name: 'Already Solved, Sides Reversed',
+    markdown: 'Solve: 5 = x',
+    expected: {
+      type: 'linear_single',
+      answer: 'x = 5',
+      operations: ['swap']
+    }
+  },
+  {
+    name: 'Decimal Coefficients',
+    markdown: 'Solve: 0.5(x + 3) = 0.25x - 1',
+    expected: {
+      type: 'linear_both_sides',
+      answer: 'x = -10',
+      operations: ['distribute', 'multiply', 'subtract', 'subtract']
+    }
+  },
+  {
+    name: 'No Solution',
+    markdown: 'Solve: 2(x + 1) = 2x + 5',
+    expected: {
+      type: 'linear_both_sides',
+      answer: '2 = 5',
+      operations: ['distribute', 'subtract']
+    }
+  },
+  {
+    name: 'Linear Inequality',
+    markdown: 'Solve: 2x + 3 \\le 7',
+    expected: {
+      type: 'linear_inequality'
+    }
+  },
+  {
+    name: 'System of Equations',
+    markdown: 'Solve the system:\n2x + y = 5\nx - y = 1',
+    expected: {
+      type: 'system_linear',
+      method: 'elimination',
+      answer: 'x = 2, y = 1'
+    }
+  },
+  {
+    name: '3x3 System by Substitution',
+    markdown: 'Solve: x + y + z = 6\nx - y + z = 2\n2x + y - z = 1',
+    options: { method: 'substitution' },
+    expected: {
+      type: 'system_linear',
+      method: 'substitution',
+      answer: 'x = 1, y = 2, z = 3',
+      operations: ['isolate', 'substitute', 'simplify', 'substitute', 'subtract', 'divide', 'substitute']
+    }
+  },
+  {
+    name: 'Inconsistent System',
+    markdown: 'Solve: x + y = 2, 2x + 2y = 5',
+    expected: {
+      type: 'system_linear',
+      answer: '2 × (1): 2x + 2y = 4; (2): 2x + 2y = 5; (3): 0 = -1'
+    }
+  },
+  {
+    name: 'Definite Integral',
+    markdown: 'Evaluate $\\int_0^1 x^2 \\, dx$',
+    expected: {
+      type: 'integral',
+      answer: '∫[0, 1] x^2 dx = 1/3',
+      operations: ['integrate_power', 'integrate_fundamental_theorem', 'simplify']
+    }
+  },
+  {
+    name: 'Indefinite Integral',
+    markdown: 'Find $\\int (3x^2 + 2x + 1) \\, dx$',
+    expected: {
+      type: 'integral',
+      answer: '∫(3x^2 + 2x + 1) dx = x^3 + x^2 + x + C',
+      operations: ['integrate_sum', 'integrate_power']
+    }
+  },
+  {
+    name: 'Integral with Linear Inside',
+    markdown: 'Integrate $\\int \\cos(3x) \\, dx$',
+    expected: {
+      type: 'integral',
+      answer: '∫cos(3x) dx = (1/3) sin(3x) + C',
+      operations: ['integrate_linear_substitution']
+    }
+  },
+  {
+    name: 'Integration by Parts',
+    markdown: 'Evaluate $\\int x e^x \\, dx$',
+    expected: {
+      type: 'integral',
+      answer: '∫xe^x dx = xe^x - e^x + C',
+      operations: ['integrate_parts', 'integrate_exponential'],
+      lines: ['∫xe^x dx = xe^x - ∫e^x dx']
+    }
+  },
+  {
+    name: 'Definite Integral by Parts',
+    markdown: 'Evaluate $\\int_0^{\\pi} x \\sin(x) \\, dx$',
+    expected: {
+      type: 'integral',
+      answer: '∫[0, π] x sin(x) dx = π',
+      operations: ['integrate_parts', 'integrate_constant_multiple', 'integrate_trig', 'integrate_fundamental_theorem', 'simplify']
     }
   }
 ];
@@ -82,53 +320,89 @@ async function runTests() {
   console.log('='.repeat(60));
   console.log('AST Pipeline Test Suite');
   console.log('='.repeat(60));
-  
+
+  let failures = 0;
+
   for (const test of testProblems) {
     console.log(`\nTesting: ${test.name}`);
     console.log(`Input: ${test.markdown}`);
     console.log('-'.repeat(40));
     
     try {
-      const result = await processor.processProblem(test.markdown);
+      const result = await processor.processProblem(test.markdown, test.options);
       
       if (result.success) {
+        const { parsed, templated } = result.debug;
+        const steps = result.data.structure.stepsArray;
         console.log('✓ Processing successful');
-        console.log(`  Problem Type: ${result.data.problemType}`);
-        console.log(`  Complexity: ${result.data.complexity}`);
-        console.log(`  Steps Generated: ${result.data.Steps.length}`);
+        console.log(`  Problem Type: ${parsed.problemType.key}`);
+        console.log(`  Complexity: ${parsed.metadata.complexity}`);
+        console.log(`  Steps Generated: ${steps.length}`);
         
         // Display each step
-        result.data.Steps.forEach(step => {
+        steps.forEach(step => {
           console.log(`\n  Step ${step.stepNumber}:`);
-          console.log(`    Description: ${step.description}`);
-          if (step.instruction) {
-            console.log(`    Instruction: ${step.instruction}`);
+          if (step.stepInstructions) {
+            console.log(`    Instruction: ${step.stepInstructions[0].content}`);
           }
-          console.log(`    LaTeX: ${step.latex.substring(0, 50)}...`);
+          console.log(`    LaTeX: ${step.stepFormula[0].content.replace(/\s+/g, ' ')}`);
+        });
+
+        // Expectations
+        const problems = [];
+        if (test.expected.type && parsed.problemType.key !== test.expected.type) {
+          problems.push(`expected type ${test.expected.type}, got ${parsed.problemType.key}`);
+        }
+        if (test.expected.method && templated.method !== test.expected.method) {
+          problems.push(`expected method ${test.expected.method}, got ${templated.method}`);
+        }
+        const answer = templated.steps[templated.steps.length - 1].expression;
+        if (test.expected.answer && answer !== test.expected.answer) {
+          problems.push(`expected answer ${test.expected.answer}, got ${answer}`);
+        }
+        const operations = templated.steps.filter(step => step.isOperation || step.operation).map(step => step.operation);
+        if (test.expected.operations && !templated.needsManualIntervention &&
+            operations.join() !== test.expected.operations.join()) {
+          problems.push(`expected operations ${test.expected.operations.join(', ')}, got ${operations.join(', ')}`);
+        }
+        const lines = templated.steps.map(step => step.expression);
+        (test.expected.lines || []).filter(line => !lines.includes(line)).forEach(line => {
+          problems.push(`expected a step "${line}", got ${lines.map(text => `"${text}"`).join(', ')}`);
+        });
+        const hints = steps.flatMap(step => Object.values(step.interactiveHelper || {}).flat().map(help => help.content));
+        (test.expected.hints || []).filter(hint => !hints.includes(hint)).forEach(hint => {
+          problems.push(`expected hint "${hint}", got ${hints.map(text => `"${text}"`).join(', ') || 'none'}`);
         });
         
         // Validation
-        if (result.validation.isValid) {
+        if (!result.validation.isValid) {
+          problems.push(...result.validation.issues);
+        }
+        if (problems.length === 0) {
           console.log('\n  ✓ Validation passed');
         } else {
+          failures++;
           console.log('\n  ✗ Validation issues:');
-          result.validation.issues.forEach(issue => {
+          problems.forEach(issue => {
             console.log(`    - ${issue}`);
           });
         }
       } else {
+        failures++;
         console.log('✗ Processing failed');
         console.log(`  Error: ${result.error}`);
       }
     } catch (error) {
+      failures++;
       console.log('✗ Test crashed');
       console.log(`  Error: ${error.message}`);
     }
   }
   
   console.log('\n' + '='.repeat(60));
-  console.log('Test Suite Complete');
+  console.log(`Test Suite Complete: ${testProblems.length - failures}/${testProblems.length} passed`);
   console.log('='.repeat(60));
+  return failures;
 }
 
 /**
@@ -153,9 +427,9 @@ async function demonstrateSingleProblem() {
     console.log(JSON.stringify(result.data, null, 2));
     
     console.log('\nFormatted LaTeX for Display:');
-    result.data.Steps.forEach(step => {
+    result.data.structure.stepsArray.forEach(step => {
       console.log(`\nStep ${step.stepNumber}:`);
-      console.log(step.latex);
+      console.log(step.stepFormula[0].content);
     });
     
     console.log('\nDebug Information:');
@@ -189,18 +463,17 @@ async function testBatchProcessing() {
     console.log(`\n${index + 1}. ${result.input}`);
     console.log(`   Status: ${result.success ? '✓' : '✗'}`);
     if (result.success) {
-      console.log(`   Steps: ${result.data.Steps.length}`);
+      console.log(`   Steps: ${result.data.structure.numberOfSteps}`);
     }
   });
 }
 
 // Run all tests
-if (require.main === module) {
-  (async () => {
-    await runTests();
-    await demonstrateSingleProblem();
-    await testBatchProcessing();
-  })();
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const failures = await runTests();
+  await demonstrateSingleProblem();
+  await testBatchProcessing();
+  process.exitCode = failures ? 1 : 0;
 }
 
-module.exports = { testProblems, processor };
\ No newline at end of file
+export { testProblems, processor };
\ No newline at end of file
@@ -7,6 +7,7 @@ import {
   getContainerCoverage,
   calculateContainerDimensions 
 } from "./containerMeasurements";
+import { CONTAINER_STYLES } from "./containerStyles";
 import { getContentFormat } from "../../utils/contentFormats";
 
 const ContainerEmulator = ({
@@ -38,82 +39,41 @@ const ContainerEmulator = ({
   // Container configurations with exact TestConstructor001 specs
   const containerConfigs = {
     problemSolver: {
-      background: "transparent",
-      padding: "0 40px",
+      ...CONTAINER_STYLES.problemSolver,
       height: dimensions ? `${dimensions.height}px` : getContainerHeight('problemSolver', currentViewportHeight),
       width: dimensions ? `${dimensions.width}px` : undefined,
-      titleBar: false,
-      context: "problemSolver",
-      cssVars: {
-        "--katex-inline-scale": "1.05em",
-        "--katex-display-scale": "1.2em",
-      },
     },
     problemSelector: {
-      background: "transparent",
-      padding: "0 40px",
+      ...CONTAINER_STYLES.problemSelector,
       height: dimensions ? `${dimensions.height}px` : getContainerHeight('problemSelector', currentViewportHeight),
       width: dimensions ? `${dimensions.width}px` : undefined,
-      titleBar: false,
-      context: "problemSolver",
     },
     stepDescription: {
-      background: "#f8f8f8",
-      padding: "20px",
+      ...CONTAINER_STYLES.stepDescription,
       height: dimensions ? `${dimensions.height}px` : getContainerHeight('stepDescription', currentViewportHeight),
       width: dimensions ? `${dimensions.width}px` : undefined,
-      titleBar: false,
-      context: "default",
     },
     lessonDescription: {
-      background: "#d8d8d8",
-      padding: "20px",
+      ...CONTAINER_STYLES.lessonDescription,
       height: dimensions ? `${dimensions.height}px` : getContainerHeight('lessonDescription', currentViewportHeight),
       width: width + "px", // Full width for lessonDescription
-      titleBar: {
-        height: 48,
-        background:
-          "linear-gradient(to bottom, #505a68 0%, #3a4452 50%, #2d3748 100%)",
-        title: "Lesson Description",
-      },
-      context: "lessonDescription",
       coverage: getContainerCoverage('lessonDescription'), // 49.5% from measurements
     },
     previewBox: {
-      background: "#5a6268",
-      padding: "10px",
+      ...CONTAINER_STYLES.previewBox,
       height: dimensions ? `${dimensions.height}px` : getContainerHeight('previewBox', currentViewportHeight),
       width: dimensions && dimensions.width ? `${dimensions.width}px` : 
              (viewport === "phone" ? "100%" : `${Math.round(width * 0.654)}px`), // 65.4% of viewport width
-      titleBar: {
-        height: 32,
-        background:
-          "linear-gradient(to bottom, #505a68 0%, #3a4452 50%, #2d3748 100%)",
-        title: "Preview",
-      },
-      textColor: "white",
-      context: "preview",
       coverage: getContainerCoverage('previewBox'), // 50% from measurements
     },
     reviewBox: {
-      background: "#f8f8f8",
-      padding: "20px",
+      ...CONTAINER_STYLES.reviewBox,
       height: "calc(100% - 40px)",
       width: viewport === "phone" ? "100%" : "55%",
-      titleBar: {
-        height: 40,
-        background: "#e8e8e8",
-        title: "Review",
-        borderBottom: "1px solid #d1d5db",
-      },
-      context: "default",
     },
     toolsContainer: {
-      background: "#ffffff",
-      padding: "20px",
+      ...CONTAINER_STYLES.toolsContainer,
       height: "600px",
-      titleBar: false,
-      context: "default",
     },
   };
 
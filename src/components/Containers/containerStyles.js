@@ -0,0 +1,80 @@
+/**
+ * Container Styles
+ * Static look of each container type (colors, padding, title bar, KaTeX scaling variables).
+ * Sizes come from containerMeasurements.js; ContainerEmulator and the static HTML renderer both read this table.
+ */
+
+const TITLE_BAR_GRADIENT =
+  "linear-gradient(to bottom, #505a68 0%, #3a4452 50%, #2d3748 100%)";
+
+export const CONTAINER_STYLES = {
+  problemSolver: {
+    background: "transparent",
+    padding: "0 40px",
+    titleBar: false,
+    context: "problemSolver",
+    cssVars: {
+      "--katex-inline-scale": "1.05em",
+      "--katex-display-scale": "1.2em",
+    },
+  },
+  problemSelector: {
+    background: "transparent",
+    padding: "0 40px",
+    titleBar: false,
+    context: "problemSolver",
+  },
+  stepDescription: {
+    background: "#f8f8f8",
+    padding: "20px",
+    titleBar: false,
+    context: "default",
+  },
+  lessonDescription: {
+    background: "#d8d8d8",
+    padding: "20px",
+    titleBar: {
+      height: 48,
+      background: TITLE_BAR_GRADIENT,
+      title: "Lesson Description",
+    },
+    context: "lessonDescription",
+  },
+  previewBox: {
+    background: "#5a6268",
+    padding: "10px",
+    titleBar: {
+      height: 32,
+      background: TITLE_BAR_GRADIENT,
+      title: "Preview",
+    },
+    textColor: "white",
+    context: "preview",
+  },
+  reviewBox: {
+    background: "#f8f8f8",
+    padding: "20px",
+    titleBar: {
+      height: 40,
+      background: "#e8e8e8",
+      title: "Review",
+      borderBottom: "1px solid #d1d5db",
+    },
+    context: "default",
+  },
+  toolsContainer: {
+    background: "#ffffff",
+    padding: "20px",
+    titleBar: false,
+    context: "default",
+  },
+};
+
+/**
+ * Get the style entry for a container type (problemSolver for unknown types)
+ */
+export function getContainerStyle(type) {
+  return CONTAINER_STYLES[type] || CONTAINER_STYLES.problemSolver;
+}
+
+export default CONTAINER_STYLES;
@@ -90,7 +90,7 @@ const ContentArrayRenderer = ({
         const spacing = index === 0 ? "" : spacingClass;
 
         return (
-          <div key={index} className={spacing}>
+          <div key={index} className={spacing} data-content-item={index}>
             <ContentRenderer
               content={item}
               context={context}
@@ -1,13 +1,15 @@
 // ContentRenderer for Content Creation Lab
 // Complete version with all content types including tools
 
-import { useContext, createContext, useState } from "react";
+import { useContext, createContext, useState, cloneElement } from "react";
 import PropTypes from "prop-types";
 import KaTeXDisplay from "./KaTeXDisplay";
+import { processFormattedContent } from "../../utils/contentFormats";
 import {
-  processFormattedContent,
-  processModerateHints,
-} from "../../utils/contentFormats";
+  isBlockLevelMath,
+  preprocessContent,
+  splitMixedContent,
+} from "../../utils/mathContent";
 import TableRenderer from "./TableRenderer";
 import ToolButton from "./ToolButton";
 import "./ContentRenderer.css";
@@ -29,113 +31,6 @@ const useToolbox = () => {
   };
 };
 
-// Check if content should be rendered as block-level math
-const isBlockLevelMath = (content) => {
-  if (!content || typeof content !== "string") return false;
-
-  const blockPatterns = [
-    /\\begin\{array\}/,
-    /\\begin\{align\}/,
-    /\\begin\{equation\}/,
-    /\\begin\{gather\}/,
-    /\\begin\{multline\}/,
-    /\\begin\{split\}/,
-    /\\begin\{cases\}/,
-    /\\\[/,
-    /\$\$/,
-  ];
-
-  return blockPatterns.some((pattern) => pattern.test(content));
-};
-
-// Preprocess content for KaTeX compatibility
-const preprocessContent = (
-  text,
-  _context,
-  _contentFormat,
-  activeHelpLevel,
-  showHints,
-  moderateHelpConfig
-) => {
-  if (!text || typeof text !== "string") return text;
-
-  let result = text;
-
-  // Process hint markers based on hint state
-  const showModerateHints =
-    showHints &&
-    (activeHelpLevel === "moderate" || activeHelpLevel === "major");
-  result = processModerateHints(result, showModerateHints, moderateHelpConfig);
-
-  // Replace \bigcdot with \cdot
-  result = result.replace(/\\bigcdot/g, "\\cdot");
-
-  // Replace \div with ÷
-  result = result.replace(/\\div/g, "÷");
-
-  // Convert \class{color}{content} to \textcolor{color}{content} for KaTeX
-  result = result.replace(
-    /\\class\{([^}]+)\}\{([^}]+)\}/g,
-    (match, colorClass, innerContent) => {
-      const colorMap = {
-        "answer-highlight": "#4CAF50",
-        "error-highlight": "#F44336",
-        "hint-highlight": "#2196F3",
-        "step-highlight": "#FF9800",
-        correct: "#4CAF50",
-        incorrect: "#F44336",
-        warning: "#FF9800",
-        info: "#2196F3",
-      };
-
-      const color = colorMap[colorClass] || colorClass;
-      const processedContent = innerContent.replace(/ /g, "\\ ");
-      return `\\textcolor{${color}}{${processedContent}}`;
-    }
-  );
-
-  // Remove all \smash{} wrapping
-  result = result.replace(/\\smash\{([^}]*(?:\{[^}]*\}[^}]*)*)\}/g, "$1");
-
-  // Handle \cancel commands
-  result = result.replace(
-    /\\cancel\{([^}]+)\}/g,
-    "\\enclose{updiagonalstrike}{$1}"
-  );
-
-  return result;
-};
-
-// Split content into segments of text and math
-const splitMixedContent = (content) => {
-  const segments = [];
-  let currentPos = 0;
-
-  const mathRegex = /\$([^$]+?)\$/g;
-  let match;
-
-  while ((match = mathRegex.exec(content)) !== null) {
-    if (match.index > currentPos) {
-      const textContent = content.substring(currentPos, match.index);
-      if (textContent) {
-        segments.push({ type: "text", content: textContent });
-      }
-    }
-
-    segments.push({ type: "math", content: match[0] });
-    currentPos = match.index + match[0].length;
-  }
-
-  if (currentPos < content.length) {
-    const remainingText = content.substring(currentPos);
-    if (remainingText) {
-      segments.push({ type: "text", content: remainingText });
-    }
-  }
-
-  return segments;
-};
-
 // Main function to render content with math
 const renderMathContent = (
   content,
@@ -428,6 +323,10 @@ const renderMathContent = (
   );
 };
 
+// Tag a top-level item's element so screenshots can target items one by one
+const markContentItem = (element, index) =>
+  element ? cloneElement(element, { "data-content-item": index }) : element;
+
 // Helper function to render core content
 const renderContentCore = (
   content,
@@ -1035,16 +934,19 @@ const ContentRenderer = ({
   );
 
   return filteredContent.map((item, index) =>
-    renderContentItem(
-      item,
-      className,
-      index,
-      preferences,
-      context,
-      stepIndex,
-      activeHelpLevel,
-      showHints,
-      moderateHelpConfig
+    markContentItem(
+      renderContentItem(
+        item,
+        className,
+        index,
+        preferences,
+        context,
+        stepIndex,
+        activeHelpLevel,
+        showHints,
+        moderateHelpConfig
+      ),
+      index
     )
   );
 };
@@ -3,6 +3,11 @@ import { useEffect, useRef } from "react";
 import PropTypes from "prop-types";
 import katex from "katex/dist/katex.mjs";
 import "katex/dist/katex.min.css"; // CRITICAL: Import KaTeX CSS
+import {
+  KATEX_OPTIONS,
+  isDisplayMath,
+  prepareKatexContent,
+} from "../../utils/mathContent";
 
 const KaTeXDisplay = ({
   content,
@@ -12,6 +17,7 @@ const KaTeXDisplay = ({
   activeHelpLevel,
   showHints,
   style = {},
+  ...attributes
 }) => {
   const displayRef = useRef(null);
 
@@ -29,58 +35,18 @@ const KaTeXDisplay = ({
       }
 
       // Process the content
-      let mathContent = content;
-      let displayMode = false;
-
-      // Check for display mode delimiters
-      if (mathContent.startsWith("\\[") && mathContent.endsWith("\\]")) {
-        mathContent = mathContent.slice(2, -2);
-        displayMode = true;
-      } else if (mathContent.startsWith("$$") && mathContent.endsWith("$$")) {
-        mathContent = mathContent.slice(2, -2);
-        displayMode = true;
-      } else if (mathContent.startsWith("$") && mathContent.endsWith("$")) {
-        mathContent = mathContent.slice(1, -1);
-        displayMode = false;
-      } else if (
-        context === "formula" &&
-        !mathContent.includes("\\begin{") &&
-        !mathContent.includes("\\[")
-      ) {
-        displayMode = false;
-      }
-
-      // Convert \class{color}{content} to \textcolor{color}{content}
-      mathContent = mathContent.replace(
-        /\\class\{([^}]+)\}\{([^}]+)\}/g,
-        (match, colorClass, innerContent) => {
-          const colorMap = {
-            "answer-highlight": "#4CAF50",
-            "error-highlight": "#F44336",
-            "hint-highlight": "#2196F3",
-            "step-highlight": "#FF9800",
-          };
-          const color = colorMap[colorClass] || colorClass;
-          return `\\textcolor{${color}}{${innerContent}}`;
-        }
+      const { mathContent, displayMode } = prepareKatexContent(
+        content,
+        context
       );
 
-      // Remove any \smash{} wrapping
-      mathContent = mathContent.replace(/\\smash\{([^}]+)\}/g, "$1");
-
       try {
         // Clear and render
         displayRef.current.innerHTML = "";
 
         katex.render(mathContent, displayRef.current, {
+          ...KATEX_OPTIONS,
           displayMode: displayMode,
-          throwOnError: false,
-          errorColor: "#cc0000",
-          strict: false,
-          trust: true,
-          macros: {
-            "\\cancel": "\\enclose{updiagonalstrike}{#1}",
-          },
         });
 
         // Mark this element as having rendered this specific content
@@ -101,16 +67,13 @@ const KaTeXDisplay = ({
     }
   }, [content, context, stepIndex, activeHelpLevel, showHints, className]);
 
-  const isDisplay =
-    content &&
-    (content.includes("\\[") ||
-      content.includes("$$") ||
-      content.includes("\\begin{"));
+  const isDisplay = isDisplayMath(content);
 
   const Element = isDisplay ? "div" : "span";
 
   return (
     <Element
+      {...attributes}
       ref={displayRef}
       className={`${className} ${isDisplay ? "katex-display" : "katex-inline"}`}
       style={{ color: "#000", ...style }}
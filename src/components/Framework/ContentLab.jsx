@@ -29,7 +29,8 @@ const ContentLab = ({ mode = "visual", enableAPI = false }) => {
         setContent: setContent,
         getContainer: () => container,
         setContainer: setContainer,
-        captureScreenshot: () => captureScreenshot(),
+        setViewport: setViewport,
+        captureScreenshot: (options) => captureScreenshot(options),
       });
 
       // Expose to window for Claude Code access
@@ -104,9 +105,20 @@ const ContentLab = ({ mode = "visual", enableAPI = false }) => {
   }, [content, contentType]);
 
   // Screenshot capability
-  const captureScreenshot = useCallback(async () => {
+  // options (from ContentLabAPI.screenshot): element, scale, backgroundColor (null = transparent), padding, type, quality
+  const captureScreenshot = useCallback(async (options = {}) => {
+    const {
+      element = null,
+      scale = 2, // Higher quality
+      backgroundColor = '#ffffff', // White background for clean formula screenshots
+      padding = 0,
+      type = "image/png",
+      quality,
+    } = options;
+
     // Try to capture just the container, not the entire preview panel
-    const container = document.querySelector('.container-emulator') || 
+    const container = element ||
+                     document.querySelector('.container-emulator') || 
                      document.querySelector('.rendered-content') ||
                      previewRef.current;
 
@@ -115,15 +127,18 @@ const ContentLab = ({ mode = "visual", enableAPI = false }) => {
     try {
       // Use html2canvas for screenshot
       const { default: html2canvas } = await import("html2canvas");
+      const rect = container.getBoundingClientRect();
       const canvas = await html2canvas(container, {
-        backgroundColor: '#ffffff', // White background for clean formula screenshots
-        scale: 2, // Higher quality
+        backgroundColor,
+        scale,
         logging: false,
-        width: container.offsetWidth,
-        height: container.offsetHeight,
+        x: rect.left + window.scrollX - padding,
+        y: rect.top + window.scrollY - padding,
+        width: container.offsetWidth + padding * 2,
+        height: container.offsetHeight + padding * 2,
       });
 
-      return canvas.toDataURL("image/png");
+      return canvas.toDataURL(type, quality);
     } catch (error) {
       console.error("Screenshot failed:", error);
       return null;
@@ -0,0 +1,585 @@
+// ExpressionEvaluator.js - Safe math expression parser for ContentLab
+// Tokenizes, parses and evaluates plain-text and LaTeX-style expressions without eval()
+// Self-contained on purpose: the tools do not depend on src/ast-pipeline, whose parser serves the step solvers
+
+const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  sec: (x) => 1 / Math.cos(x),
+  csc: (x) => 1 / Math.sin(x),
+  cot: (x) => 1 / Math.tan(x),
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  arcsin: Math.asin,
+  arccos: Math.acos,
+  arctan: Math.atan,
+  sinh: Math.sinh,
+  cosh: Math.cosh,
+  tanh: Math.tanh,
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  exp: Math.exp,
+  ln: Math.log,
+  log: (x, base) => (base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base)),
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  sign: Math.sign,
+  min: Math.min,
+  max: Math.max,
+  root: (x, n) => (x < 0 && n % 2 === 1 ? -Math.pow(-x, 1 / n) : Math.pow(x, 1 / n))
+};
+
+// Functions that accept more than one argument (min/max are variadic)
+const FUNCTION_ARITY = {
+  log: [1, 2],
+  root: [2, 2],
+  min: [1, Infinity],
+  max: [1, Infinity]
+};
+
+// sin^{-1} style notation maps to the inverse function
+const INVERSE_FUNCTIONS = {
+  sin: 'asin',
+  cos: 'acos',
+  tan: 'atan'
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  tau: 2 * Math.PI,
+  e: Math.E
+};
+
+// LaTeX commands that are pure spacing or sizing and can be dropped
+const IGNORED_COMMANDS = ['left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'displaystyle', 'quad', 'qquad'];
+
+const OPERATOR_COMMANDS = {
+  cdot: '*',
+  times: '*',
+  div: '/'
+};
+
+const UNICODE_REPLACEMENTS = [
+  [/[·×∙]/g, '*'],
+  [/÷/g, '/'],
+  [/[−–]/g, '-'],
+  [/π/g, ' pi '],
+  [/τ/g, ' tau '],
+  [/θ/g, ' theta '],
+  [/√/g, ' sqrt '],
+  [/²/g, '^2'],
+  [/³/g, '^3'],
+  [/\*\*/g, '^']
+];
+
+class ExpressionEvaluator {
+  constructor() {
+    this.functions = FUNCTIONS;
+    this.constants = CONSTANTS;
+  }
+
+  /**
+   * Parse an expression into an AST
+   * @param {string} expression - Plain text or LaTeX expression (e.g. "3x^2 - \\frac{1}{x}")
+   * @param {string[]} [variables] - Allowed variable names; any single letter is accepted when omitted
+   * @returns {object} AST root node
+   */
+  parse(expression, variables = null) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('Expression must be a non-empty string');
+    }
+
+    const tokens = this.tokenize(expression, variables);
+    const state = { tokens, index: 0, absDepth: 0, variables };
+    const ast = this.parseExpression(state);
+
+    if (state.index < tokens.length) {
+      const token = tokens[state.index];
+      throw new Error(`Unexpected "${token.value}" at position ${token.position}`);
+    }
+
+    return ast;
+  }
+
+  /**
+   * Compile an expression into a reusable function of a scope object
+   * @param {string} expression - Expression to compile
+   * @param {string[]} variables - Variable names the expression may use
+   * @returns {Function} (scope) => number, e.g. f({ x: 2 })
+   */
+  compile(expression, variables = ['x']) {
+    const ast = this.parse(expression, variables);
+    return this.compileNode(ast);
+  }
+
+  /**
+   * Evaluate an expression once for the given scope
+   */
+  evaluate(expression, scope = {}) {
+    return this.compile(expression, Object.keys(scope))(scope);
+  }
+
+  /**
+   * Validate an expression without evaluating it
+   * @returns {object} { valid, variables, error, position }
+   */
+  validate(expression, variables = null) {
+    try {
+      const ast = this.parse(expression, variables);
+      return {
+        valid: true,
+        variables: this.collectVariables(ast),
+        ast,
+        error: null
+      };
+    } catch (error) {
+      const positionMatch = error.message.match(/position (\d+)/);
+      return {
+        valid: false,
+        variables: [],
+        ast: null,
+        error: error.message,
+        position: positionMatch ? parseInt(positionMatch[1]) : null
+      };
+    }
+  }
+
+  /**
+   * List the distinct variable names used in an AST
+   */
+  collectVariables(node, found = new Set()) {
+    if (node.type === 'variable') {
+      found.add(node.name);
+    } else if (node.type === 'unary') {
+      this.collectVariables(node.argument, found);
+    } else if (node.type === 'binary') {
+      this.collectVariables(node.left, found);
+      this.collectVariables(node.right, found);
+    } else if (node.type === 'call') {
+      node.args.forEach(arg => this.collectVariables(arg, found));
+    }
+    return [...found];
+  }
+
+  // Tokenizer
+
+  /**
+   * Split an expression into number, name, operator, bracket and command tokens
+   */
+  tokenize(expression, variables = null) {
+    let input = expression.replace(/\$/g, '');
+    UNICODE_REPLACEMENTS.forEach(([pattern, replacement]) => {
+      input = input.replace(pattern, replacement);
+    });
+
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+      const char = input[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      // Numbers: 3, 2.5, .75
+      const numberMatch = input.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+      if (numberMatch) {
+        // 2.5.3 and 1..2 are typos, not the product 2.5 · .3
+        if (input[i + numberMatch[1].length] === '.') {
+          throw new Error(`Invalid number at position ${i}`);
+        }
+        tokens.push({ type: 'number', value: parseFloat(numberMatch[1]), position: i });
+        i += numberMatch[1].length;
+        continue;
+      }
+
+      // LaTeX commands: \frac, \sin, \pi, \cdot, \left ...
+      if (char === '\\') {
+        const commandMatch = input.slice(i + 1).match(/^([a-zA-Z]+|.)/);
+        if (!commandMatch) {
+          throw new Error(`Dangling backslash at position ${i}`);
+        }
+        const command = commandMatch[1];
+        const position = i;
+        i += command.length + 1;
+
+        if (IGNORED_COMMANDS.includes(command) || /^[,;:! ]$/.test(command)) {
+          continue;
+        }
+        if (OPERATOR_COMMANDS[command]) {
+          tokens.push({ type: 'operator', value: OPERATOR_COMMANDS[command], position });
+        } else if (command === '{' || command === '}') {
+          tokens.push({ type: command === '{' ? 'lparen' : 'rparen', value: command, position });
+        } else if (['frac', 'dfrac', 'tfrac', 'sqrt'].includes(command)) {
+          tokens.push({ type: 'command', value: command === 'sqrt' ? 'sqrt' : 'frac', position });
+        } else if (this.functions[command] || this.constants[command] || (variables && variables.includes(command))) {
+          tokens.push({ type: 'name', value: command, position });
+        } else if (command === 'theta' || command === 'alpha' || command === 'beta' || command === 'phi') {
+          tokens.push({ type: 'name', value: command, position });
+        } else {
+          throw new Error(`Unsupported command "\\${command}" at position ${position}`);
+        }
+        continue;
+      }
+
+      // Names: split runs of letters into known functions, constants and variables
+      const nameMatch = input.slice(i).match(/^[a-zA-Z]+/);
+      if (nameMatch) {
+        this.splitName(nameMatch[0], variables).forEach(part => {
+          tokens.push({ type: 'name', value: part.name, position: i + part.offset });
+        });
+        i += nameMatch[0].length;
+        continue;
+      }
+
+      if ('+-*/^_,|'.includes(char)) {
+        tokens.push({ type: 'operator', value: char, position: i });
+        i++;
+        continue;
+      }
+
+      if ('([{'.includes(char)) {
+        tokens.push({ type: 'lparen', value: char, position: i });
+        i++;
+        continue;
+      }
+
+      if (')]}'.includes(char)) {
+        tokens.push({ type: 'rparen', value: char, position: i });
+        i++;
+        continue;
+      }
+
+      throw new Error(`Unexpected character "${char}" at position ${i}`);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Break a run of letters such as "xsinx" or "2pix" into known names.
+   * Longest match wins; leftover letters become single-letter names.
+   */
+  splitName(word, variables = null) {
+    const known = [
+      ...Object.keys(this.functions),
+      ...Object.keys(this.constants),
+      'theta', 'alpha', 'beta', 'phi',
+      ...(variables || [])
+    ].sort((a, b) => b.length - a.length);
+
+    if (known.includes(word)) {
+      return [{ name: word, offset: 0 }];
+    }
+
+    const parts = [];
+    let offset = 0;
+    while (offset < word.length) {
+      const rest = word.slice(offset);
+      const match = known.find(name => name.length > 1 && rest.startsWith(name));
+      const name = match || rest[0];
+      parts.push({ name, offset });
+      offset += name.length;
+    }
+    return parts;
+  }
+
+  // Recursive descent parser
+
+  peek(state) {
+    return state.tokens[state.index];
+  }
+
+  next(state) {
+    return state.tokens[state.index++];
+  }
+
+  isOperator(token, value) {
+    return token && token.type === 'operator' && token.value === value;
+  }
+
+  expect(state, type, value) {
+    const token = this.next(state);
+    if (!token) {
+      throw new Error(`Unexpected end of expression, expected "${value || type}"`);
+    }
+    if (token.type !== type || (value && token.value !== value)) {
+      throw new Error(`Expected "${value || type}" but found "${token.value}" at position ${token.position}`);
+    }
+    return token;
+  }
+
+  parseExpression(state) {
+    let left = this.parseTerm(state);
+
+    while (this.isOperator(this.peek(state), '+') || this.isOperator(this.peek(state), '-')) {
+      const op = this.next(state).value;
+      const right = this.parseTerm(state);
+      left = { type: 'binary', op, left, right };
+    }
+
+    return left;
+  }
+
+  parseTerm(state) {
+    let left = this.parseUnary(state);
+
+    for (;;) {
+      const token = this.peek(state);
+      if (this.isOperator(token, '*') || this.isOperator(token, '/')) {
+        this.next(state);
+        const right = this.parseUnary(state);
+        left = { type: 'binary', op: token.value, left, right };
+      } else if (this.startsImplicitFactor(state, token)) {
+        // Implicit multiplication: 3x, 2(x + 1), (x - 1)(x + 1), x sin(x)
+        const right = this.parsePower(state);
+        left = { type: 'binary', op: '*', left, right };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  startsImplicitFactor(state, token) {
+    if (!token) return false;
+    if (token.type === 'number' || token.type === 'name' || token.type === 'command') return true;
+    if (token.type === 'lparen') return true;
+    // A bar opens a new absolute value only when we are not inside one waiting to close
+    return this.isOperator(token, '|') && state.absDepth === 0;
+  }
+
+  parseUnary(state) {
+    const token = this.peek(state);
+    if (this.isOperator(token, '-')) {
+      this.next(state);
+      return { type: 'unary', op: '-', argument: this.parseUnary(state) };
+    }
+    if (this.isOperator(token, '+')) {
+      this.next(state);
+      return this.parseUnary(state);
+    }
+    return this.parsePower(state);
+  }
+
+  parsePower(state) {
+    const base = this.parsePrimary(state);
+
+    if (this.isOperator(this.peek(state), '^')) {
+      this.next(state);
+      // Right-associative, and allows signed exponents: 2^-x, x^{-1}
+      const exponent = this.parseUnary(state);
+      return { type: 'binary', op: '^', left: base, right: exponent };
+    }
+
+    return base;
+  }
+
+  parsePrimary(state) {
+    const token = this.next(state);
+
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'lparen') {
+      const inner = this.parseExpression(state);
+      this.expectClosing(state, token);
+      return inner;
+    }
+
+    if (this.isOperator(token, '|')) {
+      state.absDepth++;
+      const inner = this.parseExpression(state);
+      state.absDepth--;
+      this.expect(state, 'operator', '|');
+      return { type: 'call', name: 'abs', args: [inner] };
+    }
+
+    if (token.type === 'command') {
+      return token.value === 'frac' ? this.parseFrac(state) : this.parseSqrt(state);
+    }
+
+    if (token.type === 'name') {
+      if (this.functions[token.value]) {
+        return this.parseFunctionCall(state, token);
+      }
+      if (this.constants[token.value] !== undefined && !(state.variables && state.variables.includes(token.value))) {
+        return { type: 'number', value: this.constants[token.value], name: token.value };
+      }
+      if (state.variables && !state.variables.includes(token.value)) {
+        throw new Error(`Unknown variable "${token.value}" at position ${token.position}`);
+      }
+      return { type: 'variable', name: token.value };
+    }
+
+    throw new Error(`Unexpected "${token.value}" at position ${token.position}`);
+  }
+
+  expectClosing(state, open) {
+    const pairs = { '(': ')', '[': ']', '{': '}' };
+    const close = this.next(state);
+    if (!close || close.type !== 'rparen') {
+      throw new Error(`Missing "${pairs[open.value]}" for "${open.value}" at position ${open.position}`);
+    }
+    if (close.value !== pairs[open.value]) {
+      throw new Error(`Mismatched "${close.value}" at position ${close.position}`);
+    }
+  }
+
+  parseGroup(state) {
+    const open = this.expect(state, 'lparen');
+    const inner = this.parseExpression(state);
+    this.expectClosing(state, open);
+    return inner;
+  }
+
+  parseFrac(state) {
+    const numerator = this.parseGroup(state);
+    const denominator = this.parseGroup(state);
+    return { type: 'binary', op: '/', left: numerator, right: denominator };
+  }
+
+  parseSqrt(state) {
+    // \sqrt[n]{x}
+    const token = this.peek(state);
+    if (token && token.type === 'lparen' && token.value === '[') {
+      const index = this.parseGroup(state);
+      const radicand = this.parseGroup(state);
+      return { type: 'call', name: 'root', args: [radicand, index] };
+    }
+    return { type: 'call', name: 'sqrt', args: [this.parseGroup(state)] };
+  }
+
+  /**
+   * Parse a function application: sin(x), sin x, \sin^2 x, \log_{2}(x), sin^{-1}(x)
+   */
+  parseFunctionCall(state, token) {
+    let name = token.value;
+    let base = null;
+    let power = null;
+
+    if (this.isOperator(this.peek(state), '_')) {
+      this.next(state);
+      base = this.parsePrimary(state);
+    }
+
+    if (this.isOperator(this.peek(state), '^')) {
+      this.next(state);
+      power = this.parseUnary(state);
+      if (power.type === 'unary' && power.argument.type === 'number' && power.argument.value === 1 && INVERSE_FUNCTIONS[name]) {
+        name = INVERSE_FUNCTIONS[name];
+        power = null;
+      }
+    }
+
+    let args;
+    const next = this.peek(state);
+    if (next && next.type === 'lparen' && next.value === '(') {
+      this.next(state);
+      args = [this.parseExpression(state)];
+      while (this.isOperator(this.peek(state), ',')) {
+        this.next(state);
+        args.push(this.parseExpression(state));
+      }
+      this.expectClosing(state, next);
+    } else {
+      // Without parentheses the argument runs to the next explicit operator or function: sin 2x
+      let argument = this.parsePower(state);
+      while (this.startsImplicitFactor(state, this.peek(state)) && !this.isFunctionToken(this.peek(state))) {
+        argument = { type: 'binary', op: '*', left: argument, right: this.parsePower(state) };
+      }
+      args = [argument];
+    }
+
+    if (base) {
+      if (name !== 'log') {
+        throw new Error(`Subscript is only supported on log (position ${token.position})`);
+      }
+      args.push(base);
+    }
+
+    const [minArgs, maxArgs] = FUNCTION_ARITY[name] || [1, 1];
+    if (args.length < minArgs || args.length > maxArgs) {
+      throw new Error(`Function "${name}" called with ${args.length} argument(s) at position ${token.position}`);
+    }
+
+    const call = { type: 'call', name, args };
+    return power ? { type: 'binary', op: '^', left: call, right: power } : call;
+  }
+
+  isFunctionToken(token) {
+    return token && (token.type === 'command' || (token.type === 'name' && !!this.functions[token.value]));
+  }
+
+  // Compilation
+
+  /**
+   * Turn an AST node into a closure so repeated evaluation (plotting) stays fast
+   */
+  compileNode(node) {
+    switch (node.type) {
+      case 'number': {
+        const value = node.value;
+        return () => value;
+      }
+      case 'variable': {
+        const name = node.name;
+        return (scope) => {
+          const value = scope[name];
+          if (value === undefined) {
+            throw new Error(`No value provided for variable "${name}"`);
+          }
+          return value;
+        };
+      }
+      case 'unary': {
+        const argument = this.compileNode(node.argument);
+        return (scope) => -argument(scope);
+      }
+      case 'binary': {
+        const left = this.compileNode(node.left);
+        const right = this.compileNode(node.right);
+        switch (node.op) {
+          case '+': return (scope) => left(scope) + right(scope);
+          case '-': return (scope) => left(scope) - right(scope);
+          case '*': return (scope) => left(scope) * right(scope);
+          case '/': return (scope) => left(scope) / right(scope);
+          case '^': return (scope) => this.power(left(scope), right(scope));
+          default: throw new Error(`Unknown operator "${node.op}"`);
+        }
+      }
+      case 'call': {
+        const fn = this.functions[node.name];
+        const args = node.args.map(arg => this.compileNode(arg));
+        return (scope) => fn(...args.map(arg => arg(scope)));
+      }
+      default:
+        throw new Error(`Unknown node type "${node.type}"`);
+    }
+  }
+
+  /**
+   * Real-valued power: odd roots of negative numbers stay real, e.g. x^(1/3)
+   */
+  power(base, exponent) {
+    if (base < 0 && !Number.isInteger(exponent)) {
+      const reciprocal = 1 / exponent;
+      if (Number.isInteger(Math.round(reciprocal)) && Math.abs(reciprocal - Math.round(reciprocal)) < 1e-9 && Math.round(reciprocal) % 2 !== 0) {
+        return -Math.pow(-base, exponent);
+      }
+    }
+    return Math.pow(base, exponent);
+  }
+}
+
+export default ExpressionEvaluator;
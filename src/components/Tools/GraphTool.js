@@ -1,8 +1,11 @@
 // GraphTool.js - 4 Quadrant Coordinate Graph Tool for ContentLab
 // Generates SVG-based coordinate graphs for algebra problems
 
+import ExpressionEvaluator from './ExpressionEvaluator.js';
+
 class GraphTool {
   constructor() {
+    this.evaluator = new ExpressionEvaluator();
     this.name = 'Coordinate Graph';
     this.id = 'graph';
     this.icon = '📈';
@@ -19,7 +22,9 @@ class GraphTool {
       axisColor: '#000000',
       gridColor: '#e0e0e0',
       backgroundColor: '#ffffff',
-      size: 'medium'
+      size: 'medium',
+      sampling: 'adaptive', // adaptive | uniform
+      quality: 'medium'     // low | medium | high
     };
     
     // Size presets for responsive sizing
@@ -29,6 +34,13 @@ class GraphTool {
       large: { width: 600, height: 600, baseFontSize: 12 },
       xlarge: { width: 800, height: 800, baseFontSize: 14 }
     };
+    
+    // Adaptive sampling presets: tolerances are in screen pixels, maxPoints caps each curve
+    this.qualityPresets = {
+      low: { initialSamples: 24, tolerance: 1, maxAngle: 20, maxDepth: 6, maxPoints: 400 },
+      medium: { initialSamples: 48, tolerance: 0.5, maxAngle: 10, maxDepth: 10, maxPoints: 1500 },
+      high: { initialSamples: 96, tolerance: 0.25, maxAngle: 5, maxDepth: 14, maxPoints: 5000 }
+    };
   }
 
   /**
@@ -69,7 +81,17 @@ class GraphTool {
       lines: [],
       functions: [],
       shaded: [],
-      labels: []
+      labels: [],
+      segments: [],
+      vectors: [],
+      namedPoints: {},
+      asymptotes: [],
+      parametric: [],
+      polar: [],
+      window: null,
+      grid: null,
+      ticks: {},
+      scales: {}
     };
 
     // Split content into lines
@@ -78,12 +100,39 @@ class GraphTool {
     lines.forEach(line => {
       line = line.trim();
       
-      // Parse points: point(2, 3)
-      const pointMatch = line.match(/point\s*\(\s*(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)\s*\)/i);
+      // Parse points: point(2, 3), point A(2, 3), point M = midpoint(A, B) [color:blue] [style:open] [label:coords]
+      const pointMatch = this.stripModifiers(line).match(/^point\s*(?:(?!midpoint\b)([A-Za-z]\w*)\s*)?(?:=\s*)?(midpoint\s*)?\((.+)\)$/i);
       if (pointMatch) {
-        data.points.push({
-          x: parseFloat(pointMatch[1]),
-          y: parseFloat(pointMatch[2])
+        const modifiers = this.parseModifiers(line);
+        const name = pointMatch[1] || null;
+        const coordinates = pointMatch[2]
+          ? this.midpointOf(pointMatch[3], data.namedPoints)
+          : this.parsePointReference(`(${pointMatch[3]})`, data.namedPoints);
+        const point = {
+          ...coordinates,
+          name,
+          color: modifiers.color || 'red',
+          style: this.parsePointStyle(modifiers.style),
+          label: this.formatPointLabel(name, coordinates, modifiers.label)
+        };
+        data.points.push(point);
+        if (name) {
+          data.namedPoints[name] = coordinates;
+        }
+      }
+      
+      // Parse segments and vectors: segment(A, B), segment((0, 0), (3, 4)), vector(0,0 -> 3,4) [label:length]
+      const segmentMatch = this.stripModifiers(line).match(/^(segment|vector)\s*\((.+)\)$/i);
+      if (segmentMatch) {
+        const kind = segmentMatch[1].toLowerCase();
+        const modifiers = this.parseModifiers(line);
+        const [start, end] = this.parseEndpoints(segmentMatch[2], kind, data.namedPoints);
+        (kind === 'vector' ? data.vectors : data.segments).push({
+          start,
+          end,
+          color: modifiers.color || (kind === 'vector' ? 'blue' : 'black'),
+          dashed: /^dash(ed)?$/i.test(modifiers.style || ''),
+          label: this.formatSegmentLabel(start, end, modifiers.label)
         });
       }
       
@@ -111,23 +160,82 @@ class GraphTool {
         data.functions.push(funcData);
       }
       
-      // Parse shaded regions: shade x > 2
-      const shadeMatch = line.match(/shade\s+([xy])\s*([<>=]+)\s*(-?\d+\.?\d*)/i);
+      // Parse shaded regions: shade x > 2, shade y < 2x + 1, shade y >= x^2 - 4 and y <= 5 [color:red]
+      const shadeMatch = line.match(/^shade\s+(.+?)(?:\s*\[color:\s*(\w+)\])?$/i);
       if (shadeMatch) {
         data.shaded.push({
-          variable: shadeMatch[1].toLowerCase(),
-          operator: shadeMatch[2],
-          value: parseFloat(shadeMatch[3])
+          inequalities: shadeMatch[1].split(/\s+and\s+|\s*&&\s*/i).map(part => this.parseInequality(part)),
+          color: shadeMatch[2] || null
+        });
+      }
+      
+      // Parse asymptotes: asymptote x = 2, asymptote y = 0, asymptote y = 2x + 1 [color:gray]
+      const asymptoteMatch = line.match(/^asymptote\s+([xy])\s*=\s*(.+?)(?:\s*\[color:\s*(\w+)\])?$/i);
+      if (asymptoteMatch) {
+        data.asymptotes.push(this.parseAsymptote(asymptoteMatch[1].toLowerCase(), asymptoteMatch[2].trim(), asymptoteMatch[3]));
+      }
+      
+      // Parse parametric curves: param x = cos(t), y = sin(t), t in [0, 2pi] [color:red] [samples:200]
+      const paramMatch = this.stripModifiers(line).match(/^param\s+x\s*=\s*(.+?)\s*,\s*y\s*=\s*(.+?)(?:\s*,\s*t\s+in\s+(\[.+\]))?$/i);
+      if (paramMatch) {
+        const modifiers = this.parseModifiers(line);
+        const [tMin, tMax] = paramMatch[3] ? this.parseRange(paramMatch[3]) : [0, 2 * Math.PI];
+        data.parametric.push({
+          x: paramMatch[1].trim(),
+          y: paramMatch[2].trim(),
+          tMin,
+          tMax,
+          color: modifiers.color || 'purple',
+          samples: modifiers.samples ? parseInt(modifiers.samples) : null
         });
       }
       
-      // Parse labels: label(2, 3, "A")
-      const labelMatch = line.match(/label\s*\(\s*(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)\s*,\s*"([^"]+)"\s*\)/i);
+      // Parse polar curves: polar r = 1 + cos(theta), theta in [0, 2pi] [color:red] [samples:200]
+      const polarMatch = this.stripModifiers(line).match(/^polar\s+r\s*=\s*(.+?)(?:\s*,\s*(?:theta|θ|t)\s+in\s+(\[.+\]))?$/i);
+      if (polarMatch) {
+        const modifiers = this.parseModifiers(line);
+        const [thetaMin, thetaMax] = polarMatch[2] ? this.parseRange(polarMatch[2]) : [0, 2 * Math.PI];
+        data.polar.push({
+          r: polarMatch[1].trim(),
+          thetaMin,
+          thetaMax,
+          color: modifiers.color || 'purple',
+          samples: modifiers.samples ? parseInt(modifiers.samples) : null
+        });
+      }
+      
+      // Parse viewing window: window x[-2pi, 2pi] y[-3, 3]
+      const windowMatch = line.match(/^window\s+(.+)$/i);
+      if (windowMatch) {
+        data.window = { ...data.window, ...this.parseWindow(windowMatch[1]) };
+      }
+      
+      // Parse grid spacing: grid 0.5, grid pi/4, grid off
+      const gridMatch = line.match(/^grid\s+(.+)$/i);
+      if (gridMatch) {
+        data.grid = /^off$/i.test(gridMatch[1].trim())
+          ? { show: false }
+          : { show: true, step: gridMatch[1].trim() };
+      }
+      
+      // Parse tick spacing: xticks pi/2, yticks 0.5
+      const ticksMatch = line.match(/^([xy])ticks\s+(.+)$/i);
+      if (ticksMatch) {
+        data.ticks[ticksMatch[1].toLowerCase()] = ticksMatch[2].trim();
+      }
+      
+      // Parse axis scale: xscale log, yscale linear
+      const scaleMatch = line.match(/^([xy])scale\s+(log|linear)$/i);
+      if (scaleMatch) {
+        data.scales[scaleMatch[1].toLowerCase()] = scaleMatch[2].toLowerCase();
+      }
+      
+      // Parse labels: label(2, 3, "A") or label(A, "text") for a named point
+      const labelMatch = line.match(/^label\s*\((.+),\s*"([^"]+)"\s*\)/i);
       if (labelMatch) {
         data.labels.push({
-          x: parseFloat(labelMatch[1]),
-          y: parseFloat(labelMatch[2]),
-          text: labelMatch[3]
+          ...this.parsePointReference(labelMatch[1], data.namedPoints),
+          text: labelMatch[2]
         });
       }
     });
@@ -136,9 +244,537 @@ class GraphTool {
   }
 
   /**
-   * Generate the SVG graph
+   * Collect [key: value] modifiers from a command line, e.g. [color:red] [samples:200]
    */
-  generateGraph(graphData, options = {}) {
+  parseModifiers(line) {
+    const modifiers = {};
+    const pattern = /\[(\w+)\s*:\s*([^\]]+)\]/g;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      modifiers[match[1].toLowerCase()] = match[2].trim();
+    }
+    return modifiers;
+  }
+
+  /**
+   * Remove [key: value] modifiers so the command itself can be matched
+   */
+  stripModifiers(line) {
+    return line.replace(/\s*\[\w+\s*:\s*[^\]]+\]/g, '').trim();
+  }
+
+  /**
+   * Resolve a point reference: a named point ("A") or a coordinate pair ("(2, 3)", "2, pi/2")
+   */
+  parsePointReference(text, namedPoints) {
+    const reference = text.trim();
+    if (/^[A-Za-z]\w*$/.test(reference)) {
+      if (!namedPoints[reference]) {
+        throw new Error(`Unknown point "${reference}": define it first with point ${reference}(x, y)`);
+      }
+      return { ...namedPoints[reference] };
+    }
+    
+    const parts = this.splitArguments(this.unwrapParentheses(reference));
+    if (parts.length !== 2) {
+      throw new Error(`Invalid point "${reference}": expected (x, y) or a point name`);
+    }
+    const [x, y] = parts.map(part => this.evaluator.evaluate(part));
+    return { x, y };
+  }
+
+  /**
+   * Split on commas that are not nested inside parentheses, so "(0, 0), (3, 4)" gives two parts
+   */
+  splitArguments(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current.trim());
+    return parts.filter(part => part !== '');
+  }
+
+  /**
+   * Drop one pair of parentheses that wraps the whole text: "(2, 3)" -> "2, 3", but "(1)+(2)" is left alone
+   */
+  unwrapParentheses(text) {
+    if (!text.startsWith('(') || !text.endsWith(')')) return text;
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '(') depth++;
+      if (text[i] === ')') depth--;
+      if (depth === 0 && i < text.length - 1) return text;
+    }
+    return text.slice(1, -1).trim();
+  }
+
+  /**
+   * Midpoint of two point references, e.g. midpoint(A, B) or midpoint((0, 0), (4, 2))
+   */
+  midpointOf(text, namedPoints) {
+    const [start, end] = this.parseEndpoints(text, 'midpoint', namedPoints);
+    return { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+  }
+
+  /**
+   * Parse the two endpoints of a segment or vector.
+   * Accepts "A, B", "(0, 0), (3, 4)", "0, 0, 3, 4" and the arrow form "0,0 -> 3,4" / "A -> B"
+   */
+  parseEndpoints(text, kind, namedPoints) {
+    let references = text.includes('->') ? text.split('->') : this.splitArguments(text);
+    if (references.length === 4) {
+      references = [`${references[0]}, ${references[1]}`, `${references[2]}, ${references[3]}`];
+    }
+    if (references.length !== 2) {
+      throw new Error(`Invalid ${kind} "${text}": expected two points, e.g. ${kind}(A, B) or ${kind}((0, 0), (3, 4))`);
+    }
+    return references.map(reference => this.parsePointReference(reference, namedPoints));
+  }
+
+  /**
+   * Point marker style: closed (filled, included) or open (hollow, excluded)
+   */
+  parsePointStyle(style) {
+    if (!style) return 'closed';
+    const normalized = style.toLowerCase();
+    if (normalized === 'open' || normalized === 'closed') return normalized;
+    throw new Error(`Invalid point style "${style}": expected open or closed`);
+  }
+
+  /**
+   * Resolve a point's [label:...] modifier. Named points are labeled with their name by default.
+   * @param {string} mode - name | coords | both | none | any other text (used as-is)
+   */
+  formatPointLabel(name, point, mode) {
+    const coordinates = `(${this.formatCoordinate(point.x)}, ${this.formatCoordinate(point.y)})`;
+    switch ((mode || (name ? 'name' : 'none')).toLowerCase()) {
+      case 'none': return null;
+      case 'name': return name;
+      case 'coords': return coordinates;
+      case 'both': return name ? `${name}${coordinates}` : coordinates;
+      default: return this.unquote(mode);
+    }
+  }
+
+  /**
+   * Resolve a segment or vector [label:...] modifier
+   * @param {string} mode - length | slope | none | any other text (used as-is)
+   */
+  formatSegmentLabel(start, end, mode) {
+    if (!mode) return null;
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    switch (mode.toLowerCase()) {
+      case 'none': return null;
+      case 'length': return this.formatLength(dx * dx + dy * dy);
+      case 'slope': return `m = ${dx === 0 ? 'undefined' : this.formatRatio(dy, dx)}`;
+      default: return this.unquote(mode);
+    }
+  }
+
+  /**
+   * Format a length from its square so integer-coordinate distances stay exact: 25 -> "5", 13 -> "√13", 8 -> "2√2"
+   */
+  formatLength(squared) {
+    const rounded = Math.round(squared);
+    if (Math.abs(squared - rounded) > 1e-9) {
+      return this.formatCoordinate(Math.sqrt(squared));
+    }
+    let coefficient = 1;
+    let radicand = rounded;
+    for (let factor = 2; factor * factor <= radicand; factor++) {
+      while (radicand % (factor * factor) === 0) {
+        coefficient *= factor;
+        radicand /= factor * factor;
+      }
+    }
+    if (radicand === 1) return String(coefficient);
+    return `${coefficient === 1 ? '' : coefficient}√${radicand}`;
+  }
+
+  /**
+   * Format rise/run as a reduced fraction when both are integers, otherwise as a decimal
+   */
+  formatRatio(rise, run) {
+    if (!Number.isInteger(rise) || !Number.isInteger(run)) {
+      return this.formatCoordinate(rise / run);
+    }
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const divisor = gcd(Math.abs(rise), Math.abs(run)) * Math.sign(run);
+    const numerator = rise / divisor;
+    const denominator = run / divisor;
+    return denominator === 1 ? String(numerator) : `${numerator}/${denominator}`;
+  }
+
+  /**
+   * Coordinates in labels are shown to at most 2 decimal places
+   */
+  formatCoordinate(value) {
+    return String(parseFloat(value.toFixed(2)));
+  }
+
+  unquote(text) {
+    return text.replace(/^["']|["']$/g, '');
+  }
+
+  /**
+   * Parse a parameter range such as [0, 2pi] or [-pi/2, pi/2]
+   */
+  parseRange(text) {
+    const parts = text.replace(/^\[|\]$/g, '').split(',');
+    if (parts.length !== 2) {
+      throw new Error(`Invalid range "${text}": expected [start, end]`);
+    }
+    
+    const [start, end] = parts.map(part => this.evaluator.evaluate(part.trim()));
+    if (!(start < end)) {
+      throw new Error(`Invalid range "${text}": start must be less than end`);
+    }
+    return [start, end];
+  }
+
+  /**
+   * Parse window bounds such as "x[-2pi, 2pi] y[-3, 3]" (either axis may be omitted)
+   */
+  parseWindow(text) {
+    const window = {};
+    const pattern = /([xy])\s*(\[[^\]]+\])/gi;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const axis = match[1].toLowerCase();
+      const [min, max] = this.parseRange(match[2]);
+      window[`${axis}Min`] = min;
+      window[`${axis}Max`] = max;
+    }
+    
+    if (Object.keys(window).length === 0) {
+      throw new Error(`Invalid window "${text}": expected x[min, max] and/or y[min, max]`);
+    }
+    return window;
+  }
+
+  /**
+   * Resolve a numeric setting that may be a number or an expression string ("2pi", "pi/2")
+   */
+  resolveNumber(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    if (typeof value === 'number') return value;
+    return this.evaluator.evaluate(String(value));
+  }
+
+  /**
+   * Combine options and content commands into per-axis settings.
+   * Content commands (window, grid, xticks, xscale) override options, like range() does for number lines.
+   * @returns {object} { x: { min, max, log, tickStep, tickFormat, gridStep }, y: {...}, showGrid }
+   */
+  resolveAxisSettings(config, options, graphData) {
+    const settings = { showGrid: config.showGrid };
+    if (graphData.grid && graphData.grid.show === false) {
+      settings.showGrid = false;
+    }
+    
+    ['x', 'y'].forEach(axis => {
+      const window = graphData.window || {};
+      const min = this.resolveNumber(window[`${axis}Min`] ?? config[`${axis}Min`], -10);
+      const max = this.resolveNumber(window[`${axis}Max`] ?? config[`${axis}Max`], 10);
+      const log = (graphData.scales[axis] || config[`${axis}ScaleType`]) === 'log';
+      
+      const tickSource = graphData.ticks[axis] ?? config[`${axis}TickStep`] ?? config.labelStep ?? 1;
+      const tickStep = this.resolveNumber(tickSource, 1);
+      const explicitTicks = graphData.ticks[axis] !== undefined || config[`${axis}TickStep`] !== undefined;
+      
+      // Grid follows the tick spacing unless a grid step was given explicitly
+      let gridStep = config.gridStep;
+      if (graphData.grid && graphData.grid.step !== undefined) {
+        gridStep = this.resolveNumber(graphData.grid.step, 1);
+      } else if (options.gridStep !== undefined) {
+        gridStep = this.resolveNumber(options.gridStep, 1);
+      } else if (explicitTicks) {
+        gridStep = tickStep;
+      }
+      
+      let tickFormat = config[`${axis}TickFormat`] || 'auto';
+      if (tickFormat === 'auto') {
+        tickFormat = typeof tickSource === 'string' && /pi|π/i.test(tickSource) ? 'pi' : 'decimal';
+      }
+      
+      if (!(min < max)) {
+        throw new Error(`Invalid ${axis} window [${min}, ${max}]: min must be less than max`);
+      }
+      if (log && min <= 0) {
+        throw new Error(`Log scale on ${axis} needs a positive window, got [${min}, ${max}]`);
+      }
+      if (!(tickStep > 0) || !(gridStep > 0)) {
+        throw new Error(`Tick and grid steps on ${axis} must be positive`);
+      }
+      
+      settings[axis] = { min, max, log, tickStep, tickFormat, gridStep };
+    });
+    
+    return settings;
+  }
+
+  /**
+   * Map graph coordinates onto [start, end] pixels; log axes map log10 of the value
+   */
+  createTransform(min, max, log, start, end) {
+    if (log) {
+      const logMin = Math.log10(min);
+      const scale = (end - start) / (Math.log10(max) - logMin);
+      return (value) => start + (Math.log10(value) - logMin) * scale;
+    }
+    const scale = (end - start) / (max - min);
+    return (value) => start + (value - min) * scale;
+  }
+
+  /**
+   * Values for ticks or grid lines within [min, max]: multiples of step, or decades on a log axis
+   * @param {boolean} minor - On log axes also include 2..9 times each decade (grid lines)
+   */
+  axisValues(axis, step, minor = false) {
+    const values = [];
+    const epsilon = 1e-9;
+    
+    if (axis.log) {
+      for (let exponent = Math.floor(Math.log10(axis.min)); exponent <= Math.ceil(Math.log10(axis.max)); exponent++) {
+        const multiples = minor ? [1, 2, 3, 4, 5, 6, 7, 8, 9] : [1];
+        multiples.forEach(multiple => {
+          const value = multiple * Math.pow(10, exponent);
+          if (value >= axis.min * (1 - epsilon) && value <= axis.max * (1 + epsilon)) {
+            values.push(value);
+          }
+        });
+      }
+      return values;
+    }
+    
+    // Step by index rather than accumulating, so 0.1 steps don't drift to 0.30000000000000004
+    const first = Math.ceil(axis.min / step - epsilon);
+    const last = Math.floor(axis.max / step + epsilon);
+    for (let k = first; k <= last; k++) {
+      values.push(k * step);
+    }
+    return values;
+  }
+
+  /**
+   * Format a tick value: "pi" gives π/2, 3π/2, -π; "decimal" trims float noise
+   */
+  formatTick(value, format) {
+    if (format === 'pi') {
+      const ratio = value / Math.PI;
+      for (let denominator = 1; denominator <= 12; denominator++) {
+        const numerator = Math.round(ratio * denominator);
+        if (Math.abs(ratio * denominator - numerator) < 1e-9) {
+          if (numerator === 0) return '0';
+          const sign = numerator < 0 ? '-' : '';
+          const coefficient = Math.abs(numerator) === 1 ? '' : Math.abs(numerator);
+          return `${sign}${coefficient}π${denominator === 1 ? '' : `/${denominator}`}`;
+        }
+      }
+    }
+    return String(parseFloat(value.toPrecision(12)));
+  }
+
+  /**
+   * Build an asymptote entry: x = c is vertical, y = c horizontal, y = f(x) oblique
+   */
+  parseAsymptote(variable, valueExpression, color) {
+    if (variable === 'x') {
+      return {
+        orientation: 'vertical',
+        value: this.evaluator.evaluate(valueExpression),
+        color: color || null
+      };
+    }
+    
+    const validation = this.evaluator.validate(valueExpression, ['x']);
+    if (!validation.valid) {
+      throw new Error(`Invalid asymptote "y = ${valueExpression}": ${validation.error}`);
+    }
+    
+    if (validation.variables.length === 0) {
+      return {
+        orientation: 'horizontal',
+        value: this.evaluator.evaluate(valueExpression),
+        color: color || null
+      };
+    }
+    
+    return {
+      orientation: 'oblique',
+      expression: valueExpression,
+      color: color || null
+    };
+  }
+
+  /**
+   * Parse one inequality into a bound on y (y op f(x)) or on x (x op c).
+   * Accepts the variable on either side and linear standard form such as 2x + 3y < 6.
+   */
+  parseInequality(text) {
+    const match = text.trim().match(/^(.+?)\s*(<=|>=|=<|=>|≤|≥|<|>)\s*(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid inequality "${text.trim()}"`);
+    }
+    
+    const normalize = { '=<': '<=', '=>': '>=', '≤': '<=', '≥': '>=' };
+    const flip = { '<': '>', '>': '<', '<=': '>=', '>=': '<=' };
+    let [, left, operator, right] = match;
+    operator = normalize[operator] || operator;
+    left = left.trim();
+    right = right.trim();
+    
+    // Put a lone variable on the left: 3 < x becomes x > 3
+    if (!/^[xy]$/i.test(left) && /^[xy]$/i.test(right)) {
+      [left, right] = [right, left];
+      operator = flip[operator];
+    }
+    
+    const strict = !operator.includes('=');
+    const rightInfo = this.evaluator.validate(right, ['x', 'y']);
+    if (!rightInfo.valid) {
+      throw new Error(`Invalid inequality "${text.trim()}": ${rightInfo.error}`);
+    }
+    
+    if (/^y$/i.test(left) && !rightInfo.variables.includes('y')) {
+      return { variable: 'y', operator, expression: right, value: null, strict };
+    }
+    
+    if (/^x$/i.test(left) && rightInfo.variables.length === 0) {
+      return { variable: 'x', operator, expression: right, value: this.evaluator.evaluate(right), strict };
+    }
+    
+    return this.parseLinearInequality(text.trim(), left, operator, right, strict);
+  }
+
+  /**
+   * Rewrite a linear inequality a*x + b*y + c op 0 as a bound on y (or on x when b = 0).
+   * Coefficients are measured numerically, then checked at a probe point to reject non-linear input.
+   */
+  parseLinearInequality(text, left, operator, right, strict) {
+    const flip = { '<': '>', '>': '<', '<=': '>=', '>=': '<=' };
+    let g;
+    try {
+      const l = this.evaluator.compile(left, ['x', 'y']);
+      const r = this.evaluator.compile(right, ['x', 'y']);
+      g = (x, y) => l({ x, y }) - r({ x, y });
+    } catch (error) {
+      throw new Error(`Invalid inequality "${text}": ${error.message}`);
+    }
+    
+    const c = g(0, 0);
+    const a = g(1, 0) - c;
+    const b = g(0, 1) - c;
+    const isLinear = [a, b, c].every(Number.isFinite) && Math.abs(g(2.5, -3.5) - (2.5 * a - 3.5 * b + c)) < 1e-9;
+    
+    if (!isLinear || (a === 0 && b === 0)) {
+      throw new Error(`Unsupported inequality "${text}": use y < f(x), x > c, or a linear form like 2x + 3y < 6`);
+    }
+    
+    // a*x + b*y + c op 0  ->  y op' (-a*x - c) / b, flipping the sign when dividing by a negative
+    if (b !== 0) {
+      return {
+        variable: 'y',
+        operator: b < 0 ? flip[operator] : operator,
+        expression: `(${-a}*x + ${-c}) / ${b}`,
+        value: null,
+        strict
+      };
+    }
+    
+    return {
+      variable: 'x',
+      operator: a < 0 ? flip[operator] : operator,
+      expression: String(-c / a),
+      value: -c / a,
+      strict
+    };
+  }
+
+  /**
+   * Build an SVG path for the region satisfying every inequality.
+   * Works column by column: x bounds trim the x range, y bounds give a [lower, upper]
+   * interval per column; contiguous non-empty columns become one closed polygon.
+   */
+  buildRegionPath(inequalities, bounds, view) {
+    let left = bounds.xMin;
+    let right = bounds.xMax;
+    const lowerBounds = [];
+    const upperBounds = [];
+    
+    inequalities.forEach(inequality => {
+      const isLower = inequality.operator.includes('>');
+      if (inequality.variable === 'x') {
+        if (isLower) left = Math.max(left, inequality.value);
+        else right = Math.min(right, inequality.value);
+      } else {
+        const f = this.compileFunction(inequality.expression);
+        (isLower ? lowerBounds : upperBounds).push(f);
+      }
+    });
+    
+    if (left >= right) return null;
+    
+    const columns = Math.max(2, Math.ceil((view.toSVGX(right) - view.toSVGX(left)) / 2));
+    const step = (right - left) / columns;
+    const polygons = [];
+    let current = [];
+    
+    for (let i = 0; i <= columns; i++) {
+      const x = left + i * step;
+      let lower = bounds.yMin;
+      let upper = bounds.yMax;
+      let defined = true;
+      
+      lowerBounds.forEach(f => {
+        const y = f(x);
+        if (!Number.isFinite(y)) defined = false;
+        else lower = Math.max(lower, y);
+      });
+      upperBounds.forEach(f => {
+        const y = f(x);
+        if (!Number.isFinite(y)) defined = false;
+        else upper = Math.min(upper, y);
+      });
+      
+      if (defined && lower < upper) {
+        current.push({ x, lower, upper });
+      } else if (current.length > 0) {
+        polygons.push(current);
+        current = [];
+      }
+    }
+    if (current.length > 0) polygons.push(current);
+    
+    const { toSVGX, toSVGY } = view;
+    return polygons
+      .filter(columnsInPolygon => columnsInPolygon.length > 1)
+      .map(columnsInPolygon => {
+        // Straight runs (viewport edges, linear boundaries) collapse to their endpoints
+        const top = this.simplifySegment(columnsInPolygon.map(c => ({ x: c.x, y: c.upper })), view, 0.25);
+        const bottom = this.simplifySegment(columnsInPolygon.map(c => ({ x: c.x, y: c.lower })), view, 0.25).reverse();
+        const toPoint = p => `${this.round(toSVGX(p.x))},${this.round(toSVGY(p.y))}`;
+        return `M ${top.map(toPoint).join(' L ')} L ${bottom.map(toPoint).join(' L ')} Z`;
+      })
+      .join(' ');
+  }
+
+  /**
+   * Geometry shared by generateGraph and visual verification: SVG size, resolved axes,
+   * the padded drawing window, coordinate transforms and where the axes cross
+   */
+  layout(graphData, options = {}) {
     const config = { ...this.defaults, ...options };
     
     // Apply size preset
@@ -147,28 +783,66 @@ class GraphTool {
     const height = sizePreset.height;
     const baseFontSize = sizePreset.baseFontSize;
     
-    const { gridStep } = config;
+    const axes = this.resolveAxisSettings(config, options, graphData);
     
-    // Add padding to prevent cutoff - extend the actual drawing area
-    const padding = 1.0; // Add 1 unit of padding on each side for better visibility
-    const xMin = (config.xMin || -10) - padding;
-    const xMax = (config.xMax || 10) + padding;
-    const yMin = (config.yMin || -10) - padding;
-    const yMax = (config.yMax || 10) + padding;
+    // Add padding to prevent cutoff - extend the actual drawing area by 5% of each range
+    // (1 unit for the default -10..10 window); log axes pad by the same fraction of their decades
+    const pad = (axis) => {
+      if (axis.log) {
+        const factor = Math.pow(axis.max / axis.min, 0.05);
+        return [axis.min / factor, axis.max * factor];
+      }
+      const padding = (axis.max - axis.min) * 0.05;
+      return [axis.min - padding, axis.max + padding];
+    };
+    const [xMin, xMax] = pad(axes.x);
+    const [yMin, yMax] = pad(axes.y);
     
-    // Use the original bounds for display purposes
-    const displayXMin = config.xMin || -10;
-    const displayXMax = config.xMax || 10;
-    const displayYMin = config.yMin || -10;
-    const displayYMax = config.yMax || 10;
+    // Transform coordinates to SVG space
+    const toSVGX = this.createTransform(xMin, xMax, axes.x.log, 0, width);
+    const toSVGY = this.createTransform(yMin, yMax, axes.y.log, height, 0);
     
-    // Calculate scale
-    const xScale = width / (xMax - xMin);
-    const yScale = height / (yMax - yMin);
+    // Axes cross at the origin, or at the window edge when 0 is outside it (or on a log axis)
+    const crossing = (axis) => (axis.log ? axis.min : Math.min(Math.max(0, axis.min), axis.max));
     
-    // Transform coordinates to SVG space
-    const toSVGX = (x) => (x - xMin) * xScale;
-    const toSVGY = (y) => height - (y - yMin) * yScale;
+    return {
+      config,
+      width,
+      height,
+      baseFontSize,
+      axes,
+      xMin,
+      xMax,
+      yMin,
+      yMax,
+      toSVGX,
+      toSVGY,
+      xAxisY: toSVGY(crossing(axes.y)),
+      yAxisX: toSVGX(crossing(axes.x)),
+      originVisible: crossing(axes.x) === 0 && crossing(axes.y) === 0
+    };
+  }
+
+  /**
+   * Generate the SVG graph
+   */
+  generateGraph(graphData, options = {}) {
+    const {
+      config, width, height, baseFontSize, axes, xMin, xMax, yMin, yMax, toSVGX, toSVGY, xAxisY, yAxisX, originVisible
+    } = this.layout(graphData, options);
+    
+    // Everything curve sampling needs to measure error in screen pixels
+    const view = {
+      toSVGX,
+      toSVGY,
+      width,
+      height,
+      xMin,
+      xMax,
+      xLog: axes.x.log,
+      sampling: config.sampling,
+      quality: this.qualityPresets[config.quality] || this.qualityPresets.medium
+    };
     
     // Add viewBox for responsive scaling and max-width for container fit
     let svg = `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="display: block; margin: 0 auto; max-width: 100%;" xmlns="http://www.w3.org/2000/svg">`;
@@ -177,45 +851,49 @@ class GraphTool {
     svg += `<rect width="${width}" height="${height}" fill="${config.backgroundColor}" />`;
     
     // Grid
-    if (config.showGrid) {
+    if (axes.showGrid) {
       svg += '<g stroke="' + config.gridColor + '" stroke-width="0.5">';
       
       // Vertical grid lines - only within display bounds
-      for (let x = Math.ceil(displayXMin / gridStep) * gridStep; x <= displayXMax; x += gridStep) {
+      this.axisValues(axes.x, axes.x.gridStep, true).forEach(x => {
         const svgX = toSVGX(x);
         svg += `<line x1="${svgX}" y1="0" x2="${svgX}" y2="${height}" />`;
-      }
+      });
       
       // Horizontal grid lines - only within display bounds
-      for (let y = Math.ceil(displayYMin / gridStep) * gridStep; y <= displayYMax; y += gridStep) {
+      this.axisValues(axes.y, axes.y.gridStep, true).forEach(y => {
         const svgY = toSVGY(y);
         svg += `<line x1="0" y1="${svgY}" x2="${width}" y2="${svgY}" />`;
-      }
+      });
       
       svg += '</g>';
     }
     
-    // Shaded regions
+    // Shaded regions - the intersection of every inequality in the command (feasible region)
     graphData.shaded.forEach(region => {
-      svg += '<g fill="rgba(0, 100, 200, 0.2)">';
-      
-      if (region.variable === 'x') {
-        const svgX = toSVGX(region.value);
-        if (region.operator.includes('>')) {
-          svg += `<rect x="${svgX}" y="0" width="${width - svgX}" height="${height}" />`;
-        } else if (region.operator.includes('<')) {
-          svg += `<rect x="0" y="0" width="${svgX}" height="${height}" />`;
-        }
-      } else if (region.variable === 'y') {
-        const svgY = toSVGY(region.value);
-        if (region.operator.includes('>')) {
-          svg += `<rect x="0" y="0" width="${width}" height="${svgY}" />`;
-        } else if (region.operator.includes('<')) {
-          svg += `<rect x="0" y="${svgY}" width="${width}" height="${height - svgY}" />`;
-        }
+      const fill = region.color || 'rgb(0, 100, 200)';
+      const path = this.buildRegionPath(region.inequalities, { xMin, xMax, yMin, yMax }, view);
+      
+      if (path) {
+        svg += `<g fill="${fill}" fill-opacity="0.2" stroke="none"><path d="${path}" /></g>`;
       }
       
-      svg += '</g>';
+      // Boundaries: dashed for strict (<, >), solid for non-strict (<=, >=)
+      region.inequalities.forEach(inequality => {
+        const dash = inequality.strict ? ' stroke-dasharray="6,4"' : '';
+        svg += `<g stroke="${fill}" stroke-width="1.5" fill="none"${dash}>`;
+        
+        if (inequality.variable === 'x') {
+          const svgX = toSVGX(inequality.value);
+          svg += `<line x1="${svgX}" y1="0" x2="${svgX}" y2="${height}" />`;
+        } else {
+          const evaluate = this.compileFunction(inequality.expression);
+          const segments = this.sampleFunction(evaluate, xMin, xMax, view);
+          svg += this.segmentsToPolylines(segments, toSVGX, toSVGY);
+        }
+        
+        svg += '</g>';
+      });
     });
     
     // Axes
@@ -223,17 +901,14 @@ class GraphTool {
       svg += '<g stroke="' + config.axisColor + '" stroke-width="2">';
       
       // X-axis
-      const xAxisY = toSVGY(0);
       svg += `<line x1="0" y1="${xAxisY}" x2="${width}" y2="${xAxisY}" />`;
       
       // Y-axis  
-      const yAxisX = toSVGX(0);
       svg += `<line x1="${yAxisX}" y1="0" x2="${yAxisX}" y2="${height}" />`;
       
       svg += '</g>';
       
       // Axis labels and values (separate group for text)
-      const labelStep = config.labelStep || 1;
       const showAxisLabels = config.showAxisLabels !== false;
       const showAxisValues = config.showAxisValues !== false;
       
@@ -252,7 +927,7 @@ class GraphTool {
       }
       
       // Show origin label separately if requested
-      const showOrigin = config.showOrigin !== false;
+      const showOrigin = config.showOrigin !== false && originVisible;
       if (showOrigin) {
         const position = config.originPosition || 'lower-left';
         let originX, originY, anchor;
@@ -287,74 +962,153 @@ class GraphTool {
       
       if (showAxisValues) {
         // X-axis numbers - stop before edges
-        for (let x = Math.ceil(displayXMin / labelStep) * labelStep; x <= displayXMax; x += labelStep) {
-          if (x !== 0 && x >= displayXMin && x <= displayXMax) {
+        this.axisValues(axes.x, axes.x.tickStep).forEach(x => {
+          if (x !== 0) {
             const svgX = toSVGX(x);
-            svg += `<text x="${svgX}" y="${xAxisY + 15}" text-anchor="middle" font-size="${baseFontSize}" font-weight="normal" fill="${config.axisColor}">${x}</text>`;
+            svg += `<text x="${svgX}" y="${xAxisY + 15}" text-anchor="middle" font-size="${baseFontSize}" font-weight="normal" fill="${config.axisColor}">${this.formatTick(x, axes.x.tickFormat)}</text>`;
           }
-        }
+        });
         
         // Y-axis numbers - stop before edges
-        for (let y = Math.ceil(displayYMin / labelStep) * labelStep; y <= displayYMax; y += labelStep) {
-          if (y !== 0 && y >= displayYMin && y <= displayYMax) {
+        this.axisValues(axes.y, axes.y.tickStep).forEach(y => {
+          if (y !== 0) {
             const svgY = toSVGY(y);
-            svg += `<text x="${yAxisX - 15}" y="${svgY + 3}" text-anchor="end" font-size="${baseFontSize}" font-weight="normal" fill="${config.axisColor}">${y}</text>`;
+            svg += `<text x="${yAxisX - 15}" y="${svgY + 3}" text-anchor="end" font-size="${baseFontSize}" font-weight="normal" fill="${config.axisColor}">${this.formatTick(y, axes.y.tickFormat)}</text>`;
           }
-        }
+        });
       }
     }
     
+    // Asymptotes - dashed guide lines drawn beneath the curves
+    graphData.asymptotes.forEach(asymptote => {
+      const asymptoteColor = asymptote.color || '#888888';
+      svg += `<g stroke="${asymptoteColor}" stroke-width="1.5" stroke-dasharray="6,4" fill="none">`;
+      
+      if (asymptote.orientation === 'vertical') {
+        const svgX = toSVGX(asymptote.value);
+        svg += `<line x1="${svgX}" y1="0" x2="${svgX}" y2="${height}" />`;
+      } else if (asymptote.orientation === 'horizontal') {
+        const svgY = toSVGY(asymptote.value);
+        svg += `<line x1="0" y1="${svgY}" x2="${width}" y2="${svgY}" />`;
+      } else {
+        const evaluate = this.compileFunction(asymptote.expression);
+        const segments = this.sampleFunction(evaluate, xMin, xMax, view);
+        svg += this.segmentsToPolylines(segments, toSVGX, toSVGY);
+      }
+      
+      svg += '</g>';
+    });
+    
     // Lines
     graphData.lines.forEach(line => {
       svg += `<g stroke="${line.color || 'blue'}" stroke-width="2">`;
       
-      // Calculate line endpoints using full padded range
-      const y1 = line.slope * xMin + line.intercept;
-      const y2 = line.slope * xMax + line.intercept;
-      
-      svg += `<line x1="${toSVGX(xMin)}" y1="${toSVGY(y1)}" x2="${toSVGX(xMax)}" y2="${toSVGY(y2)}" />`;
+      if (axes.x.log || axes.y.log) {
+        // A straight line bends on a log axis, so sample it like any other function
+        const segments = this.sampleFunction(x => line.slope * x + line.intercept, xMin, xMax, view);
+        svg += `<g fill="none">${this.segmentsToPolylines(segments, toSVGX, toSVGY)}</g>`;
+      } else {
+        // Calculate line endpoints using full padded range
+        const y1 = line.slope * xMin + line.intercept;
+        const y2 = line.slope * xMax + line.intercept;
+        
+        svg += `<line x1="${toSVGX(xMin)}" y1="${toSVGY(y1)}" x2="${toSVGX(xMax)}" y2="${toSVGY(y2)}" />`;
+      }
       svg += '</g>';
     });
     
-    // Functions (simplified - just plot points)
+    // Functions - compiled once, sampled, then split at discontinuities
     graphData.functions.forEach(func => {
       const funcColor = func.color || 'green';
       const expression = func.expression || func;
+      const evaluate = this.compileFunction(expression);
+      const segments = this.sampleFunction(evaluate, xMin, xMax, view);
+      
       svg += `<g stroke="${funcColor}" stroke-width="2" fill="none">`;
-      svg += '<polyline points="';
-      
-      const step = (xMax - xMin) / 100;
-      for (let x = xMin; x <= xMax; x += step) {
-        try {
-          let y = 0;
-          let expr = expression;
-          
-          // Replace x with actual value
-          expr = expr.replace(/x\^3/g, `(${x}*${x}*${x})`);
-          expr = expr.replace(/x\^2/g, `(${x}*${x})`);
-          expr = expr.replace(/\bx\b/g, x);
-          
-          try {
-            y = eval(expr);
-          } catch (e) {
-            continue;
-          }
-          
-          svg += `${toSVGX(x)},${toSVGY(y)} `;
-        } catch (e) {
-          // Skip invalid points
-        }
-      }
+      svg += this.segmentsToPolylines(segments, toSVGX, toSVGY);
+      svg += '</g>';
+    });
+    
+    // Parametric curves - x(t), y(t) mapped through the same toSVGX/toSVGY transforms
+    graphData.parametric.forEach(curve => {
+      const evaluateX = this.compileFunction(curve.x, 't');
+      const evaluateY = this.compileFunction(curve.y, 't');
+      const segments = this.sampleCurve(t => ({ x: evaluateX(t), y: evaluateY(t) }), curve.tMin, curve.tMax, view, curve.samples);
+      
+      svg += `<g stroke="${curve.color || 'purple'}" stroke-width="2" fill="none">`;
+      svg += this.segmentsToPolylines(segments, toSVGX, toSVGY);
+      svg += '</g>';
+    });
+    
+    // Polar curves - r(theta) converted to x = r cos(theta), y = r sin(theta)
+    graphData.polar.forEach(curve => {
+      const evaluateR = this.compileFunction(curve.r, 'theta');
+      const segments = this.sampleCurve(theta => {
+        const r = evaluateR(theta);
+        return { x: r * Math.cos(theta), y: r * Math.sin(theta) };
+      }, curve.thetaMin, curve.thetaMax, view, curve.samples);
       
-      svg += '" />';
+      svg += `<g stroke="${curve.color || 'purple'}" stroke-width="2" fill="none">`;
+      svg += this.segmentsToPolylines(segments, toSVGX, toSVGY);
       svg += '</g>';
     });
     
-    // Points
+    // Segments and vectors
+    const drawSegment = (segment, isVector) => {
+      const x1 = toSVGX(segment.start.x);
+      const y1 = toSVGY(segment.start.y);
+      const x2 = toSVGX(segment.end.x);
+      const y2 = toSVGY(segment.end.y);
+      const length = Math.hypot(x2 - x1, y2 - y1);
+      const dash = segment.dashed ? ' stroke-dasharray="6,4"' : '';
+      
+      if (isVector && length > 0) {
+        // Stop the shaft at the arrowhead base so the tip stays sharp
+        const ux = (x2 - x1) / length;
+        const uy = (y2 - y1) / length;
+        const headLength = Math.min(10, length);
+        const baseX = x2 - ux * headLength;
+        const baseY = y2 - uy * headLength;
+        svg += `<line x1="${this.round(x1)}" y1="${this.round(y1)}" x2="${this.round(baseX)}" y2="${this.round(baseY)}" stroke="${segment.color}" stroke-width="2"${dash} />`;
+        const head = [
+          [x2, y2],
+          [baseX - uy * 5, baseY + ux * 5],
+          [baseX + uy * 5, baseY - ux * 5]
+        ];
+        svg += `<polygon points="${head.map(([x, y]) => `${this.round(x)},${this.round(y)}`).join(' ')}" fill="${segment.color}" />`;
+      } else {
+        svg += `<line x1="${this.round(x1)}" y1="${this.round(y1)}" x2="${this.round(x2)}" y2="${this.round(y2)}" stroke="${segment.color}" stroke-width="2"${dash} />`;
+      }
+      
+      if (segment.label) {
+        // Offset the label perpendicular to the segment, on its upper side
+        let nx = length > 0 ? -(y2 - y1) / length : 0;
+        let ny = length > 0 ? (x2 - x1) / length : -1;
+        if (ny > 0 || (ny === 0 && nx < 0)) {
+          nx = -nx;
+          ny = -ny;
+        }
+        const labelX = (x1 + x2) / 2 + nx * 10;
+        const labelY = (y1 + y2) / 2 + ny * 10;
+        svg += `<text x="${this.round(labelX)}" y="${this.round(labelY)}" text-anchor="middle" font-size="${baseFontSize + 2}" font-weight="normal" fill="${segment.color}">${segment.label}</text>`;
+      }
+    };
+    (graphData.segments || []).forEach(segment => drawSegment(segment, false));
+    (graphData.vectors || []).forEach(vector => drawSegment(vector, true));
+    
+    // Points - closed markers are filled, open markers are hollow
     graphData.points.forEach(point => {
       const svgX = toSVGX(point.x);
       const svgY = toSVGY(point.y);
-      svg += `<circle cx="${svgX}" cy="${svgY}" r="4" fill="red" />`;
+      const color = point.color || 'red';
+      if (point.style === 'open') {
+        svg += `<circle cx="${svgX}" cy="${svgY}" r="4" fill="${config.backgroundColor}" stroke="${color}" stroke-width="1.5" />`;
+      } else {
+        svg += `<circle cx="${svgX}" cy="${svgY}" r="4" fill="${color}" />`;
+      }
+      if (point.label) {
+        svg += `<text x="${svgX + 6}" y="${svgY - 6}" font-size="${baseFontSize + 2}" font-weight="normal" fill="black">${point.label}</text>`;
+      }
     });
     
     // Labels
@@ -368,6 +1122,290 @@ class GraphTool {
     return svg;
   }
 
+  /**
+   * Compile a one-variable expression into f(value) using the safe evaluator
+   * Throws with the expression in the message so bad input is reported instead of silently dropped
+   * @param {string} variable - 'x' for functions, 't' for parametric, 'theta' for polar (t and θ both accepted)
+   */
+  compileFunction(expression, variable = 'x') {
+    const variables = variable === 'x' ? ['x'] : ['t', 'theta'];
+    let compiled;
+    try {
+      compiled = this.evaluator.compile(expression, variables);
+    } catch (error) {
+      throw new Error(`Invalid function "${expression}": ${error.message}`);
+    }
+    
+    return (value) => {
+      try {
+        return compiled(variable === 'x' ? { x: value } : { t: value, theta: value });
+      } catch (e) {
+        return NaN;
+      }
+    };
+  }
+
+  /**
+   * Sample f(x) across [xMin, xMax] and split the curve into continuous segments.
+   * A segment ends at non-finite values (outside the domain) and at poles or jumps.
+   * @returns {Array<Array<{x: number, y: number}>>} Segments in graph coordinates
+   */
+  sampleFunction(evaluate, xMin, xMax, view, samples = null) {
+    if (view.xLog) {
+      // Sample evenly in log10(x) so every decade gets the same detail
+      const evaluateLog = (u) => {
+        const x = Math.pow(10, u);
+        return { x, y: evaluate(x) };
+      };
+      return this.sampleCurve(evaluateLog, Math.log10(xMin), Math.log10(xMax), view, samples);
+    }
+    return this.sampleCurve(x => ({ x, y: evaluate(x) }), xMin, xMax, view, samples);
+  }
+
+  /**
+   * Sample a curve given as a point function of one parameter (x for f(x), t for
+   * parametric curves, theta for polar ones) and split it into continuous segments.
+   * @param {Function} evaluatePoint - (t) => { x, y } in graph coordinates
+   * @param {number} [samples] - Force this many evenly spaced samples instead of the view's sampling mode
+   */
+  sampleCurve(evaluatePoint, tMin, tMax, view, samples = null) {
+    const uniform = samples || view.sampling === 'uniform';
+    const points = uniform
+      ? this.sampleUniform(evaluatePoint, tMin, tMax, samples || 100)
+      : this.sampleAdaptive(evaluatePoint, tMin, tMax, view);
+    
+    const segments = [];
+    let current = [];
+    let previous = null;
+    
+    points.forEach(point => {
+      if (!this.isFinitePoint(point, view)) {
+        if (current.length > 0) segments.push(current);
+        current = [];
+        previous = null;
+        return;
+      }
+      
+      if (previous && this.isDiscontinuity(evaluatePoint, previous, point, view)) {
+        if (current.length > 0) segments.push(current);
+        current = [];
+      }
+      
+      current.push(point);
+      previous = point;
+    });
+    
+    if (current.length > 0) segments.push(current);
+    
+    if (uniform) {
+      return segments;
+    }
+    return segments.map(segment => this.simplifySegment(segment, view, view.quality.tolerance / 2));
+  }
+
+  /**
+   * Drop points that sit on a straight run (Douglas-Peucker in screen pixels),
+   * so flat stretches of a curve don't bloat the exported SVG
+   */
+  simplifySegment(segment, view, tolerance) {
+    if (segment.length < 3) return segment;
+    
+    const screen = segment.map(p => ({ x: view.toSVGX(p.x), y: view.toSVGY(p.y) }));
+    const keep = new Array(segment.length).fill(false);
+    keep[0] = true;
+    keep[segment.length - 1] = true;
+    
+    const stack = [[0, segment.length - 1]];
+    while (stack.length > 0) {
+      const [first, last] = stack.pop();
+      const dx = screen[last].x - screen[first].x;
+      const dy = screen[last].y - screen[first].y;
+      const length = Math.hypot(dx, dy);
+      
+      let maxDistance = 0;
+      let index = -1;
+      for (let i = first + 1; i < last; i++) {
+        const offsetX = screen[i].x - screen[first].x;
+        const offsetY = screen[i].y - screen[first].y;
+        // Closed curves start and end on the same pixel: measure from that point instead of a chord
+        const distance = length < 1e-6
+          ? Math.hypot(offsetX, offsetY)
+          : Math.abs(dx * offsetY - dy * offsetX) / length;
+        if (distance > maxDistance) {
+          maxDistance = distance;
+          index = i;
+        }
+      }
+      
+      if (index !== -1 && maxDistance > tolerance) {
+        keep[index] = true;
+        stack.push([first, index], [index, last]);
+      }
+    }
+    
+    return segment.filter((_, i) => keep[i]);
+  }
+
+  /**
+   * Evenly spaced samples (the original fixed 100-step behaviour)
+   */
+  sampleUniform(evaluatePoint, tMin, tMax, samples) {
+    const points = [];
+    const step = (tMax - tMin) / samples;
+    for (let i = 0; i <= samples; i++) {
+      const t = tMin + i * step;
+      points.push({ t, ...evaluatePoint(t) });
+    }
+    return points;
+  }
+
+  /**
+   * Adaptive samples: start from a coarse uniform pass, then bisect intervals whose
+   * midpoint strays from the chord by more than the pixel tolerance or where the
+   * curve bends more than maxAngle. Flat stretches stay coarse, steep ones get detail.
+   */
+  sampleAdaptive(evaluatePoint, tMin, tMax, view) {
+    const { initialSamples, maxPoints } = view.quality;
+    const initial = this.sampleUniform(evaluatePoint, tMin, tMax, initialSamples);
+    const budget = { remaining: Math.max(0, maxPoints - initial.length) };
+    const points = [initial[0]];
+    
+    for (let i = 1; i < initial.length; i++) {
+      this.refineInterval(evaluatePoint, initial[i - 1], initial[i], view, 0, budget, points);
+      points.push(initial[i]);
+    }
+    
+    return points;
+  }
+
+  /**
+   * Recursively insert midpoints between a and b (exclusive) into points, in parameter order
+   */
+  refineInterval(evaluatePoint, a, b, view, depth, budget, points) {
+    if (depth >= view.quality.maxDepth || budget.remaining <= 0) {
+      return;
+    }
+    
+    const midT = (a.t + b.t) / 2;
+    const mid = { t: midT, ...evaluatePoint(midT) };
+    
+    if (!this.needsRefinement(a, mid, b, view)) {
+      return;
+    }
+    
+    budget.remaining--;
+    this.refineInterval(evaluatePoint, a, mid, view, depth + 1, budget, points);
+    points.push(mid);
+    this.refineInterval(evaluatePoint, mid, b, view, depth + 1, budget, points);
+  }
+
+  /**
+   * A point is drawable when both its coordinates and its screen position are finite
+   * (on a log axis, values <= 0 have no screen position)
+   */
+  isFinitePoint(point, view) {
+    return Number.isFinite(point.x) && Number.isFinite(point.y) &&
+      Number.isFinite(view.toSVGX(point.x)) && Number.isFinite(view.toSVGY(point.y));
+  }
+
+  /**
+   * Decide whether the chord a-b misrepresents the curve through mid (screen space)
+   */
+  needsRefinement(a, mid, b, view) {
+    const finite = [a, mid, b].filter(p => this.isFinitePoint(p, view)).length;
+    
+    // Domain edge inside the interval (e.g. sqrt(x) near 0): refine to locate it
+    if (finite === 0) return false;
+    if (finite < 3) return true;
+    
+    const { toSVGX, toSVGY, width, height, quality } = view;
+    const [ax, mx, bx] = [toSVGX(a.x), toSVGX(mid.x), toSVGX(b.x)];
+    const [ay, my, by] = [toSVGY(a.y), toSVGY(mid.y), toSVGY(b.y)];
+    
+    // Entirely beyond one edge of the viewport: detail there is never visible
+    if ((ay < 0 && my < 0 && by < 0) || (ay > height && my > height && by > height) ||
+        (ax < 0 && mx < 0 && bx < 0) || (ax > width && mx > width && bx > width)) {
+      return false;
+    }
+    
+    // Pixel error: distance of the midpoint from the chord
+    const chordX = bx - ax;
+    const chordY = by - ay;
+    const chordLength = Math.hypot(chordX, chordY);
+    if (chordLength < 1) {
+      // Closed or doubling-back curves can return near the start: judge by the midpoint instead
+      return Math.hypot(mx - ax, my - ay) > quality.tolerance * 2;
+    }
+    
+    const deviation = Math.abs(chordX * (my - ay) - chordY * (mx - ax)) / chordLength;
+    if (deviation > quality.tolerance) return true;
+    
+    // Curvature: angle between the two half-chords
+    const angle1 = Math.atan2(my - ay, mx - ax);
+    const angle2 = Math.atan2(by - my, bx - mx);
+    let bend = Math.abs(angle2 - angle1) * 180 / Math.PI;
+    if (bend > 180) bend = 360 - bend;
+    
+    return bend > quality.maxAngle;
+  }
+
+  /**
+   * Check whether the curve jumps between two neighbouring samples.
+   * Bisects toward the longer half: a continuous curve's gap shrinks with the
+   * interval until it is below the pixel tolerance, however steep the curve,
+   * while a pole or step keeps a gap that stops shrinking. Small steps such as
+   * floor(x) on a wide window are jumps too.
+   */
+  isDiscontinuity(evaluatePoint, a, b, view, maxDepth = 40) {
+    const { toSVGX, toSVGY } = view;
+    const distance = (p, q) => Math.hypot(toSVGX(q.x) - toSVGX(p.x), toSVGY(q.y) - toSVGY(p.y));
+    const tolerance = view.quality.tolerance;
+    let left = a;
+    let right = b;
+    
+    for (let depth = 0; depth < maxDepth; depth++) {
+      if (distance(left, right) <= tolerance) {
+        return false;
+      }
+      
+      const midT = (left.t + right.t) / 2;
+      const mid = { t: midT, ...evaluatePoint(midT) };
+      if (!this.isFinitePoint(mid, view)) {
+        return true;
+      }
+      
+      if (distance(left, mid) > distance(mid, right)) {
+        right = mid;
+      } else {
+        left = mid;
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Render curve segments as one <polyline> each
+   */
+  segmentsToPolylines(segments, toSVGX, toSVGY) {
+    return segments
+      .filter(segment => segment.length > 1)
+      .map(segment => {
+        const points = segment
+          .map(point => `${this.round(toSVGX(point.x))},${this.round(toSVGY(point.y))}`)
+          .join(' ');
+        return `<polyline points="${points}" />`;
+      })
+      .join('');
+  }
+
+  /**
+   * Round SVG coordinates to 2 decimals to keep exported markup small
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
   /**
    * Generate preview for the PreviewPanel
    */
@@ -1,8 +1,11 @@
 // NumberLineTool.js - Number Line Tool for ContentLab
 // Generates SVG-based number lines for algebra problems
 
+import ExpressionEvaluator from './ExpressionEvaluator.js';
+
 class NumberLineTool {
   constructor() {
+    this.evaluator = new ExpressionEvaluator();
     this.name = 'Number Line';
     this.id = 'number-line';
     this.icon = '—';
@@ -11,7 +14,11 @@ class NumberLineTool {
       min: -10,
       max: 10,
       showLabels: true,
-      labelStep: 1,
+      labelStep: 1,       // number or expression string such as '1/4'
+      tickMode: 'integer', // integer | fraction | decimal
+      fractionFormat: 'improper', // improper | mixed (fraction tick mode)
+      reduceFractions: true,
+      minorTicks: 0,      // sub-ticks: number of subdivisions between major ticks
       showTicks: true,
       lineColor: '#000000',
       backgroundColor: '#ffffff',
@@ -67,8 +74,12 @@ class NumberLineTool {
       points: [],
       intervals: [],
       inequalities: [],
+      solutionSets: [],
+      jumps: [],
       labels: [],
-      range: null
+      range: null,
+      ticks: null,
+      subticks: null
     };
 
     // Split content into lines
@@ -81,74 +92,373 @@ class NumberLineTool {
       const colorMatch = line.match(/\[color:\s*(\w+)\]/i);
       const color = colorMatch ? colorMatch[1] : null;
       
-      // Parse points: point(3) or point(-2.5) [color:blue]
-      const pointMatch = line.match(/point\s*\(\s*(-?\d+\.?\d*)\s*\)/i);
+      // Parse points: point(3), point(-2.5), point(sqrt(2)), point(3pi/4) [color:blue] [label:none]
+      // Open points: open(3) [color:blue]
+      const pointMatch = line.replace(/\s*\[\w+:\s*[^\]]*\]/g, '').match(/^(point|open)\s*\((.+)\)$/i);
       if (pointMatch) {
+        const argument = pointMatch[2];
+        const labelModifier = line.match(/\[label:\s*([^\]]+)\]/i);
         data.points.push({
-          value: parseFloat(pointMatch[1]),
-          type: 'solid',
-          color: color
-        });
-      }
-      
-      // Parse open points: open(3) [color:blue]
-      const openPointMatch = line.match(/open\s*\(\s*(-?\d+\.?\d*)\s*\)/i);
-      if (openPointMatch) {
-        data.points.push({
-          value: parseFloat(openPointMatch[1]),
-          type: 'open',
-          color: color
+          value: this.requireValue(argument, line),
+          type: pointMatch[1].toLowerCase() === 'open' ? 'open' : 'solid',
+          color: color,
+          label: labelModifier
+            ? (/^none$/i.test(labelModifier[1].trim()) ? null : labelModifier[1].trim().replace(/^["']|["']$/g, ''))
+            : this.formatSymbol(argument)
         });
       }
       
-      // Parse intervals: interval[2, 5] or interval(2, 5) [color:green]
-      const intervalMatch = line.match(/interval\s*([\[\(])\s*(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)\s*([\]\)])/i);
+      // Parse intervals: interval[2, 5], interval(1/4, 3/4) or interval[0, pi] [color:green]
+      const intervalMatch = line.replace(/\s*\[\w+:\s*[^\]]*\]/g, '').match(/^interval\s*([\[\(])\s*(.+?)\s*,\s*(.+?)\s*([\]\)])$/i);
       if (intervalMatch) {
         data.intervals.push({
-          start: parseFloat(intervalMatch[2]),
-          end: parseFloat(intervalMatch[3]),
+          start: this.requireValue(intervalMatch[2], line),
+          end: this.requireValue(intervalMatch[3], line),
           startInclusive: intervalMatch[1] === '[',
           endInclusive: intervalMatch[4] === ']',
           color: color
         });
       }
       
-      // Parse inequalities: x > 3, x <= -2 [color:purple]
-      const inequalityMatch = line.match(/x\s*([<>=]+)\s*(-?\d+\.?\d*)/i);
-      if (inequalityMatch) {
+      // Parse inequalities: x > 3, t <= -2 [color:purple]
+      // Compound and union forms become solution sets: -2 < x <= 5, x < -1 or x >= 4, (-inf, -1) U [4, inf)
+      const solution = this.parseSolutionSet(line.replace(/\[color:\s*\w+\]/i, '').trim());
+      if (solution && solution.simple) {
         data.inequalities.push({
-          operator: inequalityMatch[1],
-          value: parseFloat(inequalityMatch[2]),
+          operator: solution.simple.operator,
+          value: solution.simple.value,
+          variable: solution.variable,
+          color: color
+        });
+      } else if (solution) {
+        data.solutionSets.push({
+          variable: solution.variable,
+          intervals: solution.intervals,
+          notation: this.formatIntervalNotation(solution.intervals),
           color: color
         });
       }
       
-      // Parse labels: label(3, "A")
-      const labelMatch = line.match(/label\s*\(\s*(-?\d+\.?\d*)\s*,\s*"([^"]+)"\s*\)/i);
+      // Parse jumps: jump(-3, +5) or jump(-3, +5, "add 5") [color:blue]
+      const jumpMatch = line.replace(/\s*\[\w+:\s*[^\]]*\]/g, '').match(/^jump\s*\(\s*([^,]+?)\s*,\s*([^,]+?)\s*(?:,\s*"([^"]*)")?\s*\)$/i);
+      if (jumpMatch) {
+        data.jumps.push(this.createJump(this.requireValue(jumpMatch[1], line), jumpMatch[2], jumpMatch[3], color, line));
+      }
+      
+      // Parse chained jumps: jumps(0: +2, +2, +2) - each hop starts where the previous one landed
+      const jumpsMatch = line.replace(/\s*\[\w+:\s*[^\]]*\]/g, '').match(/^jumps\s*\(\s*([^:]+?)\s*:\s*(.+?)\s*\)$/i);
+      if (jumpsMatch) {
+        let position = this.requireValue(jumpsMatch[1], line);
+        jumpsMatch[2].split(',').forEach(change => {
+          const jump = this.createJump(position, change, undefined, color, line);
+          data.jumps.push(jump);
+          position = jump.end;
+        });
+      }
+      
+      // Parse labels: label(3, "A") or label(sqrt(2), "√2")
+      const labelMatch = line.match(/^label\s*\((.+?)\s*,\s*"([^"]+)"\s*\)/i);
       if (labelMatch) {
         data.labels.push({
-          value: parseFloat(labelMatch[1]),
+          value: this.requireValue(labelMatch[1], line),
           text: labelMatch[2]
         });
       }
       
-      // Parse range: range(-5, 5)
-      const rangeMatch = line.match(/range\s*\(\s*(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)\s*\)/i);
+      // Parse range: range(-5, 5) or range(0, 2pi)
+      const rangeMatch = line.match(/^range\s*\((.+?)\s*,\s*(.+)\)$/i);
       if (rangeMatch) {
         data.range = {
-          min: parseFloat(rangeMatch[1]),
-          max: parseFloat(rangeMatch[2])
+          min: this.requireValue(rangeMatch[1], line),
+          max: this.requireValue(rangeMatch[2], line)
+        };
+      }
+      
+      // Parse tick spacing and mode: ticks(1/4), ticks(1/4, fraction), ticks(0.1, decimal)
+      const ticksMatch = line.match(/^ticks\s*\((.+?)(?:\s*,\s*(integer|fraction|decimal))?\s*\)$/i);
+      if (ticksMatch) {
+        data.ticks = {
+          step: this.requireValue(ticksMatch[1], line),
+          mode: ticksMatch[2] ? ticksMatch[2].toLowerCase() : null
         };
       }
+      
+      // Parse sub-ticks: subticks(4) divides each major interval into 4
+      const subticksMatch = line.match(/^subticks\s*\(\s*(\d+)\s*\)$/i);
+      if (subticksMatch) {
+        data.subticks = parseInt(subticksMatch[1]);
+      }
     });
     
     return data;
   }
 
   /**
-   * Generate the SVG number line
+   * Parse a value that may be infinite or symbolic: 3, -2.5, 1/4, sqrt(2), 3pi/4, inf, -∞
+   * @returns {number|null} null when the text is not a constant value
    */
-  generateNumberLine(lineData, options = {}) {
+  parseValue(text) {
+    const value = String(text).trim().replace(/\s+/g, '');
+    const infinity = value.match(/^([+-]?)(?:inf|infinity|∞|oo)$/i);
+    if (infinity) {
+      return infinity[1] === '-' ? -Infinity : Infinity;
+    }
+    if (value === '') {
+      return null;
+    }
+    try {
+      const result = this.evaluator.evaluate(value);
+      return Number.isFinite(result) ? result : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Like parseValue, but throws for anything that is not a finite constant
+   */
+  requireValue(text, line) {
+    const value = typeof text === 'number' ? text : this.parseValue(text);
+    if (value === null || !Number.isFinite(value)) {
+      throw new Error(`Invalid value "${String(text).trim()}" in "${line}": expected a number or constant expression`);
+    }
+    return value;
+  }
+
+  /**
+   * Display form of a symbolic value: sqrt(2) -> √2, 3pi/4 -> 3π/4.
+   * Plain numbers and fractions return null (the tick labels already show them).
+   */
+  formatSymbol(text) {
+    const value = String(text).trim();
+    if (!/[a-zπ√]/i.test(value)) {
+      return null;
+    }
+    return value
+      .replace(/\s+/g, '')
+      .replace(/sqrt\(([\w.π]+)\)/gi, '√$1')
+      .replace(/sqrt/gi, '√')
+      .replace(/pi/gi, 'π')
+      .replace(/\*/g, '');
+  }
+
+  /**
+   * Build a jump entry. The label defaults to the signed change ("+5", "-3", "+1/2");
+   * an empty label ("") hides it.
+   */
+  createJump(start, changeText, label, color, line) {
+    const change = this.requireValue(changeText, line);
+    if (change === 0) {
+      throw new Error(`Invalid jump in "${line}": the change must not be zero`);
+    }
+    const text = changeText.trim();
+    return {
+      start,
+      change,
+      end: parseFloat((start + change).toPrecision(12)),
+      label: label !== undefined ? (label || null) : (/^[+-]/.test(text) ? text : `+${text}`),
+      color
+    };
+  }
+
+  /**
+   * Assign each jump a stacking level: jumps whose spans overlap go on different levels,
+   * while chained jumps that only touch at an endpoint share one
+   * @returns {Array} level per jump, in the same order
+   */
+  stackJumps(jumps) {
+    const levels = [];
+    const occupied = [];
+    jumps.forEach(jump => {
+      const low = Math.min(jump.start, jump.end);
+      const high = Math.max(jump.start, jump.end);
+      let level = 0;
+      while ((occupied[level] || []).some(span => Math.max(span.low, low) < Math.min(span.high, high) - 1e-9)) {
+        level++;
+      }
+      (occupied[level] = occupied[level] || []).push({ low, high });
+      levels.push(level);
+    });
+    return levels;
+  }
+
+  /**
+   * Parse an inequality statement into a union of intervals on one variable.
+   * Handles x > 3, 3 < x, -2 < x <= 5, clauses joined by "and"/"or", and interval notation unions.
+   * @returns {object|null} { variable, intervals, simple } - simple is set for a lone "x > 3" style inequality;
+   *                        null when the line is not an inequality
+   */
+  parseSolutionSet(text) {
+    if (/^[\[\(]/.test(text)) {
+      return this.parseIntervalNotation(text);
+    }
+    
+    const clauses = text.split(/\s+or\s+/i).map(clause =>
+      clause.split(/\s+and\s+/i).map(part => this.parseInequalityClause(part))
+    );
+    const atoms = clauses.flat();
+    if (atoms.some(atom => atom === null)) {
+      return null;
+    }
+    
+    const variable = atoms[0].variable;
+    const mismatch = atoms.find(atom => atom.variable !== variable);
+    if (mismatch) {
+      throw new Error(`Inequality "${text}" mixes variables ${variable} and ${mismatch.variable}`);
+    }
+    
+    const intervals = this.unionIntervals(clauses.map(group =>
+      group.map(atom => atom.interval).reduce((a, b) => this.intersectIntervals(a, b))
+    ).filter(interval => interval !== null));
+    
+    return {
+      variable,
+      intervals,
+      simple: atoms.length === 1 ? atoms[0].simple : null
+    };
+  }
+
+  /**
+   * Parse one inequality clause: "x > 3", "3 <= x" or the chained form "-2 < x <= 5"
+   * @returns {object|null} { variable, interval, simple }
+   */
+  parseInequalityClause(text) {
+    const parts = text.trim().split(/\s*(<=|>=|=<|=>|≤|≥|<|>)\s*/);
+    if (parts.length !== 3 && parts.length !== 5) {
+      return null;
+    }
+    
+    const operators = [];
+    const operands = [];
+    parts.forEach((part, index) => {
+      if (index % 2 === 1) {
+        operators.push(part.replace('≤', '<=').replace('≥', '>=').replace('=<', '<=').replace('=>', '>='));
+      } else {
+        operands.push(part);
+      }
+    });
+    
+    const isVariable = operand => /^[A-Za-z]\w*$/.test(operand) && this.parseValue(operand) === null;
+    const variableIndex = operands.findIndex(isVariable);
+    if (variableIndex === -1 || (operands.length === 3 && variableIndex !== 1)) {
+      return null;
+    }
+    const variable = operands[variableIndex];
+    const values = operands.map((operand, index) => (index === variableIndex ? null : this.parseValue(operand)));
+    if (values.some((value, index) => index !== variableIndex && (value === null || !isFinite(value)))) {
+      return null;
+    }
+    
+    // Read every comparison as "variable op value"
+    const flip = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+    const bounds = [];
+    if (variableIndex > 0) {
+      bounds.push({ operator: flip[operators[variableIndex - 1]], value: values[variableIndex - 1] });
+    }
+    if (variableIndex < operands.length - 1) {
+      bounds.push({ operator: operators[variableIndex], value: values[variableIndex + 1] });
+    }
+    
+    let interval = { start: -Infinity, end: Infinity, startInclusive: false, endInclusive: false };
+    bounds.forEach(bound => {
+      const inclusive = bound.operator.includes('=');
+      const boundInterval = bound.operator.startsWith('>')
+        ? { start: bound.value, end: Infinity, startInclusive: inclusive, endInclusive: false }
+        : { start: -Infinity, end: bound.value, startInclusive: false, endInclusive: inclusive };
+      interval = interval && this.intersectIntervals(interval, boundInterval);
+    });
+    if (operands.length === 3 && operators[0].startsWith('<') !== operators[1].startsWith('<')) {
+      throw new Error(`Invalid compound inequality "${text.trim()}": both comparisons must point the same way`);
+    }
+    if (operands.length === 3 && interval === null) {
+      throw new Error(`Invalid compound inequality "${text.trim()}": no value satisfies it`);
+    }
+    
+    return {
+      variable,
+      interval,
+      simple: bounds.length === 1 ? bounds[0] : null
+    };
+  }
+
+  /**
+   * Parse interval notation joined by U or ∪: (-inf, -1) U [4, inf)
+   */
+  parseIntervalNotation(text) {
+    const pieces = text.split(/\s*(?:\bU\b|∪)\s*/);
+    const intervals = pieces.map(piece => {
+      const match = piece.trim().match(/^([\[\(])\s*([^,]+?)\s*,\s*([^,]+?)\s*([\]\)])$/);
+      if (!match) {
+        throw new Error(`Invalid interval "${piece.trim()}": expected a form like [2, 5) or (-inf, 3]`);
+      }
+      const start = this.parseValue(match[2]);
+      const end = this.parseValue(match[3]);
+      if (start === null || end === null) {
+        throw new Error(`Invalid interval "${piece.trim()}": endpoints must be numbers or inf`);
+      }
+      if ((match[1] === '[' && !isFinite(start)) || (match[4] === ']' && !isFinite(end))) {
+        throw new Error(`Invalid interval "${piece.trim()}": an infinite endpoint must use a parenthesis`);
+      }
+      if (start > end) {
+        throw new Error(`Invalid interval "${piece.trim()}": start must not exceed end`);
+      }
+      return { start, end, startInclusive: match[1] === '[', endInclusive: match[4] === ']' };
+    });
+    
+    return { variable: 'x', intervals: this.unionIntervals(intervals), simple: null };
+  }
+
+  /**
+   * Intersection of two intervals, or null when they do not overlap
+   */
+  intersectIntervals(a, b) {
+    if (!a || !b) return null;
+    const start = Math.max(a.start, b.start);
+    const end = Math.min(a.end, b.end);
+    const startInclusive = (a.start !== start || a.startInclusive) && (b.start !== start || b.startInclusive);
+    const endInclusive = (a.end !== end || a.endInclusive) && (b.end !== end || b.endInclusive);
+    if (start > end || (start === end && !(startInclusive && endInclusive))) {
+      return null;
+    }
+    return { start, end, startInclusive, endInclusive };
+  }
+
+  /**
+   * Sort intervals and merge any that overlap or touch at an included endpoint
+   */
+  unionIntervals(intervals) {
+    const sorted = [...intervals].sort((a, b) => a.start - b.start || Number(b.startInclusive) - Number(a.startInclusive));
+    const merged = [];
+    sorted.forEach(interval => {
+      const last = merged[merged.length - 1];
+      const touches = last && (interval.start < last.end ||
+        (interval.start === last.end && (last.endInclusive || interval.startInclusive)));
+      if (!touches) {
+        merged.push({ ...interval });
+      } else if (interval.end > last.end || (interval.end === last.end && interval.endInclusive)) {
+        last.end = interval.end;
+        last.endInclusive = interval.endInclusive;
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Format intervals as interval notation, e.g. "(-∞, -1) ∪ [4, ∞)"; the empty set is "∅"
+   */
+  formatIntervalNotation(intervals) {
+    if (intervals.length === 0) return '∅';
+    const format = value => (isFinite(value) ? String(value) : (value < 0 ? '-∞' : '∞'));
+    return intervals
+      .map(interval => `${interval.startInclusive ? '[' : '('}${format(interval.start)}, ${format(interval.end)}${interval.endInclusive ? ']' : ')'}`)
+      .join(' ∪ ');
+  }
+
+  /**
+   * Geometry shared by generateNumberLine and visual verification: SVG size, where the main
+   * line sits, and how values and stacked intervals map to SVG coordinates
+   */
+  layout(lineData, options = {}) {
     const config = { ...this.defaults, ...options };
     
     // Override range if specified in content
@@ -165,19 +475,34 @@ class NumberLineTool {
     
     // Calculate DYNAMIC height based on content
     const intervalCount = lineData.intervals.length;
-    const hasLabelsAbove = lineData.labels.length > 0;
+    const hasLabelsAbove = lineData.labels.length > 0 || lineData.points.some(point => point.label);
+    
+    // Tick settings - content commands override options, like range() does
+    const labelStep = this.requireValue(lineData.ticks ? lineData.ticks.step : config.labelStep, 'labelStep');
+    const tickMode = (lineData.ticks && lineData.ticks.mode) || config.tickMode;
+    const minorTicks = lineData.subticks ?? config.minorTicks;
+    if (labelStep <= 0) {
+      throw new Error(`Invalid labelStep ${labelStep}: must be positive`);
+    }
     
     // Base height components:
     const baseLineHeight = 40;  // Space for the main line and ticks
-    const labelSpaceBelow = config.showLabels ? fontSize + 15 : 10;  // Space for value labels below line
+    const labelLines = tickMode === 'fraction' ? 2 : 1;  // Stacked fractions take two rows
+    const labelSpaceBelow = config.showLabels ? fontSize * labelLines + 15 : 10;  // Space for value labels below line
     const labelSpaceAbove = hasLabelsAbove ? 20 : 10;  // Space for text labels above line
     const intervalSpacing = 25;  // Space per interval
     const intervalHeight = intervalCount > 0 ? (intervalCount * intervalSpacing) + 15 : 0;  // Total space for stacked intervals
     
+    // Jump arcs rise from the line, one level per stack of overlapping jumps
+    const jumpLevels = this.stackJumps(lineData.jumps);
+    const jumpLevelHeight = 20;
+    const jumpHeight = jumpLevels.length > 0 ? (Math.max(...jumpLevels) + 1) * jumpLevelHeight + fontSize : 0;
+    
     // Calculate total height dynamically
-    const height = baseLineHeight + labelSpaceBelow + labelSpaceAbove + intervalHeight;
+    const height = baseLineHeight + labelSpaceBelow + labelSpaceAbove + Math.max(intervalHeight, jumpHeight);
     
-    const { min, max, labelStep, tickHeight } = config;
+    const min = this.requireValue(config.min, 'min');
+    const max = this.requireValue(config.max, 'max');
     
     // Calculate dimensions
     const lineY = height - baseLineHeight - labelSpaceBelow + 10;  // Position line in lower portion
@@ -189,8 +514,38 @@ class NumberLineTool {
     const baseIntervalOffsetY = -25;
     const stackSpacing = 25;  // Space between stacked intervals
     
-    // Scale function
-    const toX = (value) => lineStartX + ((value - min) / (max - min)) * lineWidth;
+    return {
+      config,
+      width,
+      height,
+      fontSize,
+      min,
+      max,
+      labelStep,
+      tickMode,
+      minorTicks,
+      tickHeight: config.tickHeight,
+      lineY,
+      lineStartX,
+      lineEndX,
+      stackSpacing,
+      jumpLevels,
+      jumpLevelHeight,
+      // Scale function
+      toX: (value) => lineStartX + ((value - min) / (max - min)) * lineWidth,
+      // Stack each interval above the previous one
+      intervalY: (index) => lineY + baseIntervalOffsetY - (index * stackSpacing)
+    };
+  }
+
+  /**
+   * Generate the SVG number line
+   */
+  generateNumberLine(lineData, options = {}) {
+    const {
+      config, width, height, fontSize, min, max, labelStep, tickMode, minorTicks, tickHeight,
+      lineY, lineStartX, lineEndX, jumpLevels, jumpLevelHeight, toX, intervalY: stackedY
+    } = this.layout(lineData, options);
     
     // Create SVG with viewBox for responsive scaling
     let svg = `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="display: block; margin: 0 auto; max-width: 100%;" xmlns="http://www.w3.org/2000/svg">`;
@@ -203,8 +558,7 @@ class NumberLineTool {
       const startX = toX(interval.start);
       const endX = toX(interval.end);
       const intervalColor = interval.color || config.highlightColor;
-      // Stack each interval above the previous one
-      const intervalY = lineY + baseIntervalOffsetY - (index * stackSpacing);
+      const intervalY = stackedY(index);
       
       // Draw line for interval above the main line
       svg += `<line x1="${startX}" y1="${intervalY}" x2="${endX}" y2="${intervalY}" `;
@@ -266,27 +620,67 @@ class NumberLineTool {
       }
     });
     
+    // Draw solution sets (on the main line): each interval is shaded, infinite ends become arrows
+    lineData.solutionSets.forEach(solutionSet => {
+      const setColor = solutionSet.color || config.highlightColor;
+      
+      solutionSet.intervals.forEach(interval => {
+        const startX = toX(Math.max(interval.start, min));
+        const endX = toX(Math.min(interval.end, max));
+        if (interval.start > max || interval.end < min) return;
+        
+        svg += `<line x1="${startX}" y1="${lineY}" x2="${endX}" y2="${lineY}" `;
+        svg += `stroke="${setColor}" stroke-width="4" />`;
+        
+        if (!isFinite(interval.start)) {
+          svg += `<polygon points="${lineStartX + 10},${lineY - 5} ${lineStartX},${lineY} ${lineStartX + 10},${lineY + 5}" `;
+          svg += `fill="${setColor}" />`;
+        } else if (interval.start >= min) {
+          svg += this.endpointCircle(startX, lineY, interval.startInclusive, setColor, config);
+        }
+        
+        if (!isFinite(interval.end)) {
+          svg += `<polygon points="${lineEndX - 10},${lineY - 5} ${lineEndX},${lineY} ${lineEndX - 10},${lineY + 5}" `;
+          svg += `fill="${setColor}" />`;
+        } else if (interval.end <= max) {
+          svg += this.endpointCircle(endX, lineY, interval.endInclusive, setColor, config);
+        }
+      });
+    });
+    
     // Main number line
     svg += `<line x1="${lineStartX}" y1="${lineY}" x2="${lineEndX}" y2="${lineY}" `;
     svg += `stroke="${config.lineColor}" stroke-width="2" />`;
     
     // Draw ticks and numbers
     if (config.showTicks) {
-      for (let value = Math.ceil(min / labelStep) * labelStep; value <= max; value += labelStep) {
-        if (value >= min && value <= max) {
+      // Sub-ticks: shorter unlabeled marks between the major ticks
+      if (minorTicks > 1) {
+        this.tickValues(min, max, labelStep / minorTicks).forEach(({ value, index }) => {
+          if (index % minorTicks === 0) return;
           const x = toX(value);
-          
-          // Tick mark
-          svg += `<line x1="${x}" y1="${lineY - tickHeight / 2}" x2="${x}" y2="${lineY + tickHeight / 2}" `;
+          svg += `<line x1="${x}" y1="${lineY - tickHeight / 4}" x2="${x}" y2="${lineY + tickHeight / 4}" `;
           svg += `stroke="${config.lineColor}" stroke-width="1" />`;
-          
-          // Number label
-          if (config.showLabels) {
+        });
+      }
+      
+      this.tickValues(min, max, labelStep).forEach(({ value }) => {
+        const x = toX(value);
+        
+        // Tick mark
+        svg += `<line x1="${x}" y1="${lineY - tickHeight / 2}" x2="${x}" y2="${lineY + tickHeight / 2}" `;
+        svg += `stroke="${config.lineColor}" stroke-width="1" />`;
+        
+        // Number label
+        if (config.showLabels) {
+          if (tickMode === 'fraction') {
+            svg += this.fractionLabel(value, labelStep, x, lineY + tickHeight, fontSize, config);
+          } else {
             svg += `<text x="${x}" y="${lineY + tickHeight + fontSize}" `;
-            svg += `text-anchor="middle" font-size="${fontSize}" font-weight="normal" fill="${config.lineColor}">${value}</text>`;
+            svg += `text-anchor="middle" font-size="${fontSize}" font-weight="normal" fill="${config.lineColor}">${this.formatTickValue(value, labelStep, tickMode)}</text>`;
           }
         }
-      }
+      });
     }
     
     // Draw points (ALWAYS on the main line, regardless of intervals)
@@ -303,6 +697,43 @@ class NumberLineTool {
       }
     });
     
+    // Jumps - curved arcs above the line with an arrowhead where the jump lands
+    lineData.jumps.forEach((jump, index) => {
+      const x1 = toX(jump.start);
+      const x2 = toX(jump.end);
+      const jumpColor = jump.color || config.highlightColor;
+      const rise = jumpLevelHeight * (jumpLevels[index] + 1);
+      const midX = (x1 + x2) / 2;
+      
+      // Quadratic curve: the control point sits at twice the rise so the arc peaks at lineY - rise
+      const controlY = lineY - 2 * rise;
+      svg += `<path d="M ${x1} ${lineY} Q ${midX} ${controlY} ${x2} ${lineY}" `;
+      svg += `stroke="${jumpColor}" stroke-width="2" fill="none" />`;
+      
+      // Arrowhead along the curve's tangent at the landing point
+      const tangentX = x2 - midX;
+      const tangentY = lineY - controlY;
+      const tangentLength = Math.hypot(tangentX, tangentY);
+      const ux = tangentX / tangentLength;
+      const uy = tangentY / tangentLength;
+      const baseX = x2 - ux * 8;
+      const baseY = lineY - uy * 8;
+      svg += `<polygon points="${x2},${lineY} ${baseX - uy * 4},${baseY + ux * 4} ${baseX + uy * 4},${baseY - ux * 4}" `;
+      svg += `fill="${jumpColor}" />`;
+      
+      if (jump.label) {
+        svg += `<text x="${midX}" y="${lineY - rise - 5}" `;
+        svg += `text-anchor="middle" font-size="${fontSize}" font-weight="normal" fill="${jumpColor}">${jump.label}</text>`;
+      }
+    });
+    
+    // Symbolic point labels (√2, π) above their points
+    lineData.points.filter(point => point.label).forEach(point => {
+      const x = toX(point.value);
+      svg += `<text x="${x}" y="${lineY - 15}" `;
+      svg += `text-anchor="middle" font-size="${fontSize + 2}" font-weight="normal" fill="${point.color || config.highlightColor}">${point.label}</text>`;
+    });
+    
     // Draw labels (on the main line)
     lineData.labels.forEach(label => {
       const x = toX(label.value);
@@ -314,6 +745,104 @@ class NumberLineTool {
     return svg;
   }
 
+  /**
+   * Tick positions from min to max. Values are computed from an index, not accumulated,
+   * so 1/4 or 0.1 steps do not drift.
+   * @returns {Array} [{ value, index }] - index counts steps from zero, so multiples of a
+   *                  coarser step can be recognised with index % n
+   */
+  tickValues(min, max, step) {
+    const first = Math.ceil(min / step - 1e-9);
+    const last = Math.floor(max / step + 1e-9);
+    if (last - first > 2000) {
+      throw new Error(`Tick step ${step} is too small for the range ${min} to ${max}`);
+    }
+    const ticks = [];
+    for (let index = first; index <= last; index++) {
+      ticks.push({ value: parseFloat((index * step).toPrecision(12)), index });
+    }
+    return ticks;
+  }
+
+  /**
+   * Label text for integer and decimal tick modes; decimal labels use the step's precision
+   */
+  formatTickValue(value, step, mode) {
+    if (mode === 'decimal') {
+      const decimals = Math.min(6, (String(parseFloat(step.toPrecision(12))).split('.')[1] || '').length);
+      return String(parseFloat(value.toFixed(decimals)));
+    }
+    return String(value);
+  }
+
+  /**
+   * Write a tick value as a fraction: { sign, whole, numerator, denominator }.
+   * Unreduced fractions keep the step's denominator (2/4 on a fourths line).
+   */
+  toFraction(value, step, config) {
+    const findDenominator = (number) => {
+      for (let denominator = 1; denominator <= 1000; denominator++) {
+        if (Math.abs(number * denominator - Math.round(number * denominator)) < 1e-9) return denominator;
+      }
+      return null;
+    };
+    const stepDenominator = findDenominator(step);
+    const denominator = config.reduceFractions ? findDenominator(value) : stepDenominator;
+    if (!denominator) {
+      return null;
+    }
+    
+    let numerator = Math.round(Math.abs(value) * denominator);
+    let whole = 0;
+    if (config.fractionFormat === 'mixed' || numerator % denominator === 0) {
+      whole = Math.floor(numerator / denominator);
+      numerator = numerator % denominator;
+    }
+    return { sign: value < 0 ? '-' : '', whole, numerator, denominator };
+  }
+
+  /**
+   * Stacked fraction label (numerator over a bar over denominator), with an optional whole part for mixed numbers
+   */
+  fractionLabel(value, step, x, top, fontSize, config) {
+    const fraction = this.toFraction(value, step, config);
+    const textStyle = `font-size="${fontSize}" font-weight="normal" fill="${config.lineColor}"`;
+    const middleY = top + fontSize + 1;
+    
+    if (!fraction) {
+      return `<text x="${x}" y="${top + fontSize}" text-anchor="middle" ${textStyle}>${parseFloat(value.toPrecision(6))}</text>`;
+    }
+    if (fraction.numerator === 0) {
+      return `<text x="${x}" y="${middleY + fontSize * 0.35}" text-anchor="middle" ${textStyle}>${fraction.whole === 0 ? 0 : fraction.sign + fraction.whole}</text>`;
+    }
+    
+    const charWidth = fontSize * 0.6;
+    const prefix = fraction.sign + (fraction.whole ? fraction.whole : '');
+    const prefixWidth = prefix.length * charWidth;
+    const barWidth = Math.max(String(fraction.numerator).length, String(fraction.denominator).length) * charWidth + 4;
+    const left = x - (prefixWidth + (prefix ? 1 : 0) + barWidth) / 2;
+    const fractionX = left + prefixWidth + (prefix ? 1 : 0) + barWidth / 2;
+    
+    let svg = '';
+    if (prefix) {
+      svg += `<text x="${left + prefixWidth}" y="${middleY + fontSize * 0.35}" text-anchor="end" ${textStyle}>${prefix}</text>`;
+    }
+    svg += `<text x="${fractionX}" y="${middleY - 3}" text-anchor="middle" ${textStyle}>${fraction.numerator}</text>`;
+    svg += `<line x1="${fractionX - barWidth / 2}" y1="${middleY}" x2="${fractionX + barWidth / 2}" y2="${middleY}" stroke="${config.lineColor}" stroke-width="1" />`;
+    svg += `<text x="${fractionX}" y="${middleY + fontSize}" text-anchor="middle" ${textStyle}>${fraction.denominator}</text>`;
+    return svg;
+  }
+
+  /**
+   * Endpoint marker - closed (filled) when included, open (hollow) when excluded; all circles 6px
+   */
+  endpointCircle(x, y, inclusive, color, config) {
+    if (inclusive) {
+      return `<circle cx="${x}" cy="${y}" r="6" fill="${color}" />`;
+    }
+    return `<circle cx="${x}" cy="${y}" r="6" fill="${config.backgroundColor}" stroke="${color}" stroke-width="1.5" />`;
+  }
+
   /**
    * Generate preview for the PreviewPanel
    */
@@ -0,0 +1,62 @@
+/**
+ * ExpressionEvaluator tests - parsing, implicit multiplication, LaTeX input and error reporting
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ExpressionEvaluator from '../ExpressionEvaluator.js';
+
+const evaluator = new ExpressionEvaluator();
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+describe('ExpressionEvaluator', () => {
+  it('respects precedence and right-associative powers', () => {
+    assert.equal(evaluator.evaluate('2 + 3 * 4'), 14);
+    assert.equal(evaluator.evaluate('2^3^2'), 512);
+    assert.equal(evaluator.evaluate('-2^2'), -4);
+    assert.equal(evaluator.evaluate('2^-1'), 0.5);
+  });
+
+  it('multiplies implicitly', () => {
+    assert.equal(evaluator.evaluate('3x', { x: 2 }), 6);
+    assert.equal(evaluator.evaluate('2(x + 1)', { x: 2 }), 6);
+    assert.equal(evaluator.evaluate('(x - 1)(x + 1)', { x: 3 }), 8);
+    close(evaluator.evaluate('2pi'), 2 * Math.PI);
+  });
+
+  it('reads LaTeX', () => {
+    assert.equal(evaluator.evaluate('\\frac{1}{x} + \\sqrt{x}', { x: 4 }), 2.25);
+    assert.equal(evaluator.evaluate('\\sqrt[3]{-8}'), -2);
+    assert.equal(evaluator.evaluate('\\log_{2}(8)'), 3);
+    assert.equal(evaluator.evaluate('\\left|x\\right| \\cdot 2', { x: -3 }), 6);
+    close(evaluator.evaluate('\\sin^{-1}(1)'), Math.PI / 2);
+  });
+
+  it('applies functions without parentheses to the following product', () => {
+    close(evaluator.evaluate('sin 2x', { x: 1 }), Math.sin(2));
+    assert.equal(evaluator.evaluate('max(1, x, 3)', { x: 5 }), 5);
+  });
+
+  it('keeps odd roots of negative numbers real', () => {
+    close(evaluator.evaluate('x^(1/3)', { x: -27 }), -3);
+  });
+
+  it('rejects malformed numbers', () => {
+    assert.throws(() => evaluator.evaluate('2.5.3'), /Invalid number/);
+    assert.throws(() => evaluator.evaluate('1..2'), /Invalid number/);
+  });
+
+  it('reports unknown variables and unbalanced brackets with a position', () => {
+    const unknown = evaluator.validate('x + y', ['x']);
+    assert.equal(unknown.valid, false);
+    assert.match(unknown.error, /Unknown variable "y"/);
+    assert.equal(unknown.position, 4);
+
+    assert.equal(evaluator.validate('(x + 1]', ['x']).valid, false);
+    assert.equal(evaluator.validate('(x + 1', ['x']).valid, false);
+  });
+
+  it('lists the variables an expression uses', () => {
+    assert.deepEqual(evaluator.validate('x^2 + 2xy').variables.sort(), ['x', 'y']);
+  });
+});
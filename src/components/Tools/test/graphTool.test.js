@@ -0,0 +1,292 @@
+/**
+ * GraphTool tests - curve sampling, splitting sampled curves at poles and jumps, shaded regions,
+ * parametric and polar curves, axis settings, and points, segments and vectors
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import GraphTool from '../GraphTool.js';
+
+const graphTool = new GraphTool();
+
+// Polylines of a single plotted function, as arrays of [x, y] screen points
+const polylines = (expression, options = {}) => {
+  const svg = graphTool.generateGraph(graphTool.parseGraphContent(`f(x) = ${expression}`), options);
+  return [...svg.matchAll(/<polyline points="([^"]*)"/g)]
+    .map(match => match[1].split(' ').map(point => point.split(',').map(Number)));
+};
+
+// Polylines of a whole graph in graph coordinates (rounding to 2 SVG decimals leaves about 1e-4 of error)
+const curves = (content, options = {}) => {
+  const data = graphTool.parseGraphContent(content);
+  const { xMin, xMax, yMin, yMax, width, height } = graphTool.layout(data, options);
+  return [...graphTool.generateGraph(data, options).matchAll(/<polyline points="([^"]*)"/g)]
+    .map(match => match[1].split(' ').map(point => {
+      const [x, y] = point.split(',').map(Number);
+      return [xMin + (x / width) * (xMax - xMin), yMax - (y / height) * (yMax - yMin)];
+    }));
+};
+
+// The sampling view generateGraph builds, for the default window
+const viewFor = (quality) => {
+  const { toSVGX, toSVGY, width, height, xMin, xMax } = graphTool.layout(graphTool.parseGraphContent(''));
+  return { toSVGX, toSVGY, width, height, xMin, xMax, xLog: false, sampling: 'adaptive', quality };
+};
+
+describe('GraphTool adaptive sampling', () => {
+  const sine = t => ({ x: t, y: 5 * Math.sin(t) });
+
+  it('refines further at each higher quality preset', () => {
+    const counts = ['low', 'medium', 'high'].map(quality => {
+      const view = viewFor(graphTool.qualityPresets[quality]);
+      const points = graphTool.sampleAdaptive(sine, view.xMin, view.xMax, view);
+      assert.ok(points.length > graphTool.qualityPresets[quality].initialSamples + 1, quality);
+      return points.length;
+    });
+    assert.ok(counts[0] < counts[1] && counts[1] < counts[2], `counts: ${counts}`);
+    assert.ok(polylines('sin(x)', { quality: 'low' })[0].length < polylines('sin(x)', { quality: 'high' })[0].length);
+  });
+
+  it('stops at the preset\'s maxPoints', () => {
+    const view = viewFor({ ...graphTool.qualityPresets.medium, maxPoints: 100 });
+    const points = graphTool.sampleAdaptive(t => ({ x: t, y: 9 * Math.sin(40 * t) }), view.xMin, view.xMax, view);
+    assert.equal(points.length, 100);
+  });
+
+  it('adds no samples to a straight line and exports only its endpoints', () => {
+    const view = viewFor(graphTool.qualityPresets.medium);
+    const points = graphTool.sampleAdaptive(t => ({ x: t, y: 2 * t + 1 }), view.xMin, view.xMax, view);
+    assert.equal(points.length, graphTool.qualityPresets.medium.initialSamples + 1);
+    assert.deepEqual(polylines('2x + 1').map(line => line.length), [2]);
+  });
+
+  it('keeps the 101 evenly spaced samples in uniform mode', () => {
+    assert.deepEqual(polylines('x^2', { sampling: 'uniform' }).map(line => line.length), [101]);
+  });
+});
+
+describe('GraphTool discontinuities', () => {
+  it('draws each step of floor(x) flat, without vertical risers', () => {
+    const lines = polylines('floor(x)');
+    assert.ok(lines.length > 10);
+    lines.forEach(line => {
+      const ys = new Set(line.map(([, y]) => y));
+      assert.equal(ys.size, 1, `step is not flat: ${JSON.stringify(line)}`);
+    });
+  });
+
+  it('splits tan(x) and 1/x at their poles', () => {
+    assert.ok(polylines('tan(x)').length >= 6);
+    assert.equal(polylines('1/x').length, 2);
+  });
+
+  it('keeps steep continuous curves in one piece', () => {
+    ['x^3', 'atan(50x)', 'x^(1/3)', 'sin(x)'].forEach(expression => {
+      assert.equal(polylines(expression).length, 1, expression);
+    });
+  });
+
+  it('splits in uniform sampling mode too', () => {
+    assert.ok(polylines('floor(x)', { sampling: 'uniform' }).length > 10);
+  });
+});
+
+describe('GraphTool inequality regions', () => {
+  it('reads inequalities as bounds on y or x', () => {
+    assert.deepEqual(graphTool.parseInequality('y < 2x + 1'),
+      { variable: 'y', operator: '<', expression: '2x + 1', value: null, strict: true });
+    assert.deepEqual(graphTool.parseInequality('3 < x'),
+      { variable: 'x', operator: '>', expression: '3', value: 3, strict: true });
+
+    const standard = graphTool.parseInequality('2x + 3y <= 6');
+    assert.equal(standard.variable, 'y');
+    assert.equal(standard.operator, '<=');
+    assert.equal(standard.strict, false);
+    assert.equal(graphTool.compileFunction(standard.expression)(3), 0);
+
+    // Dividing by the negative y coefficient flips the direction
+    assert.equal(graphTool.parseInequality('-y > x').operator, '<');
+  });
+
+  it('rejects inequalities that are neither explicit nor linear', () => {
+    assert.throws(() => graphTool.parseInequality('x^2 + y^2 < 4'), /Unsupported inequality/);
+    assert.throws(() => graphTool.parseInequality('y = 2'), /Invalid inequality/);
+  });
+
+  it('shades the feasible region of a system as one polygon with its corners', () => {
+    const data = graphTool.parseGraphContent('shade x >= 0 and y >= 0 and x + y <= 4');
+    const svg = graphTool.generateGraph(data);
+    const { xMin, xMax, yMin, yMax, width, height } = graphTool.layout(data);
+    const paths = [...svg.matchAll(/<path d="([^"]*)"/g)].map(match => match[1]);
+    assert.equal(paths.length, 1);
+    assert.equal(paths[0].match(/M/g).length, 1);
+
+    // Back to graph coordinates: one column (2px) of slack where the boundary meets the x-axis
+    const corners = paths[0].match(/[\d.]+,[\d.]+/g).map(pair => {
+      const [x, y] = pair.split(',').map(Number);
+      return [xMin + (x / width) * (xMax - xMin), yMax - (y / height) * (yMax - yMin)];
+    });
+    [[0, 4], [4, 0], [0, 0]].forEach(([x, y]) => {
+      assert.ok(corners.some(([cx, cy]) => Math.abs(cx - x) < 0.15 && Math.abs(cy - y) < 0.15), `no corner near (${x}, ${y})`);
+    });
+  });
+
+  it('draws nothing for an empty region and splits a region at a pole', () => {
+    assert.ok(!graphTool.generateGraph(graphTool.parseGraphContent('shade y > x + 5 and y < x')).includes('<path'));
+    const path = graphTool.generateGraph(graphTool.parseGraphContent('shade y > 1/x')).match(/<path d="([^"]*)"/)[1];
+    assert.equal(path.match(/M/g).length, 2);
+  });
+
+  it('dashes strict boundaries and draws non-strict ones solid', () => {
+    const svg = graphTool.generateGraph(graphTool.parseGraphContent('shade y < x and y >= -2 [color:red]'));
+    const boundaries = svg.match(/<g stroke="red" stroke-width="1.5" fill="none"[^>]*>/g);
+    assert.equal(boundaries.length, 2);
+    assert.match(boundaries[0], /stroke-dasharray/);
+    assert.doesNotMatch(boundaries[1], /stroke-dasharray/);
+  });
+});
+
+describe('GraphTool parametric and polar curves', () => {
+  const close = (actual, expected) => Math.abs(actual - expected) < 1e-3;
+
+  it('reads the parameter range, colour and sample count', () => {
+    const [curve] = graphTool.parseGraphContent('param x = cos(t), y = sin(t), t in [0, pi] [color:red] [samples:50]').parametric;
+    assert.deepEqual(curve, { x: 'cos(t)', y: 'sin(t)', tMin: 0, tMax: Math.PI, color: 'red', samples: 50 });
+    const [polar] = graphTool.parseGraphContent('polar r = 1 + cos(θ), θ in [0, pi]').polar;
+    assert.equal(polar.thetaMax, Math.PI);
+    assert.equal(graphTool.parseGraphContent('param x = t, y = t').parametric[0].tMax, 2 * Math.PI);
+  });
+
+  it('draws a closed unit circle from x = cos(t), y = sin(t)', () => {
+    const [circle] = curves('param x = cos(t), y = sin(t)');
+    circle.forEach(([x, y]) => assert.ok(close(Math.hypot(x, y), 1), `(${x}, ${y}) is off the circle`));
+    assert.ok(close(circle[0][0], circle[circle.length - 1][0]) && close(circle[0][1], circle[circle.length - 1][1]));
+  });
+
+  it('converts polar r(theta) to x = r cos(theta), y = r sin(theta)', () => {
+    const [circle] = curves('polar r = 2');
+    circle.forEach(([x, y]) => assert.ok(close(Math.hypot(x, y), 2)));
+    const [cardioid] = curves('polar r = 1 + cos(theta)');
+    assert.ok(close(Math.max(...cardioid.map(([x]) => x)), 2));
+  });
+
+  it('uses evenly spaced samples across the range with [samples:n]', () => {
+    const [parabola] = curves('param x = t, y = t^2, t in [-1, 2] [samples:30]');
+    assert.equal(parabola.length, 31);
+    assert.ok(close(parabola[0][0], -1) && close(parabola[0][1], 1));
+    assert.ok(close(parabola[30][0], 2) && close(parabola[30][1], 4));
+  });
+
+  it('rejects other variables and empty ranges', () => {
+    assert.throws(() => graphTool.generateGraph(graphTool.parseGraphContent('param x = cos(s), y = sin(t)')),
+      /Invalid function "cos\(s\)"/);
+    assert.throws(() => graphTool.parseGraphContent('param x = t, y = t, t in [2, 1]'), /start must be less than end/);
+  });
+});
+
+describe('GraphTool axes', () => {
+  const texts = (content) => [...graphTool.generateGraph(graphTool.parseGraphContent(content)).matchAll(/<text[^>]*>([^<]*)<\/text>/g)]
+    .map(match => match[1]);
+  const gridLines = (content) => {
+    const grid = graphTool.generateGraph(graphTool.parseGraphContent(content)).match(/<g stroke="#e0e0e0"[^>]*>(.*?)<\/g>/);
+    return grid ? grid[1].match(/<line/g).length : 0;
+  };
+
+  it('labels pi ticks as multiples and fractions of π within the window', () => {
+    const labels = texts('window x[-2pi, 2pi] y[-3, 3]\nxticks pi/2');
+    assert.deepEqual(labels.slice(3, 11), ['-2π', '-3π/2', '-π', '-π/2', 'π/2', 'π', '3π/2', '2π']);
+    assert.deepEqual(labels.slice(11), ['-3', '-2', '-1', '1', '2', '3']);
+    assert.equal(graphTool.formatTick(5 * Math.PI / 6, 'pi'), '5π/6');
+    assert.equal(graphTool.formatTick(1.5, 'pi'), '1.5');
+  });
+
+  it('steps decimal ticks by index so they do not drift', () => {
+    assert.deepEqual(texts('window x[0, 0.5] y[-1, 1]\nxticks 0.1').slice(3, 8), ['0.1', '0.2', '0.3', '0.4', '0.5']);
+    assert.equal(graphTool.formatTick(0.1 + 0.2, 'decimal'), '0.3');
+  });
+
+  it('draws the grid at the tick spacing unless a grid step or grid off is given', () => {
+    assert.equal(gridLines(''), 42);
+    assert.equal(gridLines('xticks 2'), 11 + 21);
+    assert.equal(gridLines('grid 0.5'), 41 + 41);
+    assert.equal(gridLines('grid off'), 0);
+  });
+
+  it('spaces decades evenly on a log axis, with minor grid lines', () => {
+    const data = graphTool.parseGraphContent('xscale log\nwindow x[1, 1000] y[0, 5]');
+    const { toSVGX } = graphTool.layout(data);
+    assert.ok(Math.abs((toSVGX(10) - toSVGX(1)) - (toSVGX(100) - toSVGX(10))) < 1e-9);
+    assert.deepEqual(texts('xscale log\nwindow x[1, 1000] y[0, 5]').slice(2, 6), ['1', '10', '100', '1000']);
+    // 1-9, 10-90, 100-900 and 1000 across, 0-5 up
+    assert.equal(gridLines('xscale log\nwindow x[1, 1000] y[0, 5]'), 28 + 6);
+  });
+
+  it('rejects a log axis over a window that is not positive, and empty windows', () => {
+    assert.throws(() => graphTool.layout(graphTool.parseGraphContent('xscale log')), /Log scale on x needs a positive window/);
+    assert.throws(() => graphTool.parseGraphContent('window x[3, 3]'), /start must be less than end/);
+  });
+
+  it('crosses the axes at the window edge when the origin is outside it', () => {
+    const layout = graphTool.layout(graphTool.parseGraphContent('window x[2, 8] y[1, 5]'));
+    assert.equal(layout.yAxisX, layout.toSVGX(2));
+    assert.equal(layout.xAxisY, layout.toSVGY(1));
+    assert.equal(layout.originVisible, false);
+    assert.ok(!texts('window x[2, 8] y[1, 5]').includes('(0,0)'));
+  });
+});
+
+describe('GraphTool points, segments and vectors', () => {
+  const content = [
+    'point A(0, 0)',
+    'point B(4, 2) [style:open] [label:both]',
+    'point M = midpoint(A, B) [label:coords]',
+    'segment(A, B) [label:length]',
+    'vector(0,0 -> 3,4) [label:slope] [color:red]',
+    'point(1/3, pi) [label:"P"]'
+  ].join('\n');
+
+  it('names points, labels them and places the midpoint of named points', () => {
+    const { points, namedPoints } = graphTool.parseGraphContent(content);
+    assert.deepEqual(points.map(({ x, y, label, style }) => ({ x, y, label, style })), [
+      { x: 0, y: 0, label: 'A', style: 'closed' },
+      { x: 4, y: 2, label: 'B(4, 2)', style: 'open' },
+      { x: 2, y: 1, label: '(2, 1)', style: 'closed' },
+      { x: 1 / 3, y: Math.PI, label: 'P', style: 'closed' }
+    ]);
+    assert.deepEqual(namedPoints.M, { x: 2, y: 1 });
+  });
+
+  it('draws open points hollow and closed points filled', () => {
+    const circles = graphTool.generateGraph(graphTool.parseGraphContent(content)).match(/<circle[^>]*>/g);
+    assert.equal(circles.length, 4);
+    assert.match(circles[0], /fill="red"/);
+    assert.match(circles[1], /fill="#ffffff" stroke="red"/);
+  });
+
+  it('labels segments with exact lengths and vectors with reduced slopes', () => {
+    const { segments, vectors } = graphTool.parseGraphContent(content);
+    assert.deepEqual(segments, [{ start: { x: 0, y: 0 }, end: { x: 4, y: 2 }, color: 'black', dashed: false, label: '2√5' }]);
+    assert.deepEqual(vectors, [{ start: { x: 0, y: 0 }, end: { x: 3, y: 4 }, color: 'red', dashed: false, label: 'm = 4/3' }]);
+    assert.deepEqual([8, 13, 25].map(squared => graphTool.formatLength(squared)), ['2√2', '√13', '5']);
+    assert.equal(graphTool.formatRatio(2, -4), '-1/2');
+    assert.equal(graphTool.parseGraphContent('segment((0, 0), (3, 4)) [style:dashed]').segments[0].dashed, true);
+  });
+
+  it('ends a vector\'s shaft at its arrowhead, whose tip is the end point', () => {
+    const data = graphTool.parseGraphContent(content);
+    const { toSVGX, toSVGY } = graphTool.layout(data);
+    const svg = graphTool.generateGraph(data);
+    const [tip] = svg.match(/<polygon points="([^"]*)" fill="red"/)[1].split(' ');
+    assert.equal(tip, `${graphTool.round(toSVGX(3))},${graphTool.round(toSVGY(4))}`);
+
+    const [x1, y1, x2, y2] = svg.match(/<line x1="([^"]*)" y1="([^"]*)" x2="([^"]*)" y2="([^"]*)" stroke="red"/).slice(1).map(Number);
+    assert.ok(Math.abs(Math.hypot(toSVGX(3) - x2, toSVGY(4) - y2) - 10) < 0.01);
+    assert.deepEqual([x1, y1], [graphTool.round(toSVGX(0)), graphTool.round(toSVGY(0))]);
+  });
+
+  it('reports unknown point names, styles and malformed vectors', () => {
+    assert.throws(() => graphTool.parseGraphContent('segment(A, B)'), /Unknown point "A"/);
+    assert.throws(() => graphTool.parseGraphContent('point(1, 2) [style:dotted]'), /Invalid point style "dotted"/);
+    assert.throws(() => graphTool.parseGraphContent('vector((0, 0))'), /Invalid vector/);
+  });
+});
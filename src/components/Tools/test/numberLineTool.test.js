@@ -0,0 +1,180 @@
+/**
+ * NumberLineTool tests - inequality and interval notation parsing, tick modes and sub-ticks,
+ * symbolic points and jumps
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import NumberLineTool from '../NumberLineTool.js';
+
+const numberLine = new NumberLineTool();
+
+const interval = (start, end, startInclusive, endInclusive) => ({ start, end, startInclusive, endInclusive });
+
+// Vertical tick marks in an SVG, grouped by their height
+const tickMarks = (svg) => [...svg.matchAll(/<line x1="([\d.]+)" y1="([\d.]+)" x2="\1" y2="([\d.]+)"/g)]
+  .map(([, x, y1, y2]) => ({ x: Number(x), height: Number(y2) - Number(y1) }));
+
+describe('NumberLineTool.parseSolutionSet', () => {
+  it('reads a simple inequality from either side', () => {
+    const set = numberLine.parseSolutionSet('x > 3');
+    assert.equal(set.variable, 'x');
+    assert.deepEqual(set.intervals, [interval(3, Infinity, false, false)]);
+    assert.deepEqual(set.simple, { operator: '>', value: 3 });
+
+    assert.deepEqual(numberLine.parseSolutionSet('3 >= t').intervals, [interval(-Infinity, 3, false, true)]);
+    assert.deepEqual(numberLine.parseSolutionSet('x ≤ -1/2').intervals, [interval(-Infinity, -0.5, false, true)]);
+  });
+
+  it('reads chained compound inequalities', () => {
+    const set = numberLine.parseSolutionSet('-2 < x <= 5');
+    assert.deepEqual(set.intervals, [interval(-2, 5, false, true)]);
+    assert.equal(set.simple, null);
+  });
+
+  it('intersects "and" clauses and unions "or" clauses', () => {
+    assert.deepEqual(numberLine.parseSolutionSet('x >= -1 and x < 4').intervals, [interval(-1, 4, true, false)]);
+    assert.deepEqual(numberLine.parseSolutionSet('x < -1 or x >= 4').intervals, [
+      interval(-Infinity, -1, false, false),
+      interval(4, Infinity, true, false)
+    ]);
+    // Overlapping and touching pieces merge into one interval
+    assert.deepEqual(numberLine.parseSolutionSet('x < 2 or x >= 2').intervals, [interval(-Infinity, Infinity, false, false)]);
+    assert.deepEqual(numberLine.parseSolutionSet('x > 3 and x < 1').intervals, []);
+  });
+
+  it('reads interval notation unions with symbolic endpoints', () => {
+    assert.deepEqual(numberLine.parseSolutionSet('(-inf, -1) U [4, ∞)').intervals, [
+      interval(-Infinity, -1, false, false),
+      interval(4, Infinity, true, false)
+    ]);
+    const [piece] = numberLine.parseSolutionSet('[0, pi]').intervals;
+    assert.equal(piece.end, Math.PI);
+  });
+
+  it('returns null for lines that are not inequalities', () => {
+    assert.equal(numberLine.parseSolutionSet('point: 3'), null);
+    assert.equal(numberLine.parseSolutionSet('x = 3'), null);
+    assert.equal(numberLine.parseSolutionSet('x > y'), null);
+  });
+
+  it('rejects contradictory or malformed sets', () => {
+    assert.throws(() => numberLine.parseSolutionSet('1 < x > 3'), /both comparisons must point the same way/);
+    assert.throws(() => numberLine.parseSolutionSet('5 < x < 1'), /no value satisfies it/);
+    assert.throws(() => numberLine.parseSolutionSet('x > 1 or y < 2'), /mixes variables x and y/);
+    assert.throws(() => numberLine.parseSolutionSet('[inf, 3)'), /Invalid interval/);
+    assert.throws(() => numberLine.parseSolutionSet('[-inf, 3)'), /must use a parenthesis/);
+    assert.throws(() => numberLine.parseSolutionSet('(5, 1)'), /start must not exceed end/);
+  });
+
+  it('formats intervals back to interval notation', () => {
+    const { intervals } = numberLine.parseSolutionSet('x <= -1 or x > 4');
+    assert.equal(numberLine.formatIntervalNotation(intervals), '(-∞, -1] ∪ (4, ∞)');
+    assert.equal(numberLine.formatIntervalNotation([]), '∅');
+  });
+});
+
+describe('NumberLineTool ticks', () => {
+  it('reads ticks(step, mode) and subticks(n) and lets them override the options', () => {
+    const lineData = numberLine.parseNumberLineContent('range(0, 2)\nticks(1/4, fraction)\nsubticks(2)');
+    assert.deepEqual(lineData.ticks, { step: 0.25, mode: 'fraction' });
+    assert.equal(lineData.subticks, 2);
+
+    const layout = numberLine.layout(lineData, { labelStep: 1, tickMode: 'decimal', minorTicks: 5 });
+    assert.equal(layout.labelStep, 0.25);
+    assert.equal(layout.tickMode, 'fraction');
+    assert.equal(layout.minorTicks, 2);
+
+    // Without a mode the option (or default) still applies
+    const plain = numberLine.layout(numberLine.parseNumberLineContent('ticks(0.5)'));
+    assert.equal(plain.labelStep, 0.5);
+    assert.equal(plain.tickMode, 'integer');
+  });
+
+  it('computes tick values from an index so fractional steps do not drift', () => {
+    assert.deepEqual(numberLine.tickValues(0, 1, 0.1).map(tick => tick.value), [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1]);
+    assert.deepEqual(numberLine.tickValues(-0.5, 0.5, 0.25).map(tick => tick.index), [-2, -1, 0, 1, 2]);
+    assert.throws(() => numberLine.tickValues(0, 10, 0.001), /too small for the range/);
+    assert.equal(numberLine.formatTickValue(0.30000000000000004, 0.1, 'decimal'), '0.3');
+  });
+
+  it('writes fraction ticks reduced, unreduced or as mixed numbers', () => {
+    const improper = { reduceFractions: true, fractionFormat: 'improper' };
+    assert.deepEqual(numberLine.toFraction(0.5, 0.25, improper), { sign: '', whole: 0, numerator: 1, denominator: 2 });
+    assert.deepEqual(numberLine.toFraction(1.25, 0.25, improper), { sign: '', whole: 0, numerator: 5, denominator: 4 });
+    assert.deepEqual(numberLine.toFraction(-0.75, 0.25, improper), { sign: '-', whole: 0, numerator: 3, denominator: 4 });
+    assert.deepEqual(numberLine.toFraction(0.5, 0.25, { reduceFractions: false, fractionFormat: 'improper' }),
+      { sign: '', whole: 0, numerator: 2, denominator: 4 });
+    assert.deepEqual(numberLine.toFraction(1.25, 0.25, { reduceFractions: true, fractionFormat: 'mixed' }),
+      { sign: '', whole: 1, numerator: 1, denominator: 4 });
+  });
+
+  it('draws stacked fraction labels in fraction mode', () => {
+    const svg = numberLine.generateNumberLine(numberLine.parseNumberLineContent('range(0, 1)\nticks(1/4, fraction)'));
+    const labels = [...svg.matchAll(/<text[^>]*>([^<]*)<\/text>/g)].map(([, text]) => text);
+    // 0, then numerator and denominator for 1/4, 1/2, 3/4, then the whole number 1
+    assert.deepEqual(labels, ['0', '1', '4', '1', '2', '3', '4', '1']);
+  });
+
+  it('draws shorter unlabeled sub-ticks between the major ticks', () => {
+    const svg = numberLine.generateNumberLine(numberLine.parseNumberLineContent('range(0, 2)\nsubticks(4)'), { tickHeight: 10 });
+    const marks = tickMarks(svg);
+    assert.equal(marks.filter(mark => mark.height === 10).length, 3);
+    // Four subdivisions per unit leave three sub-ticks in each of the two units
+    assert.equal(marks.filter(mark => mark.height === 5).length, 6);
+
+    const none = numberLine.generateNumberLine(numberLine.parseNumberLineContent('range(0, 2)'), { tickHeight: 10 });
+    assert.equal(tickMarks(none).filter(mark => mark.height === 5).length, 0);
+  });
+});
+
+describe('NumberLineTool points and jumps', () => {
+  it('evaluates symbolic point values and labels them', () => {
+    const { points } = numberLine.parseNumberLineContent('point(sqrt(2))\nopen(3pi/4) [color:blue]\npoint(2)\npoint(1) [label:"A"]\npoint(pi) [label:none]');
+    assert.deepEqual(points.map(point => point.value), [Math.SQRT2, 3 * Math.PI / 4, 2, 1, Math.PI]);
+    assert.deepEqual(points.map(point => point.type), ['solid', 'open', 'solid', 'solid', 'solid']);
+    assert.equal(points[1].color, 'blue');
+    // Plain numbers already have a tick label; [label:] overrides or hides the symbol
+    assert.deepEqual(points.map(point => point.label), ['√2', '3π/4', null, 'A', null]);
+  });
+
+  it('rejects values that are not constants', () => {
+    assert.throws(() => numberLine.parseNumberLineContent('point(y)'), /Invalid value "y" in "point\(y\)"/);
+    assert.throws(() => numberLine.parseNumberLineContent('range(0, x)'), /Invalid value "x"/);
+  });
+
+  it('reads a jump with its signed change or a custom label', () => {
+    const { jumps } = numberLine.parseNumberLineContent('jump(-3, +5)\njump(2, -1/2, "back")\njump(1, 3, "") [color:green]');
+    assert.deepEqual(jumps, [
+      { start: -3, change: 5, end: 2, label: '+5', color: null },
+      { start: 2, change: -0.5, end: 1.5, label: 'back', color: null },
+      { start: 1, change: 3, end: 4, label: null, color: 'green' }
+    ]);
+    assert.throws(() => numberLine.parseNumberLineContent('jump(1, 0)'), /the change must not be zero/);
+  });
+
+  it('chains jumps(start: ...) so each hop starts where the previous one landed', () => {
+    const { jumps } = numberLine.parseNumberLineContent('jumps(0: +2, +2, 3) [color:blue]');
+    assert.deepEqual(jumps.map(jump => [jump.start, jump.end]), [[0, 2], [2, 4], [4, 7]]);
+    assert.deepEqual(jumps.map(jump => jump.label), ['+2', '+2', '+3']);
+    jumps.forEach(jump => assert.equal(jump.color, 'blue'));
+  });
+
+  it('stacks overlapping jumps and keeps chained jumps on one level', () => {
+    const chained = numberLine.parseNumberLineContent('jumps(0: +2, +2, +2)').jumps;
+    assert.deepEqual(numberLine.stackJumps(chained), [0, 0, 0]);
+    const overlapping = numberLine.parseNumberLineContent('jump(-3, +5)\njump(2, -1/2)\njump(0, +4)').jumps;
+    assert.deepEqual(numberLine.stackJumps(overlapping), [0, 1, 2]);
+  });
+
+  it('draws each jump as an arc with an arrowhead and its label', () => {
+    const svg = numberLine.generateNumberLine(numberLine.parseNumberLineContent('jump(-3, +5)'));
+    const { lineY, toX } = numberLine.layout(numberLine.parseNumberLineContent('jump(-3, +5)'));
+    const [, x1, y1, x2] = svg.match(/<path d="M ([\d.]+) ([\d.]+) Q [\d.]+ [\d.]+ ([\d.]+) [\d.]+"/).map(Number);
+    assert.equal(x1, toX(-3));
+    assert.equal(x2, toX(2));
+    assert.equal(y1, lineY);
+    assert.match(svg, new RegExp(`<polygon points="${toX(2)},${lineY} `));
+    assert.match(svg, />\+5<\/text>/);
+  });
+});
@@ -6,7 +6,7 @@
  * Each format defines how content should be styled and displayed.
  */
 
-import { fontConfig } from "./fontConfig";
+import { fontConfig } from "./fontConfig.js";
 
 export const contentFormats = {
   // ========================================
@@ -0,0 +1,175 @@
+// mathContent.js - Content Creation Lab version
+// Math preprocessing shared by ContentRenderer, KaTeXDisplay and the static HTML renderer
+
+import { processModerateHints } from "./contentFormats.js";
+
+// Check if content should be rendered as block-level math
+export const isBlockLevelMath = (content) => {
+  if (!content || typeof content !== "string") return false;
+
+  const blockPatterns = [
+    /\\begin\{array\}/,
+    /\\begin\{align\}/,
+    /\\begin\{equation\}/,
+    /\\begin\{gather\}/,
+    /\\begin\{multline\}/,
+    /\\begin\{split\}/,
+    /\\begin\{cases\}/,
+    /\\\[/,
+    /\$\$/,
+  ];
+
+  return blockPatterns.some((pattern) => pattern.test(content));
+};
+
+// Preprocess content for KaTeX compatibility
+export const preprocessContent = (
+  text,
+  _context,
+  _contentFormat,
+  activeHelpLevel,
+  showHints,
+  moderateHelpConfig
+) => {
+  if (!text || typeof text !== "string") return text;
+
+  let result = text;
+
+  // Process hint markers based on hint state
+  const showModerateHints =
+    showHints &&
+    (activeHelpLevel === "moderate" || activeHelpLevel === "major");
+  result = processModerateHints(result, showModerateHints, moderateHelpConfig);
+
+  // Replace \bigcdot with \cdot
+  result = result.replace(/\\bigcdot/g, "\\cdot");
+
+  // Replace \div with ÷
+  result = result.replace(/\\div/g, "÷");
+
+  // Convert \class{color}{content} to \textcolor{color}{content} for KaTeX
+  result = result.replace(
+    /\\class\{([^}]+)\}\{([^}]+)\}/g,
+    (match, colorClass, innerContent) => {
+      const colorMap = {
+        "answer-highlight": "#4CAF50",
+        "error-highlight": "#F44336",
+        "hint-highlight": "#2196F3",
+        "step-highlight": "#FF9800",
+        correct: "#4CAF50",
+        incorrect: "#F44336",
+        warning: "#FF9800",
+        info: "#2196F3",
+      };
+
+      const color = colorMap[colorClass] || colorClass;
+      const processedContent = innerContent.replace(/ /g, "\\ ");
+      return `\\textcolor{${color}}{${processedContent}}`;
+    }
+  );
+
+  // Remove all \smash{} wrapping
+  result = result.replace(/\\smash\{([^}]*(?:\{[^}]*\}[^}]*)*)\}/g, "$1");
+
+  // Handle \cancel commands
+  result = result.replace(
+    /\\cancel\{([^}]+)\}/g,
+    "\\enclose{updiagonalstrike}{$1}"
+  );
+
+  return result;
+};
+
+// Split content into segments of text and math
+export const splitMixedContent = (content) => {
+  const segments = [];
+  let currentPos = 0;
+
+  const mathRegex = /\$([^$]+?)\$/g;
+  let match;
+
+  while ((match = mathRegex.exec(content)) !== null) {
+    if (match.index > currentPos) {
+      const textContent = content.substring(currentPos, match.index);
+      if (textContent) {
+        segments.push({ type: "text", content: textContent });
+      }
+    }
+
+    segments.push({ type: "math", content: match[0] });
+    currentPos = match.index + match[0].length;
+  }
+
+  if (currentPos < content.length) {
+    const remainingText = content.substring(currentPos);
+    if (remainingText) {
+      segments.push({ type: "text", content: remainingText });
+    }
+  }
+
+  return segments;
+};
+
+// KaTeX options used for every render
+export const KATEX_OPTIONS = {
+  throwOnError: false,
+  errorColor: "#cc0000",
+  strict: false,
+  trust: true,
+  macros: {
+    "\\cancel": "\\enclose{updiagonalstrike}{#1}",
+  },
+};
+
+// Strip math delimiters and apply KaTeXDisplay's last-minute conversions
+export const prepareKatexContent = (content, context = "default") => {
+  let mathContent = content;
+  let displayMode = false;
+
+  // Check for display mode delimiters
+  if (mathContent.startsWith("\\[") && mathContent.endsWith("\\]")) {
+    mathContent = mathContent.slice(2, -2);
+    displayMode = true;
+  } else if (mathContent.startsWith("$$") && mathContent.endsWith("$$")) {
+    mathContent = mathContent.slice(2, -2);
+    displayMode = true;
+  } else if (mathContent.startsWith("$") && mathContent.endsWith("$")) {
+    mathContent = mathContent.slice(1, -1);
+    displayMode = false;
+  } else if (
+    context === "formula" &&
+    !mathContent.includes("\\begin{") &&
+    !mathContent.includes("\\[")
+  ) {
+    displayMode = false;
+  }
+
+  // Convert \class{color}{content} to \textcolor{color}{content}
+  mathContent = mathContent.replace(
+    /\\class\{([^}]+)\}\{([^}]+)\}/g,
+    (match, colorClass, innerContent) => {
+      const colorMap = {
+        "answer-highlight": "#4CAF50",
+        "error-highlight": "#F44336",
+        "hint-highlight": "#2196F3",
+        "step-highlight": "#FF9800",
+      };
+      const color = colorMap[colorClass] || colorClass;
+      return `\\textcolor{${color}}{${innerContent}}`;
+    }
+  );
+
+  // Remove any \smash{} wrapping
+  mathContent = mathContent.replace(/\\smash\{([^}]+)\}/g, "$1");
+
+  return { mathContent, displayMode };
+};
+
+// Whether KaTeXDisplay renders this content as a block element
+export const isDisplayMath = (content) =>
+  Boolean(
+    content &&
+      (content.includes("\\[") ||
+        content.includes("$$") ||
+        content.includes("\\begin{"))
+  );